@@ -0,0 +1,9 @@
+// Runtime configuration, loaded before the app bundle (see src/config.js).
+// Edit this file on the deployed server to point the app at other endpoints
+// without rebuilding. Leave a value out to use the build-time default.
+window.DDMS_CONFIG = {
+  // couchdbUrl: "https://sync.example.org/disaster_reports",
+  // apiUrl: "https://api.example.org/api",
+  // roadNetworkUrl: "/road-network.geojson",
+  // p2pRelayUrl: "http://192.168.1.10:5050",
+};
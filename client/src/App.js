@@ -4,17 +4,45 @@ import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import ReportDisaster from "./pages/ReportDisaster";
 import ReportSOS from "./pages/ReportSOS";
 import Profile from "./pages/Profile";
+import Login from "./pages/Login";
+import IncidentDetail from "./pages/IncidentDetail";
+import ResourceManager from "./pages/ResourceManager";
+import PeerExchange from "./pages/PeerExchange";
+import QRTransfer from "./pages/QRTransfer";
+import ClusterManager from "./pages/ClusterManager";
+import AlertManager from "./pages/AlertManager";
+import ExportReports from "./pages/ExportReports";
+import ImportReports from "./pages/ImportReports";
+import TaskBoard from "./pages/TaskBoard";
+import MissingPersons from "./pages/MissingPersons";
+import GeofenceAlerts from "./alerts/GeofenceAlerts";
+import { AuthProvider, RequireAuth } from "./auth/AuthContext";
 
 function App() {
   return (
-    <Router>
-      <Routes>
-        <Route path="/" element={<Home />} />
-        <Route path="/ReportDisaster" element={<ReportDisaster />} />
-        <Route path="/ReportSOS" element={<ReportSOS />} />
-        <Route path="/Profile" element={<Profile />} />
-      </Routes>
-    </Router>
+    <AuthProvider>
+      <Router>
+        <GeofenceAlerts />
+        <Routes>
+          <Route path="/login" element={<Login />} />
+          <Route path="/" element={<Home />} />
+          <Route path="/ReportDisaster" element={<RequireAuth><ReportDisaster /></RequireAuth>} />
+          {/* SOS stays open to everyone: nobody should have to sign in to call for help */}
+          <Route path="/ReportSOS" element={<ReportSOS />} />
+          <Route path="/incidents/:id" element={<IncidentDetail />} />
+          <Route path="/resources" element={<RequireAuth><ResourceManager /></RequireAuth>} />
+          <Route path="/clusters" element={<RequireAuth><ClusterManager /></RequireAuth>} />
+          <Route path="/alerts" element={<RequireAuth><AlertManager /></RequireAuth>} />
+          <Route path="/export" element={<RequireAuth><ExportReports /></RequireAuth>} />
+          <Route path="/import" element={<RequireAuth><ImportReports /></RequireAuth>} />
+          <Route path="/tasks" element={<RequireAuth><TaskBoard /></RequireAuth>} />
+          <Route path="/missing-persons" element={<RequireAuth><MissingPersons /></RequireAuth>} />
+          <Route path="/peers" element={<PeerExchange />} />
+          <Route path="/transfer" element={<QRTransfer />} />
+          <Route path="/Profile" element={<RequireAuth><Profile /></RequireAuth>} />
+        </Routes>
+      </Router>
+    </AuthProvider>
   );
 }
 
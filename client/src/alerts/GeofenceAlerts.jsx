@@ -0,0 +1,134 @@
+import React, { useEffect, useMemo, useState } from "react";
+import "./GeofenceAlerts.css";
+import useLiveDocuments from "../db/useLiveDocuments";
+import { alertsAt, containsPoint, isActiveAlert, isAlert } from "../db/alertSchema";
+import useGeofence, { disableGeofenceAlerts, enableGeofenceAlerts, showSystemNotification } from "./geofence";
+
+// alert id -> expiresAt for alerts already announced, so a reload inside an
+// area does not announce it again; leaving the area forgets it
+const NOTIFIED_KEY = "ddms_alerts_notified";
+
+function readNotified() {
+  try {
+    return JSON.parse(localStorage.getItem(NOTIFIED_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function formatExpiry(alert) {
+  return new Date(alert.expiresAt).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+// Alerts are published until a set time, so recheck them every minute
+function useNow() {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return now;
+}
+
+// === GeofenceAlerts Component ===
+// Shown on every page while this device is inside an active alert area.
+// Entering an area also raises a system notification, if permitted.
+export default function GeofenceAlerts() {
+  const { enabled, position } = useGeofence();
+  const documents = useLiveDocuments();
+  const now = useNow();
+  const [dismissed, setDismissed] = useState([]);
+
+  const inside = useMemo(
+    () => (enabled && position ? alertsAt(documents, position, now) : []),
+    [documents, enabled, position, now]
+  );
+
+  useEffect(() => {
+    if (!position) return;
+    const notified = readNotified();
+    const next = {};
+    Object.keys(notified).forEach((id) => {
+      const alert = documents.find((doc) => doc._id === id);
+      // Alerts not synced yet keep their entry until they expire
+      const stillInside = alert
+        ? isAlert(alert) && isActiveAlert(alert, now) && containsPoint(alert.area, position)
+        : Date.parse(notified[id]) > now;
+      if (stillInside) next[id] = notified[id];
+    });
+    inside.forEach((alert) => {
+      if (notified[alert._id]) return;
+      next[alert._id] = alert.expiresAt;
+      showSystemNotification(`${alert.disasterType} alert for your area`, {
+        body: alert.instructions,
+        tag: alert._id,
+        requireInteraction: true,
+        vibrate: [300, 100, 300],
+      }).catch((err) => console.warn("Failed to show alert notification:", err));
+    });
+    localStorage.setItem(NOTIFIED_KEY, JSON.stringify(next));
+    setDismissed((prev) => (prev.some((id) => !next[id]) ? prev.filter((id) => next[id]) : prev));
+  }, [documents, inside, position, now]);
+
+  const visible = inside.filter((alert) => !dismissed.includes(alert._id));
+  if (visible.length === 0) return null;
+
+  return (
+    <div className="geofence-banner" role="alert" aria-live="assertive">
+      {visible.map((alert) => (
+        <section key={alert._id} className="geofence-alert">
+          <div>
+            <h2>{alert.disasterType} alert: you are inside the affected area</h2>
+            <p className="geofence-instructions">{alert.instructions}</p>
+            <p className="geofence-expiry">
+              In effect until {formatExpiry(alert)}
+              {alert.source && ` · Issued by ${alert.source.name}`}
+            </p>
+          </div>
+          <button
+            type="button"
+            className="geofence-dismiss"
+            aria-label={`Dismiss the ${alert.disasterType} alert`}
+            onClick={() => setDismissed((prev) => [...prev, alert._id])}
+          >
+            &times;
+          </button>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+const LOCATION_LABELS = {
+  off: "Off",
+  locating: "Finding your location…",
+  on: "On",
+  denied: "Location access was denied. Allow it in your browser settings to receive area alerts.",
+  unsupported: "This browser cannot share your location.",
+};
+
+// === GeofenceSettings Component ===
+// Opt-in for location-based alerts; the dashboard shows it above the map
+export function GeofenceSettings() {
+  const { enabled, location, notifications } = useGeofence();
+
+  return (
+    <div className="geofence-settings">
+      <p>
+        <strong>Alerts for my location:</strong> {LOCATION_LABELS[location]}
+        {enabled && notifications === "denied" && " (notifications are blocked, so alerts only show in the app)"}
+      </p>
+      {enabled ? (
+        <button type="button" className="btn-secondary" onClick={disableGeofenceAlerts}>
+          Turn off
+        </button>
+      ) : (
+        <button type="button" className="btn-secondary" onClick={enableGeofenceAlerts}>
+          Turn on
+        </button>
+      )}
+    </div>
+  );
+}
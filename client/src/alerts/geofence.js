@@ -0,0 +1,101 @@
+// src/alerts/geofence.js
+// Watches this device's position for geofenced alerts (see db/alertSchema.js).
+// Location is only read once the user turns alerts on and never leaves the
+// device: areas are checked locally against synced alerts, so it works offline.
+import { useEffect, useState } from "react";
+
+const SETTINGS_KEY = "ddms_geofence_alerts";
+const WATCH_OPTIONS = { enableHighAccuracy: false, maximumAge: 60 * 1000, timeout: 60 * 1000 };
+
+function notificationPermission() {
+  return "Notification" in window ? Notification.permission : "unsupported";
+}
+
+// location: "off" | "locating" | "on" | "denied" | "unsupported"
+// notifications: "default" | "granted" | "denied" | "unsupported"
+let status = {
+  enabled: localStorage.getItem(SETTINGS_KEY) === "on",
+  location: "off",
+  position: null,
+  notifications: notificationPermission(),
+};
+
+const subscribers = new Set();
+let watchId = null;
+
+function update(patch) {
+  status = { ...status, ...patch };
+  subscribers.forEach((subscriber) => subscriber(status));
+}
+
+function stopWatching() {
+  if (watchId !== null) navigator.geolocation.clearWatch(watchId);
+  watchId = null;
+}
+
+function startWatching() {
+  if (!("geolocation" in navigator)) {
+    update({ location: "unsupported" });
+    return;
+  }
+  if (watchId !== null) return;
+  update({ location: "locating" });
+  watchId = navigator.geolocation.watchPosition(
+    (pos) => update({ location: "on", position: [pos.coords.latitude, pos.coords.longitude] }),
+    (err) => {
+      if (err.code === err.PERMISSION_DENIED) {
+        stopWatching();
+        update({ location: "denied", position: null });
+      }
+      // Timeouts and lost fixes are transient; the watch keeps trying
+    },
+    WATCH_OPTIONS
+  );
+}
+
+// Must be called from a click: browsers ignore permission prompts without one
+export function enableGeofenceAlerts() {
+  localStorage.setItem(SETTINGS_KEY, "on");
+  update({ enabled: true });
+  if (status.notifications === "default") {
+    Promise.resolve(Notification.requestPermission())
+      .then(() => update({ notifications: notificationPermission() }))
+      .catch((err) => console.warn("Notification permission request failed:", err));
+  }
+  startWatching();
+}
+
+export function disableGeofenceAlerts() {
+  localStorage.setItem(SETTINGS_KEY, "off");
+  stopWatching();
+  update({ enabled: false, location: "off", position: null });
+}
+
+// Through the service worker where there is one: Android Chrome only shows
+// notifications from a worker, and they stay in the tray after the tab closes
+export async function showSystemNotification(title, options) {
+  if (notificationPermission() !== "granted") return;
+  const registration = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else {
+    new Notification(title, options);
+  }
+}
+
+if (status.enabled) startWatching();
+
+// Current geofence status; the watch keeps running across pages
+export default function useGeofence() {
+  const [current, setCurrent] = useState(status);
+
+  useEffect(() => {
+    subscribers.add(setCurrent);
+    setCurrent(status);
+    return () => {
+      subscribers.delete(setCurrent);
+    };
+  }, []);
+
+  return current;
+}
@@ -0,0 +1,57 @@
+// src/api.js
+import config from "./config";
+import { getSessionToken } from "./db/session";
+
+// Error response from the Express API: { error, message, details }
+export class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details || {};
+  }
+}
+
+// JSON request to the API, authenticated with the current session token
+export async function apiRequest(path, { method = "GET", body } = {}) {
+  const headers = { Accept: "application/json" };
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  const token = getSessionToken();
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${config.apiUrl}${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new ApiError(
+      response.status,
+      data && data.error,
+      (data && data.message) || response.statusText,
+      data && data.details
+    );
+  }
+  return data;
+}
+
+// File from the API (e.g. a report export) as a Blob, authenticated like apiRequest
+export async function apiDownload(path) {
+  const headers = {};
+  const token = getSessionToken();
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${config.apiUrl}${path}`, { headers });
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw new ApiError(
+      response.status,
+      data && data.error,
+      (data && data.message) || response.statusText,
+      data && data.details
+    );
+  }
+  return response.blob();
+}
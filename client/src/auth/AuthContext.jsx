@@ -0,0 +1,76 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import { apiRequest } from "../api";
+import { clearSession, getSession, onSessionChange, setSession } from "../db/session";
+import { can } from "./roles";
+
+const AuthContext = createContext(null);
+
+// Holds the signed-in user. The session is persisted (db/session.js), so a
+// user who signed in once keeps working offline until the token expires.
+export function AuthProvider({ children }) {
+  const [session, setSessionState] = useState(getSession);
+
+  useEffect(() => onSessionChange(setSessionState), []);
+
+  // Pick up profile or role changes made elsewhere; offline failures are ignored
+  useEffect(() => {
+    if (!getSession()) return;
+    apiRequest("/users/me")
+      .then((data) => setSession(data))
+      .catch((err) => {
+        if (err.status === 401) clearSession();
+      });
+  }, []);
+
+  const login = useCallback(async (email, password) => {
+    const data = await apiRequest("/users/login", { method: "POST", body: { email, password } });
+    setSession(data);
+    return data.user;
+  }, []);
+
+  const register = useCallback(async (details) => {
+    const data = await apiRequest("/users/register", { method: "POST", body: details });
+    setSession(data);
+    return data.user;
+  }, []);
+
+  const updateProfile = useCallback(async (changes) => {
+    const data = await apiRequest("/users/me", { method: "PUT", body: changes });
+    setSession(data);
+    return data.user;
+  }, []);
+
+  const logout = useCallback(() => clearSession(), []);
+
+  const user = session ? session.user : null;
+
+  const value = useMemo(
+    () => ({
+      user,
+      // True if the signed-in user's role holds `permission` (see auth/roles.js)
+      can: (permission) => Boolean(user) && can(user.role, permission),
+      login,
+      register,
+      updateProfile,
+      logout,
+    }),
+    [user, login, register, updateProfile, logout]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export function useAuth() {
+  return useContext(AuthContext);
+}
+
+// Route guard: sends signed-out users to /login and back here afterwards
+export function RequireAuth({ children }) {
+  const { user } = useAuth();
+  const location = useLocation();
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+  return children;
+}
@@ -0,0 +1,75 @@
+// src/auth/roles.js
+//
+// Roles and what each may do. Shared with the server (server/models/roles.js)
+// and embedded into CouchDB's validate_doc_update function, so it is plain
+// CommonJS with data only.
+
+const ROLES = {
+  CITIZEN: "citizen",
+  VOLUNTEER: "volunteer",
+  RESPONDER: "responder",
+  COORDINATOR: "coordinator",
+};
+
+const ROLE_LABELS = {
+  citizen: "Citizen",
+  volunteer: "Volunteer",
+  responder: "Responder",
+  coordinator: "Coordinator",
+};
+
+// permission -> roles that hold it
+const PERMISSIONS = {
+  // Citizens file reports and SOS; everyone else can too
+  "report:create": ["citizen", "volunteer", "responder", "coordinator"],
+  "sos:create": ["citizen", "volunteer", "responder", "coordinator"],
+  // Devices that pass on reports collected offline (peer exchange, QR)
+  // upload documents other people wrote
+  "report:relay": ["volunteer", "responder", "coordinator"],
+  // Anyone may correct their own report; coordinators may edit any
+  "report:editAny": ["coordinator"],
+  "report:delete": ["coordinator"],
+  "report:verify": ["coordinator"],
+  // Responders move incidents through their lifecycle
+  "incident:updateStatus": ["responder", "coordinator"],
+  // Coordinators decide which reports describe the same incident
+  "incident:merge": ["coordinator"],
+  // Responders and coordinators hand data to partner agencies
+  "report:export": ["responder", "coordinator"],
+  // Coordinators load past seasons' datasets and partner reports in bulk
+  "report:import": ["coordinator"],
+  // Responders can be pushed new SOS calls near their home location
+  "sos:notify": ["responder", "coordinator"],
+  // Coordinators raise tasks from incidents; volunteers accept them
+  "task:manage": ["coordinator"],
+  "task:accept": ["volunteer", "coordinator"],
+  // Anyone may register a missing or found person and see their own
+  // entries; only responders and coordinators see everyone's personal
+  // details, the suggested matches, and confirm reunions
+  "person:report": ["citizen", "volunteer", "responder", "coordinator"],
+  "person:view": ["responder", "coordinator"],
+  // Coordinators run the relief resource registry and user roles
+  "resource:manage": ["coordinator"],
+  // Coordinators publish geofenced alerts to everyone inside an area
+  "alert:publish": ["coordinator"],
+  // Coordinators load warnings from official CAP and GeoJSON feeds
+  "feed:ingest": ["coordinator"],
+  "user:assignRole": ["coordinator"],
+};
+
+function isRole(value) {
+  return Object.keys(ROLE_LABELS).indexOf(value) !== -1;
+}
+
+function can(role, permission) {
+  const roles = PERMISSIONS[permission];
+  return Boolean(roles) && roles.indexOf(role) !== -1;
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  PERMISSIONS,
+  isRole,
+  can,
+};
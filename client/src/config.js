@@ -0,0 +1,23 @@
+// src/config.js
+// Endpoints are read at runtime from window.DDMS_CONFIG (public/config.js,
+// editable on a deployed build) and fall back to build-time REACT_APP_* variables.
+const runtimeConfig = (typeof window !== "undefined" && window.DDMS_CONFIG) || {};
+
+const config = {
+  // CouchDB database the local PouchDB replicates with (no credentials in the URL)
+  couchdbUrl:
+    runtimeConfig.couchdbUrl ||
+    process.env.REACT_APP_COUCHDB_URL ||
+    "http://127.0.0.1:5984/disaster_reports",
+  // Base URL of the Express API in server/
+  apiUrl:
+    runtimeConfig.apiUrl ||
+    process.env.REACT_APP_API_URL ||
+    "http://localhost:5000/api",
+  // Optional road network (GeoJSON or Overpass JSON) the Safe Route planner can download
+  roadNetworkUrl: runtimeConfig.roadNetworkUrl || process.env.REACT_APP_ROAD_NETWORK_URL || null,
+  // Signaling relay for peer-to-peer exchange; defaults to the one in the API
+  p2pRelayUrl: runtimeConfig.p2pRelayUrl || process.env.REACT_APP_P2P_RELAY_URL || null,
+};
+
+export default config;
@@ -0,0 +1,176 @@
+// src/db/alertSchema.js
+//
+// Geofenced alerts: an area drawn by a coordinator (a circle or a polygon)
+// with a disaster type, instructions for the people inside it and an expiry.
+// Shared with the server like schema.js, so plain CommonJS without
+// helper-injecting syntax.
+const { DOC_TYPES, DISASTER_TYPES, makeDocId } = require("./schema");
+const { distanceKm } = require("./geo");
+
+const ALERT_SCHEMA_VERSION = 1;
+
+const ALERT_SHAPES = {
+  circle: "Circle",
+  polygon: "Polygon",
+};
+
+// Largest circle a coordinator can draw; wider alerts should be split by region
+const MAX_ALERT_RADIUS_KM = 500;
+
+function isAlert(doc) {
+  return doc.type === DOC_TYPES.ALERT;
+}
+
+// Published and not yet expired at `now` (ms since the epoch, default the present)
+function isActiveAlert(doc, now) {
+  return isAlert(doc) && Date.parse(doc.expiresAt) > (now === undefined ? Date.now() : now);
+}
+
+function isPoint(value) {
+  return Array.isArray(value) && value.length === 2 &&
+    typeof value[0] === "number" && value[0] >= -90 && value[0] <= 90 &&
+    typeof value[1] === "number" && value[1] >= -180 && value[1] <= 180;
+}
+
+// Error message for an invalid area, or null
+function areaError(area) {
+  if (!area || !ALERT_SHAPES[area.shape]) return "Please draw the alert area on the map.";
+  if (area.shape === "circle") {
+    if (!isPoint(area.center)) return "Please place the centre of the alert area.";
+    if (!(area.radiusKm > 0 && area.radiusKm <= MAX_ALERT_RADIUS_KM)) {
+      return "The radius must be more than 0 and at most " + MAX_ALERT_RADIUS_KM + " km.";
+    }
+    return null;
+  }
+  if (!Array.isArray(area.points) || area.points.length < 3) return "A polygon needs at least three corners.";
+  if (!area.points.every(isPoint)) return "Every corner of the polygon must be a valid location.";
+  return null;
+}
+
+// Field errors keyed like form errors; empty object when valid
+function validateAlert(doc) {
+  const errors = {};
+  if (DISASTER_TYPES.indexOf(doc.disasterType) === -1) errors.disasterType = "Please select a disaster type.";
+  if (typeof doc.instructions !== "string" || !doc.instructions.trim()) {
+    errors.instructions = "Please tell people in the area what to do.";
+  }
+  const area = areaError(doc.area);
+  if (area) errors.area = area;
+  const expires = Date.parse(doc.expiresAt);
+  if (isNaN(expires)) errors.expiresAt = "Please set when the alert expires.";
+  else if (doc.createdAt && expires <= Date.parse(doc.createdAt)) {
+    errors.expiresAt = "The alert must expire after it is published.";
+  }
+  return errors;
+}
+
+function normaliseArea(area) {
+  if (!area) return area;
+  if (area.shape === "circle") {
+    return {
+      shape: "circle",
+      center: (area.center || []).map(Number),
+      radiusKm: Number(area.radiusKm),
+    };
+  }
+  return {
+    shape: area.shape,
+    points: (area.points || []).map(function (point) { return point.map(Number); }),
+  };
+}
+
+// Normalise editable fields from a form or API body
+function alertFields(fields) {
+  const expires = new Date(fields.expiresAt);
+  return {
+    disasterType: fields.disasterType,
+    instructions: typeof fields.instructions === "string" ? fields.instructions.trim() : fields.instructions,
+    area: normaliseArea(fields.area),
+    expiresAt: isNaN(expires.getTime()) ? fields.expiresAt : expires.toISOString(),
+  };
+}
+
+function createAlert(fields, userId, date) {
+  const now = date || new Date();
+  return Object.assign(
+    {
+      _id: makeDocId(DOC_TYPES.ALERT, now),
+      type: DOC_TYPES.ALERT,
+      schemaVersion: ALERT_SCHEMA_VERSION,
+    },
+    alertFields(fields),
+    {
+      createdBy: userId,
+      updatedBy: userId,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    }
+  );
+}
+
+function updateAlert(doc, fields, userId, date) {
+  return Object.assign({}, doc, alertFields(fields), {
+    updatedBy: userId,
+    updatedAt: (date || new Date()).toISOString(),
+  });
+}
+
+// Ends an alert early by moving its expiry to `date`
+function endAlert(doc, userId, date) {
+  const now = date || new Date();
+  return updateAlert(doc, Object.assign({}, doc, { expiresAt: now.toISOString() }), userId, now);
+}
+
+// Ray casting in plain lat/lng, which is accurate enough at the scale of an alert
+function polygonContains(points, point) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a[0] > point[0]) !== (b[0] > point[0]) &&
+        point[1] < ((b[1] - a[1]) * (point[0] - a[0])) / (b[0] - a[0]) + a[1]) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// True if [lat, lng] lies inside the alert area
+function containsPoint(area, point) {
+  if (area.shape === "circle") return distanceKm(area.center, point) <= area.radiusKm;
+  return polygonContains(area.points, point);
+}
+
+// [lat, lng] to label or centre the map on an area
+function areaCentre(area) {
+  if (area.shape === "circle") return area.center;
+  const sum = area.points.reduce(function (total, point) {
+    return [total[0] + point[0], total[1] + point[1]];
+  }, [0, 0]);
+  return [sum[0] / area.points.length, sum[1] / area.points.length];
+}
+
+// Active alerts whose area contains `point`, most recently published first
+function alertsAt(docs, point, now) {
+  return docs
+    .filter(function (doc) {
+      return isActiveAlert(doc, now) && !areaError(doc.area) && containsPoint(doc.area, point);
+    })
+    .sort(function (a, b) { return a.createdAt < b.createdAt ? 1 : -1; });
+}
+
+module.exports = {
+  ALERT_SCHEMA_VERSION,
+  ALERT_SHAPES,
+  MAX_ALERT_RADIUS_KM,
+  isAlert,
+  isActiveAlert,
+  areaError,
+  validateAlert,
+  createAlert,
+  updateAlert,
+  endAlert,
+  containsPoint,
+  areaCentre,
+  alertsAt,
+};
@@ -0,0 +1,105 @@
+// src/db/attachments.js
+import localDB from "./pouchdb";
+
+// Fixed attachment names so every page (and the server) knows where to look
+export const MEDIA_ATTACHMENT = "media";
+export const THUMBNAIL_ATTACHMENT = "thumbnail";
+
+// Videos and PDFs are stored as-is, so cap them to keep sync practical
+export const MAX_MEDIA_BYTES = 20 * 1024 * 1024;
+
+const MEDIA_MAX_DIMENSION = 1600;
+const MEDIA_JPEG_QUALITY = 0.75;
+const THUMBNAIL_MAX_DIMENSION = 240;
+const THUMBNAIL_JPEG_QUALITY = 0.6;
+// Photos sent to the API rather than synced (missing persons registry)
+const PHOTO_MAX_DIMENSION = 800;
+const PHOTO_JPEG_QUALITY = 0.75;
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not decode the selected image."));
+    };
+    img.src = url;
+  });
+}
+
+// Downscale so the longest side is at most maxDimension and re-encode as JPEG
+function resizeImage(img, maxDimension, quality) {
+  const scale = Math.min(1, maxDimension / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Image compression failed."))),
+      "image/jpeg",
+      quality
+    );
+  });
+}
+
+// Turn a user-selected file into PouchDB `_attachments`. Images are
+// compressed and get a small thumbnail for map popups; other files are kept as-is.
+export async function buildMediaAttachments(file) {
+  if (!file) return {};
+
+  if (!file.type.startsWith("image/")) {
+    if (file.size > MAX_MEDIA_BYTES) {
+      throw new Error(`File is too large (max ${MAX_MEDIA_BYTES / (1024 * 1024)} MB).`);
+    }
+    return {
+      mediaFileName: file.name,
+      _attachments: {
+        [MEDIA_ATTACHMENT]: { content_type: file.type || "application/octet-stream", data: file },
+      },
+    };
+  }
+
+  const img = await loadImage(file);
+  const compressed = await resizeImage(img, MEDIA_MAX_DIMENSION, MEDIA_JPEG_QUALITY);
+  const thumbnail = await resizeImage(img, THUMBNAIL_MAX_DIMENSION, THUMBNAIL_JPEG_QUALITY);
+  // Small images can grow when re-encoded; keep whichever is smaller
+  const media = compressed.size < file.size ? compressed : file;
+
+  return {
+    mediaFileName: file.name,
+    _attachments: {
+      [MEDIA_ATTACHMENT]: { content_type: media.type, data: media },
+      [THUMBNAIL_ATTACHMENT]: { content_type: thumbnail.type, data: thumbnail },
+    },
+  };
+}
+
+// Downscaled JPEG of an image file as a data URL, for JSON uploads to the API
+export async function buildPhotoDataUrl(file) {
+  if (!file.type.startsWith("image/")) throw new Error("Please choose an image file.");
+  const blob = await resizeImage(await loadImage(file), PHOTO_MAX_DIMENSION, PHOTO_JPEG_QUALITY);
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error("Could not read the compressed photo."));
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Object URL for a stored attachment, or null if the document has none.
+// Callers must URL.revokeObjectURL() it when done.
+export async function getAttachmentUrl(docId, name) {
+  try {
+    const blob = await localDB.getAttachment(docId, name);
+    return URL.createObjectURL(blob);
+  } catch (err) {
+    if (err.status !== 404) console.error("Failed to read attachment:", err);
+    return null;
+  }
+}
@@ -0,0 +1,45 @@
+// src/db/backgroundPush.js
+// One-shot push of local writes to CouchDB. The service worker runs it from
+// its Background Sync handler, so queued reports reach the server when
+// connectivity returns even if every tab has been closed. Page-only APIs
+// (window, localStorage) are off limits here.
+import PouchDB from "pouchdb";
+
+export const LOCAL_DB_NAME = "disaster_reports";
+export const BACKGROUND_SYNC_TAG = "ddms-push";
+
+// Where and as whom to push. A _local document, so it never replicates;
+// the page keeps it current because the worker cannot read localStorage.
+const PUSH_TARGET_ID = "_local/background_push";
+
+export async function savePushTarget(db, couchdbUrl, token) {
+  let existing = null;
+  try {
+    existing = await db.get(PUSH_TARGET_ID);
+  } catch (err) {
+    if (err.status !== 404) throw err;
+  }
+  const doc = { _id: PUSH_TARGET_ID, couchdbUrl, token: token || null };
+  if (existing) doc._rev = existing._rev;
+  await db.put(doc);
+}
+
+// Rejects when the server cannot be reached, so the browser retries later
+export async function pushLocalChanges() {
+  const localDB = new PouchDB(LOCAL_DB_NAME);
+  let target;
+  try {
+    target = await localDB.get(PUSH_TARGET_ID);
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+  const remoteDB = new PouchDB(target.couchdbUrl, {
+    skip_setup: true,
+    fetch: (url, opts) => {
+      if (target.token) opts.headers.set("Authorization", `Bearer ${target.token}`);
+      return PouchDB.fetch(url, opts);
+    },
+  });
+  return localDB.replicate.to(remoteDB);
+}
@@ -0,0 +1,174 @@
+// src/db/clusters.js
+// Groups reports of the same event into incidents. Reports of one disaster
+// type close in place and time are linked automatically; coordinators can
+// override that by merging clusters or splitting reports off, which pins the
+// reports involved to a shared `clusterId`. Shared with the server, so plain
+// CommonJS (see schema.js).
+const { distanceKm } = require("./geo");
+const { getPosition, isFeedItem, isOpen } = require("./schema");
+
+// How far apart two reports of one event can be, by disaster type (km)
+const CLUSTER_DISTANCE_KM = {
+  Flood: 5,
+  Earthquake: 30,
+  Cyclone: 50,
+  Wildfire: 10,
+  Landslide: 2,
+  Tsunami: 20,
+  "Volcanic Eruption": 20,
+  Other: 1,
+};
+const DEFAULT_CLUSTER_DISTANCE_KM = 2;
+
+// Reports further apart in time than this are treated as separate events
+const CLUSTER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function reportTime(report) {
+  const time = Date.parse(report.createdAt);
+  return isNaN(time) ? 0 : time;
+}
+
+function areLinked(a, b) {
+  if (a.disasterType !== b.disasterType) return false;
+  const maxKm = CLUSTER_DISTANCE_KM[a.disasterType] || DEFAULT_CLUSTER_DISTANCE_KM;
+  return distanceKm(getPosition(a), getPosition(b)) <= maxKm;
+}
+
+function summarize(id, reports, manual) {
+  const sorted = reports.slice().sort(function (a, b) {
+    return reportTime(a) - reportTime(b);
+  });
+  const primary = sorted[0];
+  const positions = sorted.map(getPosition).filter(Boolean);
+  const totalSeverity = sorted.reduce(function (sum, report) {
+    return sum + (Number(report.severity) || 0);
+  }, 0);
+  return {
+    id: id,
+    manual: manual,
+    primary: primary,
+    reports: sorted,
+    count: sorted.length,
+    disasterType: primary.disasterType,
+    status: primary.status || "new",
+    open: sorted.some(isOpen),
+    // The worst report sets the incident's severity
+    severity: Math.max.apply(null, sorted.map(function (report) {
+      return Number(report.severity) || 0;
+    })),
+    averageSeverity: Math.round((totalSeverity / sorted.length) * 10) / 10,
+    position: positions.length > 0
+      ? [
+        positions.reduce(function (sum, p) { return sum + p[0]; }, 0) / positions.length,
+        positions.reduce(function (sum, p) { return sum + p[1]; }, 0) / positions.length,
+      ]
+      : null,
+    firstReportedAt: primary.createdAt,
+    lastReportedAt: sorted[sorted.length - 1].createdAt,
+  };
+}
+
+// Incidents for `reports`, newest activity first. Each has the reports in
+// time order, the earliest as `primary`, a centroid `position`, the highest
+// `severity` and the `averageSeverity`. Automatic clusters take the id of
+// their primary report; manual ones their clusterId.
+function clusterReports(reports) {
+  const manual = {};
+  const automatic = [];
+  reports.forEach(function (report) {
+    // Warnings ingested from official feeds are shown on their own
+    if (isFeedItem(report)) return;
+    if (report.clusterId) {
+      (manual[report.clusterId] = manual[report.clusterId] || []).push(report);
+    } else {
+      automatic.push(report);
+    }
+  });
+
+  // Single-linkage over a time-sorted sweep: only reports inside the time
+  // window of each other are compared
+  const located = automatic.filter(getPosition).sort(function (a, b) {
+    return reportTime(a) - reportTime(b);
+  });
+  const parent = located.map(function (report, i) { return i; });
+  function root(i) {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  }
+  for (let i = 0; i < located.length; i++) {
+    for (let j = i + 1; j < located.length && reportTime(located[j]) - reportTime(located[i]) <= CLUSTER_WINDOW_MS; j++) {
+      if (areLinked(located[i], located[j])) parent[root(j)] = root(i);
+    }
+  }
+
+  const groups = {};
+  located.forEach(function (report, i) {
+    const r = root(i);
+    (groups[r] = groups[r] || []).push(report);
+  });
+
+  const clusters = Object.keys(groups).map(function (key) {
+    return summarize(groups[key][0]._id, groups[key], false);
+  });
+  automatic.filter(function (report) { return !getPosition(report); }).forEach(function (report) {
+    clusters.push(summarize(report._id, [report], false));
+  });
+  Object.keys(manual).forEach(function (clusterId) {
+    clusters.push(summarize(clusterId, manual[clusterId], true));
+  });
+
+  return clusters.sort(function (a, b) {
+    return reportTime(b.reports[b.count - 1]) - reportTime(a.reports[a.count - 1]);
+  });
+}
+
+function makeClusterId(reportId, date) {
+  return "cluster_" + reportId + "_" + date.toISOString();
+}
+
+function pinToCluster(report, clusterId, userId, at) {
+  return Object.assign({}, report, {
+    clusterId: clusterId,
+    history: (report.history || []).concat([{ action: "cluster", clusterId: clusterId, by: userId, at: at }]),
+    updatedAt: at,
+  });
+}
+
+// Reports to save so that `clusters` (two or more) become one incident
+function mergeClusters(clusters, userId, date) {
+  if (clusters.length < 2) throw new Error("Choose at least two incidents to merge.");
+  const now = date || new Date();
+  const reports = [].concat.apply([], clusters.map(function (cluster) { return cluster.reports; }));
+  const primary = summarize(null, reports, true).primary;
+  const clusterId = makeClusterId(primary._id, now);
+  return reports.map(function (report) {
+    return pinToCluster(report, clusterId, userId, now.toISOString());
+  });
+}
+
+// The report, updated to stand as an incident of its own
+function splitReport(report, userId, date) {
+  const now = date || new Date();
+  return pinToCluster(report, makeClusterId(report._id, now), userId, now.toISOString());
+}
+
+// The incident `report` belongs to among `clusters`
+function findCluster(clusters, reportId) {
+  for (let i = 0; i < clusters.length; i++) {
+    if (clusters[i].reports.some(function (report) { return report._id === reportId; })) return clusters[i];
+  }
+  return null;
+}
+
+module.exports = {
+  CLUSTER_DISTANCE_KM,
+  DEFAULT_CLUSTER_DISTANCE_KM,
+  CLUSTER_WINDOW_MS,
+  clusterReports,
+  mergeClusters,
+  splitReport,
+  findCluster,
+};
@@ -0,0 +1,76 @@
+// src/db/deviceKey.js
+// This device's signing keypair. The private key is generated non-extractable
+// and kept in IndexedDB (CryptoKey objects survive structured cloning), so
+// page scripts can sign with it but never read it out.
+import localDB from "./pouchdb";
+import { KEY_PARAMS, createDeviceKeyDocument, keyIdFor, signDocument } from "./signatures";
+
+const KEY_DB_NAME = "ddms_device_key";
+const KEY_STORE = "keys";
+const KEY_RECORD = "signing";
+
+function openKeyStore() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(KEY_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function storeRequest(mode, action) {
+  return openKeyStore().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const request = action(db.transaction(KEY_STORE, mode).objectStore(KEY_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      })
+  );
+}
+
+let keyPromise = null;
+
+// { privateKey, publicJwk, keyId }, created on first use
+export function getDeviceKey() {
+  if (!keyPromise) {
+    keyPromise = (async () => {
+      const stored = await storeRequest("readonly", (store) => store.get(KEY_RECORD));
+      if (stored) return stored;
+      const pair = await crypto.subtle.generateKey(KEY_PARAMS, false, ["sign", "verify"]);
+      const publicJwk = await crypto.subtle.exportKey("jwk", pair.publicKey);
+      const key = { privateKey: pair.privateKey, publicJwk, keyId: await keyIdFor(publicJwk, crypto.subtle) };
+      await storeRequest("readwrite", (store) => store.put(key, KEY_RECORD));
+      return key;
+    })();
+    keyPromise.catch(() => {
+      keyPromise = null;
+    });
+  }
+  return keyPromise;
+}
+
+// Record that this device's key belongs to `userId`. The deviceKey document
+// syncs like any other, so peers and the server can check signatures offline.
+async function registerDeviceKey(key, userId) {
+  const doc = createDeviceKeyDocument(key.publicJwk, key.keyId, userId);
+  try {
+    await localDB.put(doc);
+  } catch (err) {
+    if (err.status !== 409) throw err;
+  }
+}
+
+// Sign a new report or SOS before it is saved. Signing is best effort: a
+// browser without WebCrypto (or outside a secure context) saves it unsigned.
+export async function signNewDocument(doc) {
+  if (!window.crypto || !window.crypto.subtle) return doc;
+  try {
+    const key = await getDeviceKey();
+    if (doc.reportedBy) await registerDeviceKey(key, doc.reportedBy);
+    return await signDocument(doc, key.privateKey, key.publicJwk, crypto.subtle);
+  } catch (err) {
+    console.error("Failed to sign document, saving it unsigned:", err);
+    return doc;
+  }
+}
@@ -0,0 +1,39 @@
+// src/db/geo.js
+// Geographic helpers shared with the server, so plain CommonJS (see schema.js).
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Great-circle distance in kilometres between two [lat, lng] points
+function distanceKm(a, b) {
+  const dLat = toRadians(b[0] - a[0]);
+  const dLng = toRadians(b[1] - a[1]);
+  const h =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(a[0])) * Math.cos(toRadians(b[0])) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Distance in kilometres from `point` to the nearest point of the segment
+// `from`-`to`. The segment is projected onto a plane tangent at `point`,
+// which is accurate for the few-kilometre edges of a road network.
+function distanceToSegmentKm(point, from, to) {
+  const cosLat = Math.cos(toRadians(point[0]));
+  const ax = (from[1] - point[1]) * cosLat;
+  const ay = from[0] - point[0];
+  const bx = (to[1] - point[1]) * cosLat;
+  const by = to[0] - point[0];
+  const lengthSquared = (bx - ax) * (bx - ax) + (by - ay) * (by - ay);
+  // Where along the segment the point projects, clamped to its ends
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / lengthSquared));
+  return distanceKm(point, [from[0] + t * (to[0] - from[0]), from[1] + t * (to[1] - from[1])]);
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  distanceKm,
+  distanceToSegmentKm,
+};
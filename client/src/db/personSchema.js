@@ -0,0 +1,260 @@
+// src/db/personSchema.js
+//
+// Missing and found persons for family reunification. Unlike the other
+// types these hold personal details, so they live in their own server-side
+// database (PERSONS_DB_NAME) that never syncs to devices; the API serves
+// them only to their reporter and to roles holding person:view.
+// Shared with the server like schema.js, so plain CommonJS without
+// helper-injecting syntax.
+const { DOC_TYPES, getPosition, makeDocId } = require("./schema");
+const { distanceKm } = require("./geo");
+
+const PERSON_SCHEMA_VERSION = 1;
+
+const PERSON_STATUSES = {
+  missing: "Missing",
+  found: "Found",
+  sheltered: "In a shelter",
+  reunited: "Reunited",
+};
+
+// Entries of families looking for someone are matched against entries of
+// people who have turned up, and the other way round
+const SEEKING_STATUSES = ["missing"];
+const LOCATED_STATUSES = ["found", "sheltered"];
+
+// Statuses a reporter may choose; reunited is set by confirming a match
+const REPORTABLE_STATUSES = SEEKING_STATUSES.concat(LOCATED_STATUSES);
+
+// Uploaded photos are downscaled on the device first (see MissingPersons.jsx)
+const PHOTO_ATTACHMENT = "photo";
+const MAX_PHOTO_BYTES = 512 * 1024;
+
+// Matching: last-seen places further apart than MATCH_RADIUS_KM, or dates
+// further apart than MATCH_WINDOW_DAYS, add nothing to a match's score
+const MATCH_RADIUS_KM = 50;
+const MATCH_WINDOW_DAYS = 30;
+const MAX_AGE_GAP = 10;
+const MIN_NAME_SCORE = 0.6;
+const MIN_MATCH_SCORE = 0.5;
+const MATCH_WEIGHTS = { name: 0.6, place: 0.2, time: 0.1, age: 0.1 };
+
+// Titles that say nothing about who someone is
+const NAME_TITLES = ["mr", "mrs", "ms", "miss", "dr", "shri", "sri", "smt", "kumari", "master", "baby"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isPerson(doc) {
+  return doc.type === DOC_TYPES.PERSON;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+// ISO string, or null for a missing or unreadable date
+function toISODate(value) {
+  const date = isBlank(value) ? null : new Date(value);
+  return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// Field errors keyed like form errors; empty object when valid
+function validatePerson(doc) {
+  const errors = {};
+  if (typeof doc.name !== "string" || !doc.name.trim()) errors.name = "Please enter the person's name.";
+  if (doc.age !== null && !(Number.isInteger(doc.age) && doc.age >= 0 && doc.age <= 120)) {
+    errors.age = "Age must be a whole number of years, or left empty.";
+  }
+  if (!PERSON_STATUSES[doc.status]) errors.status = "Please choose whether the person is missing or found.";
+  if (!getPosition(doc)) errors.position = "Please mark where the person was last seen.";
+  if (!doc.lastSeenAt) {
+    errors.lastSeenAt = "Please enter when the person was last seen.";
+  } else if (new Date(doc.lastSeenAt) > new Date(doc.updatedAt || Date.now())) {
+    errors.lastSeenAt = "Last seen cannot be in the future.";
+  }
+  if (!doc.contact || isBlank(doc.contact.name) || isBlank(doc.contact.phone)) {
+    errors.contact = "Please give a contact name and phone number.";
+  }
+  return errors;
+}
+
+// Normalise the reporter's fields from a form or API body
+function personFields(fields) {
+  const contact = fields.contact || {};
+  return {
+    name: typeof fields.name === "string" ? fields.name.trim() : fields.name,
+    age: isBlank(fields.age) ? null : Number(fields.age),
+    description: typeof fields.description === "string" ? fields.description.trim() : "",
+    latitude: fields.latitude === undefined ? fields.latitude : Number(fields.latitude),
+    longitude: fields.longitude === undefined ? fields.longitude : Number(fields.longitude),
+    lastSeenAt: toISODate(fields.lastSeenAt),
+    shelterId: fields.shelterId || null,
+    contact: {
+      name: typeof contact.name === "string" ? contact.name.trim() : "",
+      phone: typeof contact.phone === "string" ? contact.phone.trim() : "",
+      relation: typeof contact.relation === "string" ? contact.relation.trim() : "",
+    },
+  };
+}
+
+// lastSeenAt is when (and latitude/longitude where) a missing person was
+// last seen, or a found person turned up
+function createPerson(fields, userId, date) {
+  const now = (date || new Date()).toISOString();
+  return Object.assign(
+    {
+      _id: makeDocId(DOC_TYPES.PERSON, date || new Date()),
+      type: DOC_TYPES.PERSON,
+      schemaVersion: PERSON_SCHEMA_VERSION,
+    },
+    personFields(fields),
+    {
+      status: fields.status,
+      reunitedWith: null,
+      reportedBy: userId,
+      createdAt: now,
+      updatedAt: now,
+      history: [],
+    }
+  );
+}
+
+// Edits the reported fields and, between missing, found and sheltered, the status
+function updatePerson(doc, fields, userId, date) {
+  const now = (date || new Date()).toISOString();
+  const updated = Object.assign({}, doc, personFields(Object.assign({}, doc, fields)), { updatedAt: now });
+  if (fields.status && fields.status !== doc.status) {
+    if (doc.status === "reunited") throw new Error("A reunited entry cannot change status.");
+    if (REPORTABLE_STATUSES.indexOf(fields.status) === -1) {
+      throw new Error("Reunions are recorded by confirming a match.");
+    }
+    updated.status = fields.status;
+    updated.history = doc.history.concat([{ action: "status", from: doc.status, to: fields.status, by: userId, at: now }]);
+  }
+  return updated;
+}
+
+// Marks a missing entry and the found entry that is the same person as
+// reunited. -> [seekingDoc, locatedDoc] updated
+function reunitePersons(seeking, located, userId, note, date) {
+  if (SEEKING_STATUSES.indexOf(seeking.status) === -1 || LOCATED_STATUSES.indexOf(located.status) === -1) {
+    throw new Error("Only a missing entry and a found or sheltered entry can be reunited.");
+  }
+  const now = (date || new Date()).toISOString();
+  return [[seeking, located], [located, seeking]].map(function (pair) {
+    const entry = { action: "status", from: pair[0].status, to: "reunited", by: userId, at: now };
+    if (note && note.trim()) entry.note = note.trim();
+    return Object.assign({}, pair[0], {
+      status: "reunited",
+      reunitedWith: pair[1]._id,
+      updatedAt: now,
+      history: pair[0].history.concat([entry]),
+    });
+  });
+}
+
+// "Smt. Sunita  Devi" -> ["sunita", "devi"]
+function nameTokens(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9\u0900-\u097f]+/)
+    .filter(function (token) { return token && NAME_TITLES.indexOf(token) === -1; });
+}
+
+function editDistance(a, b) {
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) previous.push(j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current.push(Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)
+      ));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 0..1; an initial matches any token starting with it ("R." and "Ramesh")
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length === 1 || b.length === 1) return a.charAt(0) === b.charAt(0) ? 0.8 : 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// 0..1. Word order does not matter and a missing surname or middle name
+// costs little: each word of the shorter name is scored against its best
+// match in the longer one.
+function nameSimilarity(a, b) {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  const shorter = tokensA.length <= tokensB.length ? tokensA : tokensB;
+  const longer = shorter === tokensA ? tokensB : tokensA;
+  const total = shorter.reduce(function (sum, token) {
+    return sum + Math.max.apply(null, longer.map(function (other) { return tokenSimilarity(token, other); }));
+  }, 0);
+  return 0.85 * (total / shorter.length) + 0.15 * (shorter.length / longer.length);
+}
+
+// How likely `located` (found or sheltered) is the person `seeking` is
+// missing. -> { score, nameScore, distanceKm, days, ageGap } or null when
+// the two cannot be the same person
+function scoreMatch(seeking, located) {
+  const nameScore = nameSimilarity(seeking.name, located.name);
+  if (nameScore < MIN_NAME_SCORE) return null;
+
+  const ageGap = seeking.age !== null && located.age !== null ? Math.abs(seeking.age - located.age) : null;
+  if (ageGap !== null && ageGap > MAX_AGE_GAP) return null;
+
+  // Found more than a day before they went missing: someone else
+  const days = (new Date(located.lastSeenAt) - new Date(seeking.lastSeenAt)) / DAY_MS;
+  if (days < -1) return null;
+
+  const km = distanceKm(getPosition(seeking), getPosition(located));
+  const score =
+    MATCH_WEIGHTS.name * nameScore +
+    MATCH_WEIGHTS.place * Math.max(0, 1 - km / MATCH_RADIUS_KM) +
+    MATCH_WEIGHTS.time * Math.max(0, 1 - Math.abs(days) / MATCH_WINDOW_DAYS) +
+    MATCH_WEIGHTS.age * (ageGap === null ? 0.5 : 1 - ageGap / MAX_AGE_GAP);
+  return { score: score, nameScore: nameScore, distanceKm: km, days: days, ageGap: ageGap };
+}
+
+// Likely matches for `person` among `people`, best first: missing entries
+// are compared with found and sheltered ones and vice versa.
+// -> [{ person, score, nameScore, distanceKm, days, ageGap }]
+function suggestMatches(person, people) {
+  const seeking = SEEKING_STATUSES.indexOf(person.status) !== -1;
+  const candidates = seeking ? LOCATED_STATUSES : SEEKING_STATUSES;
+  if (!seeking && LOCATED_STATUSES.indexOf(person.status) === -1) return [];
+  return people
+    .filter(function (other) { return other._id !== person._id && candidates.indexOf(other.status) !== -1; })
+    .map(function (other) {
+      const match = seeking ? scoreMatch(person, other) : scoreMatch(other, person);
+      return match && Object.assign({ person: other }, match);
+    })
+    .filter(function (match) { return match && match.score >= MIN_MATCH_SCORE; })
+    .sort(function (a, b) { return b.score - a.score; });
+}
+
+module.exports = {
+  PERSON_SCHEMA_VERSION,
+  PERSON_STATUSES,
+  SEEKING_STATUSES,
+  LOCATED_STATUSES,
+  REPORTABLE_STATUSES,
+  PHOTO_ATTACHMENT,
+  MAX_PHOTO_BYTES,
+  isPerson,
+  validatePerson,
+  createPerson,
+  updatePerson,
+  reunitePersons,
+  nameSimilarity,
+  suggestMatches,
+};
@@ -0,0 +1,135 @@
+// src/db/resourceSchema.js
+//
+// Relief resource documents (shelters, hospitals, depots, supply points) in
+// the shared `disaster_reports` database. Shared with the server like
+// schema.js, so plain CommonJS without helper-injecting syntax.
+const { DOC_TYPES, getPosition, makeDocId } = require("./schema");
+const { distanceKm } = require("./geo");
+
+const RESOURCE_SCHEMA_VERSION = 1;
+
+const RESOURCE_KINDS = {
+  shelter: "Shelter",
+  hospital: "Hospital",
+  "food-water": "Food & water depot",
+  "medical-supply": "Medical supply point",
+};
+
+const RESOURCE_STATUSES = {
+  open: "Open",
+  full: "Full",
+  closed: "Closed",
+};
+
+function isResource(doc) {
+  return doc.type === DOC_TYPES.RESOURCE;
+}
+
+function isOpenResource(doc) {
+  return isResource(doc) && doc.status === "open";
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Field errors keyed like form errors; empty object when valid
+function validateResource(doc) {
+  const errors = {};
+  if (typeof doc.name !== "string" || !doc.name.trim()) errors.name = "Please enter the centre's name.";
+  if (!RESOURCE_KINDS[doc.kind]) errors.kind = "Please select the kind of centre.";
+  if (!RESOURCE_STATUSES[doc.status]) errors.status = "Please select a status.";
+  if (!getPosition(doc)) errors.position = "Please select a valid location.";
+  if (doc.capacity !== null && doc.capacity !== undefined && !isNonNegativeInteger(doc.capacity)) {
+    errors.capacity = "Capacity must be a whole number of 0 or more.";
+  }
+  if (doc.occupancy !== null && doc.occupancy !== undefined && !isNonNegativeInteger(doc.occupancy)) {
+    errors.occupancy = "Occupancy must be a whole number of 0 or more.";
+  }
+  if (!Array.isArray(doc.stock) || doc.stock.some(function (entry) {
+    return typeof entry.item !== "string" || !entry.item.trim() || !(Number(entry.quantity) >= 0);
+  })) {
+    errors.stock = "Every stock line needs an item name and a quantity of 0 or more.";
+  }
+  if (!doc.contact || typeof doc.contact.phone !== "string" || !doc.contact.phone.trim()) {
+    errors.contact = "Please enter a contact phone number.";
+  }
+  return errors;
+}
+
+function optionalInteger(value) {
+  return value === "" || value === null || value === undefined ? null : Number(value);
+}
+
+// Normalise editable fields from a form or API body
+function resourceFields(fields) {
+  return {
+    name: typeof fields.name === "string" ? fields.name.trim() : fields.name,
+    kind: fields.kind,
+    status: fields.status || "open",
+    latitude: fields.latitude,
+    longitude: fields.longitude,
+    address: typeof fields.address === "string" ? fields.address.trim() : "",
+    capacity: optionalInteger(fields.capacity),
+    occupancy: optionalInteger(fields.occupancy),
+    stock: (fields.stock || []).map(function (entry) {
+      return {
+        item: typeof entry.item === "string" ? entry.item.trim() : entry.item,
+        quantity: Number(entry.quantity),
+        unit: typeof entry.unit === "string" ? entry.unit.trim() : "",
+      };
+    }),
+    contact: {
+      name: fields.contact && typeof fields.contact.name === "string" ? fields.contact.name.trim() : "",
+      phone: fields.contact && typeof fields.contact.phone === "string" ? fields.contact.phone.trim() : "",
+    },
+  };
+}
+
+function createResource(fields, userId, date) {
+  const now = date || new Date();
+  return Object.assign(
+    {
+      _id: makeDocId(DOC_TYPES.RESOURCE, now),
+      type: DOC_TYPES.RESOURCE,
+      schemaVersion: RESOURCE_SCHEMA_VERSION,
+    },
+    resourceFields(fields),
+    {
+      createdBy: userId,
+      updatedBy: userId,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    }
+  );
+}
+
+function updateResource(doc, fields, userId, date) {
+  return Object.assign({}, doc, resourceFields(fields), {
+    updatedBy: userId,
+    updatedAt: (date || new Date()).toISOString(),
+  });
+}
+
+// Open centres sorted by distance from `origin` ([lat, lng]), each with distanceKm
+function nearestOpenResources(docs, origin, limit) {
+  return docs
+    .filter(isOpenResource)
+    .map(function (doc) {
+      return Object.assign({}, doc, { distanceKm: distanceKm(origin, getPosition(doc)) });
+    })
+    .sort(function (a, b) { return a.distanceKm - b.distanceKm; })
+    .slice(0, limit || 5);
+}
+
+module.exports = {
+  RESOURCE_SCHEMA_VERSION,
+  RESOURCE_KINDS,
+  RESOURCE_STATUSES,
+  isResource,
+  isOpenResource,
+  validateResource,
+  createResource,
+  updateResource,
+  nearestOpenResources,
+};
@@ -0,0 +1,316 @@
+// src/db/schema.js
+//
+// Shared document schema for the `disaster_reports` database. The server
+// requires this same file (server/controllers/handleReports.js), so it is
+// written as plain CommonJS without syntax that makes Babel inject helper
+// imports (no async/await, object spread or classes).
+
+// Bump when the stored shape changes and add a step to migrateDocument()
+const SCHEMA_VERSION = 2;
+
+const DOC_TYPES = {
+  REPORT: "report",
+  SOS: "sos",
+  // Relief centres; their fields live in resourceSchema.js
+  RESOURCE: "resource",
+  // A device's public key registered to a user; see signatures.js
+  DEVICE_KEY: "deviceKey",
+  // Coordinator-published geofenced alerts; see alertSchema.js
+  ALERT: "alert",
+  // Volunteer tasks raised from reports and SOS calls; see taskSchema.js
+  TASK: "task",
+  // Missing and found persons; kept in their own restricted database, see personSchema.js
+  PERSON: "person",
+};
+
+const DISASTER_TYPES = [
+  "Flood",
+  "Earthquake",
+  "Cyclone",
+  "Wildfire",
+  "Landslide",
+  "Tsunami",
+  "Volcanic Eruption",
+  "Other",
+];
+
+// Official sources whose warnings are ingested as reports and alerts (see
+// server/ingest). Ingested documents carry source: { kind, name, sender,
+// identifier, url, sentAt, ingestedAt } and no reportedBy.
+const FEED_KINDS = {
+  cap: "CAP alert",
+  geojson: "GeoJSON feed",
+};
+
+// Incident lifecycle shared by reports and SOS calls
+const INCIDENT_STATUSES = ["new", "verified", "assigned", "in-progress", "resolved", "false-alarm"];
+
+const STATUS_LABELS = {
+  new: "New",
+  verified: "Verified",
+  assigned: "Assigned",
+  "in-progress": "In progress",
+  resolved: "Resolved",
+  "false-alarm": "False alarm",
+};
+
+// status -> statuses it may move to; closed incidents can be reopened
+const STATUS_TRANSITIONS = {
+  new: ["verified", "false-alarm"],
+  verified: ["assigned", "false-alarm"],
+  assigned: ["in-progress", "verified", "false-alarm"],
+  "in-progress": ["resolved", "assigned"],
+  resolved: ["in-progress"],
+  "false-alarm": ["new"],
+};
+
+const CLOSED_STATUSES = ["resolved", "false-alarm"];
+
+const SEVERITY_MIN = 1;
+const SEVERITY_MAX = 10;
+const SOS_MIN_DESCRIPTION_LENGTH = 10;
+
+function isValidLatitude(value) {
+  return typeof value === "number" && value >= -90 && value <= 90;
+}
+
+function isValidLongitude(value) {
+  return typeof value === "number" && value >= -180 && value <= 180;
+}
+
+// 8 random hex digits; WebCrypto where there is one (browsers, Node 20)
+function randomSuffix() {
+  const bytes = new Uint8Array(4);
+  if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+  }
+  return Array.prototype.map.call(bytes, function (byte) {
+    return (byte < 16 ? "0" : "") + byte.toString(16);
+  }).join("");
+}
+
+// New documents get a type prefix so allDocs range queries can select one
+// type, then the time so they sort by it. The random suffix keeps two
+// devices (or two quick submissions) in the same millisecond apart.
+function makeDocId(type, date) {
+  return type + "_" + (date || new Date()).toISOString() + "_" + randomSuffix();
+}
+
+// [lat, lng] for any report or SOS document, including pre-schema ones
+function getPosition(doc) {
+  if (isValidLatitude(doc.latitude) && isValidLongitude(doc.longitude)) {
+    return [doc.latitude, doc.longitude];
+  }
+  if (Array.isArray(doc.position) && doc.position.length === 2) {
+    const lat = Number(doc.position[0]);
+    const lng = Number(doc.position[1]);
+    if (isValidLatitude(lat) && isValidLongitude(lng)) return [lat, lng];
+  }
+  return null;
+}
+
+// Field errors keyed like the forms' formErrors; empty object when valid.
+// Messages match ReportDisaster.jsx and ReportSOS.jsx.
+function validateDocument(doc) {
+  const errors = {};
+  const description = typeof doc.description === "string" ? doc.description.trim() : "";
+
+  if (doc.type === DOC_TYPES.SOS) {
+    if (!(Number(doc.affectedPeople) > 0)) {
+      errors.affectedPeople = "Please enter the number of affected people (greater than 0).";
+    }
+    if (!(Number.isInteger(doc.severity) && doc.severity >= SEVERITY_MIN && doc.severity <= SEVERITY_MAX)) {
+      errors.severity = "Please provide a severity between 1 and 10.";
+    }
+    if (!getPosition(doc)) {
+      errors.position = "Please select a location on the map or use Auto-detect.";
+    }
+    if (description.length < SOS_MIN_DESCRIPTION_LENGTH) {
+      errors.description = "Please provide a description (at least 10 characters).";
+    }
+    return errors;
+  }
+
+  if (doc.type !== DOC_TYPES.REPORT) {
+    errors.type = "Unknown document type.";
+    return errors;
+  }
+  if (DISASTER_TYPES.indexOf(doc.disasterType) === -1) {
+    errors.disasterType = "Please select a disaster type.";
+  }
+  if (!description) errors.description = "Please provide a description.";
+  if (!getPosition(doc)) errors.position = "Please select a valid location.";
+  if (!(Number.isInteger(doc.severity) && doc.severity >= SEVERITY_MIN && doc.severity <= SEVERITY_MAX)) {
+    errors.severity = "Severity must be between 1 and 10.";
+  }
+  return errors;
+}
+
+// Build a new, current-version document from form or API input.
+// `fields` holds latitude/longitude, severity, description and the
+// type-specific fields (disasterType for reports, affectedPeople for SOS),
+// plus reportedBy (user id) when the author is signed in.
+function createDocument(type, fields, date) {
+  const now = date || new Date();
+  const doc = {
+    _id: makeDocId(type, now),
+    type: type,
+    schemaVersion: SCHEMA_VERSION,
+    description: typeof fields.description === "string" ? fields.description.trim() : fields.description,
+    latitude: fields.latitude,
+    longitude: fields.longitude,
+    severity: Number(fields.severity),
+    status: "new",
+    history: [],
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+  if (type === DOC_TYPES.REPORT) doc.disasterType = fields.disasterType;
+  if (type === DOC_TYPES.SOS) doc.affectedPeople = Number(fields.affectedPeople);
+  if (fields.reportedBy) doc.reportedBy = fields.reportedBy;
+  return doc;
+}
+
+function isReport(doc) {
+  return doc.type === DOC_TYPES.REPORT;
+}
+
+function isSOS(doc) {
+  return doc.type === DOC_TYPES.SOS;
+}
+
+function isFeedItem(doc) {
+  return Boolean(doc.source && FEED_KINDS[doc.source.kind]);
+}
+
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).indexOf(to) !== -1;
+}
+
+// Reports and SOS calls count as active until resolved or dismissed
+function isOpen(doc) {
+  return CLOSED_STATUSES.indexOf(doc.status || "new") === -1;
+}
+
+// Move an incident to `status`, appending to its audit trail. Returns a new
+// document; throws if the workflow does not allow the transition.
+function changeStatus(doc, status, userId, note, date) {
+  const from = doc.status || "new";
+  if (!canTransition(from, status)) {
+    throw new Error("Cannot move an incident from " + STATUS_LABELS[from] + " to " + (STATUS_LABELS[status] || status) + ".");
+  }
+  const at = (date || new Date()).toISOString();
+  const entry = { action: "status", from: from, to: status, by: userId, at: at };
+  if (note && note.trim()) entry.note = note.trim();
+  return Object.assign({}, doc, {
+    status: status,
+    history: (doc.history || []).concat([entry]),
+    updatedAt: at,
+  });
+}
+
+// Append a free-text note to an incident's audit trail
+function addNote(doc, userId, note, date) {
+  const text = typeof note === "string" ? note.trim() : "";
+  if (!text) throw new Error("Please write a note.");
+  const at = (date || new Date()).toISOString();
+  return Object.assign({}, doc, {
+    history: (doc.history || []).concat([{ action: "note", by: userId, at: at, note: text }]),
+    updatedAt: at,
+  });
+}
+
+// Documents without a `type` predate the schema; only ReportDisaster wrote those
+function needsMigration(doc) {
+  if (doc._id.indexOf("_design/") === 0 || doc._deleted) return false;
+  if (!doc.type) return true;
+  return (doc.type === DOC_TYPES.REPORT || doc.type === DOC_TYPES.SOS) &&
+    (doc.schemaVersion || 0) < SCHEMA_VERSION;
+}
+
+// Upgrade one document to SCHEMA_VERSION. Returns a new object, or null if
+// nothing needs to change. Deterministic, so running it on several replicas
+// at once only produces conflicts whose revisions hold identical content.
+function migrateDocument(doc) {
+  if (!needsMigration(doc)) return null;
+  const migrated = Object.assign({}, doc);
+  const version = migrated.schemaVersion || 0;
+
+  // 0 -> 1: type discriminator, numeric lat/lng fields, numeric severity, timestamps
+  if (version < 1) {
+    if (!migrated.type) migrated.type = DOC_TYPES.REPORT;
+    const position = getPosition(migrated);
+    if (position) {
+      migrated.latitude = position[0];
+      migrated.longitude = position[1];
+    }
+    delete migrated.position;
+    if (migrated.severity !== undefined) migrated.severity = Math.round(Number(migrated.severity));
+    if (migrated.type === DOC_TYPES.SOS && migrated.affectedPeople !== undefined) {
+      migrated.affectedPeople = Number(migrated.affectedPeople);
+    }
+    if (!migrated.createdAt && !isNaN(Date.parse(migrated._id))) {
+      migrated.createdAt = new Date(migrated._id).toISOString();
+    }
+    if (!migrated.updatedAt && migrated.createdAt) migrated.updatedAt = migrated.createdAt;
+  }
+
+  // 1 -> 2: lifecycle status and audit trail replace the `verified` flag
+  if (version < 2) {
+    if (!migrated.status) migrated.status = migrated.verified ? "verified" : "new";
+    if (!Array.isArray(migrated.history)) {
+      migrated.history = migrated.verified
+        ? [{ action: "status", from: "new", to: "verified", by: migrated.verifiedBy, at: migrated.verifiedAt }]
+        : [];
+    }
+    delete migrated.verified;
+    delete migrated.verifiedBy;
+    delete migrated.verifiedAt;
+  }
+
+  migrated.schemaVersion = SCHEMA_VERSION;
+  return migrated;
+}
+
+// Migrate every outdated document in a PouchDB database (local or remote).
+// Resolves with the number of documents rewritten.
+function migrateDatabase(db) {
+  return db.allDocs({ include_docs: true }).then(function (result) {
+    const updates = result.rows
+      .map(function (row) { return migrateDocument(row.doc); })
+      .filter(Boolean);
+    if (updates.length === 0) return 0;
+    return db.bulkDocs(updates).then(function (results) {
+      return results.filter(function (r) { return r.ok; }).length;
+    });
+  });
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  DOC_TYPES,
+  DISASTER_TYPES,
+  FEED_KINDS,
+  INCIDENT_STATUSES,
+  STATUS_LABELS,
+  STATUS_TRANSITIONS,
+  CLOSED_STATUSES,
+  SEVERITY_MIN,
+  SEVERITY_MAX,
+  makeDocId,
+  getPosition,
+  validateDocument,
+  createDocument,
+  isReport,
+  isSOS,
+  isFeedItem,
+  canTransition,
+  isOpen,
+  changeStatus,
+  addNote,
+  needsMigration,
+  migrateDocument,
+  migrateDatabase,
+};
@@ -0,0 +1,48 @@
+// src/db/session.js
+// The signed-in user's session token, used to authenticate sync and API calls.
+const SESSION_KEY = "ddms_session";
+
+const listeners = new Set();
+
+function readSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY)) || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+let currentSession = readSession();
+
+export function getSession() {
+  return currentSession;
+}
+
+export function getSessionToken() {
+  return currentSession ? currentSession.token : null;
+}
+
+// session: { token, user } or null to sign out
+export function setSession(session) {
+  currentSession = session;
+  try {
+    if (session) {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(SESSION_KEY);
+    }
+  } catch (err) {
+    console.warn("Could not persist session to localStorage", err);
+  }
+  listeners.forEach((listener) => listener(session));
+}
+
+export function clearSession() {
+  setSession(null);
+}
+
+// Returns an unsubscribe function
+export function onSessionChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
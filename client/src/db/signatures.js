@@ -0,0 +1,279 @@
+// src/db/signatures.js
+// Report signatures. Each device holds an ECDSA P-256 keypair (see
+// deviceKey.js) and signs the content of every report and SOS it creates.
+// Shared with the server, so plain CommonJS (see schema.js); callers pass
+// a WebCrypto `subtle` (window.crypto.subtle or require("crypto").webcrypto.subtle).
+//
+// A signature proves the content is unchanged since the device signed it.
+// It proves who signed only when the device key is registered to the author:
+// a deviceKey document, which CouchDB lets a user write only for themselves.
+const { DOC_TYPES } = require("./schema");
+
+const SIGNATURE_ALGORITHM = "ES256";
+const SIGN_PARAMS = { name: "ECDSA", hash: "SHA-256" };
+const KEY_PARAMS = { name: "ECDSA", namedCurve: "P-256" };
+
+// The content a signature covers, along with the attachments (see
+// attachmentManifest). Status, history and the like change as an incident
+// is handled, so they are deliberately left out.
+const SIGNED_FIELDS = [
+  "_id", "type", "description", "latitude", "longitude", "severity",
+  "disasterType", "affectedPeople", "reportedBy", "createdAt", "mediaFileName",
+];
+
+const SIGNATURE_STATUSES = {
+  // Intact, and signed by a key registered to the author
+  VERIFIED: "verified",
+  // Intact, but the key is not registered to the author (or there is none)
+  UNREGISTERED: "unregistered",
+  // Content changed after signing, or a malformed signature
+  INVALID: "invalid",
+  UNSIGNED: "unsigned",
+};
+
+const SIGNATURE_LABELS = {
+  verified: "Signed by author",
+  unregistered: "Signed, device not registered",
+  invalid: "Signature invalid",
+  unsigned: "Unsigned",
+};
+
+// JSON with object keys sorted, so the same content always yields the same text
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return "[" + value.map(canonicalJSON).join(",") + "]";
+  if (value && typeof value === "object") {
+    return "{" + Object.keys(value).sort().filter(function (key) {
+      return value[key] !== undefined;
+    }).map(function (key) {
+      return JSON.stringify(key) + ":" + canonicalJSON(value[key]);
+    }).join(",") + "}";
+  }
+  return JSON.stringify(value);
+}
+
+// `attachments` is the signature's attachment manifest; signatures made
+// before attachments were covered have none
+function signedContent(doc, attachments) {
+  const content = {};
+  SIGNED_FIELDS.forEach(function (field) {
+    if (doc[field] !== undefined) content[field] = doc[field];
+  });
+  if (attachments !== undefined) content._attachments = attachments;
+  return canonicalJSON(content);
+}
+
+const BASE64URL = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+
+function toBase64Url(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    const chars = Math.min(4, Math.ceil(((bytes.length - i) * 8) / 6));
+    for (let j = 0; j < chars; j++) text += BASE64URL.charAt((n >> (18 - 6 * j)) & 63);
+  }
+  return text;
+}
+
+function fromBase64Url(text) {
+  const bytes = new Uint8Array(Math.floor((text.length * 6) / 8));
+  let bits = 0;
+  let buffer = 0;
+  let index = 0;
+  for (let i = 0; i < text.length; i++) {
+    const value = BASE64URL.indexOf(text.charAt(i));
+    if (value === -1) throw new Error("Invalid base64url");
+    buffer = (buffer << 6) | value;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[index++] = (buffer >> bits) & 0xff;
+    }
+  }
+  return bytes;
+}
+
+// Standard base64, as PouchDB and CouchDB inline attachment data
+function fromBase64(text) {
+  return fromBase64Url(text.replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_"));
+}
+
+function encodeText(text) {
+  return new TextEncoder().encode(text);
+}
+
+// Resolves to an attachment's bytes, or null for a stub fetched without its
+// data. Data is a Blob when a report is created and base64 when it was read
+// with { attachments: true }.
+function attachmentBytes(attachment) {
+  const data = attachment.data;
+  if (data === undefined || data === null) return Promise.resolve(null);
+  if (typeof data === "string") return Promise.resolve(fromBase64(data));
+  if (typeof data.arrayBuffer === "function") {
+    return data.arrayBuffer().then(function (buffer) {
+      return new Uint8Array(buffer);
+    });
+  }
+  if (ArrayBuffer.isView(data)) return Promise.resolve(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+  return Promise.resolve(new Uint8Array(data));
+}
+
+function sha256Digest(bytes, subtle) {
+  return subtle.digest("SHA-256", bytes).then(function (hash) {
+    return "sha256-" + toBase64Url(hash);
+  });
+}
+
+function attachmentNames(attachments) {
+  return Object.keys(attachments || {}).sort();
+}
+
+// Resolves to { name: { content_type, length, digest } } for the
+// attachments of `doc`, which must carry their data. The signature holds
+// this manifest and covers it, so a photo cannot be swapped after signing.
+function attachmentManifest(doc, subtle) {
+  const attachments = doc._attachments || {};
+  const names = attachmentNames(attachments);
+  return Promise.all(names.map(function (name) {
+    return attachmentBytes(attachments[name]).then(function (bytes) {
+      if (!bytes) throw new Error("Attachment " + name + " has no data to sign.");
+      return sha256Digest(bytes, subtle).then(function (digest) {
+        return { content_type: attachments[name].content_type, length: bytes.byteLength, digest: digest };
+      });
+    });
+  })).then(function (entries) {
+    const manifest = {};
+    names.forEach(function (name, i) {
+      manifest[name] = entries[i];
+    });
+    return manifest;
+  });
+}
+
+// Resolves to whether the attachments of `doc` are those in `manifest`.
+// Stubs can only be checked by name, type and length; attachments with
+// their data are hashed.
+function attachmentsMatch(doc, manifest, subtle) {
+  const attachments = doc._attachments || {};
+  const names = attachmentNames(attachments);
+  if (canonicalJSON(names) !== canonicalJSON(attachmentNames(manifest))) return Promise.resolve(false);
+  return Promise.all(names.map(function (name) {
+    const attachment = attachments[name];
+    const signed = manifest[name];
+    if (attachment.content_type !== signed.content_type) return false;
+    return attachmentBytes(attachment).then(function (bytes) {
+      if (!bytes) return attachment.length === signed.length;
+      if (bytes.byteLength !== signed.length) return false;
+      return sha256Digest(bytes, subtle).then(function (digest) {
+        return digest === signed.digest;
+      });
+    });
+  })).then(function (results) {
+    return results.every(Boolean);
+  });
+}
+
+// RFC 7638 thumbprint of a public JWK; identifies the key in deviceKey documents
+function keyIdFor(publicJwk, subtle) {
+  const members = canonicalJSON({ crv: publicJwk.crv, kty: publicJwk.kty, x: publicJwk.x, y: publicJwk.y });
+  return subtle.digest("SHA-256", encodeText(members)).then(toBase64Url);
+}
+
+// _id of the document registering a device key to a user
+function deviceKeyDocId(keyId, userId) {
+  return "deviceKey_" + keyId + "_" + userId;
+}
+
+function createDeviceKeyDocument(publicJwk, keyId, userId, date) {
+  return {
+    _id: deviceKeyDocId(keyId, userId),
+    type: DOC_TYPES.DEVICE_KEY,
+    keyId: keyId,
+    userId: userId,
+    publicKey: { kty: publicJwk.kty, crv: publicJwk.crv, x: publicJwk.x, y: publicJwk.y },
+    createdAt: (date || new Date()).toISOString(),
+  };
+}
+
+// Resolves to a copy of `doc` carrying a signature by `privateKey`. Its
+// attachments must still hold their data.
+function signDocument(doc, privateKey, publicJwk, subtle) {
+  return attachmentManifest(doc, subtle).then(function (attachments) {
+    return subtle.sign(SIGN_PARAMS, privateKey, encodeText(signedContent(doc, attachments))).then(function (signature) {
+      const signed = Object.assign({}, doc);
+      signed.signature = {
+        alg: SIGNATURE_ALGORITHM,
+        publicKey: { kty: publicJwk.kty, crv: publicJwk.crv, x: publicJwk.x, y: publicJwk.y },
+        attachments: attachments,
+        value: toBase64Url(signature),
+      };
+      return signed;
+    });
+  });
+}
+
+// Resolves to whether the signature matches the content and attachments;
+// false for malformed signatures, never rejects. A signature without an
+// attachment manifest covers no attachments, so any the document has fail.
+function verifySignature(doc, subtle) {
+  const signature = doc.signature;
+  if (!signature || signature.alg !== SIGNATURE_ALGORITHM || !signature.publicKey) return Promise.resolve(false);
+  return attachmentsMatch(doc, signature.attachments || {}, subtle)
+    .then(function (intact) {
+      if (!intact) return false;
+      return subtle.importKey("jwk", signature.publicKey, KEY_PARAMS, false, ["verify"]).then(function (key) {
+        return subtle.verify(
+          SIGN_PARAMS,
+          key,
+          fromBase64Url(signature.value),
+          encodeText(signedContent(doc, signature.attachments))
+        );
+      });
+    })
+    .catch(function () {
+      return false;
+    });
+}
+
+// Resolves to one of SIGNATURE_STATUSES. isRegistered(keyId, userId)
+// returns (or resolves to) whether that deviceKey document exists.
+function signatureStatus(doc, isRegistered, subtle) {
+  if (!doc.signature) return Promise.resolve(SIGNATURE_STATUSES.UNSIGNED);
+  return verifySignature(doc, subtle).then(function (valid) {
+    if (!valid) return SIGNATURE_STATUSES.INVALID;
+    if (!doc.reportedBy) return SIGNATURE_STATUSES.UNREGISTERED;
+    return keyIdFor(doc.signature.publicKey, subtle)
+      .then(function (keyId) {
+        return isRegistered(keyId, doc.reportedBy);
+      })
+      .then(function (registered) {
+        return registered ? SIGNATURE_STATUSES.VERIFIED : SIGNATURE_STATUSES.UNREGISTERED;
+      });
+  });
+}
+
+// Whether a document received from elsewhere may be stored: anything
+// unsigned passes (older clients do not sign), signed content must verify.
+// Without WebCrypto (browsers outside a secure context) nothing can be
+// checked, so everything passes and the server checks later.
+function isUntampered(doc, subtle) {
+  return doc.signature && subtle ? verifySignature(doc, subtle) : Promise.resolve(true);
+}
+
+module.exports = {
+  SIGNATURE_ALGORITHM,
+  SIGNED_FIELDS,
+  SIGNATURE_STATUSES,
+  SIGNATURE_LABELS,
+  KEY_PARAMS,
+  canonicalJSON,
+  signedContent,
+  attachmentManifest,
+  keyIdFor,
+  deviceKeyDocId,
+  createDeviceKeyDocument,
+  signDocument,
+  verifySignature,
+  signatureStatus,
+  isUntampered,
+};
@@ -0,0 +1,229 @@
+// src/db/taskSchema.js
+//
+// Volunteer tasks raised from a report or SOS call: a rescue, a supply run
+// or a medical check at a place, with the skills it needs. Coordinators
+// create them; volunteers claim one, post progress updates and complete it.
+// Every change is appended to `updates`, which doubles as the task's history.
+// Shared with the server like schema.js, so plain CommonJS without
+// helper-injecting syntax.
+const { DOC_TYPES, getPosition, makeDocId } = require("./schema");
+const { distanceKm } = require("./geo");
+
+const TASK_SCHEMA_VERSION = 1;
+
+const TASK_KINDS = {
+  rescue: "Rescue",
+  "supply-delivery": "Supply delivery",
+  "medical-check": "Medical check",
+};
+
+const TASK_SKILLS = {
+  "first-aid": "First aid",
+  medical: "Nurse or doctor",
+  "water-rescue": "Swimming / water rescue",
+  boat: "Boat handling",
+  driving: "Driving",
+  "heavy-lifting": "Heavy lifting",
+  "local-language": "Local language",
+};
+
+const TASK_STATUSES = {
+  open: "Open",
+  claimed: "Claimed",
+  completed: "Completed",
+  cancelled: "Cancelled",
+};
+
+// status -> statuses a volunteer may move their task to. Coordinators may
+// also cancel any task that is not completed.
+const TASK_TRANSITIONS = {
+  open: ["claimed"],
+  claimed: ["claimed", "open", "completed"],
+  completed: [],
+  cancelled: [],
+};
+
+// Fields a volunteer's change may touch; everything else is the coordinator's
+const TASK_VOLUNTEER_FIELDS = ["status", "assignee", "assigneeName", "updates", "updatedAt"];
+
+const MAX_TASK_UPDATE_LENGTH = 1000;
+
+function isTask(doc) {
+  return doc.type === DOC_TYPES.TASK;
+}
+
+function isOpenTask(doc) {
+  return isTask(doc) && doc.status === "open";
+}
+
+// Field errors keyed like form errors; empty object when valid
+function validateTask(doc) {
+  const errors = {};
+  if (typeof doc.title !== "string" || !doc.title.trim()) errors.title = "Please give the task a short title.";
+  if (!TASK_KINDS[doc.kind]) errors.kind = "Please select the kind of task.";
+  if (!getPosition(doc)) errors.position = "Please select where the task is.";
+  if (!Array.isArray(doc.skills) || doc.skills.some(function (skill) { return !TASK_SKILLS[skill]; })) {
+    errors.skills = "Please choose skills from the list.";
+  }
+  if (!TASK_STATUSES[doc.status]) errors.status = "Unknown task status.";
+  if (doc.status === "open" && doc.assignee) errors.assignee = "An open task cannot have a volunteer.";
+  if ((doc.status === "claimed" || doc.status === "completed") && !doc.assignee) {
+    errors.assignee = "A claimed task needs a volunteer.";
+  }
+  return errors;
+}
+
+// Normalise the coordinator's fields from a form or API body
+function taskFields(fields) {
+  return {
+    title: typeof fields.title === "string" ? fields.title.trim() : fields.title,
+    kind: fields.kind,
+    description: typeof fields.description === "string" ? fields.description.trim() : "",
+    latitude: fields.latitude === undefined ? fields.latitude : Number(fields.latitude),
+    longitude: fields.longitude === undefined ? fields.longitude : Number(fields.longitude),
+    skills: Array.isArray(fields.skills) ? fields.skills : [],
+    incidentId: fields.incidentId || null,
+  };
+}
+
+function logEntry(action, user, at, note) {
+  const entry = { action: action, by: user.id, name: user.name, at: at };
+  if (note && note.trim()) entry.note = note.trim();
+  return entry;
+}
+
+// `user` is { id, name }; fields.incidentId is the report or SOS the task
+// was raised from
+function createTask(fields, user, date) {
+  const now = (date || new Date()).toISOString();
+  return Object.assign(
+    {
+      _id: makeDocId(DOC_TYPES.TASK, date || new Date()),
+      type: DOC_TYPES.TASK,
+      schemaVersion: TASK_SCHEMA_VERSION,
+    },
+    taskFields(fields),
+    {
+      status: "open",
+      assignee: null,
+      assigneeName: null,
+      updates: [logEntry("created", user, now)],
+      createdBy: user.id,
+      createdAt: now,
+      updatedAt: now,
+    }
+  );
+}
+
+function editTask(doc, fields, user, date) {
+  const now = (date || new Date()).toISOString();
+  return Object.assign({}, doc, taskFields(Object.assign({}, doc, fields)), {
+    updates: doc.updates.concat([logEntry("edited", user, now)]),
+    updatedAt: now,
+  });
+}
+
+// Moves a task to `status` and logs why; throws when the move is not allowed
+function transition(doc, status, action, user, note, date) {
+  if (TASK_TRANSITIONS[doc.status].indexOf(status) === -1) {
+    throw new Error("A " + TASK_STATUSES[doc.status].toLowerCase() + " task cannot be " + action + ".");
+  }
+  const now = (date || new Date()).toISOString();
+  const changes = {
+    status: status,
+    updates: doc.updates.concat([logEntry(action, user, now, note)]),
+    updatedAt: now,
+  };
+  if (status === "open") {
+    changes.assignee = null;
+    changes.assigneeName = null;
+  }
+  return Object.assign({}, doc, changes);
+}
+
+function assertAssignee(doc, user) {
+  if (doc.assignee !== user.id) throw new Error("Only the volunteer who claimed this task can do that.");
+}
+
+function claimTask(doc, user, date) {
+  if (doc.status !== "open") throw new Error("Only open tasks can be claimed.");
+  const claimed = transition(doc, "claimed", "claimed", user, null, date);
+  return Object.assign(claimed, { assignee: user.id, assigneeName: user.name });
+}
+
+// Hands the task back so someone else can claim it
+function releaseTask(doc, user, note, date) {
+  assertAssignee(doc, user);
+  return transition(doc, "open", "released", user, note, date);
+}
+
+function addTaskUpdate(doc, user, note, date) {
+  assertAssignee(doc, user);
+  if (typeof note !== "string" || !note.trim()) throw new Error("Please write an update.");
+  if (note.length > MAX_TASK_UPDATE_LENGTH) {
+    throw new Error("Updates can be at most " + MAX_TASK_UPDATE_LENGTH + " characters.");
+  }
+  return transition(doc, "claimed", "update", user, note, date);
+}
+
+function completeTask(doc, user, note, date) {
+  assertAssignee(doc, user);
+  return transition(doc, "completed", "completed", user, note, date);
+}
+
+// Coordinators only; a completed task stays completed
+function cancelTask(doc, user, note, date) {
+  if (doc.status === "completed" || doc.status === "cancelled") {
+    throw new Error("A " + TASK_STATUSES[doc.status].toLowerCase() + " task cannot be cancelled.");
+  }
+  const now = (date || new Date()).toISOString();
+  return Object.assign({}, doc, {
+    status: "cancelled",
+    updates: doc.updates.concat([logEntry("cancelled", user, now, note)]),
+    updatedAt: now,
+  });
+}
+
+// Open tasks within `radiusKm` of `origin` ([lat, lng]), nearest first, each with distanceKm
+function nearbyOpenTasks(docs, origin, radiusKm) {
+  return docs
+    .filter(function (doc) { return isOpenTask(doc) && getPosition(doc); })
+    .map(function (doc) {
+      return Object.assign({}, doc, { distanceKm: distanceKm(origin, getPosition(doc)) });
+    })
+    .filter(function (doc) { return radiusKm === undefined || doc.distanceKm <= radiusKm; })
+    .sort(function (a, b) { return a.distanceKm - b.distanceKm; });
+}
+
+// Tasks `userId` has claimed at some point, most recently changed first
+function taskHistory(docs, userId) {
+  return docs
+    .filter(function (doc) {
+      return isTask(doc) && (doc.assignee === userId || (doc.updates || []).some(function (entry) {
+        return entry.action === "claimed" && entry.by === userId;
+      }));
+    })
+    .sort(function (a, b) { return a.updatedAt < b.updatedAt ? 1 : -1; });
+}
+
+module.exports = {
+  TASK_SCHEMA_VERSION,
+  TASK_KINDS,
+  TASK_SKILLS,
+  TASK_STATUSES,
+  TASK_TRANSITIONS,
+  TASK_VOLUNTEER_FIELDS,
+  MAX_TASK_UPDATE_LENGTH,
+  isTask,
+  isOpenTask,
+  validateTask,
+  createTask,
+  editTask,
+  claimTask,
+  releaseTask,
+  addTaskUpdate,
+  completeTask,
+  cancelTask,
+  nearbyOpenTasks,
+  taskHistory,
+};
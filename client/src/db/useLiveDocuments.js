@@ -0,0 +1,97 @@
+// src/db/useLiveDocuments.js
+import { useEffect, useMemo, useState } from "react";
+import localDB from "./pouchdb";
+import { migrateDocument } from "./schema";
+
+function normalize(doc) {
+  return migrateDocument(doc) || doc;
+}
+
+// All documents in the local database, kept current through the PouchDB
+// changes feed: local writes and documents arriving via sync show up
+// without a reload. Design documents are skipped.
+export default function useLiveDocuments() {
+  const [docsById, setDocsById] = useState({});
+
+  useEffect(() => {
+    let feed = null;
+    let cancelled = false;
+
+    async function subscribe() {
+      try {
+        const result = await localDB.allDocs({ include_docs: true, update_seq: true });
+        if (cancelled) return;
+        const initial = {};
+        result.rows.forEach((row) => {
+          if (!row.id.startsWith("_design/")) initial[row.id] = normalize(row.doc);
+        });
+        setDocsById(initial);
+
+        feed = localDB
+          .changes({ since: result.update_seq, live: true, include_docs: true })
+          .on("change", (change) => {
+            if (change.id.startsWith("_design/")) return;
+            setDocsById((prev) => {
+              const next = { ...prev };
+              if (change.deleted) {
+                delete next[change.id];
+              } else {
+                next[change.id] = normalize(change.doc);
+              }
+              return next;
+            });
+          })
+          .on("error", (err) => {
+            console.error("Local changes feed failed:", err);
+          });
+      } catch (err) {
+        console.error("Failed to load documents from local DB:", err);
+      }
+    }
+
+    subscribe();
+    return () => {
+      cancelled = true;
+      if (feed) feed.cancel();
+    };
+  }, []);
+
+  return useMemo(() => Object.values(docsById), [docsById]);
+}
+
+// A single document kept current through the changes feed.
+// undefined while loading, null if it does not exist (or was deleted).
+export function useLiveDocument(id) {
+  const [doc, setDoc] = useState(undefined);
+
+  useEffect(() => {
+    let cancelled = false;
+    setDoc(undefined);
+
+    localDB
+      .get(id)
+      .then((found) => {
+        if (!cancelled) setDoc(normalize(found));
+      })
+      .catch((err) => {
+        if (err.status !== 404) console.error("Failed to load document from local DB:", err);
+        if (!cancelled) setDoc(null);
+      });
+
+    const feed = localDB
+      .changes({ since: "now", live: true, include_docs: true, doc_ids: [id] })
+      .on("change", (change) => {
+        setDoc(change.deleted ? null : normalize(change.doc));
+      })
+      .on("error", (err) => {
+        console.error("Local changes feed failed:", err);
+      });
+
+    return () => {
+      cancelled = true;
+      feed.cancel();
+    };
+  }, [id]);
+
+  return doc;
+}
@@ -0,0 +1,73 @@
+// src/db/useSignatureStatuses.js
+import { useEffect, useRef, useState } from "react";
+import localDB from "./pouchdb";
+import { DOC_TYPES, isReport, isSOS } from "./schema";
+import { deviceKeyDocId, signatureStatus } from "./signatures";
+
+// { [_id]: status } for every report and SOS in `documents` (see
+// SIGNATURE_STATUSES). Device keys are looked up among `documents`, so it
+// works offline. Empty where WebCrypto is unavailable.
+export default function useSignatureStatuses(documents) {
+  const [statuses, setStatuses] = useState({});
+  // "_id _rev registrations" -> status; verifying is too slow to redo on every change
+  const cacheRef = useRef(new Map());
+
+  useEffect(() => {
+    if (!window.crypto || !window.crypto.subtle) return;
+    let cancelled = false;
+    const registered = new Set(
+      documents.filter((doc) => doc.type === DOC_TYPES.DEVICE_KEY).map((doc) => doc._id)
+    );
+    const isRegistered = (keyId, userId) => registered.has(deviceKeyDocId(keyId, userId));
+    const previous = cacheRef.current;
+    // Keep only entries still in use
+    const cache = new Map();
+    cacheRef.current = cache;
+
+    Promise.all(
+      documents
+        .filter((doc) => isReport(doc) || isSOS(doc))
+        .map(async (doc) => {
+          const cacheKey = `${doc._id} ${doc._rev} ${registered.size}`;
+          const status = previous.has(cacheKey)
+            ? previous.get(cacheKey)
+            : await signatureStatus(doc, isRegistered, crypto.subtle);
+          cache.set(cacheKey, status);
+          return [doc._id, status];
+        })
+    )
+      .then((entries) => {
+        if (!cancelled) setStatuses(Object.fromEntries(entries));
+      })
+      .catch((err) => console.error("Failed to check report signatures:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [documents]);
+
+  return statuses;
+}
+
+// Signature status of a single document, or null while checking
+export function useSignatureStatus(doc) {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!doc || !window.crypto || !window.crypto.subtle) return;
+    let cancelled = false;
+    const isRegistered = (keyId, userId) =>
+      localDB.get(deviceKeyDocId(keyId, userId)).then(
+        () => true,
+        () => false
+      );
+    signatureStatus(doc, isRegistered, crypto.subtle).then((result) => {
+      if (!cancelled) setStatus(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [doc]);
+
+  return status;
+}
@@ -0,0 +1,108 @@
+// src/db/useSyncStatus.js
+import { useEffect, useState } from "react";
+import localDB, { syncEvents } from "./pouchdb";
+
+const PUSHED_SEQ_KEY = "ddms_pushed_seq";
+const LAST_SYNCED_KEY = "ddms_last_synced_at";
+
+function readStored(key, fallback) {
+  try {
+    const value = localStorage.getItem(key);
+    return value === null ? fallback : JSON.parse(value);
+  } catch (err) {
+    return fallback;
+  }
+}
+
+function writeStored(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Could not save ${key} to localStorage`, err);
+  }
+}
+
+// Local sequence up to which every change has been pushed to the server
+let pushedSeq = readStored(PUSHED_SEQ_KEY, 0);
+
+// state: "connecting" | "active" | "idle" | "offline" | "denied" | "error"
+// problem: last denied/error event as { type, message, at }, until dismissed
+let status = {
+  state: "connecting",
+  pending: 0,
+  lastSyncedAt: readStored(LAST_SYNCED_KEY, null),
+  problem: null,
+};
+
+const subscribers = new Set();
+
+function update(patch) {
+  status = { ...status, ...patch };
+  subscribers.forEach((subscriber) => subscriber(status));
+}
+
+// Local changes the push replication has not passed yet
+async function refreshPending() {
+  try {
+    const result = await localDB.changes({ since: pushedSeq });
+    const pending = result.results.filter((change) => !change.id.startsWith("_design/")).length;
+    update({ pending });
+  } catch (err) {
+    console.error("Failed to count pending documents:", err);
+  }
+}
+
+function setPushedSeq(seq) {
+  pushedSeq = seq;
+  writeStored(PUSHED_SEQ_KEY, seq);
+  refreshPending();
+}
+
+function describe(err) {
+  return (err && (err.message || err.reason || err.name)) || "Unknown error";
+}
+
+syncEvents
+  .on("active", () => update({ state: "active" }))
+  .on("change", (info) => {
+    if (info.direction === "push") setPushedSeq(info.change.last_seq);
+  })
+  .on("paused", (err) => {
+    // With retry enabled, a failed attempt pauses with the error before backing off
+    if (err) {
+      update({ state: "offline" });
+      return;
+    }
+    const now = new Date().toISOString();
+    writeStored(LAST_SYNCED_KEY, now);
+    update({ state: "idle", lastSyncedAt: now });
+    localDB.info().then((info) => setPushedSeq(info.update_seq));
+  })
+  .on("denied", (err) => {
+    update({ state: "denied", problem: { type: "denied", message: describe(err), at: new Date().toISOString() } });
+  })
+  .on("error", (err) => {
+    update({ state: "error", problem: { type: "error", message: describe(err), at: new Date().toISOString() } });
+  });
+
+localDB.changes({ since: "now", live: true }).on("change", refreshPending);
+refreshPending();
+
+export function dismissSyncProblem() {
+  update({ problem: null });
+}
+
+// { state, pending, lastSyncedAt, problem } for the running replication
+export default function useSyncStatus() {
+  const [current, setCurrent] = useState(status);
+
+  useEffect(() => {
+    subscribers.add(setCurrent);
+    setCurrent(status);
+    return () => {
+      subscribers.delete(setCurrent);
+    };
+  }, []);
+
+  return current;
+}
@@ -0,0 +1,40 @@
+// src/map/AlertAreas.jsx
+// Geofenced alert areas drawn on a map, each with a popup of its instructions.
+// Alerts ingested from official feeds are drawn solid purple.
+import React from "react";
+import { Circle, Polygon, Popup } from "react-leaflet";
+import { areaError } from "../db/alertSchema";
+import { FEED_KINDS, isFeedItem } from "../db/schema";
+
+export const ALERT_AREA_STYLE = { color: "#b91c1c", weight: 2, dashArray: "6 4", fillOpacity: 0.12 };
+const FEED_ALERT_AREA_STYLE = { color: "#6d28d9", weight: 2, fillOpacity: 0.12 };
+
+export default function AlertAreas({ alerts }) {
+  return alerts.filter((alert) => !areaError(alert.area)).map((alert) => {
+    const popup = (
+      <Popup>
+        <strong>{alert.disasterType} alert</strong>
+        <br />
+        {alert.instructions}
+        <br />
+        Until {new Date(alert.expiresAt).toLocaleString()}
+        {isFeedItem(alert) && (
+          <>
+            <br />
+            Source: {alert.source.name} ({FEED_KINDS[alert.source.kind]})
+          </>
+        )}
+      </Popup>
+    );
+    const style = isFeedItem(alert) ? FEED_ALERT_AREA_STYLE : ALERT_AREA_STYLE;
+    return alert.area.shape === "circle" ? (
+      <Circle key={alert._id} center={alert.area.center} radius={alert.area.radiusKm * 1000} pathOptions={style}>
+        {popup}
+      </Circle>
+    ) : (
+      <Polygon key={alert._id} positions={alert.area.points} pathOptions={style}>
+        {popup}
+      </Polygon>
+    );
+  });
+}
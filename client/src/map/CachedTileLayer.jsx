@@ -0,0 +1,53 @@
+// src/map/CachedTileLayer.jsx
+// Drop-in replacement for react-leaflet's <TileLayer> that serves tiles
+// from the device cache and stores every tile it downloads.
+import React from "react";
+import L from "leaflet";
+import {
+  createElementObject,
+  createTileLayerComponent,
+  updateGridLayer,
+  withPane,
+} from "@react-leaflet/core";
+import { OSM_ATTRIBUTION, OSM_TILE_URL, loadTile } from "./tileCache";
+
+const CachingTileLayer = L.TileLayer.extend({
+  createTile(coords, done) {
+    const tile = document.createElement("img");
+    tile.alt = "";
+    tile.setAttribute("role", "presentation");
+
+    loadTile(coords.z, coords.x, coords.y, this.getTileUrl(coords))
+      .then((blob) => {
+        const objectUrl = URL.createObjectURL(blob);
+        tile.onload = () => {
+          URL.revokeObjectURL(objectUrl);
+          done(null, tile);
+        };
+        tile.onerror = () => {
+          URL.revokeObjectURL(objectUrl);
+          done(new Error("Could not decode map tile"), tile);
+        };
+        tile.src = objectUrl;
+      })
+      .catch((err) => done(err, tile));
+
+    return tile;
+  },
+});
+
+export const CachedTileLayer = createTileLayerComponent(
+  function createCachedTileLayer({ url, ...options }, context) {
+    const layer = new CachingTileLayer(url, withPane(options, context));
+    return createElementObject(layer, context);
+  },
+  function updateCachedTileLayer(layer, props, prevProps) {
+    updateGridLayer(layer, props, prevProps);
+    if (props.url != null && props.url !== prevProps.url) layer.setUrl(props.url);
+  }
+);
+
+// The OpenStreetMap base layer every map in the app uses
+export default function BaseTileLayer() {
+  return <CachedTileLayer url={OSM_TILE_URL} attribution={OSM_ATTRIBUTION} />;
+}
@@ -0,0 +1,35 @@
+// src/map/HeatmapLayer.jsx
+// react-leaflet wrapper for leaflet.heat. `points` are [lat, lng, weight]
+// with weights between 0 and 1 (see heatPoints).
+import L from "leaflet";
+import "leaflet.heat";
+import { createElementObject, createLayerComponent } from "@react-leaflet/core";
+import { SEVERITY_MAX, getPosition } from "../db/schema";
+
+// An SOS for this many people or more counts fully towards the heat
+const FULL_WEIGHT_PEOPLE = 100;
+
+// Severity sets most of the weight; the number of people affected the rest.
+// Reports carry no head count, so they sit in the middle of that share.
+function heatWeight(doc) {
+  const people = Number(doc.affectedPeople);
+  const peopleFactor = people > 0 ? Math.min(1, Math.log10(1 + people) / Math.log10(1 + FULL_WEIGHT_PEOPLE)) : 0.5;
+  return Math.min(1, ((Number(doc.severity) || 1) / SEVERITY_MAX) * (0.6 + 0.4 * peopleFactor));
+}
+
+export function heatPoints(documents) {
+  return documents
+    .filter((doc) => getPosition(doc))
+    .map((doc) => [...getPosition(doc), heatWeight(doc)]);
+}
+
+const HeatmapLayer = createLayerComponent(
+  function createHeatmapLayer({ points, ...options }, context) {
+    return createElementObject(L.heatLayer(points, { radius: 30, blur: 20, maxZoom: 12, max: 1, ...options }), context);
+  },
+  function updateHeatmapLayer(layer, props, prevProps) {
+    if (props.points !== prevProps.points) layer.setLatLngs(props.points);
+  }
+);
+
+export default HeatmapLayer;
@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from "react";
+import "./MapFilters.css";
+import { DISASTER_TYPES } from "../db/schema";
+
+// Time ranges offered for the map, in hours; null shows everything
+export const TIME_RANGES = [
+  { label: "All time", hours: null },
+  { label: "Last 6 hours", hours: 6 },
+  { label: "Last 24 hours", hours: 24 },
+  { label: "Last 3 days", hours: 72 },
+  { label: "Last 7 days", hours: 168 },
+];
+
+// Playback covers the whole range in this many steps, one per tick
+const PLAYBACK_STEPS = 120;
+const PLAYBACK_TICK_MS = 250;
+
+export function defaultMapFilters() {
+  return {
+    types: new Set(DISASTER_TYPES),
+    sos: true,
+    markers: true,
+    heatmap: false,
+    rangeHours: null,
+    // Latest createdAt shown; null follows the present
+    until: null,
+  };
+}
+
+// Reports of types outside DISASTER_TYPES (older clients) count as "Other"
+export function matchesMapFilters(doc, filters, start, end) {
+  const time = Date.parse(doc.createdAt);
+  if (!isNaN(time) && (time < start || time > end)) return false;
+  if (doc.type === "sos") return filters.sos;
+  return filters.types.has(DISASTER_TYPES.includes(doc.disasterType) ? doc.disasterType : "Other");
+}
+
+function formatTime(time) {
+  return new Date(time).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+}
+
+// === MapFilters Component ===
+// Layer and disaster type toggles plus a time slider for the dashboard map.
+// `start` and `end` bound the slider; pressing play replays the range.
+export default function MapFilters({ filters, onChange, start, end }) {
+  const [playing, setPlaying] = useState(false);
+  const until = filters.until === null ? end : Math.min(Math.max(filters.until, start), end);
+  const step = Math.max(60 * 1000, (end - start) / PLAYBACK_STEPS);
+
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setTimeout(() => {
+      const next = until + step;
+      if (next >= end) setPlaying(false);
+      onChange((prev) => ({ ...prev, until: next >= end ? null : next }));
+    }, PLAYBACK_TICK_MS);
+    return () => clearTimeout(timer);
+  }, [playing, until, step, end, onChange]);
+
+  const set = (changes) => onChange((prev) => ({ ...prev, ...changes }));
+
+  const toggleType = (type) => {
+    const types = new Set(filters.types);
+    if (types.has(type)) types.delete(type);
+    else types.add(type);
+    set({ types });
+  };
+
+  const togglePlayback = () => {
+    // Replays start from the beginning unless paused halfway
+    if (!playing && filters.until === null) set({ until: start });
+    setPlaying(!playing);
+  };
+
+  return (
+    <div className="map-filters" aria-label="Map filters">
+      <div className="map-filters-row">
+        <label>
+          <input type="checkbox" checked={filters.markers} onChange={() => set({ markers: !filters.markers })} /> Markers
+        </label>
+        <label>
+          <input type="checkbox" checked={filters.heatmap} onChange={() => set({ heatmap: !filters.heatmap })} /> Heatmap
+        </label>
+        <span className="map-filters-divider" aria-hidden="true" />
+        {DISASTER_TYPES.map((type) => (
+          <label key={type}>
+            <input type="checkbox" checked={filters.types.has(type)} onChange={() => toggleType(type)} /> {type}
+          </label>
+        ))}
+        <label>
+          <input type="checkbox" checked={filters.sos} onChange={() => set({ sos: !filters.sos })} /> SOS calls
+        </label>
+      </div>
+
+      <div className="map-filters-row">
+        <select
+          aria-label="Time range"
+          value={filters.rangeHours === null ? "" : filters.rangeHours}
+          onChange={(e) => {
+            setPlaying(false);
+            set({ rangeHours: e.target.value === "" ? null : Number(e.target.value), until: null });
+          }}
+        >
+          {TIME_RANGES.map((range) => (
+            <option key={range.label} value={range.hours === null ? "" : range.hours}>
+              {range.label}
+            </option>
+          ))}
+        </select>
+        <button type="button" className="nav-button" onClick={togglePlayback} disabled={end <= start}>
+          {playing ? "Pause" : "Replay"}
+        </button>
+        <input
+          type="range"
+          className="map-filters-slider"
+          aria-label="Show reports up to"
+          min={start}
+          max={end}
+          step={step}
+          value={until}
+          onChange={(e) => {
+            setPlaying(false);
+            const value = Number(e.target.value);
+            set({ until: value >= end ? null : value });
+          }}
+        />
+        <span className="map-filters-time" aria-live="polite">
+          {filters.until === null ? "Now" : `Up to ${formatTime(until)}`}
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+// src/map/MarkerClusterGroup.jsx
+// react-leaflet wrapper for leaflet.markercluster: markers rendered inside it
+// collapse into numbered bubbles when they crowd together at the current zoom.
+// A marker may carry a `reportCount` prop; bubbles add those up, so a bubble
+// over clustered incidents shows how many reports it holds.
+import L from "leaflet";
+import "leaflet.markercluster";
+import "leaflet.markercluster/dist/MarkerCluster.css";
+import { createElementObject, createLayerComponent, extendContext } from "@react-leaflet/core";
+
+function reportTotal(cluster) {
+  return cluster.getAllChildMarkers().reduce((sum, marker) => sum + (marker.options.reportCount || 1), 0);
+}
+
+// Bubble sized by the number of reports (see .report-cluster in Home.css)
+function createClusterIcon(cluster) {
+  const total = reportTotal(cluster);
+  const size = total < 10 ? "small" : total < 100 ? "medium" : "large";
+  return L.divIcon({
+    html: `<span>${total}</span>`,
+    className: `report-cluster report-cluster-${size}`,
+    iconSize: L.point(40, 40),
+  });
+}
+
+const MarkerClusterGroup = createLayerComponent(
+  function createMarkerClusterGroup({ children, ...options }, context) {
+    const group = L.markerClusterGroup({
+      iconCreateFunction: createClusterIcon,
+      showCoverageOnHover: false,
+      maxClusterRadius: 50,
+      ...options,
+    });
+    return createElementObject(group, extendContext(context, { layerContainer: group }));
+  }
+);
+
+export default MarkerClusterGroup;
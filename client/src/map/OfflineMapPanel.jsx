@@ -0,0 +1,184 @@
+import React, { useEffect, useRef, useState } from "react";
+import "./OfflineMapPanel.css";
+import {
+  AVERAGE_TILE_BYTES,
+  MAX_REGION_TILES,
+  MAX_REGION_ZOOM,
+  clearTileCache,
+  countRegionTiles,
+  downloadRegion,
+  tileCacheStats,
+} from "./tileCache";
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function boundsOf(map) {
+  const bounds = map.getBounds();
+  return {
+    north: bounds.getNorth(),
+    south: bounds.getSouth(),
+    east: bounds.getEast(),
+    west: bounds.getWest(),
+  };
+}
+
+function readStats(setStats) {
+  tileCacheStats()
+    .then(setStats)
+    .catch((err) => console.error("Failed to read tile cache:", err));
+}
+
+// === OfflineMapPanel Component ===
+// Saves the area visible in `map` (a Leaflet map) for offline use and
+// imports MBTiles files into the same tile cache.
+export default function OfflineMapPanel({ map }) {
+  const [bounds, setBounds] = useState(null);
+  const [minZoom, setMinZoom] = useState(5);
+  const [maxZoom, setMaxZoom] = useState(12);
+  const [stats, setStats] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [message, setMessage] = useState(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => readStats(setStats), []);
+
+  // Follow the visible area; the zoom range starts at the current zoom
+  useEffect(() => {
+    if (!map) return;
+    const update = () => setBounds(boundsOf(map));
+    update();
+    const zoom = Math.round(map.getZoom());
+    setMinZoom(zoom);
+    setMaxZoom(Math.min(zoom + 4, MAX_REGION_ZOOM));
+    map.on("moveend", update);
+    return () => {
+      map.off("moveend", update);
+    };
+  }, [map]);
+
+  const tileCount = bounds && minZoom <= maxZoom ? countRegionTiles(bounds, minZoom, maxZoom) : 0;
+  const busy = progress !== null;
+
+  const handleDownload = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setMessage(null);
+    setProgress({ done: 0, total: tileCount, label: "Downloading" });
+    try {
+      const result = await downloadRegion(bounds, minZoom, maxZoom, {
+        signal: controller.signal,
+        onProgress: (p) => setProgress({ ...p, label: "Downloading" }),
+      });
+      setMessage(
+        controller.signal.aborted
+          ? "Download cancelled; tiles saved so far stay available."
+          : `Area saved for offline use${result.failed ? ` (${result.failed} tiles failed)` : ""}.`
+      );
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setProgress(null);
+      readStats(setStats);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setMessage(null);
+    setProgress({ done: 0, total: 0, label: "Importing" });
+    try {
+      // Loaded on demand: the SQLite engine is only needed for imports
+      const { importMBTiles } = await import("./mbtiles");
+      const count = await importMBTiles(file, (p) => setProgress({ ...p, label: "Importing" }));
+      setMessage(`Imported ${count} tiles from ${file.name}.`);
+    } catch (err) {
+      console.error("MBTiles import failed:", err);
+      setMessage(err.message);
+    } finally {
+      setProgress(null);
+      readStats(setStats);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm("Delete all map tiles saved on this device?")) return;
+    await clearTileCache();
+    setMessage("Offline map tiles deleted.");
+    readStats(setStats);
+  };
+
+  return (
+    <section className="offline-map-panel" aria-label="Offline map">
+      <h3>Offline map</h3>
+      <p>
+        {stats ? `${stats.count} tiles saved on this device (${formatBytes(stats.bytes)} of ${formatBytes(stats.maxBytes)}; the least recently used go first).` : "Reading saved tiles…"}{" "}
+        Maps use saved tiles when the network is down.
+      </p>
+
+      <div className="offline-map-controls">
+        <label>
+          Zoom from{" "}
+          <input
+            type="number"
+            min="0"
+            max={MAX_REGION_ZOOM}
+            value={minZoom}
+            onChange={(e) => setMinZoom(Number(e.target.value))}
+            disabled={busy}
+          />
+        </label>
+        <label>
+          to{" "}
+          <input
+            type="number"
+            min="0"
+            max={MAX_REGION_ZOOM}
+            value={maxZoom}
+            onChange={(e) => setMaxZoom(Number(e.target.value))}
+            disabled={busy}
+          />
+        </label>
+        <span className={tileCount > MAX_REGION_TILES ? "offline-map-too-large" : ""}>
+          {tileCount} tiles, about {formatBytes(tileCount * AVERAGE_TILE_BYTES)}
+        </span>
+        {busy && progress.label === "Downloading" ? (
+          <button type="button" className="nav-button" onClick={() => abortRef.current.abort()}>
+            Cancel
+          </button>
+        ) : (
+          <button
+            type="button"
+            className="nav-button"
+            onClick={handleDownload}
+            disabled={busy || !bounds || tileCount === 0 || tileCount > MAX_REGION_TILES}
+          >
+            Download this area
+          </button>
+        )}
+      </div>
+
+      <div className="offline-map-controls">
+        <label className="nav-button offline-map-file">
+          Load MBTiles file
+          <input type="file" accept=".mbtiles" onChange={handleImport} disabled={busy} />
+        </label>
+        <button type="button" className="nav-button" onClick={handleClear} disabled={busy || !stats || stats.count === 0}>
+          Delete saved tiles
+        </button>
+      </div>
+
+      {busy && (
+        <p role="status">
+          {progress.label}… {progress.done}
+          {progress.total ? ` / ${progress.total}` : ""} tiles
+        </p>
+      )}
+      {message && <p role="status">{message}</p>}
+    </section>
+  );
+}
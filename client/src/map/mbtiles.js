@@ -0,0 +1,86 @@
+// src/map/mbtiles.js
+// Import a local MBTiles file (SQLite) into the device tile cache, so areas
+// can be prepared from a file shared over USB or LAN instead of the internet.
+import initSqlJs from "sql.js";
+import sqlWasmUrl from "sql.js/dist/sql-wasm-browser.wasm";
+import { TILE_CACHE_MAX_BYTES, saveTiles } from "./tileCache";
+
+const IMPORT_BATCH_SIZE = 200;
+
+const CONTENT_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+};
+
+function hasTable(db, name) {
+  return db.exec("SELECT 1 FROM sqlite_master WHERE type IN ('table', 'view') AND name = ?", [name]).length > 0;
+}
+
+function metadataValue(db, name) {
+  const result = db.exec("SELECT value FROM metadata WHERE name = ?", [name]);
+  return result.length > 0 ? result[0].values[0][0] : null;
+}
+
+// Resolves with the number of tiles imported. onProgress({ done, total }).
+// sql.js holds the whole database in memory, and a file larger than the tile
+// cache could not be kept anyway, so such files are refused before reading.
+export async function importMBTiles(file, onProgress) {
+  if (file.size > TILE_CACHE_MAX_BYTES) {
+    const limitMB = Math.round(TILE_CACHE_MAX_BYTES / (1024 * 1024));
+    throw new Error(
+      `This file is ${Math.round(file.size / (1024 * 1024))} MB; the offline map holds at most ${limitMB} MB. Export a smaller area.`
+    );
+  }
+  const SQL = await initSqlJs({ locateFile: () => sqlWasmUrl });
+  let db;
+  try {
+    db = new SQL.Database(new Uint8Array(await file.arrayBuffer()));
+    db.exec("SELECT 1 FROM sqlite_master LIMIT 1");
+  } catch (err) {
+    if (db) db.close();
+    throw new Error("This file is not a valid MBTiles database.");
+  }
+
+  try {
+    if (!hasTable(db, "tiles")) throw new Error("This file is not an MBTiles database: it has no tiles table.");
+    if (!hasTable(db, "metadata")) {
+      throw new Error("This MBTiles file has no metadata table, so its tile format is unknown. Re-export it with metadata.");
+    }
+    const format = (metadataValue(db, "format") || "png").toLowerCase();
+    const contentType = CONTENT_TYPES[format];
+    if (!contentType) {
+      throw new Error(`MBTiles format "${format}" is not supported; raster png, jpg or webp tiles are needed.`);
+    }
+
+    const total = db.exec("SELECT COUNT(*) FROM tiles")[0].values[0][0];
+    const statement = db.prepare("SELECT zoom_level, tile_column, tile_row, tile_data FROM tiles");
+    let batch = [];
+    let done = 0;
+    try {
+      while (statement.step()) {
+        const [z, x, tmsY, data] = statement.get();
+        // MBTiles rows count from the south (TMS); map tiles count from the north
+        const y = 2 ** z - 1 - tmsY;
+        batch.push({ z, x, y, blob: new Blob([data], { type: contentType }) });
+        if (batch.length === IMPORT_BATCH_SIZE) {
+          await saveTiles(batch);
+          done += batch.length;
+          batch = [];
+          if (onProgress) onProgress({ done, total });
+        }
+      }
+      if (batch.length > 0) {
+        await saveTiles(batch);
+        done += batch.length;
+        if (onProgress) onProgress({ done, total });
+      }
+    } finally {
+      statement.free();
+    }
+    return done;
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,244 @@
+// src/map/tileCache.js
+// Map tiles kept on the device (never synced) so every map keeps working
+// when connectivity drops. Tiles are keyed by z/x/y only: all maps share
+// the one OpenStreetMap base layer, and imported MBTiles fill the same slots.
+// The cache is capped in bytes; past the cap the least recently used tiles go.
+import PouchDB from "pouchdb";
+
+const TILE_DB_NAME = "ddms_tiles";
+const TILE_ATTACHMENT = "tile";
+
+export const OSM_TILE_URL = "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+export const OSM_ATTRIBUTION =
+  '&copy; <a href="http://osm.org/copyright">OpenStreetMap</a> contributors';
+const OSM_SUBDOMAINS = ["a", "b", "c"];
+
+// Cached tiles older than this are refreshed when the network is available
+const TILE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+// Typical OSM raster tile, for download size estimates
+export const AVERAGE_TILE_BYTES = 20 * 1024;
+// The public tile servers forbid heavy bulk downloads; keep regions small
+export const MAX_REGION_TILES = 3000;
+export const MAX_REGION_ZOOM = 17;
+const DOWNLOAD_CONCURRENCY = 2;
+// Past this the least recently used tiles are deleted, down to EVICT_TO_RATIO
+// of it, so eviction runs once per batch of saves rather than on every tile
+export const TILE_CACHE_MAX_BYTES = 200 * 1024 * 1024;
+const EVICT_TO_RATIO = 0.9;
+// lastUsedAt is rewritten at most this often, to keep reads from turning into writes
+const TOUCH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Tiles are replaced often; without compaction every old revision's image stays on disk
+function openTileDB() {
+  return new PouchDB(TILE_DB_NAME, { auto_compaction: true });
+}
+
+let tileDB = openTileDB();
+// Bytes stored, read from the database on the first save and tracked from then on
+let usedBytes = null;
+let eviction = null;
+
+function tileId(z, x, y) {
+  return `${z}/${x}/${y}`;
+}
+
+export function tileUrl(z, x, y) {
+  return OSM_TILE_URL.replace("{s}", OSM_SUBDOMAINS[(x + y) % OSM_SUBDOMAINS.length])
+    .replace("{z}", z)
+    .replace("{x}", x)
+    .replace("{y}", y);
+}
+
+function tileDoc(tile, existingRev) {
+  const now = new Date().toISOString();
+  const doc = {
+    _id: tileId(tile.z, tile.x, tile.y),
+    sizeBytes: tile.blob.size,
+    savedAt: now,
+    lastUsedAt: now,
+    _attachments: {
+      [TILE_ATTACHMENT]: { content_type: tile.blob.type || "image/png", data: tile.blob },
+    },
+  };
+  if (existingRev) doc._rev = existingRev;
+  return doc;
+}
+
+// { blob, stale } for a cached tile, or null
+export async function getCachedTile(z, x, y) {
+  try {
+    const doc = await tileDB.get(tileId(z, x, y), { attachments: true, binary: true });
+    touchTile(doc);
+    return {
+      blob: doc._attachments[TILE_ATTACHMENT].data,
+      stale: Date.now() - Date.parse(doc.savedAt) > TILE_MAX_AGE_MS,
+    };
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+// Record that a tile was shown, so eviction keeps it. The image is passed
+// back as a stub; only the small document is rewritten.
+function touchTile(doc) {
+  if (Date.now() - Date.parse(doc.lastUsedAt || doc.savedAt) < TOUCH_INTERVAL_MS) return;
+  const attachment = doc._attachments[TILE_ATTACHMENT];
+  tileDB
+    .put({
+      ...doc,
+      lastUsedAt: new Date().toISOString(),
+      _attachments: {
+        [TILE_ATTACHMENT]: { stub: true, content_type: attachment.content_type, digest: attachment.digest },
+      },
+    })
+    .catch(() => {}); // A conflict means the tile was just replaced, which counts as use
+}
+
+// Delete the least recently used tiles until the cache is back under its cap
+async function evictTiles() {
+  const result = await tileDB.allDocs({ include_docs: true });
+  const docs = result.rows.map((row) => row.doc);
+  const lastUsed = (doc) => doc.lastUsedAt || doc.savedAt || "";
+  docs.sort((a, b) => (lastUsed(a) < lastUsed(b) ? -1 : lastUsed(a) > lastUsed(b) ? 1 : 0));
+  let bytes = docs.reduce((sum, doc) => sum + (doc.sizeBytes || 0), 0);
+  const evicted = [];
+  for (const doc of docs) {
+    if (bytes <= TILE_CACHE_MAX_BYTES * EVICT_TO_RATIO) break;
+    bytes -= doc.sizeBytes || 0;
+    evicted.push(doc);
+  }
+  if (evicted.length === 0) return;
+  const results = await tileDB.bulkDocs(evicted.map((doc) => ({ _id: doc._id, _rev: doc._rev, _deleted: true })));
+  const removed = evicted.reduce((sum, doc, i) => sum + (results[i].ok ? doc.sizeBytes || 0 : 0), 0);
+  usedBytes = Math.max(0, usedBytes - removed);
+}
+
+// Count `addedBytes` just saved against the cap and evict if it is exceeded
+async function trackUsage(addedBytes) {
+  if (usedBytes === null) {
+    // The first read already includes the tiles just saved
+    usedBytes = (await tileCacheStats()).bytes;
+  } else {
+    usedBytes += addedBytes;
+  }
+  if (usedBytes <= TILE_CACHE_MAX_BYTES) return;
+  if (!eviction) eviction = evictTiles().finally(() => (eviction = null));
+  await eviction;
+}
+
+// Store tiles ({ z, x, y, blob }), replacing any cached copies
+export async function saveTiles(tiles) {
+  const existing = await tileDB.allDocs({
+    keys: tiles.map((tile) => tileId(tile.z, tile.x, tile.y)),
+    include_docs: true,
+  });
+  let addedBytes = 0;
+  const docs = tiles.map((tile, i) => {
+    const row = existing.rows[i];
+    const current = row.doc || null;
+    addedBytes += tile.blob.size - (current ? current.sizeBytes || 0 : 0);
+    return tileDoc(tile, current ? current._rev : null);
+  });
+  await tileDB.bulkDocs(docs);
+  await trackUsage(addedBytes);
+}
+
+// Cache-first tile fetch. Stale tiles are refreshed when online; if the
+// network fails, any cached copy is better than a blank map.
+export async function loadTile(z, x, y, url) {
+  const cached = await getCachedTile(z, x, y).catch(() => null);
+  if (cached && !(cached.stale && navigator.onLine)) return cached.blob;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Tile request failed (${response.status})`);
+    const blob = await response.blob();
+    saveTiles([{ z, x, y, blob }]).catch((err) => console.warn("Could not cache map tile:", err));
+    return blob;
+  } catch (err) {
+    if (cached) return cached.blob;
+    throw err;
+  }
+}
+
+// { count, bytes, maxBytes } stored on this device
+export async function tileCacheStats() {
+  const result = await tileDB.allDocs({ include_docs: true });
+  return {
+    count: result.rows.length,
+    bytes: result.rows.reduce((sum, row) => sum + (row.doc.sizeBytes || 0), 0),
+    maxBytes: TILE_CACHE_MAX_BYTES,
+  };
+}
+
+export async function clearTileCache() {
+  await tileDB.destroy();
+  tileDB = openTileDB();
+  usedBytes = 0;
+}
+
+// Tile x/y ranges covering `bounds` ({ north, south, east, west }) at `zoom`
+function tileRange(bounds, zoom) {
+  const n = 2 ** zoom;
+  const clampLat = (lat) => Math.max(-85.0511, Math.min(85.0511, lat));
+  const toX = (lng) => Math.min(n - 1, Math.max(0, Math.floor(((lng + 180) / 360) * n)));
+  const toY = (lat) => {
+    const rad = (clampLat(lat) * Math.PI) / 180;
+    const y = ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n;
+    return Math.min(n - 1, Math.max(0, Math.floor(y)));
+  };
+  return {
+    minX: toX(bounds.west),
+    maxX: toX(bounds.east),
+    minY: toY(bounds.north),
+    maxY: toY(bounds.south),
+  };
+}
+
+export function countRegionTiles(bounds, minZoom, maxZoom) {
+  let count = 0;
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const range = tileRange(bounds, z);
+    count += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+  }
+  return count;
+}
+
+// Download every tile of a region for offline use, skipping fresh cached
+// ones. onProgress({ done, total, failed }) after each tile; stop with `signal`.
+export async function downloadRegion(bounds, minZoom, maxZoom, { onProgress, signal } = {}) {
+  const total = countRegionTiles(bounds, minZoom, maxZoom);
+  if (total > MAX_REGION_TILES) {
+    throw new Error(`That area needs ${total} tiles; zoom in or lower the maximum zoom (limit ${MAX_REGION_TILES}).`);
+  }
+
+  const queue = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const range = tileRange(bounds, z);
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) queue.push({ z, x, y });
+    }
+  }
+
+  const progress = { done: 0, total, failed: 0 };
+  const worker = async () => {
+    while (queue.length > 0 && !(signal && signal.aborted)) {
+      const { z, x, y } = queue.shift();
+      try {
+        const cached = await getCachedTile(z, x, y);
+        if (!cached || cached.stale) {
+          const response = await fetch(tileUrl(z, x, y), { signal });
+          if (!response.ok) throw new Error(`Tile request failed (${response.status})`);
+          await saveTiles([{ z, x, y, blob: await response.blob() }]);
+        }
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        progress.failed += 1;
+      }
+      progress.done += 1;
+      if (onProgress) onProgress({ ...progress });
+    }
+  };
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+  return progress;
+}
@@ -0,0 +1,177 @@
+// src/p2p/exchange.js
+// Replicates the local database with one peer over an RTCDataChannel, the
+// way PouchDB replication does: each side announces the revisions it has,
+// the other asks only for those it lacks (revsDiff) and stores them with
+// new_edits: false. Revision trees stay intact, so a report that reaches a
+// device by several paths is stored once and later CouchDB sync dedupes it.
+import { isReport, isSOS } from "../db/schema";
+import { isUntampered } from "../db/signatures";
+
+// RTCDataChannel messages above ~64 KB are unreliable across browsers
+const CHUNK_SIZE = 16 * 1024;
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+const DOCS_PER_MESSAGE = 20;
+// A peer cannot make this device hold more than MAX_PARTIAL_MESSAGES
+// half-received messages of up to MAX_CHUNKS chunks each; unfinished ones
+// are dropped after PARTIAL_TIMEOUT_MS
+const MAX_CHUNKS = 2048;
+const MAX_PARTIAL_MESSAGES = 8;
+const PARTIAL_TIMEOUT_MS = 60 * 1000;
+
+function isDesignDoc(id) {
+  return id.startsWith("_design/");
+}
+
+// Peers are strangers, so only signed reports and SOS calls travel between
+// them; everything else waits for CouchDB sync, where the server checks it
+function isExchangeable(doc) {
+  return Boolean(doc && typeof doc._id === "string" && doc._rev && doc.signature && (isReport(doc) || isSOS(doc)));
+}
+
+function isChunk(chunk) {
+  return Boolean(chunk) && Number.isInteger(chunk.id) && typeof chunk.data === "string" &&
+    Number.isInteger(chunk.count) && chunk.count >= 1 && chunk.count <= MAX_CHUNKS &&
+    Number.isInteger(chunk.index) && chunk.index >= 0 && chunk.index < chunk.count;
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+}
+
+// JSON messages split into chunks: { id, index, count, data }
+function createFraming(channel, onMessage) {
+  const partial = new Map();
+  let nextId = 0;
+  let sending = Promise.resolve();
+
+  const waitForBuffer = () =>
+    channel.bufferedAmount < MAX_BUFFERED_BYTES
+      ? Promise.resolve()
+      : new Promise((resolve) => {
+          channel.bufferedAmountLowThreshold = MAX_BUFFERED_BYTES / 2;
+          channel.addEventListener("bufferedamountlow", resolve, { once: true });
+        });
+
+  const dropStale = (now) => {
+    partial.forEach((message, id) => {
+      if (now - message.updatedAt > PARTIAL_TIMEOUT_MS) partial.delete(id);
+    });
+  };
+
+  channel.onmessage = (e) => {
+    const chunk = typeof e.data === "string" ? parseJSON(e.data) : null;
+    if (!isChunk(chunk)) {
+      console.warn("Ignored a malformed message from a peer.");
+      return;
+    }
+    const now = Date.now();
+    dropStale(now);
+    let message = partial.get(chunk.id);
+    if (!message || message.count !== chunk.count) {
+      // Maps iterate in insertion order, so the first key is the oldest
+      if (!message && partial.size >= MAX_PARTIAL_MESSAGES) partial.delete(partial.keys().next().value);
+      message = { count: chunk.count, parts: [], received: 0 };
+      partial.set(chunk.id, message);
+    }
+    if (message.parts[chunk.index] === undefined) message.received++;
+    message.parts[chunk.index] = chunk.data;
+    message.updatedAt = now;
+    if (message.received === message.count) {
+      partial.delete(chunk.id);
+      const parsed = parseJSON(message.parts.join(""));
+      if (parsed && typeof parsed === "object") onMessage(parsed);
+      else console.warn("Ignored a malformed message from a peer.");
+    }
+  };
+
+  // Messages go out one at a time, in order
+  return (message) => {
+    sending = sending.then(async () => {
+      const text = JSON.stringify(message);
+      const id = nextId++;
+      const count = Math.max(1, Math.ceil(text.length / CHUNK_SIZE));
+      for (let index = 0; index < count; index++) {
+        if (channel.readyState !== "open") return;
+        await waitForBuffer();
+        channel.send(JSON.stringify({ id, index, count, data: text.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE) }));
+      }
+    });
+    return sending;
+  };
+}
+
+// Start exchanging over an open channel. onStats({ sent, received }) after
+// each batch. Returns a function that stops following local changes.
+export function startExchange(channel, db, onStats) {
+  const stats = { sent: 0, received: 0 };
+  let send;
+
+  // { id: [leaf revs] } for every document
+  const announceAll = async () => {
+    const result = await db.changes({ style: "all_docs" });
+    const revs = {};
+    result.results.forEach((change) => {
+      if (!isDesignDoc(change.id)) revs[change.id] = change.changes.map((c) => c.rev);
+    });
+    if (Object.keys(revs).length > 0) await send({ type: "have", revs });
+  };
+
+  const handlers = {
+    async have(message) {
+      const missing = await db.revsDiff(message.revs);
+      const wanted = {};
+      Object.keys(missing).forEach((id) => {
+        wanted[id] = missing[id].missing;
+      });
+      if (Object.keys(wanted).length > 0) await send({ type: "want", revs: wanted });
+    },
+    async want(message) {
+      const docs = [];
+      for (const id of Object.keys(message.revs)) {
+        const results = await db.get(id, { open_revs: message.revs[id], revs: true, attachments: true });
+        results.forEach((result) => {
+          if (isExchangeable(result.ok)) docs.push(result.ok);
+        });
+      }
+      for (let i = 0; i < docs.length; i += DOCS_PER_MESSAGE) {
+        await send({ type: "docs", docs: docs.slice(i, i + DOCS_PER_MESSAGE) });
+      }
+      stats.sent += docs.length;
+      onStats({ ...stats });
+    },
+    async docs(message) {
+      // Tampered reports are dropped here rather than spread further
+      const intact = [];
+      for (const doc of Array.isArray(message.docs) ? message.docs : []) {
+        if (!isExchangeable(doc)) console.warn("Dropped a document from a peer: only signed reports and SOS calls are accepted.");
+        else if (await isUntampered(doc, window.crypto && window.crypto.subtle)) intact.push(doc);
+        else console.warn(`Dropped ${doc._id} from a peer: its signature does not match its content.`);
+      }
+      if (intact.length > 0) await db.bulkDocs(intact, { new_edits: false });
+      stats.received += intact.length;
+      onStats({ ...stats });
+    },
+  };
+
+  send = createFraming(channel, (message) => {
+    const handler = handlers[message.type];
+    if (!handler) return;
+    handler(message).catch((err) => console.error(`Peer exchange failed handling "${message.type}":`, err));
+  });
+
+  // Everything this device has, then each new write (including ones
+  // received from other peers, so reports spread across the mesh)
+  const feed = db
+    .changes({ since: "now", live: true, style: "all_docs" })
+    .on("change", (change) => {
+      if (isDesignDoc(change.id)) return;
+      send({ type: "have", revs: { [change.id]: change.changes.map((c) => c.rev) } });
+    });
+  announceAll().catch((err) => console.error("Peer exchange failed to announce documents:", err));
+
+  return () => feed.cancel();
+}
@@ -0,0 +1,236 @@
+// src/p2p/peerNetwork.js
+// Peer-to-peer replication between devices on the same local network, for
+// when the towers are down and CouchDB is out of reach. Devices meet through
+// the signaling relay, connect with WebRTC and exchange documents directly
+// (see exchange.js). Every device connects to every other device it sees.
+import { useEffect, useState } from "react";
+import config from "../config";
+import localDB from "../db/pouchdb";
+import { createSignaling } from "./signaling";
+import { startExchange } from "./exchange";
+
+const DEVICE_ID_KEY = "ddms_device_id";
+const SETTINGS_KEY = "ddms_p2p_settings";
+// Devices share a LAN, so host candidates suffice and no STUN server is needed
+const RTC_CONFIG = { iceServers: [] };
+const ICE_GATHERING_TIMEOUT_MS = 3 * 1000;
+// How often to retry peers whose connection failed
+const RECONNECT_INTERVAL_MS = 15 * 1000;
+
+export const DEFAULT_RELAY_URL = config.p2pRelayUrl || `${config.apiUrl}/peers`;
+
+// crypto.randomUUID() needs a secure context; LAN addresses are plain http
+function randomId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(12));
+  return "device-" + Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function readDeviceId() {
+  let id = localStorage.getItem(DEVICE_ID_KEY);
+  if (!id) {
+    id = randomId();
+    localStorage.setItem(DEVICE_ID_KEY, id);
+  }
+  return id;
+}
+
+function readSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+const deviceId = readDeviceId();
+const savedSettings = readSettings();
+
+// signaling: "off" | "connecting" | "connected" | "error"
+// peers: [{ id, name, state, sent, received }], state being
+// "connecting" | "connected" | "disconnected" | "failed"
+let status = {
+  deviceId,
+  relayUrl: savedSettings.relayUrl || DEFAULT_RELAY_URL,
+  deviceName: savedSettings.deviceName || "",
+  signaling: "off",
+  peers: [],
+};
+
+const subscribers = new Set();
+let signaling = null;
+let reconnectTimer = null;
+let presentPeers = [];
+// peerId -> { pc, stopExchange }
+const connections = new Map();
+
+function update(patch) {
+  status = { ...status, ...patch };
+  subscribers.forEach((subscriber) => subscriber(status));
+}
+
+function updatePeer(id, patch) {
+  update({ peers: status.peers.map((peer) => (peer.id === id ? { ...peer, ...patch } : peer)) });
+}
+
+function closeConnection(id) {
+  const connection = connections.get(id);
+  if (!connection) return;
+  connections.delete(id);
+  if (connection.stopExchange) connection.stopExchange();
+  connection.pc.close();
+}
+
+// Non-trickle ICE: wait for all candidates so one offer/answer pair is enough
+function iceGathered(pc) {
+  if (pc.iceGatheringState === "complete") return Promise.resolve();
+  return new Promise((resolve) => {
+    const timeout = setTimeout(resolve, ICE_GATHERING_TIMEOUT_MS);
+    pc.addEventListener("icegatheringstatechange", () => {
+      if (pc.iceGatheringState === "complete") {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+  });
+}
+
+function attachChannel(id, channel) {
+  channel.onopen = () => {
+    const connection = connections.get(id);
+    if (!connection) return;
+    updatePeer(id, { state: "connected" });
+    connection.stopExchange = startExchange(channel, localDB, (stats) => {
+      const peer = status.peers.find((p) => p.id === id);
+      // Counts add up across reconnections
+      if (peer) updatePeer(id, { sent: peer.baseSent + stats.sent, received: peer.baseReceived + stats.received });
+    });
+  };
+  channel.onclose = () => {
+    if (!connections.has(id)) return;
+    closeConnection(id);
+    const peer = status.peers.find((p) => p.id === id);
+    if (peer) updatePeer(id, { state: "disconnected", baseSent: peer.sent, baseReceived: peer.received });
+  };
+}
+
+function createConnection(id) {
+  closeConnection(id);
+  const pc = new RTCPeerConnection(RTC_CONFIG);
+  connections.set(id, { pc, stopExchange: null });
+  pc.onconnectionstatechange = () => {
+    if (pc.connectionState === "failed" && connections.get(id) && connections.get(id).pc === pc) {
+      closeConnection(id);
+      updatePeer(id, { state: "failed" });
+    }
+  };
+  updatePeer(id, { state: "connecting" });
+  return pc;
+}
+
+// The device with the smaller id makes the offer, so two devices never offer at once
+async function connect(id) {
+  const pc = createConnection(id);
+  attachChannel(id, pc.createDataChannel("ddms", { ordered: true }));
+  await pc.setLocalDescription(await pc.createOffer());
+  await iceGathered(pc);
+  await signaling.send(id, { type: "offer", description: pc.localDescription });
+}
+
+async function handleSignal(from, data) {
+  if (data.type === "offer") {
+    const pc = createConnection(from);
+    pc.ondatachannel = (e) => attachChannel(from, e.channel);
+    await pc.setRemoteDescription(data.description);
+    await pc.setLocalDescription(await pc.createAnswer());
+    await iceGathered(pc);
+    await signaling.send(from, { type: "answer", description: pc.localDescription });
+  } else if (data.type === "answer") {
+    const connection = connections.get(from);
+    if (connection) await connection.pc.setRemoteDescription(data.description);
+  }
+}
+
+function connectionState(id) {
+  const connection = connections.get(id);
+  if (!connection) return "disconnected";
+  return connection.stopExchange ? "connected" : "connecting";
+}
+
+// Connect to new devices, forget departed ones, retry failed connections
+function reconcile() {
+  const others = presentPeers.filter((peer) => peer.id !== deviceId);
+  const known = new Map(status.peers.map((peer) => [peer.id, peer]));
+  status.peers.forEach((peer) => {
+    if (!others.some((other) => other.id === peer.id)) closeConnection(peer.id);
+  });
+  update({
+    peers: others.map((peer) => ({
+      // An offer may arrive before the peer list that announces its sender
+      state: connectionState(peer.id),
+      sent: 0,
+      received: 0,
+      baseSent: 0,
+      baseReceived: 0,
+      ...known.get(peer.id),
+      id: peer.id,
+      name: peer.name,
+    })),
+  });
+  others.forEach((peer) => {
+    if (deviceId < peer.id && !connections.has(peer.id)) {
+      connect(peer.id).catch((err) => {
+        console.error(`Could not connect to ${peer.name}:`, err);
+        closeConnection(peer.id);
+        updatePeer(peer.id, { state: "failed" });
+      });
+    }
+  });
+}
+
+export function startPeerNetwork({ relayUrl, deviceName }) {
+  stopPeerNetwork();
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify({ relayUrl, deviceName }));
+  update({ relayUrl, deviceName, peers: [] });
+  signaling = createSignaling({
+    relayUrl,
+    deviceId,
+    name: deviceName || "Unnamed device",
+    onStatus: (state) => update({ signaling: state }),
+    onPeers: (peers) => {
+      presentPeers = peers;
+      reconcile();
+    },
+    onSignal: (from, data) => {
+      handleSignal(from, data).catch((err) => {
+        console.error("Peer signaling failed:", err);
+        closeConnection(from);
+        updatePeer(from, { state: "failed" });
+      });
+    },
+  });
+  reconnectTimer = setInterval(reconcile, RECONNECT_INTERVAL_MS);
+}
+
+export function stopPeerNetwork() {
+  if (signaling) signaling.close();
+  signaling = null;
+  clearInterval(reconnectTimer);
+  presentPeers = [];
+  Array.from(connections.keys()).forEach(closeConnection);
+  update({ signaling: "off", peers: [] });
+}
+
+// Current peer network status; the network keeps running across pages
+export default function usePeerNetwork() {
+  const [current, setCurrent] = useState(status);
+
+  useEffect(() => {
+    subscribers.add(setCurrent);
+    setCurrent(status);
+    return () => {
+      subscribers.delete(setCurrent);
+    };
+  }, []);
+
+  return current;
+}
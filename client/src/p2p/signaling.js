@@ -0,0 +1,44 @@
+// src/p2p/signaling.js
+// Introduces devices to each other through a LAN relay (server/routes/peers.js,
+// or scripts/p2pRelay.js on any laptop) so they can open WebRTC connections.
+// The relay only carries offers and answers; data never passes through it.
+// Each subscription gets a secret ("session" event) that signals must carry,
+// so the relay knows they come from this device; a reconnect brings a new one.
+//
+// Callbacks: onPeers([{ id, name }]) with every device present (this one
+// included), onSignal(from, data) for messages addressed to this device,
+// onStatus("connecting" | "connected" | "error").
+export function createSignaling({ relayUrl, deviceId, name, onPeers, onSignal, onStatus }) {
+  const base = relayUrl.replace(/\/+$/, "");
+  const query = new URLSearchParams({ peerId: deviceId, name });
+  const source = new EventSource(`${base}/events?${query}`);
+  let secret = null;
+
+  onStatus("connecting");
+  source.onopen = () => onStatus("connected");
+  // EventSource reconnects by itself; report the gap meanwhile
+  source.onerror = () => onStatus("error");
+  source.addEventListener("session", (e) => {
+    secret = JSON.parse(e.data).secret;
+  });
+  source.addEventListener("peers", (e) => onPeers(JSON.parse(e.data)));
+  source.addEventListener("signal", (e) => {
+    const message = JSON.parse(e.data);
+    onSignal(message.from, message.data);
+  });
+
+  return {
+    async send(to, data) {
+      if (!secret) throw new Error("Not connected to the relay yet");
+      const response = await fetch(`${base}/signal`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ from: deviceId, secret, to, data }),
+      });
+      if (!response.ok) throw new Error(`Relay refused the signal (${response.status})`);
+    },
+    close() {
+      source.close();
+    },
+  };
+}
@@ -0,0 +1,294 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { Circle, CircleMarker, MapContainer, Polygon, useMapEvents } from "react-leaflet";
+import BaseTileLayer from "../map/CachedTileLayer";
+import AlertAreas, { ALERT_AREA_STYLE } from "../map/AlertAreas";
+import "leaflet/dist/leaflet.css";
+import "./AlertManager.css";
+import localDB from "../db/pouchdb";
+import useLiveDocuments from "../db/useLiveDocuments";
+import { DISASTER_TYPES } from "../db/schema";
+import { ALERT_SHAPES, createAlert, endAlert, isActiveAlert, isAlert, validateAlert } from "../db/alertSchema";
+import { useAuth } from "../auth/AuthContext";
+
+// Approximate center of India
+const DEFAULT_POSITION = [22.9734, 78.6569];
+
+// "Expires in" choices, in hours
+const EXPIRY_OPTIONS = [1, 3, 6, 12, 24, 48, 72];
+const DEFAULT_RADIUS_KM = 5;
+const RECENTLY_ENDED_LIMIT = 10;
+
+function emptyDraft() {
+  return {
+    disasterType: "",
+    instructions: "",
+    expiresInHours: 6,
+    shape: "circle",
+    center: null,
+    radiusKm: String(DEFAULT_RADIUS_KM),
+    points: [],
+  };
+}
+
+// Draft in the shared alert schema shape (see db/alertSchema.js)
+function draftFields(draft, date) {
+  return {
+    disasterType: draft.disasterType,
+    instructions: draft.instructions,
+    expiresAt: new Date(date.getTime() + draft.expiresInHours * 60 * 60 * 1000),
+    area: draft.shape === "circle"
+      ? draft.center && { shape: "circle", center: draft.center, radiusKm: draft.radiusKm }
+      : { shape: "polygon", points: draft.points },
+  };
+}
+
+// Clicks place the circle's centre or add a polygon corner
+function AreaDrawer({ draft, onPick }) {
+  useMapEvents({
+    click(e) {
+      onPick([e.latlng.lat, e.latlng.lng]);
+    },
+  });
+
+  if (draft.shape === "circle") {
+    const radius = Number(draft.radiusKm);
+    return draft.center && radius > 0 ? (
+      <Circle center={draft.center} radius={radius * 1000} pathOptions={{ ...ALERT_AREA_STYLE, dashArray: null }} />
+    ) : null;
+  }
+  return (
+    <>
+      {draft.points.length >= 3 && <Polygon positions={draft.points} pathOptions={{ ...ALERT_AREA_STYLE, dashArray: null }} />}
+      {draft.points.map((point, index) => (
+        <CircleMarker key={index} center={point} radius={5} pathOptions={{ color: "#b91c1c", fillOpacity: 1 }} />
+      ))}
+    </>
+  );
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+// === AlertManager Component ===
+// Coordinators draw an area and publish an alert for everyone inside it.
+// Alerts are written locally and sync like reports; each device checks its
+// own position against them (see alerts/GeofenceAlerts.jsx).
+export default function AlertManager() {
+  const { user, can } = useAuth();
+  const documents = useLiveDocuments();
+  const [draft, setDraft] = useState(emptyDraft);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const alerts = useMemo(
+    () => documents.filter(isAlert).sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1)),
+    [documents]
+  );
+  const activeAlerts = alerts.filter((alert) => isActiveAlert(alert, now));
+  const endedAlerts = alerts.filter((alert) => !isActiveAlert(alert, now)).slice(0, RECENTLY_ENDED_LIMIT);
+
+  if (!can("alert:publish")) {
+    return (
+      <div className="alert-page">
+        <Link to="/" className="alert-back">&larr; Back to dashboard</Link>
+        <p>Only coordinators can publish alerts.</p>
+      </div>
+    );
+  }
+
+  const setField = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+
+  const pickPoint = (point) =>
+    setDraft((prev) =>
+      prev.shape === "circle" ? { ...prev, center: point } : { ...prev, points: [...prev.points, point] }
+    );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const date = new Date();
+    const doc = createAlert(draftFields(draft, date), user.id, date);
+    const errors = validateAlert(doc);
+    setFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSaving(true);
+    try {
+      await localDB.put(doc);
+      setDraft(emptyDraft());
+    } catch (err) {
+      console.error("Failed to publish alert:", err);
+      setFormErrors({ save: "Failed to save the alert locally." });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEnd = async (alert) => {
+    if (!window.confirm(`End the ${alert.disasterType} alert now?`)) return;
+    try {
+      await localDB.put(endAlert(alert, user.id));
+    } catch (err) {
+      console.error("Failed to end alert:", err);
+      window.alert("Failed to end the alert.");
+    }
+  };
+
+  return (
+    <div className="alert-page">
+      <Link to="/" className="alert-back">&larr; Back to dashboard</Link>
+      <h1>Geofenced Alerts</h1>
+
+      <form onSubmit={handleSubmit} className="alert-card alert-form" noValidate>
+        <h2>Publish an alert</h2>
+
+        <div className="alert-row">
+          <div>
+            <label htmlFor="alertType">Disaster type *</label>
+            <select id="alertType" value={draft.disasterType} onChange={setField("disasterType")}>
+              <option value="">-- Select type --</option>
+              {DISASTER_TYPES.map((type) => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+            {formErrors.disasterType && <p className="error-msg">{formErrors.disasterType}</p>}
+          </div>
+          <div>
+            <label htmlFor="alertExpiry">Expires in *</label>
+            <select
+              id="alertExpiry"
+              value={draft.expiresInHours}
+              onChange={(e) => setDraft({ ...draft, expiresInHours: Number(e.target.value) })}
+            >
+              {EXPIRY_OPTIONS.map((hours) => (
+                <option key={hours} value={hours}>{hours} {hours === 1 ? "hour" : "hours"}</option>
+              ))}
+            </select>
+            {formErrors.expiresAt && <p className="error-msg">{formErrors.expiresAt}</p>}
+          </div>
+        </div>
+
+        <label htmlFor="alertInstructions">Instructions *</label>
+        <textarea
+          id="alertInstructions"
+          rows={3}
+          placeholder="e.g. Move to higher ground now. Avoid the river road."
+          value={draft.instructions}
+          onChange={setField("instructions")}
+        />
+        {formErrors.instructions && <p className="error-msg">{formErrors.instructions}</p>}
+
+        <fieldset className="alert-area">
+          <legend>Affected area *</legend>
+          <div className="alert-shapes" role="group" aria-label="Area shape">
+            {Object.keys(ALERT_SHAPES).map((shape) => (
+              <button
+                key={shape}
+                type="button"
+                className={`btn-secondary ${draft.shape === shape ? "active" : ""}`}
+                aria-pressed={draft.shape === shape}
+                onClick={() => setDraft({ ...draft, shape })}
+              >
+                {ALERT_SHAPES[shape]}
+              </button>
+            ))}
+          </div>
+          <MapContainer center={DEFAULT_POSITION} zoom={5} className="leaflet-container" scrollWheelZoom={false}>
+            <BaseTileLayer />
+            <AlertAreas alerts={activeAlerts} />
+            <AreaDrawer draft={draft} onPick={pickPoint} />
+          </MapContainer>
+          {draft.shape === "circle" ? (
+            <div className="alert-row">
+              <p className="alert-hint">
+                {draft.center
+                  ? `Centre ${draft.center[0].toFixed(4)}, ${draft.center[1].toFixed(4)}. Tap the map to move it.`
+                  : "Tap the map to place the centre of the area."}
+              </p>
+              <div>
+                <label htmlFor="alertRadius">Radius (km)</label>
+                <input id="alertRadius" type="number" min="0.1" step="0.1" value={draft.radiusKm} onChange={setField("radiusKm")} />
+              </div>
+            </div>
+          ) : (
+            <div className="alert-row">
+              <p className="alert-hint">
+                Tap the map to add corners ({draft.points.length} so far; at least 3).
+              </p>
+              <div className="alert-actions">
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  disabled={draft.points.length === 0}
+                  onClick={() => setDraft({ ...draft, points: draft.points.slice(0, -1) })}
+                >
+                  Undo corner
+                </button>
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  disabled={draft.points.length === 0}
+                  onClick={() => setDraft({ ...draft, points: [] })}
+                >
+                  Clear
+                </button>
+              </div>
+            </div>
+          )}
+          {formErrors.area && <p className="error-msg">{formErrors.area}</p>}
+        </fieldset>
+
+        {formErrors.save && <p className="error-msg" role="alert">{formErrors.save}</p>}
+        <div className="alert-actions">
+          <button type="submit" className="btn-primary" disabled={saving}>
+            {saving ? "Publishing..." : "Publish alert"}
+          </button>
+        </div>
+      </form>
+
+      <section className="alert-card" aria-label="Active alerts">
+        <h2>Active alerts ({activeAlerts.length})</h2>
+        {activeAlerts.length === 0 && <p>No alerts are in effect.</p>}
+        <ul className="alert-list">
+          {activeAlerts.map((alert) => (
+            <li key={alert._id} className="alert-list-item">
+              <div>
+                <strong>{alert.disasterType}</strong> · {ALERT_SHAPES[alert.area.shape]}
+                {alert.area.shape === "circle" && ` of ${alert.area.radiusKm} km`}
+                <p>{alert.instructions}</p>
+                <p>Until {formatTime(alert.expiresAt)}</p>
+              </div>
+              <button type="button" className="btn-secondary" onClick={() => handleEnd(alert)}>
+                End now
+              </button>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      {endedAlerts.length > 0 && (
+        <section className="alert-card" aria-label="Recently ended alerts">
+          <h2>Recently ended</h2>
+          <ul className="alert-list">
+            {endedAlerts.map((alert) => (
+              <li key={alert._id} className="alert-list-item">
+                <div>
+                  <strong>{alert.disasterType}</strong>
+                  <p>{alert.instructions}</p>
+                  <p>Ended {formatTime(alert.expiresAt)}</p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import "./ClusterManager.css";
+import localDB from "../db/pouchdb";
+import useLiveDocuments from "../db/useLiveDocuments";
+import { STATUS_LABELS, isReport } from "../db/schema";
+import { clusterReports, mergeClusters, splitReport } from "../db/clusters";
+import { useAuth } from "../auth/AuthContext";
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : "unknown time";
+}
+
+// === ClusterManager Component ===
+// Reports of the same event are grouped automatically by type, place and
+// time. Coordinators correct the grouping here: merge incidents that are one
+// event, or split a report off into an incident of its own.
+export default function ClusterManager() {
+  const { user, can } = useAuth();
+  const documents = useLiveDocuments();
+  const [selected, setSelected] = useState(() => new Set());
+  const [showClosed, setShowClosed] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const incidents = useMemo(() => clusterReports(documents.filter(isReport)), [documents]);
+  const visible = incidents.filter((incident) => showClosed || incident.open);
+  // Ids change when a merge or split regroups reports
+  const chosen = incidents.filter((incident) => selected.has(incident.id));
+
+  if (!can("incident:merge")) {
+    return (
+      <div className="cluster-page">
+        <Link to="/" className="cluster-back">&larr; Back to dashboard</Link>
+        <p>Only coordinators can merge and split incidents.</p>
+      </div>
+    );
+  }
+
+  const toggle = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setSelected(next);
+  };
+
+  const write = async (docs, done) => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const results = await localDB.bulkDocs(docs);
+      if (results.some((result) => result.error)) {
+        setMessage("Some reports changed in the meantime and were not regrouped. Please try again.");
+      } else {
+        setMessage(done);
+      }
+      setSelected(new Set());
+    } catch (err) {
+      console.error("Failed to regroup reports:", err);
+      setMessage("Failed to save the change locally.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMerge = () => {
+    const count = chosen.reduce((sum, incident) => sum + incident.count, 0);
+    write(mergeClusters(chosen, user.id), `Merged ${chosen.length} incidents (${count} reports) into one.`);
+  };
+
+  const handleSplit = (report) => {
+    write([splitReport(report, user.id)], "Report split into a separate incident.");
+  };
+
+  return (
+    <div className="cluster-page">
+      <Link to="/" className="cluster-back">&larr; Back to dashboard</Link>
+      <h1>Incident Clusters</h1>
+      <p>
+        Reports of the same disaster type, close together and within a day of each other, are
+        grouped into one incident. Merge incidents that are the same event, or split off a report
+        that is not.
+      </p>
+
+      <div className="cluster-toolbar">
+        <label>
+          <input type="checkbox" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} /> Show
+          closed incidents
+        </label>
+        <button type="button" className="btn-primary" onClick={handleMerge} disabled={saving || chosen.length < 2}>
+          Merge {chosen.length >= 2 ? chosen.length : ""} selected
+        </button>
+      </div>
+      {message && <p className="cluster-message" role="status">{message}</p>}
+
+      {visible.length === 0 && <p>No incidents to show.</p>}
+      <ul className="cluster-list">
+        {visible.map((incident) => (
+          <li key={incident.id} className={`cluster-card ${selected.has(incident.id) ? "selected" : ""}`}>
+            <label className="cluster-heading">
+              <input type="checkbox" checked={selected.has(incident.id)} onChange={() => toggle(incident.id)} />
+              <span>
+                <strong>{incident.disasterType}</strong> · {incident.count} report{incident.count === 1 ? "" : "s"} ·
+                severity {incident.severity} (average {incident.averageSeverity}) · {STATUS_LABELS[incident.status]}
+                {incident.manual && <em> · grouped by a coordinator</em>}
+              </span>
+            </label>
+            <p className="cluster-meta">
+              {formatTime(incident.firstReportedAt)}
+              {incident.count > 1 && ` to ${formatTime(incident.lastReportedAt)}`}
+              {incident.position && ` · near ${incident.position[0].toFixed(3)}, ${incident.position[1].toFixed(3)}`}
+            </p>
+            <ul className="cluster-reports">
+              {incident.reports.map((report) => (
+                <li key={report._id}>
+                  <Link to={`/incidents/${encodeURIComponent(report._id)}`}>{formatTime(report.createdAt)}</Link>{" "}
+                  · severity {report.severity} · {report.description}
+                  {incident.count > 1 && (
+                    <button
+                      type="button"
+                      className="btn-secondary cluster-split"
+                      disabled={saving}
+                      onClick={() => handleSplit(report)}
+                    >
+                      Split off
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,266 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { MapContainer, useMapEvents } from "react-leaflet";
+import BaseTileLayer from "../map/CachedTileLayer";
+import "leaflet/dist/leaflet.css";
+import "./ExportReports.css";
+import { apiDownload } from "../api";
+import { DISASTER_TYPES, INCIDENT_STATUSES, SEVERITY_MAX, SEVERITY_MIN, STATUS_LABELS } from "../db/schema";
+import { useAuth } from "../auth/AuthContext";
+
+// Approximate center of India
+const DEFAULT_POSITION = [22.9734, 78.6569];
+
+const FORMATS = {
+  geojson: "GeoJSON (QGIS, ArcGIS)",
+  csv: "CSV (spreadsheets)",
+  kml: "KML (Google Earth)",
+};
+
+const TYPES = { report: "Disaster reports", sos: "SOS calls" };
+
+const SEVERITIES = Array.from({ length: SEVERITY_MAX - SEVERITY_MIN + 1 }, (_, i) => SEVERITY_MIN + i);
+
+function emptyFilters() {
+  return {
+    format: "geojson",
+    types: ["report"],
+    disasterTypes: [],
+    statuses: [],
+    minSeverity: SEVERITY_MIN,
+    maxSeverity: SEVERITY_MAX,
+    from: "",
+    to: "",
+    useMapArea: false,
+  };
+}
+
+function toggle(list, value) {
+  return list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+}
+
+// Query string for GET /api/reports/export/:format (see server/export/filters.js)
+function exportQuery(filters, bounds) {
+  const params = new URLSearchParams();
+  params.set("type", filters.types.join(","));
+  if (filters.disasterTypes.length > 0) params.set("disasterType", filters.disasterTypes.join(","));
+  if (filters.statuses.length > 0) params.set("status", filters.statuses.join(","));
+  params.set("minSeverity", filters.minSeverity);
+  params.set("maxSeverity", filters.maxSeverity);
+  if (filters.from) params.set("from", filters.from);
+  if (filters.to) params.set("to", filters.to);
+  if (filters.useMapArea && bounds) {
+    params.set("bbox", [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+      .map((value) => value.toFixed(5))
+      .join(","));
+  }
+  return params.toString();
+}
+
+// Reports the map's visible area whenever it is panned or zoomed
+function BoundsWatcher({ onChange }) {
+  const map = useMapEvents({
+    moveend() {
+      onChange(map.getBounds());
+    },
+  });
+  return null;
+}
+
+// === ExportReports Component ===
+// Responders and coordinators download reports for partner agencies as
+// GeoJSON, CSV or KML. Exports come from the server, so they include reports
+// this device has not synced.
+export default function ExportReports() {
+  const { can } = useAuth();
+  const [filters, setFilters] = useState(emptyFilters);
+  const [bounds, setBounds] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!can("report:export")) {
+    return (
+      <div className="export-page">
+        <Link to="/" className="export-back">&larr; Back to dashboard</Link>
+        <p>Only responders and coordinators can export reports.</p>
+      </div>
+    );
+  }
+
+  const setField = (field) => (e) => setFilters({ ...filters, [field]: e.target.value });
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    if (filters.types.length === 0) {
+      setError("Choose reports, SOS calls or both.");
+      return;
+    }
+    setExporting(true);
+    setError(null);
+    try {
+      const blob = await apiDownload(`/reports/export/${filters.format}?${exportQuery(filters, bounds)}`);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `ddms-reports-${new Date().toISOString().slice(0, 10)}.${filters.format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Failed to export reports:", err);
+      setError(
+        err.details && Object.keys(err.details).length > 0
+          ? Object.values(err.details).join(" ")
+          : `Export failed: ${err.message}. Exports need a connection to the server.`
+      );
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-page">
+      <Link to="/" className="export-back">&larr; Back to dashboard</Link>
+      <h1>Export Reports</h1>
+
+      <form onSubmit={handleExport} className="export-card export-form" noValidate>
+        <fieldset>
+          <legend>Format</legend>
+          <div className="export-options">
+            {Object.keys(FORMATS).map((format) => (
+              <label key={format}>
+                <input
+                  type="radio"
+                  name="exportFormat"
+                  value={format}
+                  checked={filters.format === format}
+                  onChange={setField("format")}
+                />
+                {FORMATS[format]}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <fieldset>
+          <legend>Include</legend>
+          <div className="export-options">
+            {Object.keys(TYPES).map((type) => (
+              <label key={type}>
+                <input
+                  type="checkbox"
+                  checked={filters.types.includes(type)}
+                  onChange={() => setFilters({ ...filters, types: toggle(filters.types, type) })}
+                />
+                {TYPES[type]}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <fieldset>
+          <legend>Disaster types</legend>
+          <div className="export-options">
+            {DISASTER_TYPES.map((type) => (
+              <label key={type}>
+                <input
+                  type="checkbox"
+                  checked={filters.disasterTypes.includes(type)}
+                  onChange={() => setFilters({ ...filters, disasterTypes: toggle(filters.disasterTypes, type) })}
+                />
+                {type}
+              </label>
+            ))}
+          </div>
+          <p className="export-hint">None ticked exports every type.</p>
+        </fieldset>
+
+        <fieldset>
+          <legend>Status</legend>
+          <div className="export-options">
+            {INCIDENT_STATUSES.map((status) => (
+              <label key={status}>
+                <input
+                  type="checkbox"
+                  checked={filters.statuses.includes(status)}
+                  onChange={() => setFilters({ ...filters, statuses: toggle(filters.statuses, status) })}
+                />
+                {STATUS_LABELS[status]}
+              </label>
+            ))}
+          </div>
+          <p className="export-hint">None ticked exports every status.</p>
+        </fieldset>
+
+        <div className="export-row">
+          <div>
+            <label htmlFor="exportMinSeverity">Severity from</label>
+            <select
+              id="exportMinSeverity"
+              value={filters.minSeverity}
+              onChange={(e) => setFilters({ ...filters, minSeverity: Number(e.target.value) })}
+            >
+              {SEVERITIES.map((severity) => (
+                <option key={severity} value={severity}>{severity}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="exportMaxSeverity">to</label>
+            <select
+              id="exportMaxSeverity"
+              value={filters.maxSeverity}
+              onChange={(e) => setFilters({ ...filters, maxSeverity: Number(e.target.value) })}
+            >
+              {SEVERITIES.map((severity) => (
+                <option key={severity} value={severity}>{severity}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="export-row">
+          <div>
+            <label htmlFor="exportFrom">Reported from</label>
+            <input id="exportFrom" type="date" value={filters.from} onChange={setField("from")} />
+          </div>
+          <div>
+            <label htmlFor="exportTo">Reported until</label>
+            <input id="exportTo" type="date" value={filters.to} onChange={setField("to")} />
+          </div>
+        </div>
+
+        <fieldset>
+          <legend>Area</legend>
+          <label className="export-area-toggle">
+            <input
+              type="checkbox"
+              checked={filters.useMapArea}
+              onChange={(e) => setFilters({ ...filters, useMapArea: e.target.checked })}
+            />
+            Only reports inside the area shown on the map
+          </label>
+          <MapContainer
+            center={DEFAULT_POSITION}
+            zoom={5}
+            className="leaflet-container"
+            scrollWheelZoom={false}
+            whenReady={(e) => setBounds(e.target.getBounds())}
+          >
+            <BaseTileLayer />
+            <BoundsWatcher onChange={setBounds} />
+          </MapContainer>
+        </fieldset>
+
+        {error && <p className="error-msg" role="alert">{error}</p>}
+        <div className="export-actions">
+          <button type="submit" className="btn-primary" disabled={exporting}>
+            {exporting ? "Exporting..." : "Download export"}
+          </button>
+          <button type="button" className="btn-secondary" onClick={() => setFilters(emptyFilters())}>
+            Reset filters
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
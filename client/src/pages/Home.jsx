@@ -1,10 +1,29 @@
-import React, { useEffect, useState, useCallback } from "react";
-import { MapContainer, TileLayer, Marker, Popup } from "react-leaflet";
+import React, { useEffect, useState, useCallback, useMemo } from "react";
+import { MapContainer, Marker, Popup } from "react-leaflet";
+import BaseTileLayer from "../map/CachedTileLayer";
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
 import "./Home.css";
+import SafeRoute from "./SafeRoute";
+import OfflineMapPanel from "../map/OfflineMapPanel";
 import { useNavigate } from "react-router-dom";
-import localDB from "../db/pouchdb";
+import useLiveDocuments from "../db/useLiveDocuments";
+import useSyncStatus, { dismissSyncProblem } from "../db/useSyncStatus";
+import useConnectivity from "../useConnectivity";
+import { useAuth } from "../auth/AuthContext";
+import { ROLE_LABELS } from "../auth/roles";
+import { MEDIA_ATTACHMENT, THUMBNAIL_ATTACHMENT, getAttachmentUrl } from "../db/attachments";
+import { FEED_KINDS, STATUS_LABELS, getPosition, isFeedItem, isOpen, isReport, isSOS } from "../db/schema";
+import { RESOURCE_KINDS, isOpenResource, nearestOpenResources } from "../db/resourceSchema";
+import { clusterReports } from "../db/clusters";
+import { isActiveAlert } from "../db/alertSchema";
+import AlertAreas from "../map/AlertAreas";
+import { GeofenceSettings } from "../alerts/GeofenceAlerts";
+import MarkerClusterGroup from "../map/MarkerClusterGroup";
+import HeatmapLayer, { heatPoints } from "../map/HeatmapLayer";
+import MapFilters, { defaultMapFilters, matchesMapFilters } from "../map/MapFilters";
+import { SIGNATURE_LABELS, SIGNATURE_STATUSES } from "../db/signatures";
+import useSignatureStatuses from "../db/useSignatureStatuses";
 
 // Fix Leaflet icon URLs for build environments
 delete L.Icon.Default.prototype._getIconUrl;
@@ -17,7 +36,89 @@ L.Icon.Default.mergeOptions({
 // Approximate center of India
 const MAP_CENTER = [22.9734, 78.6569];
 
-// Sample disaster markers
+// Markers are coloured by incident status; unsigned and tampered reports
+// get a dashed ring (see .status-marker in Home.css). Incidents grouping
+// several reports are drawn larger, with the report count inside.
+const statusIcons = {};
+function statusIcon(status, signature, count = 1) {
+  const key = `${status} ${signature} ${count}`;
+  if (!statusIcons[key]) {
+    const size = count > 1 ? 28 : 20;
+    statusIcons[key] = L.divIcon({
+      className: `status-marker status-${status} signature-${signature}${count > 1 ? " status-marker-grouped" : ""}`,
+      html: count > 1 ? `<span>${count}</span>` : "",
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+      popupAnchor: [0, -size / 2],
+    });
+  }
+  return statusIcons[key];
+}
+
+// One ring for a whole incident: any tampered report taints it, and it only
+// counts as unsigned when none of its reports is signed
+function incidentSignature(incident, signatures) {
+  const statuses = incident.reports.map((report) => signatures[report._id]);
+  if (statuses.some((status) => !status)) return "pending";
+  if (statuses.includes(SIGNATURE_STATUSES.INVALID)) return SIGNATURE_STATUSES.INVALID;
+  if (statuses.every((status) => status === SIGNATURE_STATUSES.UNSIGNED)) return SIGNATURE_STATUSES.UNSIGNED;
+  return statuses.includes(SIGNATURE_STATUSES.VERIFIED) ? SIGNATURE_STATUSES.VERIFIED : SIGNATURE_STATUSES.UNREGISTERED;
+}
+
+// SOS calls are labelled squares in their status colour, kept out of the
+// marker clusters so none is hidden behind a bubble (see .sos-marker in Home.css)
+const sosIcons = {};
+function sosIcon(status, signature) {
+  const key = `${status} ${signature}`;
+  if (!sosIcons[key]) {
+    sosIcons[key] = L.divIcon({
+      className: `status-marker sos-marker status-${status} signature-${signature}`,
+      html: "<span>SOS</span>",
+      iconSize: [30, 20],
+      iconAnchor: [15, 10],
+      popupAnchor: [0, -10],
+    });
+  }
+  return sosIcons[key];
+}
+
+// How many of an incident's reports the popup lists
+const POPUP_REPORT_LIMIT = 4;
+
+// Warnings from official feeds are diamonds, so they never pass for citizen
+// reports (see .feed-marker in Home.css)
+const feedIcon = L.divIcon({
+  className: "feed-marker",
+  iconSize: [18, 18],
+  iconAnchor: [9, 9],
+  popupAnchor: [0, -9],
+});
+
+// Open relief centres get a square marker per kind (see .resource-marker in Home.css)
+const resourceIcons = {};
+function resourceIcon(kind) {
+  if (!resourceIcons[kind]) {
+    resourceIcons[kind] = L.divIcon({
+      className: `resource-marker resource-${kind}`,
+      iconSize: [18, 18],
+      iconAnchor: [9, 9],
+      popupAnchor: [0, -9],
+    });
+  }
+  return resourceIcons[kind];
+}
+
+// How many centres the Relief Centres page lists
+const NEAREST_RESOURCE_LIMIT = 5;
+
+const SYNC_STATE_LABELS = {
+  connecting: "Connecting…",
+  active: "Syncing…",
+  idle: "Synced",
+  offline: "Offline",
+  denied: "Sync denied",
+  error: "Sync error",
+};
 
 // === StatusCard Component ===
 function StatusCard({ title, count, color }) {
@@ -37,18 +138,112 @@ function StatusCard({ title, count, color }) {
   );
 }
 
+// === ReportMedia Component ===
+// Popup preview of a report's attachment; images show their synced thumbnail
+function ReportMedia({ report }) {
+  const attachments = report._attachments || {};
+  const hasThumbnail = Boolean(attachments[THUMBNAIL_ATTACHMENT]);
+  const [thumbnailUrl, setThumbnailUrl] = useState(null);
+
+  useEffect(() => {
+    if (!hasThumbnail) return;
+    let cancelled = false;
+    let objectUrl = null;
+    getAttachmentUrl(report._id, THUMBNAIL_ATTACHMENT).then((url) => {
+      if (cancelled) {
+        if (url) URL.revokeObjectURL(url);
+        return;
+      }
+      objectUrl = url;
+      setThumbnailUrl(url);
+    });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [report._id, report._rev, hasThumbnail]);
+
+  if (thumbnailUrl) {
+    return (
+      <img
+        src={thumbnailUrl}
+        alt={`Evidence for ${report.disasterType} report`}
+        className="popup-thumbnail"
+      />
+    );
+  }
+  if (attachments[MEDIA_ATTACHMENT]) {
+    return <em>Attachment: {report.mediaFileName || attachments[MEDIA_ATTACHMENT].content_type}</em>;
+  }
+  return null;
+}
+
+// === SyncIndicator Component ===
+// Shows whether local data has reached the server
+function SyncIndicator() {
+  const { state, pending, lastSyncedAt, problem } = useSyncStatus();
+
+  return (
+    <div className={`sync-indicator sync-${state}`} role="status" aria-live="polite">
+      <span className="sync-dot" aria-hidden="true" />
+      <span className="sync-text">
+        <strong>{SYNC_STATE_LABELS[state]}</strong>
+        <span>
+          {pending > 0 ? `${pending} pending` : "Nothing pending"} · Last sync:{" "}
+          {lastSyncedAt ? new Date(lastSyncedAt).toLocaleTimeString() : "never"}
+        </span>
+      </span>
+      {problem && (
+        <span className="sync-problem" role="alert">
+          {problem.type === "denied" ? "Denied" : "Error"}: {problem.message}
+          <button
+            type="button"
+            onClick={dismissSyncProblem}
+            className="sync-problem-dismiss"
+            aria-label="Dismiss sync problem"
+          >
+            &times;
+          </button>
+        </span>
+      )}
+    </div>
+  );
+}
+
 // === UserAvatar Component ===
+function initials(name) {
+  return name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join("");
+}
+
 function UserAvatar({ user, onLogout}) {
   const navigate = useNavigate();
+
+  if (!user) {
+    return (
+      <button onClick={() => navigate("/login")} className="nav-button sign-in-button">
+        Sign in
+      </button>
+    );
+  }
+
   return (
     <div className="user-avatar" tabIndex={0} aria-label={`Logged in as ${user.name}`}>
       <button onClick={() => navigate("/Profile")} className="avatar-image">
-        <img
-          src={user.profilePic}
-          alt={`${user.name}'s profile`}
-          className="avatar-image"
-          style={{ cursor: "pointer" }}
-        />
+        {user.avatar ? (
+          <img
+            src={user.avatar}
+            alt={`${user.name}'s profile`}
+            className="avatar-image"
+            style={{ cursor: "pointer" }}
+          />
+        ) : (
+          <span className="avatar-initials">{initials(user.name)}</span>
+        )}
       </button>
       <button onClick={onLogout} className="logout-button" aria-label="Logout">
         &times;
@@ -59,38 +254,48 @@ function UserAvatar({ user, onLogout}) {
 }
 
 // === NavigationMenu Component ===
+// Each action opens a dashboard page or a route. Items with a `permission`
+// only show for roles that hold it; the rest are open to everyone.
+const NAV_ITEMS = [
+  { label: "Safe Route", page: "safeRoute" },
+  { label: "Report SOS", path: "/ReportSOS" },
+  { label: "Report Disaster", path: "/ReportDisaster" },
+  { label: "Relief Centres", page: "reliefTracker" },
+  { label: "Manage Relief Centres", path: "/resources", permission: "resource:manage" },
+  { label: "Incident Clusters", path: "/clusters", permission: "incident:merge" },
+  { label: "Publish Alerts", path: "/alerts", permission: "alert:publish" },
+  { label: "Export Reports", path: "/export", permission: "report:export" },
+  { label: "Import Reports", path: "/import", permission: "report:import" },
+  { label: "Volunteer Tasks", path: "/tasks", permission: "task:accept" },
+  { label: "Missing Persons", path: "/missing-persons", permission: "person:report" },
+  { label: "Nearby Devices", path: "/peers" },
+  { label: "QR Transfer", path: "/transfer" },
+];
+
 function NavigationMenu({ onSelectPage }) {
   const navigate = useNavigate();
+  const { user, can } = useAuth();
+  const items = NAV_ITEMS.filter((item) => !item.permission || can(item.permission));
+
   return (
     <nav className="nav-menu" aria-label="Main navigation">
-      <button onClick={() => onSelectPage("safeRoute")} className="nav-button">
-        Safe Route
-      </button>
-      <button onClick={() => navigate("/ReportSOS")} className="nav-button">
-        Report SOS
-      </button>
-      <button onClick={() => navigate("/ReportDisaster")} className="nav-button">
-        Report Disaster
-      </button>
-      <button onClick={() => onSelectPage("reliefTracker")} className="nav-button">
-        Report Resource Center
-      </button>
+      {items.map((item) => (
+        <button
+          key={item.label}
+          onClick={() => (item.path ? navigate(item.path) : onSelectPage(item.page))}
+          className="nav-button"
+        >
+          {item.label}
+        </button>
+      ))}
+      {user && (
+        <p className="nav-role">Signed in as {ROLE_LABELS[user.role] || user.role}</p>
+      )}
     </nav>
   );
 }
 
 // === Placeholder Pages ===
-function SafeRoute() {
-  return (
-    <section className="feature-page" aria-label="Safe Route Page">
-      <h2>Safe Route Planner</h2>
-      <p>
-        Plan a safe route avoiding recent disaster locations. (Feature coming soon.)
-      </p>
-    </section>
-  );
-}
-
 function ReportSOS() {
   return (
     <section className="feature-page" aria-label="Report SOS Page">
@@ -113,13 +318,216 @@ function ReportIncident() {
   );
 }
 
-function ReliefTracker() {
+// === IncidentPopup Component ===
+// Summary of an incident on the dashboard map, with its reports listed
+function IncidentPopup({ incident, signatures }) {
+  const navigate = useNavigate();
+  const { primary } = incident;
+  const signature = signatures[primary._id];
+
   return (
-    <section className="feature-page" aria-label="Relief Resource Tracker Page">
-      <h2>Relief Resource Tracker</h2>
-      <p>
-        Track distribution and availability of relief resources in affected areas. (Feature coming soon.)
-      </p>
+    <>
+      <strong>{incident.disasterType}</strong>
+      {incident.count > 1 && ` · ${incident.count} reports`}
+      <br />
+      Status: {STATUS_LABELS[incident.status]}<br />
+      Severity: {incident.severity}
+      {incident.count > 1 && ` (average ${incident.averageSeverity})`}
+      <br />
+      {incident.count > 1 && (
+        <>
+          Reported {new Date(incident.firstReportedAt).toLocaleString()} to{" "}
+          {new Date(incident.lastReportedAt).toLocaleString()}
+          <br />
+        </>
+      )}
+      {incident.count === 1 && signature && (
+        <span className={`popup-signature signature-${signature}`}>
+          {SIGNATURE_LABELS[signature]}
+          <br />
+        </span>
+      )}
+      {incident.count === 1 ? (
+        <>
+          {primary.description}
+          <ReportMedia report={primary} />
+        </>
+      ) : (
+        <ul className="popup-report-list">
+          {incident.reports.slice(0, POPUP_REPORT_LIMIT).map((report) => (
+            <li key={report._id}>
+              <button
+                type="button"
+                className="popup-link"
+                onClick={() => navigate(`/incidents/${encodeURIComponent(report._id)}`)}
+              >
+                {report.description || "(no description)"}
+              </button>
+              {signatures[report._id] && signatures[report._id] !== SIGNATURE_STATUSES.VERIFIED && (
+                <span className={`popup-signature signature-${signatures[report._id]}`}>
+                  {" "}({SIGNATURE_LABELS[signatures[report._id]]})
+                </span>
+              )}
+            </li>
+          ))}
+          {incident.count > POPUP_REPORT_LIMIT && <li>and {incident.count - POPUP_REPORT_LIMIT} more</li>}
+        </ul>
+      )}
+      <button
+        type="button"
+        className="popup-link"
+        onClick={() => navigate(`/incidents/${encodeURIComponent(primary._id)}`)}
+      >
+        View details
+      </button>
+    </>
+  );
+}
+
+// === SOSPopup Component ===
+// A call for help, with a link to its detail page for responders
+function SOSPopup({ sos, signature }) {
+  const navigate = useNavigate();
+
+  return (
+    <>
+      <strong>SOS</strong> · {sos.affectedPeople} {sos.affectedPeople === 1 ? "person" : "people"}
+      <br />
+      Status: {STATUS_LABELS[sos.status || "new"]}<br />
+      Severity: {sos.severity}<br />
+      Raised {new Date(sos.createdAt).toLocaleString()}<br />
+      {signature && (
+        <span className={`popup-signature signature-${signature}`}>
+          {SIGNATURE_LABELS[signature]}
+          <br />
+        </span>
+      )}
+      {sos.description}
+      <ReportMedia report={sos} />
+      <button
+        type="button"
+        className="popup-link"
+        onClick={() => navigate(`/incidents/${encodeURIComponent(sos._id)}`)}
+      >
+        View details
+      </button>
+    </>
+  );
+}
+
+// === FeedPopup Component ===
+// An official warning ingested from a CAP or GeoJSON feed
+function FeedPopup({ report }) {
+  const navigate = useNavigate();
+
+  return (
+    <>
+      <strong>{report.disasterType}</strong> · official warning<br />
+      Source: {report.source.name} ({FEED_KINDS[report.source.kind]})<br />
+      Severity: {report.severity}<br />
+      Issued {new Date(report.source.sentAt).toLocaleString()}<br />
+      {report.description}
+      <br />
+      {report.source.url && (
+        <>
+          <a href={report.source.url} target="_blank" rel="noopener noreferrer">Original warning</a>{" "}
+        </>
+      )}
+      <button
+        type="button"
+        className="popup-link"
+        onClick={() => navigate(`/incidents/${encodeURIComponent(report._id)}`)}
+      >
+        View details
+      </button>
+    </>
+  );
+}
+
+// === ResourcePopup Component ===
+function ResourcePopup({ resource }) {
+  return (
+    <>
+      <strong>{resource.name}</strong><br />
+      {RESOURCE_KINDS[resource.kind]}<br />
+      {resource.address && <>{resource.address}<br /></>}
+      {resource.capacity !== null && <>Occupancy: {resource.occupancy || 0}/{resource.capacity}<br /></>}
+      {resource.stock.length > 0 && (
+        <>
+          Stock: {resource.stock.map((entry) => `${entry.item} ${entry.quantity}${entry.unit ? ` ${entry.unit}` : ""}`).join(", ")}
+          <br />
+        </>
+      )}
+      Contact: {resource.contact.name ? `${resource.contact.name}, ` : ""}
+      <a href={`tel:${resource.contact.phone}`}>{resource.contact.phone}</a>
+    </>
+  );
+}
+
+// === ReliefTracker Component ===
+// Nearest open relief centres to the user's location, on a map and as a list
+function ReliefTracker({ documents }) {
+  const [origin, setOrigin] = useState(null);
+  const [locationError, setLocationError] = useState(null);
+
+  useEffect(() => {
+    if (!navigator.geolocation) {
+      setLocationError("Geolocation is not supported by your browser; distances are from the map centre.");
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (pos) => setOrigin([pos.coords.latitude, pos.coords.longitude]),
+      () => setLocationError("Location unavailable; distances are from the map centre.")
+    );
+  }, []);
+
+  const from = origin || MAP_CENTER;
+  const nearest = useMemo(
+    () => nearestOpenResources(documents, from, NEAREST_RESOURCE_LIMIT),
+    [documents, from]
+  );
+
+  return (
+    <section className="feature-page relief-tracker" aria-label="Relief Centres Page">
+      <h2>Nearest Open Relief Centres</h2>
+      {!origin && !locationError && <p>Finding your location…</p>}
+      {locationError && <p>{locationError}</p>}
+      <MapContainer
+        key={origin ? "located" : "default"}
+        center={from}
+        zoom={origin ? 10 : 5}
+        className="leaflet-container"
+        scrollWheelZoom={true}
+      >
+        <BaseTileLayer />
+        {origin && (
+          <Marker position={origin}>
+            <Popup>You are here</Popup>
+          </Marker>
+        )}
+        {nearest.map((resource) => (
+          <Marker key={resource._id} position={getPosition(resource)} icon={resourceIcon(resource.kind)}>
+            <Popup>
+              <ResourcePopup resource={resource} />
+            </Popup>
+          </Marker>
+        ))}
+      </MapContainer>
+      {nearest.length === 0 ? (
+        <p>No open relief centres are registered yet.</p>
+      ) : (
+        <ol className="relief-list">
+          {nearest.map((resource) => (
+            <li key={resource._id}>
+              <strong>{resource.name}</strong> · {RESOURCE_KINDS[resource.kind]} ·{" "}
+              {resource.distanceKm.toFixed(1)} km
+              <br />
+              <a href={`tel:${resource.contact.phone}`}>{resource.contact.phone}</a>
+              {resource.address && ` · ${resource.address}`}
+            </li>
+          ))}
+        </ol>
+      )}
     </section>
   );
 }
@@ -127,50 +535,73 @@ function ReliefTracker() {
 // === Main Home Component ===
 function Home() {
   const navigate = useNavigate();
-  const [isOnline, setIsOnline] = useState(navigator.onLine);
-  const [disasters, setDisasters] = useState([]);
-  const [alertsCount] = useState(7);
-  const [sosActive] = useState(3);
+  const { user, logout } = useAuth();
+  const { online, reachable } = useConnectivity();
+  const documents = useLiveDocuments();
+  const signatures = useSignatureStatuses(documents);
   const [selectedPage, setSelectedPage] = useState(null);
-
-  // Dummy logged-in user info with profile pic URL
-  const dummyUser = {
-    name: "Kumar Manthan",
-    email: "kumar.manthan2023@vitstudent.ac.in",
-    profilePic:
-      "https://i.pravatar.cc/48?img=12", // Random avatar placeholder URL; replace as needed
-  };
-
-  // Online/offline event handlers
-  const handleOnline = useCallback(() => setIsOnline(true), []);
-  const handleOffline = useCallback(() => setIsOnline(false), []);
+  const [dashboardMap, setDashboardMap] = useState(null);
+  const [mapFilters, setMapFilters] = useState(defaultMapFilters);
+  // The map's time slider ends at the present; refreshed every minute
+  const [now, setNow] = useState(() => Date.now());
 
   useEffect(() => {
-    async function fetchDisasters() {
-      try {
-        const result = await localDB.allDocs({ include_docs: true });
-        const docs = result.rows.map((row) => row.doc);
-        console.log("All disaster documents:", docs);
-        setDisasters(docs);
-      } catch (error) {
-        console.error("Failed to fetch disaster reports from local DB:", error);
-      }
-    }
-    fetchDisasters();
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
   }, []);
 
+  const handleLogout = useCallback(() => {
+    logout();
+    navigate("/login");
+  }, [logout, navigate]);
 
+  // Derived from the live changes feed, so markers and counts stay current
+  const disasters = useMemo(() => documents.filter(isReport), [documents]);
+  // Reports of the same event count and show as one incident; warnings
+  // from official feeds count on their own
+  const incidents = useMemo(() => clusterReports(disasters), [disasters]);
+  const feedWarnings = useMemo(() => disasters.filter(isFeedItem), [disasters]);
+
+  // What the map shows: filtered by type and by the time slider
+  const incidentDocuments = useMemo(() => documents.filter((doc) => isReport(doc) || isSOS(doc)), [documents]);
+  const mapStart = useMemo(() => {
+    if (mapFilters.rangeHours !== null) return now - mapFilters.rangeHours * 60 * 60 * 1000;
+    return incidentDocuments.reduce((earliest, doc) => {
+      const time = Date.parse(doc.createdAt);
+      return isNaN(time) ? earliest : Math.min(earliest, time);
+    }, now - 24 * 60 * 60 * 1000);
+  }, [incidentDocuments, mapFilters.rangeHours, now]);
+  const mapDocuments = useMemo(
+    () =>
+      incidentDocuments.filter((doc) =>
+        matchesMapFilters(doc, mapFilters, mapStart, mapFilters.until === null ? now : mapFilters.until)
+      ),
+    [incidentDocuments, mapFilters, mapStart, now]
+  );
+  const mapIncidents = useMemo(() => clusterReports(mapDocuments.filter(isReport)), [mapDocuments]);
+  const mapFeedReports = useMemo(
+    () => mapDocuments.filter((doc) => isReport(doc) && isFeedItem(doc)),
+    [mapDocuments]
+  );
+  const mapSOS = useMemo(() => mapDocuments.filter((doc) => isSOS(doc) && getPosition(doc)), [mapDocuments]);
+  const mapHeat = useMemo(() => heatPoints(mapDocuments), [mapDocuments]);
+  const activeAlerts = useMemo(() => documents.filter((doc) => isActiveAlert(doc, now)), [documents, now]);
+  const sosActive = useMemo(
+    () => documents.filter((doc) => isSOS(doc) && isOpen(doc)).length,
+    [documents]
+  );
+  const openResources = useMemo(() => documents.filter(isOpenResource), [documents]);
 
   // Content switcher based on page selection
   let mainContent;
   if (selectedPage === "safeRoute") {
-    mainContent = <SafeRoute />;
+    mainContent = <SafeRoute documents={documents} />;
   } else if (selectedPage === "reportSOS") {
     mainContent = <ReportSOS />;
   } else if (selectedPage === "reportIncident") {
     mainContent = <ReportIncident />;
   } else if (selectedPage === "reliefTracker") {
-    mainContent = <ReliefTracker />;
+    mainContent = <ReliefTracker documents={documents} />;
   } else {
     // Render dashboard: nav + status + map
     mainContent = (
@@ -179,52 +610,129 @@ function Home() {
         <main className="status-cards" aria-label="Status Overview">
           <StatusCard
             title="Disasters Detected"
-            count={disasters.length}
+            count={incidents.length + feedWarnings.length}
             color="red"
           />
-          <StatusCard title="Active Alerts" count={alertsCount} color="yellow" />
+          <StatusCard title="Active Alerts" count={activeAlerts.length} color="yellow" />
           <StatusCard title="SOS Active" count={sosActive} color="blue" />
         </main>
 
-        {!isOnline && (
+        {(!online || reachable === false) && (
           <div
             className="offline-banner"
             role="alert"
             aria-live="assertive"
             tabIndex={-1}
           >
-            You are offline. Changes will sync when you’re back online.
+            {online
+              ? "Connected to a network, but the DDMS server cannot be reached. Changes are saved on this device and will sync when it is back."
+              : "You are offline. Changes will sync when you’re back online."}
           </div>
         )}
 
         <section className="map-section" aria-label="Live Disaster Map">
           <h2>Live Disaster Map</h2>
+          <GeofenceSettings />
+          <MapFilters filters={mapFilters} onChange={setMapFilters} start={mapStart} end={now} />
           <MapContainer
+            ref={setDashboardMap}
             center={MAP_CENTER}
             zoom={5}
             className="leaflet-container"
             aria-describedby="mapDesc"
             scrollWheelZoom={true}
           >
-            <TileLayer
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-              attribution='&copy; <a href="http://osm.org/copyright">OpenStreetMap</a> contributors'
-            />
-            {disasters.filter(disaster => disaster.position && disaster.position.length === 2).map((disaster, idx) => (
-                <Marker key={idx} position={[disaster.position[0], disaster.position[1]]}>
-                  <Popup>
-                    <strong>{disaster.disasterType}</strong><br />
-                    Severity: {disaster.severity}<br />
-                    {disaster.description}
-                  </Popup>
-                </Marker>
+            <BaseTileLayer />
+            <AlertAreas alerts={activeAlerts} />
+            {mapFilters.heatmap && <HeatmapLayer points={mapHeat} />}
+            {mapFilters.markers && (
+              <MarkerClusterGroup>
+                {mapIncidents.filter((incident) => incident.position).map((incident) => (
+                  <Marker
+                    key={incident.id}
+                    position={incident.position}
+                    reportCount={incident.count}
+                    icon={statusIcon(incident.status, incidentSignature(incident, signatures), incident.count)}
+                  >
+                    <Popup>
+                      <IncidentPopup incident={incident} signatures={signatures} />
+                    </Popup>
+                  </Marker>
+                ))}
+              </MarkerClusterGroup>
+            )}
+            {mapFilters.markers && mapFeedReports.filter(getPosition).map((report) => (
+              <Marker key={report._id} position={getPosition(report)} icon={feedIcon}>
+                <Popup>
+                  <FeedPopup report={report} />
+                </Popup>
+              </Marker>
+            ))}
+            {mapFilters.markers && mapSOS.map((sos) => (
+              <Marker
+                key={sos._id}
+                position={getPosition(sos)}
+                icon={sosIcon(sos.status || "new", signatures[sos._id] || "pending")}
+              >
+                <Popup>
+                  <SOSPopup sos={sos} signature={signatures[sos._id]} />
+                </Popup>
+              </Marker>
+            ))}
+            {openResources.map((resource) => (
+              <Marker
+                key={resource._id}
+                position={getPosition(resource)}
+                icon={resourceIcon(resource.kind)}
+              >
+                <Popup>
+                  <ResourcePopup resource={resource} />
+                </Popup>
+              </Marker>
             ))}
-
-
           </MapContainer>
+          <ul className="status-legend" aria-label="Marker colours by incident status">
+            {Object.keys(STATUS_LABELS).map((status) => (
+              <li key={status}>
+                <span className={`status-marker status-${status}`} aria-hidden="true" />
+                {STATUS_LABELS[status]}
+              </li>
+            ))}
+            <li>
+              <span className="status-marker sos-marker status-new" aria-hidden="true">
+                <span>SOS</span>
+              </span>
+              SOS call
+            </li>
+            {Object.keys(RESOURCE_KINDS).map((kind) => (
+              <li key={kind}>
+                <span className={`resource-marker resource-${kind}`} aria-hidden="true" />
+                {RESOURCE_KINDS[kind]}
+              </li>
+            ))}
+            <li>
+              <span className="alert-area-marker" aria-hidden="true" />
+              Alert area
+            </li>
+            <li>
+              <span className="feed-marker" aria-hidden="true" />
+              Official warning
+            </li>
+            <li>
+              <span className="alert-area-marker alert-area-feed" aria-hidden="true" />
+              Official alert area
+            </li>
+            {[SIGNATURE_STATUSES.UNSIGNED, SIGNATURE_STATUSES.INVALID].map((signature) => (
+              <li key={signature}>
+                <span className={`status-marker signature-${signature}`} aria-hidden="true" />
+                {SIGNATURE_LABELS[signature]}
+              </li>
+            ))}
+          </ul>
           <p id="mapDesc" className="sr-only">
             Interactive map showing locations and severity levels of recent disasters.
           </p>
+          <OfflineMapPanel map={dashboardMap} />
         </section>
       </>
     );
@@ -232,10 +740,11 @@ function Home() {
 
   return (
     <div className="min-h-screen">
-      {/* Header with title and dummy user avatar */}
+      {/* Header with title, sync status and the signed-in user */}
       <header className="header-bar">
         <h1 className="app-title">Decentralized Disaster Management System</h1>
-        <UserAvatar user={dummyUser}/>
+        <SyncIndicator />
+        <UserAvatar user={user} onLogout={handleLogout} />
       </header>
 
       {/* Main content */}
@@ -0,0 +1,275 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import "./ImportReports.css";
+import { apiRequest } from "../api";
+import { STATUS_LABELS } from "../db/schema";
+import { useAuth } from "../auth/AuthContext";
+
+// Rows shown in the preview table; the counts always cover the whole file
+const PREVIEW_ROW_LIMIT = 200;
+
+const ACTION_LABELS = {
+  create: "New",
+  update: "Update",
+  unchanged: "Unchanged",
+  invalid: "Error",
+};
+
+// .csv is CSV; .geojson and .json are GeoJSON
+function formatForFile(name) {
+  return /\.csv$/i.test(name) ? "csv" : /\.(geo)?json$/i.test(name) ? "geojson" : undefined;
+}
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleDateString() : "";
+}
+
+function errorMessage(err) {
+  const details = err.details ? Object.values(err.details) : [];
+  return details.length > 0 ? details.join(" ") : err.message;
+}
+
+// === ImportReports Component ===
+// Coordinators load past seasons' spreadsheets and partner GeoJSON: choose a
+// file, map its columns onto report fields, check the dry run, then import.
+// The server does the work (server/import), so this needs a connection.
+export default function ImportReports() {
+  const { can } = useAuth();
+  const [file, setFile] = useState(null);
+  const [dataset, setDataset] = useState("");
+  const [mapping, setMapping] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewIsCurrent, setPreviewIsCurrent] = useState(false);
+  const [onlyProblems, setOnlyProblems] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  if (!can("report:import")) {
+    return (
+      <div className="import-page">
+        <Link to="/" className="import-back">&larr; Back to dashboard</Link>
+        <p>Only coordinators can import reports.</p>
+      </div>
+    );
+  }
+
+  const request = (chosenMapping) => ({
+    content: file.content,
+    format: file.format,
+    dataset,
+    mapping: chosenMapping || undefined,
+  });
+
+  // Without a mapping the server suggests one from the column names
+  const runPreview = async (chosenMapping) => {
+    setBusy("preview");
+    setError(null);
+    setResult(null);
+    try {
+      const response = await apiRequest("/import/preview", { method: "POST", body: request(chosenMapping) });
+      setPreview(response);
+      setMapping(response.mapping);
+      setPreviewIsCurrent(Object.keys(response.mappingErrors).length === 0);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const onFileChange = async (e) => {
+    const chosen = e.target.files[0];
+    setPreview(null);
+    setMapping(null);
+    setResult(null);
+    setError(null);
+    if (!chosen) {
+      setFile(null);
+      return;
+    }
+    setFile({ name: chosen.name, format: formatForFile(chosen.name), content: await chosen.text() });
+    if (!dataset) setDataset(chosen.name.replace(/\.[^.]+$/, ""));
+  };
+
+  const setColumn = (field) => (e) => {
+    setMapping({ ...mapping, [field]: e.target.value });
+    setPreviewIsCurrent(false);
+  };
+
+  const handleCommit = async () => {
+    const { create, update } = preview.counts;
+    if (!window.confirm(`Import ${create} new and ${update} updated reports into the shared database?`)) return;
+    setBusy("commit");
+    setError(null);
+    try {
+      setResult(await apiRequest("/import", { method: "POST", body: request(mapping) }));
+      setPreviewIsCurrent(false);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const rows = preview
+    ? preview.rows.filter((row) => !onlyProblems || row.action === "invalid").slice(0, PREVIEW_ROW_LIMIT)
+    : [];
+  const mappingErrors = (preview && preview.mappingErrors) || {};
+
+  return (
+    <div className="import-page">
+      <Link to="/" className="import-back">&larr; Back to dashboard</Link>
+      <h1>Import Reports</h1>
+
+      <section className="import-card" aria-label="Choose a dataset">
+        <h2>1. Choose a dataset</h2>
+        <p className="import-hint">
+          A CSV spreadsheet with a header row, or GeoJSON with Point features. Each row becomes one report.
+        </p>
+        <label htmlFor="importFile">File *</label>
+        <input id="importFile" type="file" accept=".csv,.geojson,.json,text/csv,application/geo+json" onChange={onFileChange} />
+
+        <label htmlFor="importDataset">Dataset name *</label>
+        <input
+          id="importDataset"
+          type="text"
+          placeholder="e.g. Assam floods 2025"
+          value={dataset}
+          onChange={(e) => {
+            setDataset(e.target.value);
+            setPreviewIsCurrent(false);
+          }}
+        />
+        <p className="import-hint">
+          Importing the same dataset again updates its reports instead of adding them twice.
+        </p>
+
+        <div className="import-actions">
+          <button
+            type="button"
+            className="btn-primary"
+            disabled={!file || !dataset.trim() || busy !== null}
+            onClick={() => runPreview(null)}
+          >
+            {busy === "preview" && !mapping ? "Reading..." : "Read columns"}
+          </button>
+        </div>
+      </section>
+
+      {preview && mapping && (
+        <section className="import-card" aria-label="Map columns">
+          <h2>2. Map columns onto report fields</h2>
+          <p className="import-hint">
+            {preview.columns.length} columns found in {file.name}. Map a record id column if the dataset has one,
+            so corrected rows update their report on the next import.
+          </p>
+          <div className="import-mapping">
+            {Object.keys(preview.fields).map((field) => (
+              <div key={field} className="import-mapping-row">
+                <label htmlFor={`map-${field}`}>
+                  {preview.fields[field].label}
+                  {preview.fields[field].required && " *"}
+                </label>
+                <select id={`map-${field}`} value={mapping[field] || ""} onChange={setColumn(field)}>
+                  <option value="">-- Not in this dataset --</option>
+                  {preview.columns.map((column) => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+                {mappingErrors[field] && <p className="error-msg">{mappingErrors[field]}</p>}
+              </div>
+            ))}
+          </div>
+          <div className="import-actions">
+            <button type="button" className="btn-primary" disabled={busy !== null} onClick={() => runPreview(mapping)}>
+              {busy === "preview" ? "Checking..." : "Preview import"}
+            </button>
+          </div>
+        </section>
+      )}
+
+      {preview && preview.rows.length > 0 && (
+        <section className="import-card" aria-label="Preview">
+          <h2>3. Check the preview</h2>
+          {!previewIsCurrent && (
+            <p className="import-stale" role="status">The mapping or dataset name changed. Preview again before importing.</p>
+          )}
+          <ul className="import-counts">
+            <li className="import-action-create">{preview.counts.create} new</li>
+            <li className="import-action-update">{preview.counts.update} updated</li>
+            <li className="import-action-unchanged">{preview.counts.unchanged} unchanged</li>
+            <li className="import-action-invalid">{preview.counts.invalid} with errors (skipped)</li>
+          </ul>
+          <label className="import-filter">
+            <input type="checkbox" checked={onlyProblems} onChange={(e) => setOnlyProblems(e.target.checked)} />
+            Only rows with errors
+          </label>
+          <div className="import-table-wrap">
+            <table className="import-table">
+              <thead>
+                <tr>
+                  <th scope="col">Row</th>
+                  <th scope="col">Result</th>
+                  <th scope="col">Type</th>
+                  <th scope="col">Severity</th>
+                  <th scope="col">Reported</th>
+                  <th scope="col">Status</th>
+                  <th scope="col">Description</th>
+                  <th scope="col">Problems</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.row} className={`import-action-${row.action}`}>
+                    <td>{row.row}</td>
+                    <td>{ACTION_LABELS[row.action]}</td>
+                    <td>{row.report.disasterType}</td>
+                    <td>{row.report.severity}</td>
+                    <td>{formatDate(row.report.createdAt)}</td>
+                    <td>{STATUS_LABELS[row.report.status]}</td>
+                    <td className="import-description">{row.report.description}</td>
+                    <td>{Object.values(row.errors).join(" ")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {preview.rows.length > PREVIEW_ROW_LIMIT && (
+            <p className="import-hint">Showing the first {PREVIEW_ROW_LIMIT} rows.</p>
+          )}
+          <div className="import-actions">
+            <button
+              type="button"
+              className="btn-primary"
+              disabled={!previewIsCurrent || busy !== null || preview.counts.create + preview.counts.update === 0}
+              onClick={handleCommit}
+            >
+              {busy === "commit"
+                ? "Importing..."
+                : `Import ${preview.counts.create + preview.counts.update} reports`}
+            </button>
+          </div>
+        </section>
+      )}
+
+      {error && <p className="error-msg" role="alert">{error}</p>}
+
+      {result && (
+        <section className="import-card import-result" aria-label="Import result" role="status">
+          <h2>Import finished</h2>
+          <p>
+            {result.created} reports added, {result.updated} updated, {result.unchanged} already up to date.
+            {result.invalid.length > 0 && ` ${result.invalid.length} rows with errors were skipped.`}
+          </p>
+          {result.failed.length > 0 && (
+            <p className="error-msg">
+              {result.failed.length} rows could not be saved: {result.failed.map((row) => `row ${row.row} (${row.reason})`).join(", ")}.
+              Import the file again to retry them.
+            </p>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
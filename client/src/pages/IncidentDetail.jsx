@@ -0,0 +1,398 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import "./IncidentDetail.css";
+import localDB from "../db/pouchdb";
+import useLiveDocuments, { useLiveDocument } from "../db/useLiveDocuments";
+import { clusterReports, findCluster, splitReport } from "../db/clusters";
+import { useSignatureStatus } from "../db/useSignatureStatuses";
+import { SIGNATURE_LABELS } from "../db/signatures";
+import { MEDIA_ATTACHMENT, getAttachmentUrl } from "../db/attachments";
+import {
+  FEED_KINDS,
+  STATUS_LABELS,
+  STATUS_TRANSITIONS,
+  addNote,
+  changeStatus,
+  getPosition,
+  isFeedItem,
+  isReport,
+  isSOS,
+} from "../db/schema";
+import { TASK_KINDS, TASK_SKILLS, TASK_STATUSES, createTask, isTask, validateTask } from "../db/taskSchema";
+import { useAuth } from "../auth/AuthContext";
+
+// Full-size evidence attached to the incident
+function IncidentMedia({ incident }) {
+  const media = incident._attachments && incident._attachments[MEDIA_ATTACHMENT];
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!media) return;
+    let cancelled = false;
+    let objectUrl = null;
+    getAttachmentUrl(incident._id, MEDIA_ATTACHMENT).then((result) => {
+      if (cancelled) {
+        if (result) URL.revokeObjectURL(result);
+        return;
+      }
+      objectUrl = result;
+      setUrl(result);
+    });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [incident._id, incident._rev, media]);
+
+  if (!media || !url) return null;
+  if (media.content_type.startsWith("image/")) {
+    return <img src={url} alt={`Evidence for ${incident.disasterType || "SOS"}`} className="incident-media" />;
+  }
+  if (media.content_type.startsWith("video/")) {
+    return <video src={url} controls className="incident-media" />;
+  }
+  return (
+    <a href={url} download={incident.mediaFileName || "attachment"}>
+      Download {incident.mediaFileName || "attachment"}
+    </a>
+  );
+}
+
+function HistoryEntry({ entry }) {
+  return (
+    <li className="history-entry">
+      <time dateTime={entry.at}>{new Date(entry.at).toLocaleString()}</time>{" "}
+      <strong>{entry.by || "unknown"}</strong>{" "}
+      {entry.action === "status"
+        ? `changed status from ${STATUS_LABELS[entry.from]} to ${STATUS_LABELS[entry.to]}`
+        : entry.action === "cluster"
+          ? "changed which incident this report belongs to"
+          : "added a note"}
+      {entry.note && <p className="history-note">{entry.note}</p>}
+    </li>
+  );
+}
+
+// SOS calls like "looking for my father" point callers to the registry
+const MISSING_PERSON_WORDS = /\b(looking for|missing|lost|separated|can't find|cannot find)\b/i;
+
+const EMPTY_TASK = { title: "", kind: "", skills: [], description: "" };
+
+// Volunteer tasks raised from this incident; coordinators can add one here.
+// The task starts at the incident's location.
+function IncidentTasks({ incident, tasks }) {
+  const { user, can } = useAuth();
+  const [draft, setDraft] = useState(EMPTY_TASK);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const setField = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+  const toggleSkill = (skill) => (e) =>
+    setDraft({
+      ...draft,
+      skills: e.target.checked ? [...draft.skills, skill] : draft.skills.filter((s) => s !== skill),
+    });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const position = getPosition(incident);
+    const doc = createTask(
+      { ...draft, latitude: position && position[0], longitude: position && position[1], incidentId: incident._id },
+      user
+    );
+    const errors = validateTask(doc);
+    setFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSaving(true);
+    try {
+      await localDB.put(doc);
+      setDraft(EMPTY_TASK);
+    } catch (err) {
+      console.error("Failed to save task:", err);
+      setFormErrors({ save: "Failed to save the task locally." });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (tasks.length === 0 && !can("task:manage")) return null;
+
+  return (
+    <section className="incident-card" aria-labelledby="incident-tasks-heading">
+      <h2 id="incident-tasks-heading">Volunteer tasks</h2>
+      {tasks.length === 0 ? (
+        <p>No tasks raised yet.</p>
+      ) : (
+        <ul className="incident-tasks">
+          {tasks.map((task) => (
+            <li key={task._id}>
+              <span className={`task-status task-status-${task.status}`}>{TASK_STATUSES[task.status]}</span>{" "}
+              <strong>{task.title}</strong> · {TASK_KINDS[task.kind]}
+              {task.assigneeName && ` · ${task.assigneeName}`}
+            </li>
+          ))}
+        </ul>
+      )}
+      {can("task:accept") && <Link to="/tasks">Open the task board</Link>}
+
+      {can("task:manage") && (
+        <form className="incident-task-form" onSubmit={handleSubmit} noValidate>
+          <h3>Raise a task</h3>
+          <label htmlFor="taskTitle">Title *</label>
+          <input
+            id="taskTitle"
+            type="text"
+            value={draft.title}
+            onChange={setField("title")}
+            placeholder="e.g. Move the family on the roof to the school shelter"
+          />
+          {formErrors.title && <p className="error-msg">{formErrors.title}</p>}
+
+          <label htmlFor="taskKind">Kind *</label>
+          <select id="taskKind" value={draft.kind} onChange={setField("kind")}>
+            <option value="">-- Select kind --</option>
+            {Object.keys(TASK_KINDS).map((kind) => (
+              <option key={kind} value={kind}>{TASK_KINDS[kind]}</option>
+            ))}
+          </select>
+          {formErrors.kind && <p className="error-msg">{formErrors.kind}</p>}
+
+          <fieldset>
+            <legend>Skills needed</legend>
+            <div className="incident-task-skills">
+              {Object.keys(TASK_SKILLS).map((skill) => (
+                <label key={skill}>
+                  <input type="checkbox" checked={draft.skills.includes(skill)} onChange={toggleSkill(skill)} />
+                  {TASK_SKILLS[skill]}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <label htmlFor="taskDescription">Details</label>
+          <textarea
+            id="taskDescription"
+            rows={3}
+            value={draft.description}
+            onChange={setField("description")}
+            placeholder="Who to contact, what to bring, how to get there..."
+          />
+          {formErrors.position && <p className="error-msg">This incident has no location, so no task can be raised from it.</p>}
+          {formErrors.save && <p className="error-msg">{formErrors.save}</p>}
+          <button type="submit" className="status-button" disabled={saving}>
+            {saving ? "Saving..." : "Raise task"}
+          </button>
+        </form>
+      )}
+    </section>
+  );
+}
+
+export default function IncidentDetail() {
+  const { id } = useParams();
+  const incident = useLiveDocument(id);
+  const { user, can } = useAuth();
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const signature = useSignatureStatus(incident);
+  const documents = useLiveDocuments();
+  // Other reports of the same event (see db/clusters.js)
+  const cluster = useMemo(
+    () => findCluster(clusterReports(documents.filter(isReport)), id),
+    [documents, id]
+  );
+  const related = cluster ? cluster.reports.filter((report) => report._id !== id) : [];
+  const tasks = documents.filter((doc) => isTask(doc) && doc.incidentId === id);
+
+  if (incident === undefined) {
+    return <div className="incident-page"><p>Loading incident...</p></div>;
+  }
+  if (incident === null) {
+    return (
+      <div className="incident-page">
+        <p>This incident could not be found on this device.</p>
+        <Link to="/">Back to the map</Link>
+      </div>
+    );
+  }
+
+  const status = incident.status || "new";
+  const canUpdate = can("incident:updateStatus");
+  const nextStatuses = (STATUS_TRANSITIONS[status] || []).filter(
+    (next) => next !== "verified" || can("report:verify")
+  );
+  const position = getPosition(incident);
+
+  // Written to the local database first, so responders can work offline;
+  // CouchDB re-checks the transition when it syncs.
+  async function save(update) {
+    setSaving(true);
+    setMessage(null);
+    try {
+      await localDB.put(update(incident));
+      setNote("");
+    } catch (err) {
+      setMessage(
+        err.status === 409
+          ? "Someone else updated this incident just now. Please review and try again."
+          : err.message
+      );
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="incident-page">
+      <Link to="/" className="incident-back">← Back to the map</Link>
+
+      <header className="incident-header">
+        <h1>{isSOS(incident) ? "SOS call" : incident.disasterType}</h1>
+        <span className={`status-badge status-${status}`}>{STATUS_LABELS[status]}</span>
+      </header>
+
+      <section className="incident-card" aria-label="Incident details">
+        <dl className="incident-facts">
+          <dt>Severity</dt>
+          <dd>{incident.severity} / 10</dd>
+          {isSOS(incident) && (
+            <>
+              <dt>Affected people</dt>
+              <dd>{incident.affectedPeople}</dd>
+            </>
+          )}
+          <dt>Location</dt>
+          <dd>
+            {position
+              ? `Latitude ${position[0].toFixed(4)}, Longitude ${position[1].toFixed(4)}`
+              : "Unknown"}
+          </dd>
+          <dt>Reported</dt>
+          <dd>
+            {incident.createdAt ? new Date(incident.createdAt).toLocaleString() : "Unknown"}
+            {incident.reportedBy && ` by ${incident.reportedBy}`}
+          </dd>
+          {incident.imported && (
+            <>
+              <dt>Imported</dt>
+              <dd>
+                From {incident.imported.dataset}
+                {incident.imported.externalId && ` (record ${incident.imported.externalId})`}
+                {" "}on {new Date(incident.imported.at).toLocaleDateString()}
+              </dd>
+            </>
+          )}
+          {isFeedItem(incident) ? (
+            <>
+              <dt>Source</dt>
+              <dd>
+                {incident.source.name} ({FEED_KINDS[incident.source.kind]}), issued{" "}
+                {new Date(incident.source.sentAt).toLocaleString()}
+                {incident.source.url && (
+                  <>
+                    {" · "}
+                    <a href={incident.source.url} target="_blank" rel="noopener noreferrer">Original warning</a>
+                  </>
+                )}
+              </dd>
+            </>
+          ) : (
+            <>
+              <dt>Signature</dt>
+              <dd className={signature ? `signature-${signature}` : ""}>
+                {signature ? SIGNATURE_LABELS[signature] : "Checking…"}
+              </dd>
+            </>
+          )}
+        </dl>
+        <p className="incident-description">{incident.description}</p>
+        {isSOS(incident) && can("person:report") && MISSING_PERSON_WORDS.test(incident.description || "") && (
+          <p className="incident-hint">
+            Someone may be missing. <Link to="/missing-persons">Register them as a missing person</Link> to
+            search the people found and in shelters.
+          </p>
+        )}
+        <IncidentMedia incident={incident} />
+      </section>
+
+      {related.length > 0 && (
+        <section className="incident-card" aria-labelledby="incident-related-heading">
+          <h2 id="incident-related-heading">Same incident ({related.length} other reports)</h2>
+          <ul className="incident-related">
+            {related.map((report) => (
+              <li key={report._id}>
+                <Link to={`/incidents/${encodeURIComponent(report._id)}`}>
+                  {report.createdAt ? new Date(report.createdAt).toLocaleString() : "Unknown time"}
+                </Link>{" "}
+                · severity {report.severity} · {report.description}
+              </li>
+            ))}
+          </ul>
+          {can("incident:merge") && (
+            <button
+              type="button"
+              className="status-button"
+              disabled={saving}
+              onClick={() => save((doc) => splitReport(doc, user.id))}
+            >
+              Split this report into a separate incident
+            </button>
+          )}
+        </section>
+      )}
+
+      <IncidentTasks incident={incident} tasks={tasks} />
+
+      {canUpdate && (
+        <section className="incident-card" aria-labelledby="incident-actions-heading">
+          <h2 id="incident-actions-heading">Update incident</h2>
+          {message && <p className="incident-message" role="alert">{message}</p>}
+          <label htmlFor="incidentNote">Note (optional for status changes)</label>
+          <textarea
+            id="incidentNote"
+            rows={3}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="What was done, who is on site, what is still needed..."
+          />
+          <div className="incident-actions">
+            {nextStatuses.map((next) => (
+              <button
+                key={next}
+                type="button"
+                className={`status-button status-${next}`}
+                disabled={saving}
+                onClick={() => save((doc) => changeStatus(doc, next, user.id, note))}
+              >
+                Mark {STATUS_LABELS[next]}
+              </button>
+            ))}
+            <button
+              type="button"
+              className="status-button"
+              disabled={saving || !note.trim()}
+              onClick={() => save((doc) => addNote(doc, user.id, note))}
+            >
+              Add note
+            </button>
+          </div>
+        </section>
+      )}
+
+      <section className="incident-card" aria-labelledby="incident-history-heading">
+        <h2 id="incident-history-heading">History</h2>
+        {(incident.history || []).length === 0 ? (
+          <p>No updates yet.</p>
+        ) : (
+          <ol className="incident-history">
+            {[...incident.history].reverse().map((entry, idx) => (
+              <HistoryEntry key={`${entry.at}-${idx}`} entry={entry} />
+            ))}
+          </ol>
+        )}
+      </section>
+    </div>
+  );
+}
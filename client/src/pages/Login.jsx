@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import "./Login.css";
+import { useAuth } from "../auth/AuthContext";
+
+const EMPTY_FORM = { name: "", email: "", phone: "", password: "" };
+
+export default function Login() {
+  const { login, register } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [mode, setMode] = useState("login"); // "login" | "register"
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isRegister = mode === "register";
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((f) => ({ ...f, [name]: value }));
+  }
+
+  function switchMode() {
+    setMode(isRegister ? "login" : "register");
+    setFormErrors({});
+    setMessage(null);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setFormErrors({});
+    setMessage(null);
+    setSubmitting(true);
+    try {
+      if (isRegister) {
+        await register(form);
+      } else {
+        await login(form.email, form.password);
+      }
+      navigate((location.state && location.state.from) || "/", { replace: true });
+    } catch (err) {
+      if (err.status) {
+        setFormErrors(err.details || {});
+        setMessage(err.message);
+      } else {
+        setMessage("Cannot reach the server. Check your connection and try again.");
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="login-page">
+      <form className="login-card" onSubmit={handleSubmit} noValidate aria-labelledby="login-heading">
+        <h1 id="login-heading" className="login-title">
+          {isRegister ? "Create an account" : "Sign in"}
+        </h1>
+
+        {message && (
+          <p className="login-message" role="alert">
+            {message}
+          </p>
+        )}
+
+        {isRegister && (
+          <div className="form-row">
+            <label htmlFor="name">Name</label>
+            <input
+              id="name"
+              name="name"
+              value={form.name}
+              onChange={handleChange}
+              autoComplete="name"
+              aria-invalid={formErrors.name ? "true" : "false"}
+              required
+            />
+            {formErrors.name && <p className="error-msg">{formErrors.name}</p>}
+          </div>
+        )}
+
+        <div className="form-row">
+          <label htmlFor="email">Email</label>
+          <input
+            id="email"
+            name="email"
+            type="email"
+            value={form.email}
+            onChange={handleChange}
+            autoComplete="email"
+            aria-invalid={formErrors.email ? "true" : "false"}
+            required
+          />
+          {formErrors.email && <p className="error-msg">{formErrors.email}</p>}
+        </div>
+
+        {isRegister && (
+          <div className="form-row">
+            <label htmlFor="phone">Phone (optional)</label>
+            <input
+              id="phone"
+              name="phone"
+              type="tel"
+              value={form.phone}
+              onChange={handleChange}
+              autoComplete="tel"
+            />
+          </div>
+        )}
+
+        <div className="form-row">
+          <label htmlFor="password">Password</label>
+          <input
+            id="password"
+            name="password"
+            type="password"
+            value={form.password}
+            onChange={handleChange}
+            autoComplete={isRegister ? "new-password" : "current-password"}
+            aria-invalid={formErrors.password ? "true" : "false"}
+            required
+          />
+          {formErrors.password && <p className="error-msg">{formErrors.password}</p>}
+        </div>
+
+        <button type="submit" className="login-submit" disabled={submitting}>
+          {submitting ? "Please wait..." : isRegister ? "Create account" : "Sign in"}
+        </button>
+
+        <button type="button" className="login-switch" onClick={switchMode}>
+          {isRegister ? "Already have an account? Sign in" : "New here? Create an account"}
+        </button>
+      </form>
+    </div>
+  );
+}
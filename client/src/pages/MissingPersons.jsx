@@ -0,0 +1,517 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { MapContainer, Marker, useMapEvents } from "react-leaflet";
+import BaseTileLayer from "../map/CachedTileLayer";
+import "leaflet/dist/leaflet.css";
+import "./MissingPersons.css";
+import { apiDownload, apiRequest } from "../api";
+import { buildPhotoDataUrl } from "../db/attachments";
+import useLiveDocuments from "../db/useLiveDocuments";
+import { isResource } from "../db/resourceSchema";
+import { PERSON_STATUSES, REPORTABLE_STATUSES } from "../db/personSchema";
+import { useAuth } from "../auth/AuthContext";
+
+// Approximate center of India
+const DEFAULT_POSITION = [22.9734, 78.6569];
+
+const OFFLINE_MESSAGE = "The registry is kept on the server to protect people's details. Please check your connection.";
+
+// ISO date -> value for <input type="datetime-local"> in local time
+function toLocalInput(iso) {
+  const date = iso ? new Date(iso) : new Date();
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function emptyDraft() {
+  return {
+    status: "missing",
+    name: "",
+    age: "",
+    description: "",
+    lastSeenAt: toLocalInput(),
+    shelterId: "",
+    contact: { name: "", phone: "", relation: "" },
+    position: DEFAULT_POSITION,
+    photo: undefined,
+  };
+}
+
+// Editable copy of a stored entry
+function toDraft(person) {
+  return {
+    status: person.status,
+    name: person.name,
+    age: person.age === null ? "" : String(person.age),
+    description: person.description || "",
+    lastSeenAt: toLocalInput(person.lastSeenAt),
+    shelterId: person.shelterId || "",
+    contact: { name: "", phone: "", relation: "", ...person.contact },
+    position: [person.latitude, person.longitude],
+    photo: undefined,
+  };
+}
+
+function errorDetails(err) {
+  return err.details && Object.keys(err.details).length > 0 ? err.details : { save: err.status ? err.message : OFFLINE_MESSAGE };
+}
+
+// Click the map or drag the marker to place the person
+function LocationPicker({ position, setPosition }) {
+  useMapEvents({
+    click(e) {
+      setPosition([e.latlng.lat, e.latlng.lng]);
+    },
+  });
+
+  return (
+    <Marker
+      draggable={true}
+      position={position}
+      eventHandlers={{
+        dragend(e) {
+          const latLng = e.target.getLatLng();
+          setPosition([latLng.lat, latLng.lng]);
+        },
+      }}
+    />
+  );
+}
+
+// The photo is served by the API only to people allowed to see the entry
+function PersonPhoto({ person }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!person.photo) return undefined;
+    let cancelled = false;
+    let objectUrl = null;
+    apiDownload(`/persons/${encodeURIComponent(person._id)}/photo`)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch((err) => console.error("Failed to load photo:", err));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      setUrl(null);
+    };
+  }, [person._id, person._rev, person.photo]);
+
+  if (!person.photo || !url) return null;
+  return <img src={url} alt={person.name} className="person-photo" />;
+}
+
+function PersonFacts({ person, shelters }) {
+  const shelter = person.shelterId && shelters.find((doc) => doc._id === person.shelterId);
+  return (
+    <dl className="person-facts">
+      <dt>Status</dt>
+      <dd><span className={`person-status person-status-${person.status}`}>{PERSON_STATUSES[person.status]}</span></dd>
+      {person.age !== null && (
+        <>
+          <dt>Age</dt>
+          <dd>{person.age}</dd>
+        </>
+      )}
+      <dt>{person.status === "missing" ? "Last seen" : "Found"}</dt>
+      <dd>
+        {new Date(person.lastSeenAt).toLocaleString()} near {person.latitude.toFixed(4)}, {person.longitude.toFixed(4)}
+      </dd>
+      {shelter && (
+        <>
+          <dt>Shelter</dt>
+          <dd>{shelter.name}</dd>
+        </>
+      )}
+      <dt>Contact</dt>
+      <dd>
+        {person.contact.name}
+        {person.contact.relation && ` (${person.contact.relation})`}
+        {" · "}
+        <a href={`tel:${person.contact.phone}`}>{person.contact.phone}</a>
+      </dd>
+      {person.description && (
+        <>
+          <dt>Description</dt>
+          <dd className="person-description">{person.description}</dd>
+        </>
+      )}
+    </dl>
+  );
+}
+
+// Why a match was suggested, in words
+function matchReasons(match) {
+  const reasons = [`names ${Math.round(match.nameScore * 100)}% alike`, `${match.distanceKm.toFixed(0)} km apart`];
+  const days = Math.round(Math.abs(match.days));
+  reasons.push(days === 0 ? "same day" : `${days} day${days === 1 ? "" : "s"} apart`);
+  if (match.ageGap !== null) reasons.push(match.ageGap === 0 ? "same age" : `ages ${match.ageGap} years apart`);
+  return reasons.join(" · ");
+}
+
+// Likely matches on the other side of the registry (person:view only)
+function PersonMatches({ person, shelters, onReunited }) {
+  const [matches, setMatches] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setMatches(null);
+    setError(null);
+    apiRequest(`/persons/${encodeURIComponent(person._id)}/matches`)
+      .then((result) => !cancelled && setMatches(result.matches))
+      .catch((err) => !cancelled && setError(err.status ? err.message : OFFLINE_MESSAGE));
+    return () => {
+      cancelled = true;
+    };
+  }, [person._id, person._rev]);
+
+  const reunite = async (match) => {
+    const note = window.prompt(`Confirm that ${person.name} and ${match.person.name} are the same person? Add a note (optional):`, "");
+    if (note === null) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await apiRequest(`/persons/${encodeURIComponent(person._id)}/reunite`, {
+        method: "POST",
+        body: { matchId: match.person._id, note },
+      });
+      onReunited();
+    } catch (err) {
+      setError(err.status ? err.message : OFFLINE_MESSAGE);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="person-matches" aria-labelledby="person-matches-heading">
+      <h3 id="person-matches-heading">Possible matches</h3>
+      {error && <p className="error-msg" role="alert">{error}</p>}
+      {matches === null && !error && <p className="person-hint">Looking for matches...</p>}
+      {matches && matches.length === 0 && <p className="person-hint">No likely matches yet.</p>}
+      {matches && matches.length > 0 && (
+        <ul className="person-match-list">
+          {matches.map((match) => (
+            <li key={match.person._id} className="person-match">
+              <div className="person-match-heading">
+                <strong>{match.person.name}</strong>
+                <span className="person-match-score">{Math.round(match.score * 100)}% match</span>
+              </div>
+              <p className="person-hint">{matchReasons(match)}</p>
+              <PersonPhoto person={match.person} />
+              <PersonFacts person={match.person} shelters={shelters} />
+              <button type="button" className="btn-primary" disabled={busy} onClick={() => reunite(match)}>
+                Confirm reunion
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+// === MissingPersons Component ===
+// Families register missing relatives and responders register people found or
+// in shelters; responders and coordinators see suggested matches and confirm
+// reunions. Entries hold personal details, so they are kept on the server
+// (server/controllers/handlePersons.js) and this page needs a connection.
+export default function MissingPersons() {
+  const { can } = useAuth();
+  const documents = useLiveDocuments();
+  const canViewAll = can("person:view");
+  const [persons, setPersons] = useState([]);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [search, setSearch] = useState("");
+  const [listError, setListError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const shelters = useMemo(
+    () => documents.filter((doc) => isResource(doc) && doc.kind === "shelter").sort((a, b) => a.name.localeCompare(b.name)),
+    [documents]
+  );
+
+  const load = useCallback(async () => {
+    const params = new URLSearchParams();
+    if (statusFilter) params.set("status", statusFilter);
+    if (search.trim()) params.set("q", search.trim());
+    try {
+      const result = await apiRequest(`/persons?${params.toString()}`);
+      setPersons(result.persons);
+      setListError(null);
+    } catch (err) {
+      setListError(err.status ? err.message : OFFLINE_MESSAGE);
+    }
+  }, [statusFilter, search]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const selected = persons.find((person) => person._id === selectedId) || null;
+  const reunitedWith = selected && persons.find((person) => person._id === selected.reunitedWith);
+
+  const setField = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+  const setContact = (field) => (e) => setDraft({ ...draft, contact: { ...draft.contact, [field]: e.target.value } });
+
+  const resetForm = () => {
+    setEditing(null);
+    setDraft(emptyDraft());
+    setFormErrors({});
+  };
+
+  const startEditing = (person) => {
+    setEditing(person);
+    setDraft(toDraft(person));
+    setFormErrors({});
+  };
+
+  const handlePhoto = (e) => setDraft({ ...draft, photo: e.target.files[0] || undefined });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setFormErrors({});
+    try {
+      const body = {
+        status: draft.status,
+        name: draft.name,
+        age: draft.age,
+        description: draft.description,
+        lastSeenAt: draft.lastSeenAt ? new Date(draft.lastSeenAt).toISOString() : null,
+        shelterId: draft.status === "sheltered" ? draft.shelterId : null,
+        contact: draft.contact,
+        latitude: draft.position[0],
+        longitude: draft.position[1],
+      };
+      if (draft.photo) body.photo = await buildPhotoDataUrl(draft.photo);
+      const saved = editing
+        ? await apiRequest(`/persons/${encodeURIComponent(editing._id)}`, { method: "PUT", body: { ...body, _rev: editing._rev } })
+        : await apiRequest("/persons", { method: "POST", body });
+      resetForm();
+      setSelectedId(saved._id);
+      await load();
+    } catch (err) {
+      console.error("Failed to save person:", err);
+      setFormErrors(err.code === "conflict"
+        ? { save: "Someone else updated this entry. Reopen it to see the latest version." }
+        : errorDetails(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (person) => {
+    if (!window.confirm(`Remove ${person.name} from the registry?`)) return;
+    try {
+      await apiRequest(`/persons/${encodeURIComponent(person._id)}?rev=${encodeURIComponent(person._rev)}`, { method: "DELETE" });
+      setSelectedId(null);
+      if (editing && editing._id === person._id) resetForm();
+      await load();
+    } catch (err) {
+      alert(err.status ? err.message : OFFLINE_MESSAGE);
+    }
+  };
+
+  const located = draft.status !== "missing";
+
+  return (
+    <div className="person-page">
+      <Link to="/" className="person-back">&larr; Back to dashboard</Link>
+      <h1>Missing Persons</h1>
+      <p className="person-hint">
+        {canViewAll
+          ? "You can see every entry. Contact details are for reuniting families only."
+          : "Only you, responders and coordinators can see the entries you register. Responders will call the contact number when there is a match."}
+      </p>
+
+      <form onSubmit={handleSubmit} className="person-card person-form" noValidate>
+        <h2>{editing ? `Edit ${editing.name}` : "Register a person"}</h2>
+
+        <fieldset>
+          <legend>This person is</legend>
+          <div className="person-options">
+            {REPORTABLE_STATUSES.map((status) => (
+              <label key={status}>
+                <input
+                  type="radio"
+                  name="personStatus"
+                  value={status}
+                  checked={draft.status === status}
+                  disabled={editing && editing.status === "reunited"}
+                  onChange={setField("status")}
+                />
+                {PERSON_STATUSES[status]}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        {formErrors.status && <p className="error-msg">{formErrors.status}</p>}
+
+        <div className="person-row">
+          <div>
+            <label htmlFor="personName">Full name *</label>
+            <input id="personName" type="text" value={draft.name} onChange={setField("name")} />
+            {formErrors.name && <p className="error-msg">{formErrors.name}</p>}
+          </div>
+          <div>
+            <label htmlFor="personAge">Age (approximate)</label>
+            <input id="personAge" type="number" min="0" max="120" value={draft.age} onChange={setField("age")} />
+            {formErrors.age && <p className="error-msg">{formErrors.age}</p>}
+          </div>
+        </div>
+
+        {draft.status === "sheltered" && (
+          <>
+            <label htmlFor="personShelter">Shelter</label>
+            <select id="personShelter" value={draft.shelterId} onChange={setField("shelterId")}>
+              <option value="">-- Select shelter --</option>
+              {shelters.map((shelter) => (
+                <option key={shelter._id} value={shelter._id}>{shelter.name}</option>
+              ))}
+            </select>
+            {formErrors.shelterId && <p className="error-msg">{formErrors.shelterId}</p>}
+          </>
+        )}
+
+        <label htmlFor="personLastSeen">{located ? "Found on *" : "Last seen on *"}</label>
+        <input id="personLastSeen" type="datetime-local" value={draft.lastSeenAt} onChange={setField("lastSeenAt")} />
+        {formErrors.lastSeenAt && <p className="error-msg">{formErrors.lastSeenAt}</p>}
+
+        <p className="person-map-label">
+          {located ? "Where they were found *" : "Where they were last seen *"} (click the map or drag the marker)
+        </p>
+        <div className="person-map">
+          <MapContainer center={draft.position} zoom={5} style={{ height: "100%", width: "100%" }}>
+            <BaseTileLayer />
+            <LocationPicker position={draft.position} setPosition={(position) => setDraft({ ...draft, position })} />
+          </MapContainer>
+        </div>
+        {formErrors.position && <p className="error-msg">{formErrors.position}</p>}
+
+        <label htmlFor="personDescription">Description</label>
+        <textarea
+          id="personDescription"
+          rows={3}
+          value={draft.description}
+          onChange={setField("description")}
+          placeholder="Clothes, height, marks, languages spoken, who they were with..."
+        />
+
+        <label htmlFor="personPhoto">Photo</label>
+        <input id="personPhoto" type="file" accept="image/*" onChange={handlePhoto} />
+        {editing && editing.photo && !draft.photo && <p className="person-hint">Leave empty to keep the current photo.</p>}
+        {formErrors.photo && <p className="error-msg">{formErrors.photo}</p>}
+
+        <fieldset>
+          <legend>Contact for this entry *</legend>
+          <div className="person-row">
+            <div>
+              <label htmlFor="contactName">Name</label>
+              <input id="contactName" type="text" value={draft.contact.name} onChange={setContact("name")} />
+            </div>
+            <div>
+              <label htmlFor="contactPhone">Phone</label>
+              <input id="contactPhone" type="tel" value={draft.contact.phone} onChange={setContact("phone")} />
+            </div>
+          </div>
+          <label htmlFor="contactRelation">Relation to the person</label>
+          <input
+            id="contactRelation"
+            type="text"
+            value={draft.contact.relation}
+            onChange={setContact("relation")}
+            placeholder={located ? "e.g. Shelter volunteer" : "e.g. Daughter"}
+          />
+        </fieldset>
+        {formErrors.contact && <p className="error-msg">{formErrors.contact}</p>}
+        {formErrors.save && <p className="error-msg" role="alert">{formErrors.save}</p>}
+
+        <div className="person-actions">
+          <button type="submit" className="btn-primary" disabled={saving}>
+            {saving ? "Saving..." : editing ? "Save changes" : "Register"}
+          </button>
+          {editing && (
+            <button type="button" className="btn-secondary" onClick={resetForm}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      <section className="person-card" aria-labelledby="person-list-heading">
+        <h2 id="person-list-heading">{canViewAll ? "Registry" : "Your entries"}</h2>
+        <div className="person-filters">
+          <select aria-label="Filter by status" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">All statuses</option>
+            {Object.keys(PERSON_STATUSES).map((status) => (
+              <option key={status} value={status}>{PERSON_STATUSES[status]}</option>
+            ))}
+          </select>
+          <input
+            type="search"
+            aria-label="Search by name"
+            placeholder="Search by name (spelling may vary)"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+        {listError && <p className="error-msg" role="alert">{listError}</p>}
+        {persons.length === 0 && !listError ? (
+          <p className="person-hint">No entries.</p>
+        ) : (
+          <ul className="person-list">
+            {persons.map((person) => (
+              <li key={person._id}>
+                <button
+                  type="button"
+                  className={`person-list-item${person._id === selectedId ? " selected" : ""}`}
+                  onClick={() => setSelectedId(person._id === selectedId ? null : person._id)}
+                >
+                  <span className={`person-status person-status-${person.status}`}>{PERSON_STATUSES[person.status]}</span>
+                  <strong>{person.name}</strong>
+                  {person.age !== null && <span>{person.age} yrs</span>}
+                  <span className="person-hint">{new Date(person.lastSeenAt).toLocaleDateString()}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {selected && (
+        <section className="person-card" aria-labelledby="person-detail-heading">
+          <h2 id="person-detail-heading">{selected.name}</h2>
+          <PersonPhoto person={selected} />
+          <PersonFacts person={selected} shelters={shelters} />
+          {selected.reunitedWith && (
+            <p className="person-hint">
+              {reunitedWith
+                ? `Reunited: the same person as the entry for ${reunitedWith.name}.`
+                : "Reunited: a responder has confirmed the match."}
+            </p>
+          )}
+          <div className="person-actions">
+            <button type="button" className="btn-secondary" onClick={() => startEditing(selected)}>
+              Edit
+            </button>
+            <button type="button" className="btn-secondary" onClick={() => handleDelete(selected)}>
+              Remove
+            </button>
+          </div>
+          {canViewAll && selected.status !== "reunited" && (
+            <PersonMatches person={selected} shelters={shelters} onReunited={load} />
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import "./PeerExchange.css";
+import usePeerNetwork, { startPeerNetwork, stopPeerNetwork } from "../p2p/peerNetwork";
+
+const RELAY_STATUS_LABELS = {
+  off: "Off",
+  connecting: "Connecting to relay…",
+  connected: "Connected to relay",
+  error: "Relay unreachable, retrying…",
+};
+
+const PEER_STATE_LABELS = {
+  connecting: "Connecting",
+  connected: "Exchanging",
+  disconnected: "Not connected",
+  failed: "Connection failed",
+};
+
+// === PeerExchange Component ===
+// Shares reports directly with devices on the same network when the central
+// database is out of reach. Reports received here sync onwards once it is back.
+export default function PeerExchange() {
+  const network = usePeerNetwork();
+  const [relayUrl, setRelayUrl] = useState(network.relayUrl);
+  const [deviceName, setDeviceName] = useState(network.deviceName);
+  const enabled = network.signaling !== "off";
+
+  const handleToggle = () => {
+    if (enabled) {
+      stopPeerNetwork();
+    } else {
+      startPeerNetwork({ relayUrl: relayUrl.trim(), deviceName: deviceName.trim() });
+    }
+  };
+
+  const totals = network.peers.reduce(
+    (sum, peer) => ({ sent: sum.sent + peer.sent, received: sum.received + peer.received }),
+    { sent: 0, received: 0 }
+  );
+
+  return (
+    <div className="peer-page">
+      <Link to="/" className="peer-back">&larr; Back to dashboard</Link>
+      <h1>Nearby Devices</h1>
+
+      <section className="peer-card" aria-label="Peer exchange settings">
+        <p>
+          Exchange reports directly with other devices on the same Wi-Fi or hotspot, without
+          internet. Any laptop on the network can run the relay that introduces devices
+          (<code>node server/scripts/p2pRelay.js</code>); reports then travel device to device.
+        </p>
+
+        <label htmlFor="peerDeviceName">This device's name</label>
+        <input
+          id="peerDeviceName"
+          type="text"
+          placeholder="e.g. Ward 4 volunteer phone"
+          value={deviceName}
+          onChange={(e) => setDeviceName(e.target.value)}
+          disabled={enabled}
+        />
+
+        <label htmlFor="peerRelayUrl">Relay address</label>
+        <input
+          id="peerRelayUrl"
+          type="url"
+          value={relayUrl}
+          onChange={(e) => setRelayUrl(e.target.value)}
+          disabled={enabled}
+        />
+
+        <div className="peer-actions">
+          <button type="button" className="btn-primary" onClick={handleToggle} disabled={!enabled && !relayUrl.trim()}>
+            {enabled ? "Stop sharing" : "Start sharing"}
+          </button>
+          <span className={`peer-relay peer-relay-${network.signaling}`} role="status">
+            {RELAY_STATUS_LABELS[network.signaling]}
+          </span>
+        </div>
+      </section>
+
+      <section className="peer-card" aria-label="Discovered devices">
+        <h2>Discovered devices ({network.peers.length})</h2>
+        {enabled && network.peers.length === 0 && <p>Looking for other devices on the relay…</p>}
+        {!enabled && <p>Start sharing to find devices nearby.</p>}
+        <ul className="peer-list">
+          {network.peers.map((peer) => (
+            <li key={peer.id} className="peer-list-item">
+              <div>
+                <strong>{peer.name}</strong>{" "}
+                <span className={`peer-state peer-state-${peer.state}`}>{PEER_STATE_LABELS[peer.state]}</span>
+              </div>
+              <p>
+                {peer.sent} documents sent · {peer.received} received
+              </p>
+            </li>
+          ))}
+        </ul>
+        {network.peers.length > 0 && (
+          <p className="peer-totals">
+            In total {totals.sent} documents sent and {totals.received} received. Documents a device
+            already has are never sent again.
+          </p>
+        )}
+      </section>
+    </div>
+  );
+}
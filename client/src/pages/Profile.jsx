@@ -1,11 +1,14 @@
 import React, { useState, useEffect, useRef } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import "./Profile.css";
 import pic from "./suryanshi.jpeg";
+import { useAuth } from "../auth/AuthContext";
+import useLiveDocuments from "../db/useLiveDocuments";
+import { isReport } from "../db/schema";
+import { TASK_KINDS, TASK_STATUSES, taskHistory } from "../db/taskSchema";
+import SosPushSettings from "../push/SosPushSettings";
 
 
-const LOCAL_KEY = "ddms_user_profile";
-
 // helper to read file as data URL
 function readFileAsDataURL(file) {
   return new Promise((resolve, reject) => {
@@ -21,44 +24,43 @@ function readFileAsDataURL(file) {
   });
 }
 
-const defaultProfile = {
-  name: "Suryanshi Singh",
-  email: "suryanshi.singh2023@vitstudent.ac.in",
-  phone: "9923457283",
-  avatar: pic, // placeholder avatar (same as Home dummy)
-  disastersReported: 2, // sample stat, update as needed
-};
+// Editable fields of the signed-in user; avatar null means the placeholder
+function toDraft(user) {
+  return {
+    name: user.name,
+    email: user.email,
+    phone: user.phone || "",
+    avatar: user.avatar || null,
+  };
+}
 
 export default function Profile() {
   const navigate = useNavigate();
-  const [profile, setProfile] = useState(defaultProfile);
+  const { user, updateProfile, logout, can } = useAuth();
+  const documents = useLiveDocuments();
   const [editing, setEditing] = useState(false);
-  const [draft, setDraft] = useState(profile);
+  const [draft, setDraft] = useState(() => toDraft(user));
+  const [saving, setSaving] = useState(false);
   const fileInputRef = useRef(null);
 
-  useEffect(() => {
-    // load from localStorage if available
-    try {
-      const stored = localStorage.getItem(LOCAL_KEY);
-      if (stored) {
-        setProfile(JSON.parse(stored));
-        setDraft(JSON.parse(stored));
-      }
-    } catch (err) {
-      console.warn("Could not load profile from localStorage", err);
-    }
-  }, []);
+  // Tasks this volunteer has claimed, including ones they handed back
+  const tasks = taskHistory(documents, user.id);
+  const profile = {
+    ...toDraft(user),
+    disastersReported: documents.filter((doc) => isReport(doc) && doc.reportedBy === user.id).length,
+    tasksCompleted: tasks.filter((task) => task.status === "completed" && task.assignee === user.id).length,
+  };
 
   useEffect(() => {
-    setDraft(profile);
-  }, [profile]);
+    if (!editing) setDraft(toDraft(user));
+  }, [user, editing]);
 
   function handleEdit() {
     setEditing(true);
   }
 
   function handleCancel() {
-    setDraft(profile);
+    setDraft(toDraft(user));
     setEditing(false);
   }
 
@@ -78,20 +80,26 @@ export default function Profile() {
     setDraft((d) => ({ ...d, [name]: value }));
   }
 
-  function handleSave(e) {
+  async function handleSave(e) {
     e.preventDefault();
-    const newProfile = { ...profile, ...draft };
-    setProfile(newProfile);
-    setEditing(false);
+    setSaving(true);
     try {
-      localStorage.setItem(LOCAL_KEY, JSON.stringify(newProfile));
+      await updateProfile({ name: draft.name, phone: draft.phone, avatar: draft.avatar });
+      setEditing(false);
     } catch (err) {
-      console.warn("Could not save profile to localStorage", err);
+      alert(err.status ? err.message : "Could not save your profile. Are you online?");
+    } finally {
+      setSaving(false);
     }
   }
 
+  function handleLogout() {
+    logout();
+    navigate("/login");
+  }
+
   function handleResetAvatar() {
-    setDraft((d) => ({ ...d, avatar: defaultProfile.avatar }));
+    setDraft((d) => ({ ...d, avatar: null }));
   }
 
   return (
@@ -122,7 +130,7 @@ export default function Profile() {
           <div className="profile-top">
             <div className="avatar-wrap">
               <img
-                src={editing ? draft.avatar : profile.avatar}
+                src={(editing ? draft.avatar : profile.avatar) || pic}
                 alt={`${profile.name} avatar`}
                 className="avatar-img"
               />
@@ -161,7 +169,12 @@ export default function Profile() {
                   <div className="stat-value">{profile.disastersReported}</div>
                   <div className="stat-label">Disasters Reported</div>
                 </div>
-                {/* Add other stats here if needed */}
+                {can("task:accept") && (
+                  <div className="stat-item">
+                    <div className="stat-value">{profile.tasksCompleted}</div>
+                    <div className="stat-label">Tasks Completed</div>
+                  </div>
+                )}
               </div>
 
               {!editing && (
@@ -192,8 +205,10 @@ export default function Profile() {
                   name="email"
                   type="email"
                   value={draft.email}
-                  onChange={handleChange}
+                  readOnly
+                  aria-describedby="emailHint"
                 />
+                <small id="emailHint">Your email identifies your account and cannot be changed.</small>
               </div>
 
               <div className="form-row">
@@ -202,8 +217,8 @@ export default function Profile() {
               </div>
 
               <div className="form-actions">
-                <button type="submit" className="btn btn-primary">
-                  Save
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {saving ? "Saving..." : "Save"}
                 </button>
                 <button type="button" className="btn btn-outline" onClick={handleCancel}>
                   Cancel
@@ -218,7 +233,7 @@ export default function Profile() {
           <div className="quick-list">
             <button
               className="btn btn-full"
-              onClick={() => navigate("/Report Disaster")}
+              onClick={() => navigate("/ReportDisaster")}
             >
               Report Disaster
             </button>
@@ -232,16 +247,50 @@ export default function Profile() {
             </button>
             <button
               className="btn btn-full btn-outline"
-              onClick={() => {
-                // sign-out example
-                localStorage.removeItem(LOCAL_KEY);
-                alert("Logged out (local demo). You may redirect to login here.");
-              }}
+              onClick={handleLogout}
             >
               Logout
             </button>
           </div>
         </section>
+
+        {can("task:accept") && (
+          <section className="card task-history" aria-labelledby="task-history-heading">
+            <h2 id="task-history-heading">My Tasks</h2>
+            {tasks.length === 0 ? (
+              <p className="task-history-empty">
+                No tasks yet. <Link to="/tasks">Find one near you</Link>.
+              </p>
+            ) : (
+              <ul className="task-history-list">
+                {tasks.map((task) => {
+                  const mine = task.assignee === user.id;
+                  return (
+                    <li key={task._id} className="task-history-item">
+                      <span className={`task-status task-status-${mine ? task.status : "cancelled"}`}>
+                        {mine ? TASK_STATUSES[task.status] : "Handed back"}
+                      </span>
+                      <div>
+                        <strong>{task.title}</strong>
+                        <div className="task-history-meta">
+                          {TASK_KINDS[task.kind]} · {new Date(task.updatedAt).toLocaleDateString()}
+                          {task.incidentId && (
+                            <>
+                              {" · "}
+                              <Link to={`/incidents/${encodeURIComponent(task.incidentId)}`}>Incident</Link>
+                            </>
+                          )}
+                        </div>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </section>
+        )}
+
+        {can("sos:notify") && <SosPushSettings />}
       </main>
     </div>
   );
@@ -0,0 +1,241 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import QRCode from "qrcode";
+import "./QRTransfer.css";
+import localDB from "../db/pouchdb";
+import useLiveDocuments from "../db/useLiveDocuments";
+import { isReport, isSOS } from "../db/schema";
+import { createFrameCollector, encodeFrames } from "../sneakernet/qrFrames";
+import { exportDocuments, importDocuments } from "../sneakernet/transfer";
+import QRScanner from "../sneakernet/QRScanner";
+
+// How long each code of a sequence stays on screen
+const FRAME_INTERVAL_MS = 800;
+// Beyond this many codes a transfer takes long enough to be worth a warning
+const LONG_TRANSFER_FRAMES = 40;
+
+function describe(doc) {
+  const what = isSOS(doc) ? `SOS (${doc.affectedPeople} people)` : doc.disasterType;
+  const when = doc.createdAt ? new Date(doc.createdAt).toLocaleString() : "unknown time";
+  return `${what} · severity ${doc.severity} · ${when}`;
+}
+
+// === SendCodes Component ===
+// Pick reports and show them as a looping sequence of QR codes
+function SendCodes({ documents }) {
+  const [selected, setSelected] = useState(() => new Set());
+  const [images, setImages] = useState(null);
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!images || !playing || images.length < 2) return;
+    const timer = setInterval(() => setFrameIndex((index) => (index + 1) % images.length), FRAME_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [images, playing]);
+
+  const toggle = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setSelected(next);
+  };
+
+  const generate = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const docs = await exportDocuments(localDB, Array.from(selected));
+      const frames = encodeFrames(docs);
+      setImages(await Promise.all(frames.map((frame) => QRCode.toDataURL(frame, { errorCorrectionLevel: "M", margin: 2, width: 360 }))));
+      setFrameIndex(0);
+      setPlaying(true);
+    } catch (err) {
+      console.error("Failed to build QR codes:", err);
+      setError("The selected reports could not be turned into QR codes.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (images) {
+    return (
+      <div className="qr-card">
+        <h2>Show these codes to the receiving device</h2>
+        <img className="qr-code" src={images[frameIndex]} alt={`QR code ${frameIndex + 1} of ${images.length}`} />
+        <p role="status">
+          Code {frameIndex + 1} of {images.length}. The sequence repeats until the other device has every code.
+        </p>
+        {images.length > LONG_TRANSFER_FRAMES && (
+          <p className="qr-warning">This is a long sequence. Sending fewer reports at a time is quicker to scan.</p>
+        )}
+        <div className="qr-actions">
+          <button type="button" className="btn-secondary" onClick={() => setFrameIndex((frameIndex - 1 + images.length) % images.length)}>
+            Previous
+          </button>
+          <button type="button" className="btn-secondary" onClick={() => setPlaying(!playing)}>
+            {playing ? "Pause" : "Play"}
+          </button>
+          <button type="button" className="btn-secondary" onClick={() => setFrameIndex((frameIndex + 1) % images.length)}>
+            Next
+          </button>
+          <button type="button" className="btn-primary" onClick={() => setImages(null)}>
+            Done
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="qr-card">
+      <h2>Send reports</h2>
+      {documents.length === 0 && <p>There are no reports or SOS alerts on this device.</p>}
+      {documents.length > 0 && (
+        <div className="qr-actions">
+          <button type="button" className="btn-secondary" onClick={() => setSelected(new Set(documents.map((doc) => doc._id)))}>
+            Select all
+          </button>
+          <button type="button" className="btn-secondary" onClick={() => setSelected(new Set())}>
+            Clear
+          </button>
+        </div>
+      )}
+      <ul className="qr-doc-list">
+        {documents.map((doc) => (
+          <li key={doc._id}>
+            <label>
+              <input type="checkbox" checked={selected.has(doc._id)} onChange={() => toggle(doc._id)} />
+              <span>
+                {describe(doc)}
+                {doc.mediaFileName && <em> · with attachment (needs many more codes)</em>}
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+      {error && <p className="error-msg" role="alert">{error}</p>}
+      <button type="button" className="btn-primary" onClick={generate} disabled={busy || selected.size === 0}>
+        {busy ? "Preparing codes..." : `Create QR codes for ${selected.size} selected`}
+      </button>
+    </div>
+  );
+}
+
+// === ReceiveCodes Component ===
+// Scan a sequence of codes in any order and merge the reports into this device
+function ReceiveCodes() {
+  const collectorRef = useRef(null);
+  const importingRef = useRef(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [scanning, setScanning] = useState(true);
+
+  if (!collectorRef.current) collectorRef.current = createFrameCollector();
+
+  const handleCode = async (text) => {
+    const collector = collectorRef.current;
+    if (importingRef.current) return;
+    const next = collector.add(text);
+    if (!next) return;
+    setProgress((prev) =>
+      prev && prev.transferId === next.transferId && prev.received.length === next.received.length ? prev : next
+    );
+    if (!collector.isComplete()) return;
+
+    importingRef.current = true;
+    setScanning(false);
+    try {
+      setResult(await importDocuments(localDB, collector.result()));
+    } catch (err) {
+      console.error("QR import failed:", err);
+      setError(err.message);
+    }
+  };
+
+  const restart = () => {
+    collectorRef.current = createFrameCollector();
+    importingRef.current = false;
+    setProgress(null);
+    setResult(null);
+    setError(null);
+    setScanning(true);
+  };
+
+  const missing = progress
+    ? Array.from({ length: progress.count }, (_, index) => index + 1).filter((n) => !progress.received.includes(n - 1))
+    : [];
+
+  return (
+    <div className="qr-card">
+      <h2>Receive reports</h2>
+      {scanning && <QRScanner onCode={handleCode} onError={(message) => { setError(message); setScanning(false); }} />}
+      {scanning && !progress && <p>Point the camera at the codes on the sending device.</p>}
+      {scanning && progress && (
+        <>
+          <progress value={progress.received.length} max={progress.count} />
+          <p role="status">
+            {progress.received.length} of {progress.count} codes scanned
+            {missing.length > 0 && missing.length <= 10 && ` (still need ${missing.join(", ")})`}.
+          </p>
+        </>
+      )}
+      {result && (
+        <p role="status" className="qr-success">
+          {result.added} new reports saved on this device
+          {result.alreadyPresent > 0 && `, ${result.alreadyPresent} were already here`}
+          {result.skipped > 0 && `, ${result.skipped} items skipped`}
+          {result.tampered > 0 && `, ${result.tampered} rejected because they were altered after signing`}. They will sync to the server once this device
+          is back online.
+        </p>
+      )}
+      {error && <p className="error-msg" role="alert">{error}</p>}
+      {!scanning && (
+        <button type="button" className="btn-primary" onClick={restart}>
+          Scan another transfer
+        </button>
+      )}
+    </div>
+  );
+}
+
+// === QRTransfer Component ===
+// Moves reports between devices with no network at all: one screen shows
+// QR codes, the other scans them with its camera.
+export default function QRTransfer() {
+  const documents = useLiveDocuments();
+  const [mode, setMode] = useState("send");
+
+  const transferable = useMemo(
+    () =>
+      documents
+        .filter((doc) => isReport(doc) || isSOS(doc))
+        .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || "")),
+    [documents]
+  );
+
+  return (
+    <div className="qr-page">
+      <Link to="/" className="qr-back">&larr; Back to dashboard</Link>
+      <h1>QR Transfer</h1>
+      <p>
+        Carry reports from people with no connection to a device that has one. Reports keep their
+        history, so they are not duplicated when several devices deliver the same one.
+      </p>
+
+      <div className="qr-tabs" role="tablist">
+        <button type="button" role="tab" aria-selected={mode === "send"} className={mode === "send" ? "active" : ""} onClick={() => setMode("send")}>
+          Send
+        </button>
+        <button type="button" role="tab" aria-selected={mode === "receive"} className={mode === "receive" ? "active" : ""} onClick={() => setMode("receive")}>
+          Receive
+        </button>
+      </div>
+
+      {mode === "send" ? <SendCodes documents={transferable} /> : <ReceiveCodes />}
+    </div>
+  );
+}
@@ -1,9 +1,14 @@
 import React, { useEffect, useState, useRef } from "react";
-import { MapContainer, TileLayer, Marker, useMapEvents } from "react-leaflet";
+import { MapContainer, Marker, useMapEvents } from "react-leaflet";
+import BaseTileLayer from "../map/CachedTileLayer";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 import "./ReportDisaster.css"
 import localDB from "../db/pouchdb";
+import { buildMediaAttachments } from "../db/attachments";
+import { signNewDocument } from "../db/deviceKey";
+import { DISASTER_TYPES, DOC_TYPES, createDocument, validateDocument } from "../db/schema";
+import { useAuth } from "../auth/AuthContext";
 
 // Fix Leaflet icon URLs (same as your Home.jsx setup)
 delete L.Icon.Default.prototype._getIconUrl;
@@ -13,18 +18,6 @@ L.Icon.Default.mergeOptions({
   shadowUrl: require("leaflet/dist/images/marker-shadow.png"),
 });
 
-// Predefined disaster types
-const DISASTER_TYPES = [
-  "Flood",
-  "Earthquake",
-  "Cyclone",
-  "Wildfire",
-  "Landslide",
-  "Tsunami",
-  "Volcanic Eruption",
-  "Other",
-];
-
 // Default center if geolocation not available
 const DEFAULT_POSITION = [22.9734, 78.6569]; // Approx India center
 
@@ -51,6 +44,7 @@ function LocationMarker({ position, setPosition }) {
 }
 
 function ReportDisaster() {
+  const { user } = useAuth();
   const [disasterType, setDisasterType] = useState("");
   const [description, setDescription] = useState("");
   const [position, setPosition] = useState(DEFAULT_POSITION);
@@ -107,12 +101,18 @@ function ReportDisaster() {
     };
   }, [filePreviewUrl]);
 
+  // Form fields in the shared report schema shape (see db/schema.js)
+  const reportFields = () => ({
+    disasterType,
+    description,
+    latitude: position && position[0],
+    longitude: position && position[1],
+    severity,
+    reportedBy: user && user.id,
+  });
+
   const validateForm = () => {
-    const errors = {};
-    if (!disasterType) errors.disasterType = "Please select a disaster type.";
-    if (!description.trim()) errors.description = "Please provide a description.";
-    if (!position || position.length !== 2) errors.position = "Please select a valid location.";
-    if (!(severity >= 1 && severity <= 10)) errors.severity = "Severity must be between 1 and 10.";
+    const errors = validateDocument({ type: DOC_TYPES.REPORT, ...reportFields() });
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -121,15 +121,18 @@ const handleSubmit = async (e) => {
   e.preventDefault();
   if (!validateForm()) return;
 
-  const reportDoc = {
-    _id: new Date().toISOString(),
-    disasterType,
-    description: description.trim(),
-    latitude: position[0],
-    longitude: position[1],
-    severity,
-    createdAt: new Date().toISOString()
-  };
+  let media;
+  try {
+    media = await buildMediaAttachments(file);
+  } catch (err) {
+    setFormErrors({ file: err.message });
+    return;
+  }
+
+  const reportDoc = await signNewDocument({
+    ...createDocument(DOC_TYPES.REPORT, reportFields()),
+    ...media
+  });
 
   try {
     await localDB.put(reportDoc);
@@ -244,10 +247,7 @@ const handleSubmit = async (e) => {
             scrollWheelZoom={false}
             aria-label="Map to select disaster location"
           >
-            <TileLayer
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-              attribution='&copy; <a href="http://osm.org/copyright">OpenStreetMap</a> contributors'
-            />
+            <BaseTileLayer />
             <LocationMarker position={position} setPosition={setPosition} />
           </MapContainer>
           <p className="location-coords" aria-live="polite">
@@ -286,7 +286,14 @@ const handleSubmit = async (e) => {
             id="fileUpload"
             accept="image/*,video/*"
             onChange={onFileChange}
+            aria-invalid={formErrors.file ? "true" : "false"}
+            aria-describedby="fileError"
           />
+          {formErrors.file && (
+            <p className="error-msg" id="fileError">
+              {formErrors.file}
+            </p>
+          )}
           {filePreviewUrl && (
             <PreviewMedia file={file} url={filePreviewUrl} />
           )}
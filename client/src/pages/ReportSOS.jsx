@@ -1,7 +1,13 @@
 import React, { useState, useRef, useEffect, useCallback } from "react";
-import { MapContainer, TileLayer, Marker, Popup, useMapEvents } from "react-leaflet";
+import { MapContainer, Marker, Popup, useMapEvents } from "react-leaflet";
+import BaseTileLayer from "../map/CachedTileLayer";
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
+import localDB, { syncEvents, isConfirmedByServer } from "../db/pouchdb";
+import { buildMediaAttachments } from "../db/attachments";
+import { signNewDocument } from "../db/deviceKey";
+import { DOC_TYPES, createDocument, validateDocument } from "../db/schema";
+import { useAuth } from "../auth/AuthContext";
 
 // Fix Leaflet icon URLs for many build environments
 delete L.Icon.Default.prototype._getIconUrl;
@@ -14,6 +20,58 @@ L.Icon.Default.mergeOptions({
 // Default center (approx center of India)
 const MAP_CENTER = [22.9734, 78.6569];
 const DEFAULT_ZOOM = 9;
+// How many of the user's previous SOS calls to list under the form
+const RECENT_SOS_LIMIT = 5;
+// SOS calls read from the local database at a time while looking for them
+const SOS_PAGE_SIZE = 50;
+// Ids of SOS calls raised on this device while signed out, newest first;
+// they carry no reportedBy, so this is the only way to find them again
+const ANONYMOUS_SOS_KEY = "ddms_anonymous_sos_ids";
+
+function readAnonymousSosIds() {
+  try {
+    return JSON.parse(localStorage.getItem(ANONYMOUS_SOS_KEY)) || [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function rememberAnonymousSos(id) {
+  try {
+    const ids = [id, ...readAnonymousSosIds().filter((other) => other !== id)].slice(0, RECENT_SOS_LIMIT);
+    localStorage.setItem(ANONYMOUS_SOS_KEY, JSON.stringify(ids));
+  } catch (err) {
+    console.warn(`Could not save ${ANONYMOUS_SOS_KEY} to localStorage`, err);
+  }
+}
+
+// The SOS calls to list: the signed-in user's own, or those raised on this
+// device while signed out. Other people's calls sync here too and must not show.
+async function loadOwnSosDocs(userId) {
+  if (!userId) {
+    const ids = readAnonymousSosIds();
+    if (ids.length === 0) return [];
+    const result = await localDB.allDocs({ keys: ids, include_docs: true });
+    return result.rows.filter((row) => row.doc && !row.doc.reportedBy).map((row) => row.doc);
+  }
+  // SOS ids start with the type and sort by time, so reading newest first a
+  // page at a time stops as soon as enough of the user's own calls turn up
+  const own = [];
+  let options = {
+    include_docs: true,
+    startkey: `${DOC_TYPES.SOS}_\ufff0`,
+    endkey: `${DOC_TYPES.SOS}_`,
+    descending: true,
+    limit: SOS_PAGE_SIZE,
+  };
+  for (;;) {
+    const { rows } = await localDB.allDocs(options);
+    own.push(...rows.map((row) => row.doc).filter((doc) => doc.reportedBy === userId));
+    if (own.length >= RECENT_SOS_LIMIT || rows.length < SOS_PAGE_SIZE) break;
+    options = { ...options, startkey: rows[rows.length - 1].id, skip: 1 };
+  }
+  return own.slice(0, RECENT_SOS_LIMIT);
+}
 
 // Small helper component: listens for clicks and updates parent via setLocation
 function MapClickHandler({ setLocation }) {
@@ -26,6 +84,8 @@ function MapClickHandler({ setLocation }) {
 }
 
 export default function ReportSOS() {
+  const { user } = useAuth();
+  const userId = user ? user.id : null;
   const [affectedPeople, setAffectedPeople] = useState("");
   const [severity, setSeverity] = useState(5);
   const [description, setDescription] = useState("");
@@ -35,8 +95,69 @@ export default function ReportSOS() {
   const [filePreviewUrl, setFilePreviewUrl] = useState(null);
   const [submitting, setSubmitting] = useState(false);
   const [message, setMessage] = useState(null);
+  // The user's recent SOS calls: { id, rev, createdAt, confirmed }
+  const [submissions, setSubmissions] = useState([]);
 
   const mapRef = useRef(null);
+  const submissionsRef = useRef(submissions);
+  submissionsRef.current = submissions;
+
+  // Ask the server about every submission that is still only stored locally
+  const refreshConfirmations = useCallback(async () => {
+    const pending = submissionsRef.current.filter((s) => !s.confirmed);
+    if (pending.length === 0) return;
+    const confirmedIds = [];
+    for (const s of pending) {
+      if (await isConfirmedByServer(s.id, s.rev)) confirmedIds.push(s.id);
+    }
+    if (confirmedIds.length === 0) return;
+    setSubmissions((prev) =>
+      prev.map((s) => (confirmedIds.includes(s.id) ? { ...s, confirmed: true } : s))
+    );
+  }, []);
+
+  // Load recent SOS calls from the local store so their status survives a reload
+  useEffect(() => {
+    let cancelled = false;
+    async function loadRecentSubmissions() {
+      try {
+        const docs = await loadOwnSosDocs(userId);
+        if (cancelled) return;
+        submissionsRef.current = docs.map((doc) => ({
+          id: doc._id,
+          rev: doc._rev,
+          createdAt: doc.createdAt,
+          confirmed: false,
+        }));
+        setSubmissions(submissionsRef.current);
+        refreshConfirmations();
+      } catch (err) {
+        console.error("Failed to load SOS submissions from local DB:", err);
+      }
+    }
+    loadRecentSubmissions();
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshConfirmations, userId]);
+
+  // Mark submissions confirmed as soon as replication pushes them,
+  // and re-check whenever sync goes idle (e.g. after reconnecting)
+  useEffect(() => {
+    const handleSyncChange = (info) => {
+      if (info.direction !== "push") return;
+      const pushed = info.change.docs.map((doc) => doc._id + doc._rev);
+      setSubmissions((prev) =>
+        prev.map((s) => (pushed.includes(s.id + s.rev) ? { ...s, confirmed: true } : s))
+      );
+    };
+    syncEvents.on("change", handleSyncChange);
+    syncEvents.on("paused", refreshConfirmations);
+    return () => {
+      syncEvents.removeListener("change", handleSyncChange);
+      syncEvents.removeListener("paused", refreshConfirmations);
+    };
+  }, [refreshConfirmations]);
 
   // Auto-detect location using Geolocation API
   const handleAutoDetectLocation = useCallback(() => {
@@ -92,28 +213,31 @@ export default function ReportSOS() {
     };
   }, []);
 
-  // Basic client-side validation
+  // Form fields in the shared SOS schema shape (see db/schema.js)
+  const sosFields = () => ({
+    affectedPeople,
+    severity: Number(severity),
+    description,
+    latitude: selectedLocation && selectedLocation[0],
+    longitude: selectedLocation && selectedLocation[1],
+    reportedBy: user && user.id,
+  });
+
+  // Client-side validation; shows the first problem in field order
   const validate = () => {
-    if (!affectedPeople || Number(affectedPeople) <= 0) {
-      setMessage({ type: "error", text: "Please enter the number of affected people (greater than 0)." });
-      return false;
-    }
-    if (!severity || Number(severity) < 1 || Number(severity) > 10) {
-      setMessage({ type: "error", text: "Please provide a severity between 1 and 10." });
-      return false;
-    }
-    if (!selectedLocation) {
-      setMessage({ type: "error", text: "Please select a location on the map or use Auto-detect." });
-      return false;
-    }
-    if (!description || description.trim().length < 10) {
-      setMessage({ type: "error", text: "Please provide a description (at least 10 characters)." });
+    const errors = validateDocument({ type: DOC_TYPES.SOS, ...sosFields() });
+    const firstError = ["affectedPeople", "severity", "position", "description"]
+      .map((field) => errors[field])
+      .find(Boolean);
+    if (firstError) {
+      setMessage({ type: "error", text: firstError });
       return false;
     }
     return true;
   };
 
-  // Submit handler (simulated)
+  // Submit handler: the SOS is written to the local PouchDB first, so it is
+  // never lost while offline, and live sync pushes it to the server.
   const handleSubmit = async (e) => {
     e.preventDefault();
     setMessage(null);
@@ -122,26 +246,41 @@ export default function ReportSOS() {
 
     setSubmitting(true);
 
+    let media;
     try {
-      // Build FormData (suitable for file uploads). Replace URL with your endpoint.
-      const formData = new FormData();
-      formData.append("affectedPeople", affectedPeople);
-      formData.append("severity", severity);
-      formData.append("description", description);
-      formData.append("latitude", selectedLocation[0]);
-      formData.append("longitude", selectedLocation[1]);
-      if (file) {
-        formData.append("file", file);
-      }
+      media = await buildMediaAttachments(file);
+    } catch (err) {
+      setMessage({ type: "error", text: err.message });
+      setSubmitting(false);
+      return;
+    }
 
-      // Example: Replace with your API endpoint. For now we'll simulate with a timeout.
-      // const resp = await fetch("/api/report-sos", { method: "POST", body: formData });
-      // const data = await resp.json();
+    const sosDoc = await signNewDocument({
+      ...createDocument(DOC_TYPES.SOS, sosFields()),
+      ...media,
+    });
 
-      await new Promise((res) => setTimeout(res, 1000)); // simulate network delay
+    try {
+      const result = await localDB.put(sosDoc);
+      if (!sosDoc.reportedBy) rememberAnonymousSos(result.id);
+      const submission = {
+        id: result.id,
+        rev: result.rev,
+        createdAt: sosDoc.createdAt,
+        confirmed: false,
+      };
+      submissionsRef.current = [submission, ...submissionsRef.current].slice(0, RECENT_SOS_LIMIT);
+      setSubmissions(submissionsRef.current);
 
-      setMessage({ type: "success", text: "SOS reported successfully. Responders will be notified." });
-      // Reset form (optional)
+      setMessage({
+        type: "success",
+        text: navigator.onLine
+          ? "SOS saved. It will be marked as confirmed once the server receives it."
+          : "You are offline. SOS saved on this device and will be sent automatically when you reconnect.",
+      });
+      refreshConfirmations();
+
+      // Reset form
       setAffectedPeople("");
       setSeverity(5);
       setDescription("");
@@ -149,7 +288,8 @@ export default function ReportSOS() {
       setFile(null);
       setFilePreviewUrl(null);
     } catch (err) {
-      setMessage({ type: "error", text: "Failed to submit. Please try again later." });
+      console.error("PouchDB save failed:", err);
+      setMessage({ type: "error", text: "Failed to save SOS on this device. Please try again." });
     } finally {
       setSubmitting(false);
     }
@@ -241,10 +381,7 @@ export default function ReportSOS() {
               className="sos-map-container"
               scrollWheelZoom={true}
             >
-              <TileLayer
-                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-                attribution='&copy; <a href="http://osm.org/copyright">OpenStreetMap</a> contributors'
-              />
+              <BaseTileLayer />
               <MapClickHandler setLocation={setSelectedLocation} />
               {selectedLocation && (
                 <Marker position={selectedLocation}>
@@ -292,6 +429,22 @@ export default function ReportSOS() {
           </button>
         </div>
       </form>
+
+      {submissions.length > 0 && (
+        <section className="sos-submissions" aria-labelledby="sos-submissions-heading">
+          <h2 id="sos-submissions-heading">Your recent SOS calls</h2>
+          <ul aria-live="polite">
+            {submissions.map((s) => (
+              <li key={s.id} className={s.confirmed ? "sos-confirmed" : "sos-local"}>
+                {new Date(s.createdAt).toLocaleString()} —{" "}
+                {s.confirmed
+                  ? "Confirmed by server"
+                  : "Stored on this device only (waiting to sync)"}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
     </div>
   );
 }
\ No newline at end of file
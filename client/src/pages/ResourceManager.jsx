@@ -0,0 +1,321 @@
+import React, { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { MapContainer, Marker, useMapEvents } from "react-leaflet";
+import BaseTileLayer from "../map/CachedTileLayer";
+import "leaflet/dist/leaflet.css";
+import "./ResourceManager.css";
+import localDB from "../db/pouchdb";
+import useLiveDocuments from "../db/useLiveDocuments";
+import {
+  RESOURCE_KINDS,
+  RESOURCE_STATUSES,
+  createResource,
+  isResource,
+  updateResource,
+  validateResource,
+} from "../db/resourceSchema";
+import { useAuth } from "../auth/AuthContext";
+
+// Approximate center of India
+const DEFAULT_POSITION = [22.9734, 78.6569];
+
+const EMPTY_STOCK_LINE = { item: "", quantity: "", unit: "" };
+
+function emptyDraft() {
+  return {
+    name: "",
+    kind: "",
+    status: "open",
+    address: "",
+    capacity: "",
+    occupancy: "",
+    stock: [],
+    contact: { name: "", phone: "" },
+    position: DEFAULT_POSITION,
+  };
+}
+
+// Editable copy of a stored centre
+function toDraft(resource) {
+  return {
+    name: resource.name,
+    kind: resource.kind,
+    status: resource.status,
+    address: resource.address || "",
+    capacity: resource.capacity === null ? "" : String(resource.capacity),
+    occupancy: resource.occupancy === null ? "" : String(resource.occupancy),
+    stock: (resource.stock || []).map((entry) => ({ ...entry, quantity: String(entry.quantity) })),
+    contact: { name: "", phone: "", ...resource.contact },
+    position: [resource.latitude, resource.longitude],
+  };
+}
+
+// Draft in the shared resource schema shape (see db/resourceSchema.js)
+function draftFields(draft) {
+  return {
+    ...draft,
+    latitude: draft.position[0],
+    longitude: draft.position[1],
+    stock: draft.stock.filter((entry) => entry.item.trim() || entry.quantity !== ""),
+  };
+}
+
+// Click the map or drag the marker to place the centre
+function LocationPicker({ position, setPosition }) {
+  useMapEvents({
+    click(e) {
+      setPosition([e.latlng.lat, e.latlng.lng]);
+    },
+  });
+
+  return (
+    <Marker
+      draggable={true}
+      position={position}
+      eventHandlers={{
+        dragend(e) {
+          const latLng = e.target.getLatLng();
+          setPosition([latLng.lat, latLng.lng]);
+        },
+      }}
+    />
+  );
+}
+
+// === ResourceManager Component ===
+// Coordinators register relief centres and keep their status and stock current.
+// Writes go to the local database and sync like reports do.
+export default function ResourceManager() {
+  const { user, can } = useAuth();
+  const documents = useLiveDocuments();
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const resources = useMemo(
+    () => documents.filter(isResource).sort((a, b) => a.name.localeCompare(b.name)),
+    [documents]
+  );
+
+  if (!can("resource:manage")) {
+    return (
+      <div className="resource-page">
+        <Link to="/" className="resource-back">&larr; Back to dashboard</Link>
+        <p>Only coordinators can manage relief centres.</p>
+      </div>
+    );
+  }
+
+  const setField = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+  const setContact = (field) => (e) =>
+    setDraft({ ...draft, contact: { ...draft.contact, [field]: e.target.value } });
+  const setStockLine = (index, field) => (e) =>
+    setDraft({
+      ...draft,
+      stock: draft.stock.map((entry, i) => (i === index ? { ...entry, [field]: e.target.value } : entry)),
+    });
+
+  const startEditing = (resource) => {
+    setEditing(resource);
+    setDraft(toDraft(resource));
+    setFormErrors({});
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setDraft(emptyDraft());
+    setFormErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const doc = editing
+      ? updateResource(editing, draftFields(draft), user.id)
+      : createResource(draftFields(draft), user.id);
+    const errors = validateResource(doc);
+    setFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSaving(true);
+    try {
+      await localDB.put(doc);
+      resetForm();
+    } catch (err) {
+      console.error("Failed to save relief centre:", err);
+      setFormErrors({
+        save: err.status === 409
+          ? "Someone else updated this centre. Reopen it to see the latest version."
+          : "Failed to save the centre locally.",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (resource) => {
+    if (!window.confirm(`Remove ${resource.name} from the registry?`)) return;
+    try {
+      await localDB.remove(resource);
+      if (editing && editing._id === resource._id) resetForm();
+    } catch (err) {
+      console.error("Failed to remove relief centre:", err);
+      alert("Failed to remove the centre.");
+    }
+  };
+
+  return (
+    <div className="resource-page">
+      <Link to="/" className="resource-back">&larr; Back to dashboard</Link>
+      <h1>Relief Centres</h1>
+
+      <form onSubmit={handleSubmit} className="resource-card resource-form" noValidate>
+        <h2>{editing ? `Edit ${editing.name}` : "Register a centre"}</h2>
+
+        <label htmlFor="resourceName">Name *</label>
+        <input id="resourceName" type="text" value={draft.name} onChange={setField("name")} />
+        {formErrors.name && <p className="error-msg">{formErrors.name}</p>}
+
+        <div className="resource-row">
+          <div>
+            <label htmlFor="resourceKind">Kind *</label>
+            <select id="resourceKind" value={draft.kind} onChange={setField("kind")}>
+              <option value="">-- Select kind --</option>
+              {Object.keys(RESOURCE_KINDS).map((kind) => (
+                <option key={kind} value={kind}>{RESOURCE_KINDS[kind]}</option>
+              ))}
+            </select>
+            {formErrors.kind && <p className="error-msg">{formErrors.kind}</p>}
+          </div>
+          <div>
+            <label htmlFor="resourceStatus">Status *</label>
+            <select id="resourceStatus" value={draft.status} onChange={setField("status")}>
+              {Object.keys(RESOURCE_STATUSES).map((status) => (
+                <option key={status} value={status}>{RESOURCE_STATUSES[status]}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <label htmlFor="resourceAddress">Address</label>
+        <input id="resourceAddress" type="text" value={draft.address} onChange={setField("address")} />
+
+        <fieldset className="resource-location">
+          <legend>Location *</legend>
+          {/* Remounted per centre so the map opens on the one being edited */}
+          <MapContainer
+            key={editing ? editing._id : "new"}
+            center={draft.position}
+            zoom={editing ? 12 : 5}
+            className="leaflet-container"
+            scrollWheelZoom={false}
+          >
+            <BaseTileLayer />
+            <LocationPicker
+              position={draft.position}
+              setPosition={(position) => setDraft((prev) => ({ ...prev, position }))}
+            />
+          </MapContainer>
+          <p className="location-coords">
+            Latitude {draft.position[0].toFixed(4)}, Longitude {draft.position[1].toFixed(4)}
+          </p>
+          {formErrors.position && <p className="error-msg">{formErrors.position}</p>}
+        </fieldset>
+
+        <div className="resource-row">
+          <div>
+            <label htmlFor="resourceCapacity">Capacity (people)</label>
+            <input id="resourceCapacity" type="number" min="0" value={draft.capacity} onChange={setField("capacity")} />
+            {formErrors.capacity && <p className="error-msg">{formErrors.capacity}</p>}
+          </div>
+          <div>
+            <label htmlFor="resourceOccupancy">Current occupancy</label>
+            <input id="resourceOccupancy" type="number" min="0" value={draft.occupancy} onChange={setField("occupancy")} />
+            {formErrors.occupancy && <p className="error-msg">{formErrors.occupancy}</p>}
+          </div>
+        </div>
+
+        <fieldset className="resource-stock">
+          <legend>Current stock</legend>
+          {draft.stock.map((entry, index) => (
+            <div className="resource-stock-line" key={index}>
+              <input type="text" placeholder="Item" aria-label="Item" value={entry.item} onChange={setStockLine(index, "item")} />
+              <input type="number" min="0" placeholder="Quantity" aria-label="Quantity" value={entry.quantity} onChange={setStockLine(index, "quantity")} />
+              <input type="text" placeholder="Unit" aria-label="Unit" value={entry.unit} onChange={setStockLine(index, "unit")} />
+              <button
+                type="button"
+                className="resource-remove-line"
+                aria-label={`Remove ${entry.item || "stock line"}`}
+                onClick={() => setDraft({ ...draft, stock: draft.stock.filter((_, i) => i !== index) })}
+              >
+                &times;
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            className="btn-secondary"
+            onClick={() => setDraft({ ...draft, stock: [...draft.stock, { ...EMPTY_STOCK_LINE }] })}
+          >
+            Add stock line
+          </button>
+          {formErrors.stock && <p className="error-msg">{formErrors.stock}</p>}
+        </fieldset>
+
+        <div className="resource-row">
+          <div>
+            <label htmlFor="contactName">Contact person</label>
+            <input id="contactName" type="text" value={draft.contact.name} onChange={setContact("name")} />
+          </div>
+          <div>
+            <label htmlFor="contactPhone">Contact phone *</label>
+            <input id="contactPhone" type="text" value={draft.contact.phone} onChange={setContact("phone")} />
+            {formErrors.contact && <p className="error-msg">{formErrors.contact}</p>}
+          </div>
+        </div>
+
+        {formErrors.save && <p className="error-msg" role="alert">{formErrors.save}</p>}
+        <div className="resource-actions">
+          <button type="submit" className="btn-primary" disabled={saving}>
+            {saving ? "Saving..." : editing ? "Save changes" : "Register centre"}
+          </button>
+          {editing && (
+            <button type="button" className="btn-secondary" onClick={resetForm}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      <section className="resource-card" aria-label="Registered centres">
+        <h2>Registered centres ({resources.length})</h2>
+        {resources.length === 0 && <p>No centres registered yet.</p>}
+        <ul className="resource-list">
+          {resources.map((resource) => (
+            <li key={resource._id} className="resource-list-item">
+              <div>
+                <strong>{resource.name}</strong>{" "}
+                <span className={`resource-status resource-${resource.status}`}>
+                  {RESOURCE_STATUSES[resource.status]}
+                </span>
+                <p>
+                  {RESOURCE_KINDS[resource.kind]}
+                  {resource.capacity !== null && ` · ${resource.occupancy || 0}/${resource.capacity} people`}
+                  {resource.stock.length > 0 && ` · ${resource.stock.length} stock lines`}
+                </p>
+              </div>
+              <div className="resource-actions">
+                <button type="button" className="btn-secondary" onClick={() => startEditing(resource)}>
+                  Edit
+                </button>
+                <button type="button" className="btn-secondary" onClick={() => handleDelete(resource)}>
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,302 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { MapContainer, Marker, Popup, Circle, Polyline, useMapEvents } from "react-leaflet";
+import BaseTileLayer from "../map/CachedTileLayer";
+import "leaflet/dist/leaflet.css";
+import "./SafeRoute.css";
+import config from "../config";
+import { distanceKm } from "../db/geo";
+import { getPosition } from "../db/schema";
+import { RESOURCE_KINDS, nearestOpenResources } from "../db/resourceSchema";
+import { buildRoadGraph, findRoute, nearestNode } from "../routing/roadGraph";
+import { hazardEdgeCost, hazardZones, zonesOnRoute } from "../routing/hazards";
+import { loadRoadNetwork, saveRoadNetwork } from "../routing/graphStore";
+
+// Approximate center of India
+const MAP_CENTER = [22.9734, 78.6569];
+
+const WALKING_SPEED_KMH = 5;
+// Points further than this from any road cannot be routed from
+const MAX_SNAP_KM = 2;
+
+// Map clicks set whichever end of the route is being picked
+function RoutePointPicker({ onPick }) {
+  useMapEvents({
+    click(e) {
+      onPick([e.latlng.lat, e.latlng.lng]);
+    },
+  });
+  return null;
+}
+
+// Safest route between `start` and `destination`, or { error }.
+// Blocking zones are avoided; if that leaves no way through, the route is
+// recomputed with them only penalised and marked `unsafe`.
+function planRoute(graph, zones, start, destination) {
+  const from = nearestNode(graph, start);
+  const to = nearestNode(graph, destination);
+  if (distanceKm(start, graph.positions[from]) > MAX_SNAP_KM) {
+    return { error: "The start point is too far from any road in the loaded network." };
+  }
+  if (distanceKm(destination, graph.positions[to]) > MAX_SNAP_KM) {
+    return { error: "The destination is too far from any road in the loaded network." };
+  }
+
+  let route = findRoute(graph, from, to, hazardEdgeCost(zones, false));
+  let unsafe = false;
+  if (!route) {
+    route = findRoute(graph, from, to, hazardEdgeCost(zones, true));
+    unsafe = true;
+  }
+  if (!route) return { error: "No road connects these two points in the loaded network." };
+  return { ...route, unsafe, hazards: zonesOnRoute(zones, route.path) };
+}
+
+// === SafeRoute Component ===
+// Routes over a cached road network, avoiding the danger zones of active
+// reports. Everything runs in the browser, so it works offline.
+export default function SafeRoute({ documents }) {
+  const [graph, setGraph] = useState(null);
+  const [network, setNetwork] = useState(null);
+  const [graphStatus, setGraphStatus] = useState("loading");
+  const [graphError, setGraphError] = useState(null);
+  const [start, setStart] = useState(null);
+  const [destination, setDestination] = useState(null);
+  const [picking, setPicking] = useState("start");
+  const [isLocating, setIsLocating] = useState(false);
+
+  // Road network cached on this device, if any
+  useEffect(() => {
+    loadRoadNetwork()
+      .then((loaded) => {
+        if (!loaded) {
+          setGraphStatus("missing");
+          return;
+        }
+        setGraph(buildRoadGraph(loaded.data));
+        setNetwork(loaded);
+        setGraphStatus("ready");
+      })
+      .catch((err) => {
+        console.error("Failed to load cached road network:", err);
+        setGraphError("The cached road network could not be read. Please load it again.");
+        setGraphStatus("missing");
+      });
+  }, []);
+
+  // Validate by building the graph first, then cache the raw file
+  const importNetwork = async (text, source) => {
+    setGraphStatus("loading");
+    setGraphError(null);
+    try {
+      setGraph(buildRoadGraph(JSON.parse(text)));
+      setNetwork({ source, savedAt: new Date().toISOString() });
+      setGraphStatus("ready");
+    } catch (err) {
+      setGraphError(err instanceof SyntaxError ? "The file is not valid JSON." : err.message);
+      setGraphStatus(graph ? "ready" : "missing");
+      return;
+    }
+    try {
+      await saveRoadNetwork(text, source);
+    } catch (err) {
+      console.error("Failed to cache road network:", err);
+      setGraphError("Road network loaded, but it could not be saved for offline use.");
+    }
+  };
+
+  const onFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (file) await importNetwork(await file.text(), file.name);
+  };
+
+  const downloadNetwork = async () => {
+    try {
+      const response = await fetch(config.roadNetworkUrl);
+      if (!response.ok) throw new Error(`Download failed (${response.status}).`);
+      await importNetwork(await response.text(), config.roadNetworkUrl);
+    } catch (err) {
+      setGraphError(`Could not download the road network: ${err.message}`);
+    }
+  };
+
+  const locate = () => {
+    if (!navigator.geolocation) {
+      alert("Geolocation is not supported by your browser.");
+      return;
+    }
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        setStart([pos.coords.latitude, pos.coords.longitude]);
+        setPicking("destination");
+        setIsLocating(false);
+      },
+      () => {
+        alert("Failed to get location. Please allow location services or tap the map.");
+        setIsLocating(false);
+      }
+    );
+  };
+
+  const zones = useMemo(() => hazardZones(documents), [documents]);
+  const centres = useMemo(
+    () => (start ? nearestOpenResources(documents, start, 10) : []),
+    [documents, start]
+  );
+  const route = useMemo(
+    () => (graph && start && destination ? planRoute(graph, zones, start, destination) : null),
+    [graph, zones, start, destination]
+  );
+
+  const pickPoint = (point) => {
+    if (picking === "start") {
+      setStart(point);
+      setPicking("destination");
+    } else {
+      setDestination(point);
+    }
+  };
+
+  const nearestShelter = centres.find((centre) => centre.kind === "shelter") || centres[0];
+
+  return (
+    <section className="feature-page safe-route" aria-label="Safe Route Page">
+      <h2>Safe Route Planner</h2>
+
+      <div className="safe-route-network">
+        {graphStatus === "loading" && <p>Loading road network…</p>}
+        {graphStatus === "ready" && network && (
+          <p>
+            Road network: <strong>{network.source}</strong> ({graph.positions.length} junctions,
+            cached {new Date(network.savedAt).toLocaleDateString()}). Works offline.
+          </p>
+        )}
+        {graphStatus === "missing" && (
+          <p>Load a road network for your area (GeoJSON lines or Overpass JSON) to plan routes offline.</p>
+        )}
+        <div className="safe-route-actions">
+          <label className="btn-secondary safe-route-file">
+            {graph ? "Replace road network" : "Load road network file"}
+            <input type="file" accept=".json,.geojson,application/json" onChange={onFileChange} />
+          </label>
+          {config.roadNetworkUrl && (
+            <button type="button" className="btn-secondary" onClick={downloadNetwork}>
+              Download area road network
+            </button>
+          )}
+        </div>
+        {graphError && <p className="error-msg" role="alert">{graphError}</p>}
+      </div>
+
+      <div className="safe-route-actions">
+        <button type="button" className="btn-secondary" onClick={locate} disabled={isLocating}>
+          {isLocating ? "Locating..." : "Start from my location"}
+        </button>
+        <button
+          type="button"
+          className={`btn-secondary ${picking === "start" ? "active" : ""}`}
+          onClick={() => setPicking("start")}
+        >
+          Tap map for start
+        </button>
+        <button
+          type="button"
+          className={`btn-secondary ${picking === "destination" ? "active" : ""}`}
+          onClick={() => setPicking("destination")}
+        >
+          Tap map for destination
+        </button>
+        {nearestShelter && (
+          <button
+            type="button"
+            className="btn-secondary"
+            onClick={() => setDestination(getPosition(nearestShelter))}
+          >
+            Go to nearest {nearestShelter.kind === "shelter" ? "shelter" : "relief centre"} ({nearestShelter.name})
+          </button>
+        )}
+      </div>
+
+      <MapContainer center={MAP_CENTER} zoom={5} className="leaflet-container" scrollWheelZoom={true}>
+        <BaseTileLayer />
+        <RoutePointPicker onPick={pickPoint} />
+        {zones.map((zone) => (
+          <Circle
+            key={zone.id}
+            center={zone.center}
+            radius={zone.radiusKm * 1000}
+            pathOptions={{
+              color: zone.blocking ? "#b91c1c" : "#f97316",
+              fillOpacity: zone.blocking ? 0.3 : 0.15,
+            }}
+          >
+            <Popup>
+              {zone.disasterType} · severity {zone.severity}<br />
+              {zone.blocking ? "Avoided" : "Penalised"} within {zone.radiusKm.toFixed(1)} km
+            </Popup>
+          </Circle>
+        ))}
+        {route && route.path && (
+          <Polyline
+            positions={route.path}
+            pathOptions={{ color: route.unsafe ? "#b91c1c" : "#2563eb", weight: 5 }}
+          />
+        )}
+        {start && (
+          <Marker position={start}>
+            <Popup>Start</Popup>
+          </Marker>
+        )}
+        {destination && (
+          <Marker position={destination}>
+            <Popup>Destination</Popup>
+          </Marker>
+        )}
+      </MapContainer>
+
+      <div className="safe-route-result" aria-live="polite">
+        {!start && <p>Choose a start point: use your location or tap the map.</p>}
+        {start && !destination && <p>Now choose a destination, or pick the nearest relief centre.</p>}
+        {start && destination && !graph && <p>Load a road network to plan the route.</p>}
+        {route && route.error && <p className="error-msg">{route.error}</p>}
+        {route && route.path && (
+          <>
+            <p>
+              <strong>{route.km.toFixed(1)} km</strong> · about{" "}
+              {Math.round((route.km / WALKING_SPEED_KMH) * 60)} min on foot
+            </p>
+            {route.unsafe ? (
+              <p className="safe-route-warning" role="alert">
+                No route avoids every danger zone. This one crosses {route.hazards.length} hazard
+                area(s); proceed with caution.
+              </p>
+            ) : route.hazards.length > 0 ? (
+              <p>Passes the edge of {route.hazards.length} lower-severity hazard area(s).</p>
+            ) : (
+              <p>This route avoids all active hazard zones.</p>
+            )}
+          </>
+        )}
+        {centres.length > 0 && (
+          <label>
+            Or route to an open centre:{" "}
+            <select
+              value=""
+              onChange={(e) => {
+                const centre = centres.find((c) => c._id === e.target.value);
+                if (centre) setDestination(getPosition(centre));
+              }}
+            >
+              <option value="">-- Select --</option>
+              {centres.map((centre) => (
+                <option key={centre._id} value={centre._id}>
+                  {centre.name} ({RESOURCE_KINDS[centre.kind]}, {centre.distanceKm.toFixed(1)} km)
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,255 @@
+import React, { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import "./TaskBoard.css";
+import localDB from "../db/pouchdb";
+import useLiveDocuments from "../db/useLiveDocuments";
+import {
+  TASK_KINDS,
+  TASK_SKILLS,
+  TASK_STATUSES,
+  addTaskUpdate,
+  cancelTask,
+  claimTask,
+  completeTask,
+  isTask,
+  nearbyOpenTasks,
+  releaseTask,
+} from "../db/taskSchema";
+import { useAuth } from "../auth/AuthContext";
+
+const RADIUS_OPTIONS_KM = [10, 25, 50, 100];
+
+function newestFirst(a, b) {
+  return a.updatedAt < b.updatedAt ? 1 : -1;
+}
+
+// Kind, skills and where the task came from
+function TaskSummary({ task }) {
+  const last = task.updates[task.updates.length - 1];
+  return (
+    <>
+      <div className="task-heading">
+        <h3>{task.title}</h3>
+        <span className={`task-status task-status-${task.status}`}>{TASK_STATUSES[task.status]}</span>
+      </div>
+      <p className="task-meta">
+        {TASK_KINDS[task.kind]}
+        {task.distanceKm !== undefined && ` · ${task.distanceKm.toFixed(1)} km away`}
+        {task.assigneeName && ` · ${task.assigneeName}`}
+        {task.incidentId && (
+          <>
+            {" · "}
+            <Link to={`/incidents/${encodeURIComponent(task.incidentId)}`}>Incident</Link>
+          </>
+        )}
+      </p>
+      {task.skills.length > 0 && (
+        <ul className="task-skills" aria-label="Skills needed">
+          {task.skills.map((skill) => <li key={skill}>{TASK_SKILLS[skill]}</li>)}
+        </ul>
+      )}
+      {task.description && <p className="task-description">{task.description}</p>}
+      {last.note && (
+        <p className="task-last-update">
+          {last.name}, {new Date(last.at).toLocaleString()}: {last.note}
+        </p>
+      )}
+    </>
+  );
+}
+
+// === TaskBoard Component ===
+// Volunteers find open tasks near them, claim one, post progress and mark it
+// complete. Coordinators raise tasks from an incident page. Every change is
+// written to the local database and syncs later, so this works offline in
+// the field; CouchDB re-checks who may make each change.
+export default function TaskBoard() {
+  const { user, can } = useAuth();
+  const documents = useLiveDocuments();
+  const [origin, setOrigin] = useState(null);
+  const [radiusKm, setRadiusKm] = useState(RADIUS_OPTIONS_KM[1]);
+  const [locating, setLocating] = useState(false);
+  const [notes, setNotes] = useState({});
+  const [saving, setSaving] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const tasks = useMemo(() => documents.filter(isTask), [documents]);
+  const myTasks = tasks.filter((task) => task.status === "claimed" && task.assignee === user.id).sort(newestFirst);
+  // Without a location every open task is listed, newest first
+  const openTasks = origin
+    ? nearbyOpenTasks(tasks, origin, radiusKm)
+    : tasks.filter((task) => task.status === "open").sort(newestFirst);
+  const othersClaimed = tasks.filter((task) => task.status === "claimed" && task.assignee !== user.id).sort(newestFirst);
+
+  if (!can("task:accept")) {
+    return (
+      <div className="task-page">
+        <Link to="/" className="task-back">&larr; Back to dashboard</Link>
+        <p>Only volunteers and coordinators can take on tasks.</p>
+      </div>
+    );
+  }
+
+  const locate = () => {
+    if (!navigator.geolocation) {
+      setMessage("Geolocation is not supported by your browser.");
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        setOrigin([pos.coords.latitude, pos.coords.longitude]);
+        setLocating(false);
+      },
+      () => {
+        setMessage("Failed to get location. Please allow location services.");
+        setLocating(false);
+      }
+    );
+  };
+
+  // `change` is one of the taskSchema helpers; it throws when the move is not allowed
+  const save = async (task, change) => {
+    setSaving(task._id);
+    setMessage(null);
+    try {
+      await localDB.put(change(task));
+      setNotes({ ...notes, [task._id]: "" });
+    } catch (err) {
+      setMessage(
+        err.status === 409
+          ? "Someone else changed this task just now. Please check it and try again."
+          : err.message
+      );
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const noteFor = (task) => notes[task._id] || "";
+  const setNote = (task) => (e) => setNotes({ ...notes, [task._id]: e.target.value });
+
+  const cancelButton = (task) =>
+    can("task:manage") && (
+      <button
+        type="button"
+        className="btn-secondary"
+        disabled={saving === task._id}
+        onClick={() => {
+          if (window.confirm(`Cancel "${task.title}"?`)) save(task, (doc) => cancelTask(doc, user, noteFor(task)));
+        }}
+      >
+        Cancel task
+      </button>
+    );
+
+  return (
+    <div className="task-page">
+      <Link to="/" className="task-back">&larr; Back to dashboard</Link>
+      <h1>Volunteer Tasks</h1>
+      {message && <p className="error-msg" role="alert">{message}</p>}
+
+      <section className="task-card" aria-labelledby="my-tasks-heading">
+        <h2 id="my-tasks-heading">My tasks</h2>
+        {myTasks.length === 0 ? (
+          <p className="task-hint">You have not claimed a task. Pick one from the list below.</p>
+        ) : (
+          <ul className="task-list">
+            {myTasks.map((task) => (
+              <li key={task._id} className="task-item">
+                <TaskSummary task={task} />
+                <label htmlFor={`note-${task._id}`}>Progress update</label>
+                <textarea
+                  id={`note-${task._id}`}
+                  rows={2}
+                  value={noteFor(task)}
+                  onChange={setNote(task)}
+                  placeholder="Where you are, what is done, what is still needed..."
+                />
+                <div className="task-actions">
+                  <button
+                    type="button"
+                    className="btn-primary"
+                    disabled={saving === task._id || !noteFor(task).trim()}
+                    onClick={() => save(task, (doc) => addTaskUpdate(doc, user, noteFor(task)))}
+                  >
+                    Post update
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-primary"
+                    disabled={saving === task._id}
+                    onClick={() => save(task, (doc) => completeTask(doc, user, noteFor(task)))}
+                  >
+                    Mark complete
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    disabled={saving === task._id}
+                    onClick={() => save(task, (doc) => releaseTask(doc, user, noteFor(task)))}
+                  >
+                    Hand back
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="task-card" aria-labelledby="open-tasks-heading">
+        <h2 id="open-tasks-heading">{origin ? "Open tasks near you" : "Open tasks"}</h2>
+        <div className="task-location">
+          <button type="button" className="btn-secondary" disabled={locating} onClick={locate}>
+            {locating ? "Locating..." : origin ? "Update my location" : "Show tasks near me"}
+          </button>
+          {origin && (
+            <>
+              <label htmlFor="taskRadius">Within</label>
+              <select id="taskRadius" value={radiusKm} onChange={(e) => setRadiusKm(Number(e.target.value))}>
+                {RADIUS_OPTIONS_KM.map((km) => <option key={km} value={km}>{km} km</option>)}
+              </select>
+            </>
+          )}
+        </div>
+        {openTasks.length === 0 ? (
+          <p className="task-hint">{origin ? "No open tasks within this distance." : "No open tasks right now."}</p>
+        ) : (
+          <ul className="task-list">
+            {openTasks.map((task) => (
+              <li key={task._id} className="task-item">
+                <TaskSummary task={task} />
+                <div className="task-actions">
+                  <button
+                    type="button"
+                    className="btn-primary"
+                    disabled={saving === task._id}
+                    onClick={() => save(task, (doc) => claimTask(doc, user))}
+                  >
+                    Claim
+                  </button>
+                  {cancelButton(task)}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {can("task:manage") && othersClaimed.length > 0 && (
+        <section className="task-card" aria-labelledby="claimed-tasks-heading">
+          <h2 id="claimed-tasks-heading">Claimed by other volunteers</h2>
+          <ul className="task-list">
+            {othersClaimed.map((task) => (
+              <li key={task._id} className="task-item">
+                <TaskSummary task={task} />
+                <div className="task-actions">{cancelButton(task)}</div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from "react";
+import {
+  RADIUS_OPTIONS_KM,
+  disableSosPush,
+  enableSosPush,
+  getDeviceSubscription,
+  getPushSettings,
+  isPushSupported,
+} from "./sosPush";
+
+function errorMessage(err) {
+  return err.status ? err.message : err.message || "Something went wrong. Are you online?";
+}
+
+// === SosPushSettings Component ===
+// Profile card where responders choose a home location and radius and turn
+// on push notifications for new SOS calls inside it, per device.
+export default function SosPushSettings() {
+  const [loaded, setLoaded] = useState(false);
+  const [subscribed, setSubscribed] = useState(false);
+  const [home, setHome] = useState(null);
+  const [radiusKm, setRadiusKm] = useState(RADIUS_OPTIONS_KM[2]);
+  const [busy, setBusy] = useState(false);
+  const [locating, setLocating] = useState(false);
+  const [error, setError] = useState(null);
+  const supported = isPushSupported();
+
+  useEffect(() => {
+    if (!supported) return undefined;
+    let cancelled = false;
+    Promise.all([getPushSettings(), getDeviceSubscription()])
+      .then(([settings, subscription]) => {
+        if (cancelled) return;
+        setHome(settings.home);
+        setRadiusKm(settings.radiusKm);
+        setSubscribed(Boolean(subscription && settings.endpoints.includes(subscription.endpoint)));
+        setLoaded(true);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(errorMessage(err));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [supported]);
+
+  const locate = () => {
+    if (!navigator.geolocation) {
+      setError("Geolocation is not supported by your browser.");
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        setHome({ latitude: pos.coords.latitude, longitude: pos.coords.longitude });
+        setLocating(false);
+      },
+      () => {
+        setError("Failed to get location. Please allow location services.");
+        setLocating(false);
+      }
+    );
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error("Updating SOS notifications failed:", err);
+      setError(errorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const enable = () =>
+    run(async () => {
+      await enableSosPush({ home, radiusKm });
+      setSubscribed(true);
+    });
+
+  const disable = () =>
+    run(async () => {
+      await disableSosPush();
+      setSubscribed(false);
+    });
+
+  return (
+    <section className="card sos-push" aria-labelledby="sos-push-heading">
+      <h2 id="sos-push-heading">SOS Notifications</h2>
+      {!supported ? (
+        <p className="sos-push-status">This browser cannot receive push notifications.</p>
+      ) : (
+        <>
+          <p className="sos-push-status">
+            {subscribed
+              ? `On for this device: new SOS calls within ${radiusKm} km of your home location.`
+              : "Get a notification on this device when someone nearby sends an SOS."}
+          </p>
+          <div className="form-row">
+            <label htmlFor="sosPushRadius">Notify me within</label>
+            <select id="sosPushRadius" value={radiusKm} onChange={(e) => setRadiusKm(Number(e.target.value))}>
+              {RADIUS_OPTIONS_KM.map((km) => (
+                <option key={km} value={km}>{km} km</option>
+              ))}
+            </select>
+          </div>
+          <p className="sos-push-home">
+            Home location:{" "}
+            {home ? `${home.latitude.toFixed(4)}, ${home.longitude.toFixed(4)}` : "not set"}
+          </p>
+          <div className="form-actions">
+            <button type="button" className="btn btn-outline" onClick={locate} disabled={locating}>
+              {locating ? "Locating..." : "Use my current location"}
+            </button>
+            <button type="button" className="btn btn-primary" onClick={enable} disabled={!loaded || !home || busy}>
+              {subscribed ? "Save changes" : "Turn on"}
+            </button>
+            {subscribed && (
+              <button type="button" className="btn btn-outline" onClick={disable} disabled={busy}>
+                Turn off on this device
+              </button>
+            )}
+          </div>
+        </>
+      )}
+      {error && <p className="sos-push-error" role="alert">{error}</p>}
+    </section>
+  );
+}
@@ -0,0 +1,67 @@
+// src/push/sosPush.js
+// Subscribes this device to Web Push for new SOS calls near the responder's
+// home location (see server/push/sosNotifier.js). The service worker shows
+// the notifications, so they arrive even when the app is closed.
+import { apiRequest } from "../api";
+
+export const RADIUS_OPTIONS_KM = [5, 10, 25, 50, 100];
+
+export function isPushSupported() {
+  return "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+}
+
+// VAPID keys are base64url; pushManager.subscribe() wants the raw bytes
+function urlBase64ToUint8Array(value) {
+  const base64 = (value + "=".repeat((4 - (value.length % 4)) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+// The worker is only registered in production builds (see serviceWorkerRegistration.js)
+async function getRegistration() {
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (!registration) throw new Error("Notifications need the installed app; reload once it has finished installing.");
+  return registration;
+}
+
+// This device's current subscription, or null
+export async function getDeviceSubscription() {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+// { home, radiusKm, endpoints } saved on the account
+export function getPushSettings() {
+  return apiRequest("/push/subscription");
+}
+
+// Must be called from a click, which the permission prompt requires
+export async function enableSosPush({ home, radiusKm }) {
+  if ((await Notification.requestPermission()) !== "granted") {
+    throw new Error("Notifications are blocked for this site. Allow them in your browser settings.");
+  }
+  const { publicKey } = await apiRequest("/push/public-key");
+  if (!publicKey) throw new Error("The server has no push keys configured.");
+  const registration = await getRegistration();
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey),
+    }));
+  return apiRequest("/push/subscription", {
+    method: "PUT",
+    body: { subscription: subscription.toJSON(), home, radiusKm },
+  });
+}
+
+export async function disableSosPush() {
+  const subscription = await getDeviceSubscription();
+  if (!subscription) return null;
+  const settings = await apiRequest("/push/subscription", {
+    method: "DELETE",
+    body: { endpoint: subscription.endpoint },
+  });
+  await subscription.unsubscribe();
+  return settings;
+}
@@ -0,0 +1,47 @@
+// src/routing/graphStore.js
+// Caches the loaded road network on the device (never synced), so the
+// planner keeps working offline once a network has been loaded.
+import PouchDB from "pouchdb";
+
+const graphDB = new PouchDB("ddms_road_graph");
+const GRAPH_DOC_ID = "road-network";
+const GRAPH_ATTACHMENT = "network.json";
+
+// Store raw road network JSON (a File, Blob or string). `source` is shown to the user.
+export async function saveRoadNetwork(data, source) {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: "application/json" });
+  let existing = null;
+  try {
+    existing = await graphDB.get(GRAPH_DOC_ID);
+  } catch (err) {
+    if (err.status !== 404) throw err;
+  }
+  const doc = {
+    _id: GRAPH_DOC_ID,
+    source,
+    sizeBytes: blob.size,
+    savedAt: new Date().toISOString(),
+    _attachments: {
+      [GRAPH_ATTACHMENT]: { content_type: "application/json", data: blob },
+    },
+  };
+  if (existing) doc._rev = existing._rev;
+  await graphDB.put(doc);
+}
+
+// { data, source, sizeBytes, savedAt } for the cached network, or null if none
+export async function loadRoadNetwork() {
+  try {
+    const doc = await graphDB.get(GRAPH_DOC_ID);
+    const blob = await graphDB.getAttachment(GRAPH_DOC_ID, GRAPH_ATTACHMENT);
+    return {
+      data: JSON.parse(await blob.text()),
+      source: doc.source,
+      sizeBytes: doc.sizeBytes,
+      savedAt: doc.savedAt,
+    };
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
@@ -0,0 +1,64 @@
+// src/routing/hazards.js
+// Danger zones around active disaster reports, used to steer routes away.
+import { distanceToSegmentKm } from "../db/geo";
+import { getPosition, isOpen, isReport } from "../db/schema";
+
+// Danger radius at severity 5, by disaster type; scales linearly with severity
+export const HAZARD_BASE_RADIUS_KM = {
+  Flood: 3,
+  Earthquake: 5,
+  Cyclone: 15,
+  Wildfire: 5,
+  Landslide: 1,
+  Tsunami: 3,
+  "Volcanic Eruption": 10,
+  Other: 1,
+};
+
+// Zones at or above this severity are closed to routing; milder ones are penalised
+export const BLOCKING_SEVERITY = 7;
+
+export function hazardRadiusKm(disasterType, severity) {
+  const base = HAZARD_BASE_RADIUS_KM[disasterType] || HAZARD_BASE_RADIUS_KM.Other;
+  return (base * severity) / 5;
+}
+
+// { id, center, radiusKm, severity, disasterType, blocking } for every open report
+export function hazardZones(documents) {
+  return documents
+    .filter((doc) => isReport(doc) && isOpen(doc) && getPosition(doc))
+    .map((doc) => ({
+      id: doc._id,
+      center: getPosition(doc),
+      radiusKm: hazardRadiusKm(doc.disasterType, doc.severity),
+      severity: doc.severity,
+      disasterType: doc.disasterType,
+      blocking: doc.severity >= BLOCKING_SEVERITY,
+    }));
+}
+
+// Whether the edge from-to passes within the zone anywhere along its length
+function touches(zone, from, to) {
+  return distanceToSegmentKm(zone.center, from, to) <= zone.radiusKm;
+}
+
+// Edge cost function for findRoute(). Edges in a blocking zone are excluded
+// unless `allowBlocking`, in which case every zone only multiplies the cost.
+export function hazardEdgeCost(zones, allowBlocking) {
+  return (from, to, km) => {
+    let factor = 1;
+    for (const zone of zones) {
+      if (!touches(zone, from, to)) continue;
+      if (zone.blocking && !allowBlocking) return Infinity;
+      factor = Math.max(factor, 1 + zone.severity);
+    }
+    return km * factor;
+  };
+}
+
+// Zones a finished route passes through
+export function zonesOnRoute(zones, path) {
+  return zones.filter((zone) =>
+    path.some((point, i) => i > 0 && touches(zone, path[i - 1], point))
+  );
+}
@@ -0,0 +1,55 @@
+import { hazardEdgeCost, hazardRadiusKm, hazardZones, zonesOnRoute } from "./hazards";
+
+// A blocking 6 km flood zone around Guwahati
+const zone = {
+  id: "report_flood",
+  center: [26.14, 91.73],
+  radiusKm: 6,
+  severity: 8,
+  disasterType: "Flood",
+  blocking: true,
+};
+
+// An edge whose ends and midpoint are all well outside the zone, though the
+// edge itself passes about 2 km from its centre
+const west = [26.1, 91.0];
+const east = [26.18, 92.0];
+
+describe("hazardZones", () => {
+  test("turns open reports into zones sized by type and severity", () => {
+    const zones = hazardZones([
+      { _id: "a", type: "report", status: "new", disasterType: "Flood", severity: 10, latitude: 26, longitude: 91 },
+      { _id: "b", type: "report", status: "resolved", disasterType: "Flood", severity: 10, latitude: 26, longitude: 91 },
+      { _id: "c", type: "sos", status: "new", severity: 10, latitude: 26, longitude: 91 },
+    ]);
+    expect(zones.map((z) => z.id)).toEqual(["a"]);
+    expect(zones[0].radiusKm).toBe(hazardRadiusKm("Flood", 10));
+    expect(zones[0].blocking).toBe(true);
+  });
+});
+
+describe("hazardEdgeCost", () => {
+  test("blocks an edge that crosses a zone between its ends", () => {
+    const cost = hazardEdgeCost([zone], false);
+    expect(cost(west, east, 100)).toBe(Infinity);
+  });
+
+  test("penalises instead of blocking when blocking zones are allowed", () => {
+    const cost = hazardEdgeCost([zone], true);
+    expect(cost(west, east, 100)).toBe(100 * (1 + zone.severity));
+  });
+
+  test("leaves edges that pass the zone by untouched", () => {
+    const cost = hazardEdgeCost([zone], false);
+    expect(cost([26.5, 91.23], [26.5, 92.23], 100)).toBe(100);
+    // In line with the zone but ending before it
+    expect(cost([26.14, 91.0], [26.14, 91.6], 60)).toBe(60);
+  });
+});
+
+describe("zonesOnRoute", () => {
+  test("lists the zones any leg passes through", () => {
+    expect(zonesOnRoute([zone], [[26.5, 91.0], west, east])).toEqual([zone]);
+    expect(zonesOnRoute([zone], [[26.5, 91.0], [26.5, 92.0]])).toEqual([]);
+  });
+});
@@ -0,0 +1,168 @@
+// src/routing/roadGraph.js
+// Road network for the Safe Route planner, built in the browser from a
+// locally loaded extract so routing needs no server.
+import { distanceKm } from "../db/geo";
+
+// Vertices closer than ~0.1 m are the same junction
+const COORD_PRECISION = 6;
+
+// Ways people cannot travel along
+const EXCLUDED_HIGHWAYS = ["proposed", "construction", "abandoned", "platform", "raceway"];
+
+function isRoutable(properties) {
+  const tags = (properties && (properties.tags || properties)) || {};
+  return EXCLUDED_HIGHWAYS.indexOf(tags.highway) === -1 && tags.access !== "no";
+}
+
+// [[lat, lng], ...] polylines from GeoJSON LineStrings/MultiLineStrings
+// (e.g. osmtogeojson or ogr2ogr output) or Overpass JSON from `out geom;`
+function extractLines(data) {
+  if (data && Array.isArray(data.features)) {
+    const lines = [];
+    data.features.forEach((feature) => {
+      const geometry = feature.geometry;
+      if (!geometry || !isRoutable(feature.properties)) return;
+      const parts =
+        geometry.type === "LineString" ? [geometry.coordinates]
+        : geometry.type === "MultiLineString" ? geometry.coordinates
+        : [];
+      parts.forEach((coords) => lines.push(coords.map(([lng, lat]) => [lat, lng])));
+    });
+    return lines;
+  }
+  if (data && Array.isArray(data.elements)) {
+    return data.elements
+      .filter((el) => el.type === "way" && Array.isArray(el.geometry) && isRoutable(el))
+      .map((el) => el.geometry.map((point) => [point.lat, point.lon]));
+  }
+  throw new Error("Unrecognised road network: expected GeoJSON lines or Overpass JSON with geometry.");
+}
+
+// Undirected graph: one-way restrictions are ignored because evacuation
+// is often on foot. Returns { positions: [[lat, lng]], edges: [[{ to, km }]] }.
+export function buildRoadGraph(data) {
+  const positions = [];
+  const edges = [];
+  const indexByKey = new Map();
+
+  const nodeFor = (point) => {
+    const key = `${point[0].toFixed(COORD_PRECISION)},${point[1].toFixed(COORD_PRECISION)}`;
+    let index = indexByKey.get(key);
+    if (index === undefined) {
+      index = positions.length;
+      indexByKey.set(key, index);
+      positions.push(point);
+      edges.push([]);
+    }
+    return index;
+  };
+
+  extractLines(data).forEach((line) => {
+    for (let i = 1; i < line.length; i++) {
+      const from = nodeFor(line[i - 1]);
+      const to = nodeFor(line[i]);
+      if (from === to) continue;
+      const km = distanceKm(positions[from], positions[to]);
+      edges[from].push({ to, km });
+      edges[to].push({ to: from, km });
+    }
+  });
+
+  if (positions.length === 0) throw new Error("The road network contains no roads.");
+  return { positions, edges };
+}
+
+// Index of the graph node closest to [lat, lng]
+export function nearestNode(graph, point) {
+  let best = -1;
+  let bestKm = Infinity;
+  graph.positions.forEach((position, index) => {
+    if (graph.edges[index].length === 0) return;
+    const km = distanceKm(point, position);
+    if (km < bestKm) {
+      best = index;
+      bestKm = km;
+    }
+  });
+  return best;
+}
+
+// Minimal binary heap of [priority, node]
+function createQueue() {
+  const heap = [];
+  return {
+    get size() {
+      return heap.length;
+    },
+    push(priority, node) {
+      heap.push([priority, node]);
+      let i = heap.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent][0] <= heap[i][0]) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+      }
+    },
+    pop() {
+      const top = heap[0];
+      const last = heap.pop();
+      if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+          if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+          if (smallest === i) break;
+          [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+          i = smallest;
+        }
+      }
+      return top[1];
+    },
+  };
+}
+
+// A* from node `start` to node `goal`. edgeCost(fromPosition, toPosition, km)
+// returns the cost of an edge (at least km, Infinity to exclude it).
+// Returns { path: [[lat, lng]], km } or null when the goal is unreachable.
+export function findRoute(graph, start, goal, edgeCost) {
+  const { positions, edges } = graph;
+  const cost = new Map([[start, 0]]);
+  const previous = new Map();
+  const done = new Set();
+  const queue = createQueue();
+  queue.push(distanceKm(positions[start], positions[goal]), start);
+
+  while (queue.size > 0) {
+    const node = queue.pop();
+    if (node === goal) break;
+    if (done.has(node)) continue;
+    done.add(node);
+
+    edges[node].forEach(({ to, km }) => {
+      if (done.has(to)) return;
+      const step = edgeCost(positions[node], positions[to], km);
+      if (step === Infinity) return;
+      const next = cost.get(node) + step;
+      if (next < (cost.has(to) ? cost.get(to) : Infinity)) {
+        cost.set(to, next);
+        previous.set(to, node);
+        queue.push(next + distanceKm(positions[to], positions[goal]), to);
+      }
+    });
+  }
+
+  if (!cost.has(goal)) return null;
+  const path = [];
+  let km = 0;
+  for (let node = goal; node !== undefined; node = previous.get(node)) {
+    path.unshift(positions[node]);
+    const prior = previous.get(node);
+    if (prior !== undefined) km += distanceKm(positions[prior], positions[node]);
+  }
+  return { path, km };
+}
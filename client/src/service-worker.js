@@ -0,0 +1,83 @@
+/* eslint-disable no-restricted-globals */
+// src/service-worker.js
+// Built by CRA's InjectManifest step (production builds only). Precaches the
+// app shell so every route opens without a network, and flushes writes
+// queued in the local database through Background Sync.
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { NetworkFirst, StaleWhileRevalidate } from "workbox-strategies";
+import { BACKGROUND_SYNC_TAG, pushLocalChanges } from "./db/backgroundPush";
+
+clientsClaim();
+
+// Hashed JS/CSS bundles and index.html from the build
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Client-side routes (/ReportSOS, /ReportDisaster, ...) all get the cached
+// index.html; requests for files (a dot in the last segment) do not
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+// public/config.js is edited on deployed servers, so prefer the network copy
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname === `${process.env.PUBLIC_URL}/config.js`,
+  new NetworkFirst({ cacheName: "runtime-config", networkTimeoutSeconds: 3 })
+);
+
+// Icons and other files from public/ that the build does not hash
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|ico|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: "public-assets",
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Registered by the page after every local write (see db/pouchdb.js)
+self.addEventListener("sync", (event) => {
+  if (event.tag === BACKGROUND_SYNC_TAG) {
+    event.waitUntil(pushLocalChanges());
+  }
+});
+
+// New SOS calls near a responder (see server/push/sosNotifier.js)
+self.addEventListener("push", (event) => {
+  const message = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(message.title || "New SOS nearby", {
+      body: message.body,
+      tag: message.tag,
+      requireInteraction: true,
+      vibrate: [300, 100, 300],
+      data: { url: message.url },
+    })
+  );
+});
+
+// Tapping a notification brings the app forward; SOS notifications also
+// open the call's details. Alert notifications (alerts/geofence.js) carry no url.
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = event.notification.data && event.notification.data.url;
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => "focus" in client);
+      if (!open) return self.clients.openWindow(url || "/");
+      return open.focus().then((client) => (url && client.navigate ? client.navigate(url) : client));
+    })
+  );
+});
+
+// Lets the page activate an updated worker without waiting for every tab to close
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
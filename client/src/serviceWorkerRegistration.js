@@ -0,0 +1,41 @@
+// src/serviceWorkerRegistration.js
+// Registers the service worker built from src/service-worker.js. Only
+// production builds have one; in development this does nothing.
+
+export function register({ onUpdate } = {}) {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  // The worker only controls pages under PUBLIC_URL, so it must be same-origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.onstatechange = () => {
+            if (installing.state !== "installed") return;
+            if (navigator.serviceWorker.controller) {
+              // Old tabs keep the previous version until they all close
+              console.log("📦 A new version is available; it will be used once all tabs are closed.");
+              if (onUpdate) onUpdate(registration);
+            } else {
+              console.log("📦 App is cached for offline use.");
+            }
+          };
+        };
+      })
+      .catch((err) => {
+        console.error("Service worker registration failed:", err);
+      });
+  });
+}
+
+export function unregister() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((err) => console.error(err.message));
+}
@@ -0,0 +1,76 @@
+import React, { useEffect, useRef } from "react";
+
+// Frames are decoded at most this often; phones cannot keep up with every video frame
+const SCAN_INTERVAL_MS = 150;
+// Decoding a downscaled frame is much faster and still reads dense codes
+const MAX_SCAN_DIMENSION = 720;
+
+// === QRScanner Component ===
+// Rear camera preview that calls onCode(text) for every QR code it reads
+// (repeats included). onError(message) if the camera cannot be opened.
+export default function QRScanner({ onCode, onError }) {
+  const videoRef = useRef(null);
+  const callbacksRef = useRef({ onCode, onError });
+  callbacksRef.current = { onCode, onError };
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+
+    async function start() {
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        callbacksRef.current.onError("This browser cannot use the camera here. Open the app over HTTPS or on localhost.");
+        return;
+      }
+      try {
+        // Loaded on demand: only devices that receive need the decoder
+        const [{ default: jsQR }, media] = await Promise.all([
+          import("jsqr"),
+          navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false }),
+        ]);
+        stream = media;
+        if (stopped) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        const video = videoRef.current;
+        video.srcObject = stream;
+        await video.play();
+
+        const scan = () => {
+          if (stopped) return;
+          if (video.readyState >= video.HAVE_ENOUGH_DATA) {
+            const scale = Math.min(1, MAX_SCAN_DIMENSION / Math.max(video.videoWidth, video.videoHeight));
+            canvas.width = Math.round(video.videoWidth * scale);
+            canvas.height = Math.round(video.videoHeight * scale);
+            context.drawImage(video, 0, 0, canvas.width, canvas.height);
+            const image = context.getImageData(0, 0, canvas.width, canvas.height);
+            const code = jsQR(image.data, image.width, image.height, { inversionAttempts: "dontInvert" });
+            if (code && code.data) callbacksRef.current.onCode(code.data);
+          }
+          timer = setTimeout(scan, SCAN_INTERVAL_MS);
+        };
+        scan();
+      } catch (err) {
+        console.error("Failed to start camera:", err);
+        callbacksRef.current.onError(
+          err.name === "NotAllowedError"
+            ? "Camera access was denied. Allow it in the browser settings to scan codes."
+            : "The camera could not be started."
+        );
+      }
+    }
+
+    start();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  return <video ref={videoRef} className="qr-scanner-video" muted playsInline aria-label="Camera preview" />;
+}
@@ -0,0 +1,106 @@
+// src/sneakernet/qrFrames.js
+// Packs documents into a sequence of QR code texts and reassembles them.
+// The JSON is deflated and base64-encoded, then split into frames of the form
+//
+//   DDMS1/<transfer id>/<index>/<count>/<frame crc32>/<base64 chunk>
+//
+// The transfer id is the CRC-32 of the whole compressed payload, so frames
+// from different transfers never mix and the result is checked end to end.
+import { deflateSync, inflateSync, strFromU8, strToU8 } from "fflate";
+
+const FRAME_PREFIX = "DDMS1";
+// Base64 characters per QR code; denser codes scan poorly on phone cameras
+export const FRAME_PAYLOAD_CHARS = 700;
+// The base64 chunk may itself contain "/"
+const FRAME_PATTERN = new RegExp(`^${FRAME_PREFIX}/([0-9a-f]{8})/(\\d+)/(\\d+)/([0-9a-f]{8})/([A-Za-z0-9+/=]+)$`);
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, "0");
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  // String.fromCharCode takes its arguments on the stack, so go in slices
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// QR code texts carrying `docs`, in order
+export function encodeFrames(docs) {
+  const compressed = deflateSync(strToU8(JSON.stringify({ docs })), { level: 9 });
+  const transferId = crc32(compressed);
+  const payload = toBase64(compressed);
+  const count = Math.ceil(payload.length / FRAME_PAYLOAD_CHARS);
+  const frames = [];
+  for (let index = 0; index < count; index++) {
+    const chunk = payload.slice(index * FRAME_PAYLOAD_CHARS, (index + 1) * FRAME_PAYLOAD_CHARS);
+    frames.push([FRAME_PREFIX, transferId, index, count, crc32(strToU8(chunk)), chunk].join("/"));
+  }
+  return frames;
+}
+
+// Collects scanned frames in any order, ignoring repeats.
+// add(text) returns { transferId, received: [indexes], count } once a frame is
+// accepted, or null for codes that are not intact DDMS frames. A frame of a
+// different transfer starts over. result() returns the documents once every
+// frame is in, and throws if the reassembled payload is corrupt.
+export function createFrameCollector() {
+  let transferId = null;
+  let chunks = [];
+
+  const progress = () => ({
+    transferId,
+    count: chunks.length,
+    received: chunks.reduce((found, chunk, index) => (chunk === undefined ? found : found.concat(index)), []),
+  });
+
+  return {
+    add(text) {
+      const match = FRAME_PATTERN.exec(text);
+      if (!match) return null;
+      const [, id, indexText, countText, checksum, chunk] = match;
+      const index = Number(indexText);
+      const count = Number(countText);
+      if (!Number.isInteger(count) || count < 1 || !Number.isInteger(index) || index < 0 || index >= count) {
+        return null;
+      }
+      if (crc32(strToU8(chunk)) !== checksum) return null;
+
+      if (id !== transferId || count !== chunks.length) {
+        transferId = id;
+        chunks = new Array(count).fill(undefined);
+      }
+      chunks[index] = chunk;
+      return progress();
+    },
+    isComplete() {
+      return chunks.length > 0 && chunks.every((chunk) => chunk !== undefined);
+    },
+    result() {
+      const compressed = fromBase64(chunks.join(""));
+      if (crc32(compressed) !== transferId) throw new Error("The scanned codes do not add up; scan them again.");
+      return JSON.parse(strFromU8(inflateSync(compressed))).docs;
+    },
+  };
+}
@@ -0,0 +1,55 @@
+// src/sneakernet/transfer.js
+// Reads documents out of and merges them into a PouchDB database for QR
+// transfer. Documents travel with their revision history (_revisions) and
+// every leaf revision, and are stored with new_edits: false, so the receiving
+// device holds the same revisions as the sender: CouchDB sync then treats a
+// report that also arrives by another route as the same report.
+import { isReport, isSOS } from "../db/schema";
+import { isUntampered } from "../db/signatures";
+
+function isTransferable(doc) {
+  return isReport(doc) || isSOS(doc);
+}
+
+// Every leaf revision of the given documents, with history and attachments
+export async function exportDocuments(db, ids) {
+  const docs = [];
+  for (const id of ids) {
+    const results = await db.get(id, { open_revs: "all", revs: true, attachments: true });
+    results.forEach((result) => {
+      if (result.ok && !result.ok._deleted) docs.push(result.ok);
+    });
+  }
+  return docs;
+}
+
+// Store the revisions this database lacks. Only reports and SOS alerts are
+// accepted; anything else in the transfer is skipped, as are documents whose
+// signature does not match their content.
+// Resolves to { added, alreadyPresent, skipped, tampered }.
+export async function importDocuments(db, docs) {
+  const candidates = docs.filter((doc) => doc && typeof doc._id === "string" && doc._rev && isTransferable(doc));
+  const accepted = [];
+  for (const doc of candidates) {
+    if (await isUntampered(doc, window.crypto && window.crypto.subtle)) accepted.push(doc);
+  }
+  const revs = {};
+  accepted.forEach((doc) => {
+    revs[doc._id] = (revs[doc._id] || []).concat(doc._rev);
+  });
+
+  const missing = await db.revsDiff(revs);
+  const toStore = accepted.filter((doc) => missing[doc._id] && missing[doc._id].missing.includes(doc._rev));
+  if (toStore.length > 0) {
+    const results = await db.bulkDocs(toStore, { new_edits: false });
+    const failed = results.find((result) => result.error);
+    if (failed) throw new Error(`Could not store ${failed.id}: ${failed.reason || failed.message || failed.error}`);
+  }
+
+  return {
+    added: toStore.length,
+    alreadyPresent: accepted.length - toStore.length,
+    skipped: docs.length - candidates.length,
+    tampered: candidates.length - accepted.length,
+  };
+}
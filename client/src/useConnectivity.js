@@ -0,0 +1,66 @@
+// src/useConnectivity.js
+// navigator.onLine only says a network interface is up; during a disaster
+// a phone is often "online" to a dead cell tower. Probe the API's health
+// endpoint to learn whether the server can actually be reached.
+import { useEffect, useState } from "react";
+import config from "./config";
+
+const PROBE_INTERVAL_MS = 30 * 1000;
+const PROBE_TIMEOUT_MS = 5 * 1000;
+
+// reachable: true/false after a probe, null before the first one finishes
+let status = { online: navigator.onLine, reachable: null };
+const subscribers = new Set();
+let timer = null;
+
+function update(patch) {
+  status = { ...status, ...patch };
+  subscribers.forEach((subscriber) => subscriber(status));
+}
+
+async function probe() {
+  if (!navigator.onLine) {
+    update({ online: false, reachable: false });
+    return;
+  }
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  try {
+    const response = await fetch(`${config.apiUrl}/health`, { cache: "no-store", signal: controller.signal });
+    update({ online: true, reachable: response.ok });
+  } catch (err) {
+    update({ online: navigator.onLine, reachable: false });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function start() {
+  window.addEventListener("online", probe);
+  window.addEventListener("offline", probe);
+  timer = setInterval(probe, PROBE_INTERVAL_MS);
+  probe();
+}
+
+function stop() {
+  window.removeEventListener("online", probe);
+  window.removeEventListener("offline", probe);
+  clearInterval(timer);
+}
+
+// { online, reachable }; probing runs only while a component is subscribed
+export default function useConnectivity() {
+  const [current, setCurrent] = useState(status);
+
+  useEffect(() => {
+    if (subscribers.size === 0) start();
+    subscribers.add(setCurrent);
+    setCurrent(status);
+    return () => {
+      subscribers.delete(setCurrent);
+      if (subscribers.size === 0) stop();
+    };
+  }, []);
+
+  return current;
+}
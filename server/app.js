@@ -0,0 +1,55 @@
+// server/app.js
+require("dotenv").config();
+const express = require("express");
+const cors = require("cors");
+
+const reportsRouter = require("./routes/reports");
+const usersRouter = require("./routes/users");
+const resourcesRouter = require("./routes/resources");
+const peersRouter = require("./routes/peers");
+const alertsRouter = require("./routes/alerts");
+const pushRouter = require("./routes/push");
+const ingestRouter = require("./routes/ingest");
+const importRouter = require("./routes/import");
+const tasksRouter = require("./routes/tasks");
+const personsRouter = require("./routes/persons");
+const { startSosNotifier } = require("./push/sosNotifier");
+const { startFeedPolling } = require("./ingest/feedPoller");
+const { notFound, errorHandler } = require("./middleware/errors");
+
+const PORT = process.env.PORT || 5000;
+
+const app = express();
+
+app.use(cors({ origin: process.env.CLIENT_ORIGIN || "http://localhost:3000" }));
+// Datasets for bulk import are larger than any other request
+app.use("/api/import", express.json({ limit: "5mb" }));
+app.use(express.json({ limit: "1mb" }));
+
+app.get("/api/health", (req, res) => {
+  res.json({ ok: true });
+});
+
+app.use("/api/reports", reportsRouter);
+app.use("/api/users", usersRouter);
+app.use("/api/resources", resourcesRouter);
+app.use("/api/peers", peersRouter);
+app.use("/api/alerts", alertsRouter);
+app.use("/api/push", pushRouter);
+app.use("/api/ingest", ingestRouter);
+app.use("/api/import", importRouter);
+app.use("/api/tasks", tasksRouter);
+app.use("/api/persons", personsRouter);
+
+app.use(notFound);
+app.use(errorHandler);
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 DDMS API listening on http://localhost:${PORT}`);
+  });
+  startSosNotifier().catch((err) => console.error("Starting the SOS notifier failed:", err));
+  startFeedPolling();
+}
+
+module.exports = app;
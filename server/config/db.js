@@ -0,0 +1,52 @@
+// server/config/db.js
+const PouchDB = require("pouchdb");
+
+// CouchDB instance the client replicates with (see client/src/db/pouchdb.js)
+const COUCHDB_URL = process.env.COUCHDB_URL || "http://127.0.0.1:5984";
+const REPORTS_DB_NAME = process.env.REPORTS_DB_NAME || "disaster_reports";
+const USERS_DB_NAME = process.env.USERS_DB_NAME || "ddms_users";
+const PERSONS_DB_NAME = process.env.PERSONS_DB_NAME || "missing_persons";
+
+// Basic auth header for talking to CouchDB directly (e.g. streaming attachments)
+function couchAuthHeaders() {
+  if (!process.env.COUCHDB_USER) return {};
+  const credentials = `${process.env.COUCHDB_USER}:${process.env.COUCHDB_PASSWORD || ""}`;
+  return { Authorization: `Basic ${Buffer.from(credentials).toString("base64")}` };
+}
+
+function attachmentUrl(dbName, docId, attachmentName) {
+  return [COUCHDB_URL.replace(/\/+$/, ""), dbName, docId, attachmentName]
+    .map((part, i) => (i === 0 ? part : encodeURIComponent(part)))
+    .join("/");
+}
+
+function openDatabase(name) {
+  const options = {};
+  if (process.env.COUCHDB_USER) {
+    options.auth = {
+      username: process.env.COUCHDB_USER,
+      password: process.env.COUCHDB_PASSWORD || "",
+    };
+  }
+  return new PouchDB(`${COUCHDB_URL.replace(/\/+$/, "")}/${name}`, options);
+}
+
+const reportsDB = openDatabase(REPORTS_DB_NAME);
+// Accounts live apart from the replicated reports so password hashes never sync to clients
+const usersDB = openDatabase(USERS_DB_NAME);
+// Missing and found persons are personal data: kept out of the replicated
+// reports and served only through the API (see controllers/handlePersons.js)
+const personsDB = openDatabase(PERSONS_DB_NAME);
+
+module.exports = {
+  COUCHDB_URL,
+  REPORTS_DB_NAME,
+  USERS_DB_NAME,
+  PERSONS_DB_NAME,
+  couchAuthHeaders,
+  attachmentUrl,
+  openDatabase,
+  reportsDB,
+  usersDB,
+  personsDB,
+};
@@ -0,0 +1,122 @@
+// server/controllers/handleAlerts.js
+const { reportsDB } = require("../config/db");
+const { HttpError } = require("../middleware/errors");
+const {
+  isAlert,
+  isActiveAlert,
+  validateAlert,
+  createAlert,
+  updateAlert,
+  endAlert,
+  alertsAt,
+} = require("../models/alertSchema");
+
+function assertValid(alert) {
+  const errors = validateAlert(alert);
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(400, "validation_failed", "Alert failed validation.", errors);
+  }
+}
+
+async function getAlertDoc(id) {
+  const doc = await reportsDB.get(id);
+  if (!isAlert(doc)) throw new HttpError(404, "not_found", "No alert with this id.");
+  return doc;
+}
+
+// "lat,lng" -> [lat, lng], or null when absent/invalid
+function parsePoint(value) {
+  if (!value) return null;
+  const [lat, lng] = String(value).split(",").map(Number);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null;
+}
+
+// GET /api/alerts?active=true&at=22.9,78.6
+// With `at`, only active alerts whose area contains the point are returned.
+async function listAlerts(req, res, next) {
+  try {
+    const result = await reportsDB.allDocs({ include_docs: true });
+    let docs = result.rows.map((row) => row.doc).filter(isAlert);
+    const at = parsePoint(req.query.at);
+    if (req.query.at && !at) {
+      throw new HttpError(400, "validation_failed", 'at must be "latitude,longitude".');
+    }
+    if (at) docs = alertsAt(docs, at);
+    else if (req.query.active === "true") docs = docs.filter((doc) => isActiveAlert(doc));
+    docs.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    res.json({ total: docs.length, alerts: docs });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/alerts/:id
+async function getAlert(req, res, next) {
+  try {
+    res.json(await getAlertDoc(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/alerts  (coordinators)
+async function publishAlert(req, res, next) {
+  try {
+    const alert = createAlert(req.body || {}, req.user.id);
+    assertValid(alert);
+    const result = await reportsDB.put(alert);
+    res.status(201).json({ ...alert, _rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PUT /api/alerts/:id  (coordinators; send _rev to guard against lost updates)
+async function editAlert(req, res, next) {
+  try {
+    const existing = await getAlertDoc(req.params.id);
+    const body = req.body || {};
+    const alert = {
+      ...updateAlert(existing, { ...existing, ...body }, req.user.id),
+      _rev: body._rev || existing._rev,
+    };
+    assertValid(alert);
+    const result = await reportsDB.put(alert);
+    res.json({ ...alert, _rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/alerts/:id/end  (coordinators)
+async function endAlertNow(req, res, next) {
+  try {
+    const existing = await getAlertDoc(req.params.id);
+    if (!isActiveAlert(existing)) throw new HttpError(409, "alert_expired", "This alert has already expired.");
+    const alert = endAlert(existing, req.user.id);
+    const result = await reportsDB.put(alert);
+    res.json({ ...alert, _rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/alerts/:id  (coordinators)
+async function removeAlert(req, res, next) {
+  try {
+    const existing = await getAlertDoc(req.params.id);
+    const result = await reportsDB.remove(existing._id, req.query.rev || existing._rev);
+    res.json({ ok: true, id: result.id, rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listAlerts,
+  getAlert,
+  publishAlert,
+  editAlert,
+  endAlertNow,
+  removeAlert,
+};
@@ -0,0 +1,81 @@
+// server/controllers/handleImport.js
+const { HttpError } = require("../middleware/errors");
+const { ROW_PARSERS } = require("../import/rows");
+const { commitImport, previewImport } = require("../import/importReports");
+
+// Body: { content, format, dataset, mapping }. `content` is the CSV or
+// GeoJSON text, `dataset` names it (e.g. "Assam floods 2025") and scopes the
+// ids of its reports, and `mapping` is { reportField: column }.
+function readImportRequest(req) {
+  const body = req.body || {};
+  const errors = {};
+  if (typeof body.content !== "string" || !body.content.trim()) {
+    errors.content = "Choose a CSV or GeoJSON file to import.";
+  }
+  const dataset = typeof body.dataset === "string" ? body.dataset.trim() : "";
+  if (!dataset) errors.dataset = "Name the dataset, e.g. \"Assam floods 2025\".";
+  if (body.format && !ROW_PARSERS[body.format]) {
+    errors.format = `format must be one of: ${Object.keys(ROW_PARSERS).join(", ")}.`;
+  }
+  const mapping = body.mapping;
+  if (mapping !== undefined && mapping !== null &&
+      (typeof mapping !== "object" || Object.values(mapping).some((column) => typeof column !== "string"))) {
+    errors.mapping = "mapping must map report fields to column names.";
+  }
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(400, "validation_failed", "The import request is incomplete.", errors);
+  }
+  // Unmapped fields may arrive as empty strings from the form
+  const cleanMapping = mapping
+    ? Object.fromEntries(Object.entries(mapping).filter(([, column]) => column))
+    : null;
+  return { content: body.content, options: { format: body.format, dataset, mapping: cleanMapping, userId: req.user.id } };
+}
+
+// 400 for a dataset or mapping the coordinator can fix; anything else is ours
+function datasetError(err) {
+  if (err.mappingErrors) {
+    return new HttpError(400, "validation_failed", err.message, err.mappingErrors);
+  }
+  if (err.invalidDataset) {
+    return new HttpError(400, "invalid_dataset", `Could not read the dataset: ${err.message}`);
+  }
+  return err;
+}
+
+// POST /api/import/preview  (coordinators; dry run, nothing is written)
+async function previewReportImport(req, res, next) {
+  try {
+    const { content, options } = readImportRequest(req);
+    let preview;
+    try {
+      preview = await previewImport(content, options);
+    } catch (err) {
+      throw datasetError(err);
+    }
+    res.json(preview);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/import  (coordinators; writes the valid rows, skips the rest)
+async function commitReportImport(req, res, next) {
+  try {
+    const { content, options } = readImportRequest(req);
+    let summary;
+    try {
+      summary = await commitImport(content, options);
+    } catch (err) {
+      throw datasetError(err);
+    }
+    res.json(summary);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  previewReportImport,
+  commitReportImport,
+};
@@ -0,0 +1,48 @@
+// server/controllers/handleIngest.js
+const { HttpError } = require("../middleware/errors");
+const { PARSERS, ingestFeed } = require("../ingest/ingestFeed");
+
+// Content types that identify a format without looking at the body
+const CONTENT_TYPE_FORMATS = {
+  "application/cap+xml": "cap",
+  "application/geo+json": "geojson",
+};
+
+// POST /api/ingest?format=cap&sender=...&sourceName=...  (coordinators)
+// The body is the raw CAP XML or GeoJSON, or JSON { content, format, sender, sourceName, url }.
+async function ingestUpload(req, res, next) {
+  try {
+    const body = req.body;
+    const wrapped = typeof body === "object" && body !== null && typeof body.content === "string";
+    // GeoJSON sent as application/json arrives already parsed
+    const content = wrapped ? body.content : body && body.type ? JSON.stringify(body) : body;
+    if (typeof content !== "string" || !content.trim()) {
+      throw new HttpError(400, "validation_failed", "Send a CAP XML or GeoJSON document to ingest.");
+    }
+    const options = wrapped ? body : req.query;
+    const format = options.format || CONTENT_TYPE_FORMATS[req.get("content-type")] || undefined;
+    if (format && !PARSERS[format]) {
+      throw new HttpError(400, "validation_failed", `format must be one of: ${Object.keys(PARSERS).join(", ")}.`);
+    }
+
+    let summary;
+    try {
+      summary = await ingestFeed(content, {
+        format,
+        sender: options.sender,
+        sourceName: options.sourceName,
+        url: options.url,
+      });
+    } catch (err) {
+      if (!err.invalidFeed) throw err;
+      throw new HttpError(400, "invalid_feed", `Could not read the feed: ${err.message}`);
+    }
+    res.json(summary);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  ingestUpload,
+};
@@ -0,0 +1,131 @@
+// server/controllers/handlePeers.js
+// Signaling relay for peer-to-peer replication on a local network. It only
+// passes WebRTC offers and answers between devices; reports themselves go
+// directly from browser to browser (see client/src/p2p). State is in memory:
+// a relay restart just makes devices reconnect.
+//
+// Devices only see and signal others on their own network (networkScope),
+// and each subscription gets a secret that its signals must carry, so no
+// device can send offers in another's name.
+const crypto = require("crypto");
+const net = require("net");
+const { HttpError } = require("../middleware/errors");
+const { isPublicAddress } = require("../push/pushService");
+
+const HEARTBEAT_MS = 20 * 1000;
+const MAX_NAME_LENGTH = 60;
+const PEER_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// "scope peerId" -> { id, name, scope, secret, res }
+const peers = new Map();
+
+function peerKey(scope, peerId) {
+  return `${scope} ${peerId}`;
+}
+
+// Full eight-group form of an IPv6 address
+function expandIPv6(address) {
+  const [head, tail] = address.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail === undefined ? [] : tail ? tail.split(":") : [];
+  const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill("0");
+  return headGroups.concat(zeros, tailGroups);
+}
+
+// Which devices can reach each other directly: everyone who reaches the
+// relay over a private network (a relay on a LAN is only reachable from
+// it), or else everyone behind one public IPv4 address (one NAT) or one
+// IPv6 /64.
+function networkScope(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  if (!isPublicAddress(ip)) return "private";
+  return net.isIPv6(ip) ? expandIPv6(ip).slice(0, 4).join(":").toLowerCase() : ip;
+}
+
+function requestScope(req) {
+  return networkScope(req.socket.remoteAddress || "");
+}
+
+function sameSecret(a, b) {
+  const given = Buffer.from(String(a || ""));
+  const expected = Buffer.from(b);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastPeers(scope) {
+  const present = Array.from(peers.values()).filter((peer) => peer.scope === scope);
+  const list = present.map(({ id, name }) => ({ id, name }));
+  present.forEach((peer) => sendEvent(peer.res, "peers", list));
+}
+
+// GET /api/peers/events?peerId=&name=  (Server-Sent Events: "session" with
+// this subscription's secret, then "peers" and "signal")
+function subscribe(req, res, next) {
+  const { peerId, name } = req.query;
+  if (!PEER_ID_PATTERN.test(peerId || "")) {
+    return next(new HttpError(400, "validation_failed", "A valid peerId is required."));
+  }
+  const scope = requestScope(req);
+  const key = peerKey(scope, peerId);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  // A reloaded tab reuses its device id; drop the stale stream
+  const previous = peers.get(key);
+  if (previous) previous.res.end();
+  const secret = crypto.randomBytes(24).toString("hex");
+  peers.set(key, {
+    id: peerId,
+    name: String(name || "Unnamed device").slice(0, MAX_NAME_LENGTH),
+    scope,
+    secret,
+    res,
+  });
+  sendEvent(res, "session", { secret });
+  broadcastPeers(scope);
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    const current = peers.get(key);
+    if (current && current.res === res) {
+      peers.delete(key);
+      broadcastPeers(scope);
+    }
+  });
+}
+
+// POST /api/peers/signal  { from, secret, to, data }
+function relaySignal(req, res, next) {
+  try {
+    const { from, secret, to, data } = req.body || {};
+    const scope = requestScope(req);
+    const sender = peers.get(peerKey(scope, from));
+    if (!sender) {
+      throw new HttpError(409, "not_subscribed", "Subscribe to /api/peers/events before signaling.");
+    }
+    if (!sameSecret(secret, sender.secret)) {
+      throw new HttpError(403, "forbidden", "Signals must carry the secret of the sending device's subscription.");
+    }
+    const target = peers.get(peerKey(scope, to));
+    if (!target) throw new HttpError(404, "peer_not_found", "That device is no longer connected.");
+    sendEvent(target.res, "signal", { from, data });
+    res.status(202).json({ ok: true });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  networkScope,
+  subscribe,
+  relaySignal,
+};
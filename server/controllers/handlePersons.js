@@ -0,0 +1,250 @@
+// server/controllers/handlePersons.js
+// Missing persons registry. Entries hold names, photos and phone numbers,
+// so they live in personsDB, which never syncs to devices. Everyone who
+// signs in can register a person and sees their own entries; only roles
+// holding person:view see everyone's and the suggested matches. Entries a
+// user may not see answer 404, so ids do not reveal who is registered.
+const { personsDB, reportsDB } = require("../config/db");
+const { HttpError } = require("../middleware/errors");
+const { can } = require("../models/roles");
+const { DOC_TYPES } = require("../models/schema");
+const {
+  MAX_PHOTO_BYTES,
+  PERSON_STATUSES,
+  PHOTO_ATTACHMENT,
+  REPORTABLE_STATUSES,
+  SEEKING_STATUSES,
+  createPerson,
+  isPerson,
+  nameSimilarity,
+  reunitePersons,
+  suggestMatches,
+  updatePerson,
+  validatePerson,
+} = require("../models/personSchema");
+
+// Names at least this similar to ?q are listed
+const SEARCH_NAME_SCORE = 0.7;
+
+const PHOTO_DATA_URL = /^data:(image\/(?:jpeg|png|webp));base64,([A-Za-z0-9+/]+=*)$/;
+
+function canViewAll(user) {
+  return can(user.role, "person:view");
+}
+
+function assertValid(person, errors) {
+  Object.assign(errors, validatePerson(person));
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(400, "validation_failed", "Person failed validation.", errors);
+  }
+}
+
+// The document as the API returns it: attachment stubs become a `photo` flag
+function toPublicPerson(doc) {
+  const { _attachments, ...person } = doc;
+  return { ...person, photo: Boolean(_attachments && _attachments[PHOTO_ATTACHMENT]) };
+}
+
+async function getPersonDoc(id, user) {
+  let doc = null;
+  try {
+    doc = await personsDB.get(id);
+  } catch (err) {
+    if (err.status !== 404) throw err;
+  }
+  if (!doc || !isPerson(doc) || (!canViewAll(user) && doc.reportedBy !== user.id)) {
+    throw new HttpError(404, "not_found", "No missing or found person with this id.");
+  }
+  return doc;
+}
+
+async function allPersons() {
+  const result = await personsDB.allDocs({ include_docs: true });
+  return result.rows.map((row) => row.doc).filter(isPerson);
+}
+
+// Adds errors for a bad `photo` or `shelterId` in the body to `errors`.
+// -> attachment for `photo` (a base64 data URL), null to remove the photo,
+// or undefined to leave it as it is
+async function checkExtras(body, person, errors) {
+  if (person.shelterId) {
+    let shelter = null;
+    try {
+      shelter = await reportsDB.get(person.shelterId);
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+    if (!shelter || shelter.type !== DOC_TYPES.RESOURCE) errors.shelterId = "Please choose a relief centre from the list.";
+  }
+  if (body.photo === undefined || body.photo === null) return body.photo;
+  const match = PHOTO_DATA_URL.exec(String(body.photo));
+  if (!match) {
+    errors.photo = "The photo must be a JPEG, PNG or WebP image.";
+  } else if (Buffer.byteLength(match[2], "base64") > MAX_PHOTO_BYTES) {
+    errors.photo = `The photo can be at most ${MAX_PHOTO_BYTES / 1024} KB.`;
+  } else {
+    return { content_type: match[1], data: match[2] };
+  }
+  return undefined;
+}
+
+function withPhoto(doc, photo) {
+  if (photo === undefined) return doc;
+  const attachments = { ...doc._attachments };
+  if (photo) attachments[PHOTO_ATTACHMENT] = photo;
+  else delete attachments[PHOTO_ATTACHMENT];
+  return { ...doc, _attachments: attachments };
+}
+
+// GET /api/persons?status=missing,found&q=ramesh
+async function listPersons(req, res, next) {
+  try {
+    let docs = await allPersons();
+    if (!canViewAll(req.user)) docs = docs.filter((doc) => doc.reportedBy === req.user.id);
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(",");
+      const unknown = statuses.find((status) => !PERSON_STATUSES[status]);
+      if (unknown) throw new HttpError(400, "validation_failed", `Unknown status "${unknown}".`);
+      docs = docs.filter((doc) => statuses.indexOf(doc.status) !== -1);
+    }
+    if (req.query.q) docs = docs.filter((doc) => nameSimilarity(req.query.q, doc.name) >= SEARCH_NAME_SCORE);
+    docs.sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+    res.json({ total: docs.length, persons: docs.map(toPublicPerson) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/persons/:id
+async function getPerson(req, res, next) {
+  try {
+    res.json(toPublicPerson(await getPersonDoc(req.params.id, req.user)));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/persons/:id/photo
+async function getPersonPhoto(req, res, next) {
+  try {
+    const doc = await getPersonDoc(req.params.id, req.user);
+    const stub = doc._attachments && doc._attachments[PHOTO_ATTACHMENT];
+    if (!stub) throw new HttpError(404, "not_found", "This person has no photo.");
+    const data = await personsDB.getAttachment(doc._id, PHOTO_ATTACHMENT);
+    res.setHeader("Cache-Control", "private, no-store");
+    res.type(stub.content_type).send(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/persons  { status, name, age, description, latitude, longitude,
+// lastSeenAt, shelterId, contact: { name, phone, relation }, photo }
+async function addPerson(req, res, next) {
+  try {
+    const body = req.body || {};
+    const person = createPerson(body, req.user.id);
+    const errors = {};
+    if (REPORTABLE_STATUSES.indexOf(person.status) === -1) {
+      errors.status = "Please choose whether the person is missing, found or in a shelter.";
+    }
+    const photo = await checkExtras(body, person, errors);
+    assertValid(person, errors);
+    const doc = withPhoto(person, photo);
+    const result = await personsDB.put(doc);
+    res.status(201).json(toPublicPerson({ ...doc, _rev: result.rev }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PUT /api/persons/:id  (the reporter or person:view; send _rev to guard
+// against lost updates, and photo: null to remove the photo)
+async function editPerson(req, res, next) {
+  try {
+    const existing = await getPersonDoc(req.params.id, req.user);
+    const body = req.body || {};
+    let person;
+    try {
+      person = updatePerson(existing, body, req.user.id);
+    } catch (err) {
+      throw new HttpError(409, "invalid_transition", err.message);
+    }
+    const errors = {};
+    const photo = await checkExtras(body, person, errors);
+    assertValid(person, errors);
+    const doc = { ...withPhoto(person, photo), _rev: body._rev || existing._rev };
+    const result = await personsDB.put(doc);
+    res.json(toPublicPerson({ ...doc, _rev: result.rev }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/persons/:id  (the reporter or person:view)
+async function removePerson(req, res, next) {
+  try {
+    const existing = await getPersonDoc(req.params.id, req.user);
+    const result = await personsDB.remove(existing._id, req.query.rev || existing._rev);
+    res.json({ ok: true, id: result.id, rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/persons/:id/matches  (person:view)
+// Likely matches on the other side of the registry, best first
+async function listMatches(req, res, next) {
+  try {
+    const person = await getPersonDoc(req.params.id, req.user);
+    const matches = suggestMatches(person, await allPersons());
+    res.json({
+      total: matches.length,
+      matches: matches.map((match) => ({ ...match, person: toPublicPerson(match.person) })),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/persons/:id/reunite  { matchId, note }  (person:view)
+// Confirms that a missing entry and a found or sheltered entry are the same
+// person; both become reunited and point at each other.
+async function reunitePerson(req, res, next) {
+  try {
+    const body = req.body || {};
+    if (!body.matchId) throw new HttpError(400, "validation_failed", "matchId is required.");
+    const person = await getPersonDoc(req.params.id, req.user);
+    const match = await getPersonDoc(body.matchId, req.user);
+    const [seeking, located] = SEEKING_STATUSES.indexOf(person.status) !== -1 ? [person, match] : [match, person];
+    let docs;
+    try {
+      docs = reunitePersons(seeking, located, req.user.id, typeof body.note === "string" ? body.note : "");
+    } catch (err) {
+      throw new HttpError(409, "invalid_transition", err.message);
+    }
+    const results = await personsDB.bulkDocs(docs);
+    if (results.some((result) => result.error)) {
+      // CouchDB has no transactions: undo the half that was written
+      const undo = results
+        .map((result, i) => (result.error ? null : { ...[seeking, located][i], _rev: result.rev }))
+        .filter(Boolean);
+      if (undo.length > 0) await personsDB.bulkDocs(undo);
+      throw new HttpError(409, "conflict", "One of the entries changed just now. Please review and try again.");
+    }
+    res.json({ persons: docs.map((doc, i) => toPublicPerson({ ...doc, _rev: results[i].rev })) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listPersons,
+  getPerson,
+  getPersonPhoto,
+  addPerson,
+  editPerson,
+  removePerson,
+  listMatches,
+  reunitePerson,
+};
@@ -0,0 +1,121 @@
+// server/controllers/handlePush.js
+// Web Push subscriptions for SOS alerts. Settings live on the user's account
+// document: sosPush = { home: { latitude, longitude }, radiusKm, subscriptions },
+// one subscription per device and one home location per user.
+const { usersDB } = require("../config/db");
+const { HttpError } = require("../middleware/errors");
+const { getPushService, pushEndpointError } = require("../push/pushService");
+
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+function publicSettings(userDoc) {
+  const settings = userDoc.sosPush || {};
+  return {
+    home: settings.home || null,
+    radiusKm: settings.radiusKm || DEFAULT_RADIUS_KM,
+    endpoints: (settings.subscriptions || []).map((sub) => sub.endpoint),
+  };
+}
+
+// Host names are only looked up when messages really go out (not with the
+// mock service), since that is when the server would connect to them
+async function validateSubscription(body) {
+  const errors = {};
+  const subscription = body.subscription;
+  if (!subscription || typeof subscription.endpoint !== "string" ||
+      !subscription.keys || typeof subscription.keys.p256dh !== "string" || typeof subscription.keys.auth !== "string") {
+    errors.subscription = "A browser push subscription with endpoint and keys is required.";
+  } else {
+    const endpointError = await pushEndpointError(subscription.endpoint, getPushService().mode === "webpush");
+    if (endpointError) errors.subscription = endpointError;
+  }
+  const home = body.home || {};
+  if (typeof home.latitude !== "number" || home.latitude < -90 || home.latitude > 90 ||
+      typeof home.longitude !== "number" || home.longitude < -180 || home.longitude > 180) {
+    errors.home = "Please set a valid home location.";
+  }
+  if (body.radiusKm !== undefined && !(body.radiusKm > 0 && body.radiusKm <= MAX_RADIUS_KM)) {
+    errors.radiusKm = `The radius must be more than 0 and at most ${MAX_RADIUS_KM} km.`;
+  }
+  return errors;
+}
+
+// GET /api/push/public-key
+function getPublicKey(req, res) {
+  const service = getPushService();
+  res.json({ mode: service.mode, publicKey: service.publicKey });
+}
+
+// GET /api/push/subscription  (responders)
+async function getSubscription(req, res, next) {
+  try {
+    res.json(publicSettings(await usersDB.get(req.user.id)));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PUT /api/push/subscription  { subscription, home, radiusKm }  (responders)
+// Adds this device's subscription, or refreshes it, and sets home and radius.
+async function saveSubscription(req, res, next) {
+  try {
+    const body = req.body || {};
+    const errors = await validateSubscription(body);
+    if (Object.keys(errors).length > 0) {
+      throw new HttpError(400, "validation_failed", "Push subscription failed validation.", errors);
+    }
+    const userDoc = await usersDB.get(req.user.id);
+    const existing = userDoc.sosPush || {};
+    const now = new Date().toISOString();
+    userDoc.sosPush = {
+      home: { latitude: body.home.latitude, longitude: body.home.longitude },
+      radiusKm: body.radiusKm || existing.radiusKm || DEFAULT_RADIUS_KM,
+      subscriptions: (existing.subscriptions || [])
+        .filter((sub) => sub.endpoint !== body.subscription.endpoint)
+        .concat({ endpoint: body.subscription.endpoint, keys: body.subscription.keys, createdAt: now }),
+    };
+    userDoc.updatedAt = now;
+    await usersDB.put(userDoc);
+    res.json(publicSettings(userDoc));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/push/subscription  { endpoint }
+// Without an endpoint every device of the user is unsubscribed.
+async function deleteSubscription(req, res, next) {
+  try {
+    const { endpoint } = req.body || {};
+    const userDoc = await usersDB.get(req.user.id);
+    if (userDoc.sosPush) {
+      userDoc.sosPush.subscriptions = endpoint
+        ? (userDoc.sosPush.subscriptions || []).filter((sub) => sub.endpoint !== endpoint)
+        : [];
+      userDoc.updatedAt = new Date().toISOString();
+      await usersDB.put(userDoc);
+    }
+    res.json(publicSettings(userDoc));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/push/outbox  (sos:notify; PUSH_SERVICE=mock only) messages the mock "sent"
+async function getMockOutbox(req, res, next) {
+  const service = getPushService();
+  if (service.mode !== "mock") {
+    next(new HttpError(404, "not_found", "The push outbox only exists with PUSH_SERVICE=mock."));
+    return;
+  }
+  res.json({ total: service.outbox.length, messages: service.outbox });
+}
+
+module.exports = {
+  getPublicKey,
+  getSubscription,
+  saveSubscription,
+  deleteSubscription,
+  getMockOutbox,
+};
@@ -0,0 +1,434 @@
+// server/controllers/handleReports.js
+const { Readable } = require("stream");
+const { webcrypto } = require("crypto");
+const {
+  reportsDB,
+  REPORTS_DB_NAME,
+  couchAuthHeaders,
+  attachmentUrl,
+} = require("../config/db");
+const { HttpError } = require("../middleware/errors");
+const {
+  DOC_TYPES,
+  addNote,
+  changeStatus,
+  createDocument,
+  migrateDocument,
+  validateDocument,
+} = require("../models/schema");
+const { can } = require("../models/roles");
+const { SIGNED_FIELDS, deviceKeyDocId, signatureStatus } = require("../models/signatures");
+const { clusterReports, mergeClusters, splitReport } = require("../models/clusters");
+const { matchesExportFilters, parseExportFilters } = require("../export/filters");
+const { EXPORT_FORMATS, toExportRecord } = require("../export/formats");
+
+// Reports and SOS calls by [type, createdAt, _id] (see couchdb/designDocs.js)
+const INCIDENTS_VIEW = "ddms_reports/incidents";
+// Documents read from the view per request to CouchDB
+const PAGE_SIZE = 200;
+
+function assertValid(report) {
+  const errors = validateDocument(report);
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(400, "validation_failed", "Report failed validation.", errors);
+  }
+}
+
+// Fields a client may set on each type of incident
+const EDITABLE_FIELDS = {
+  [DOC_TYPES.REPORT]: ["disasterType", "description", "latitude", "longitude", "severity"],
+  [DOC_TYPES.SOS]: ["affectedPeople", "description", "latitude", "longitude", "severity"],
+};
+
+// Only copy the fields a client is allowed to set on a document of `type`
+function pickReportFields(body, type) {
+  const fields = {};
+  EDITABLE_FIELDS[type].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (typeof fields.description === "string") fields.description = fields.description.trim();
+  return fields;
+}
+
+// Untyped documents predate the schema and are reports
+function isIncident(doc) {
+  return !doc.type || doc.type === DOC_TYPES.REPORT || doc.type === DOC_TYPES.SOS;
+}
+
+// The report or SOS call with this id; other documents in the database are
+// not found here, so these routes cannot read or change them
+async function getIncidentDoc(id) {
+  const doc = await reportsDB.get(id);
+  if (!isIncident(doc)) throw new HttpError(404, "not_found", "No report or SOS call with this id.");
+  return doc;
+}
+
+// Calls visit(doc) with every report or SOS call of `type`, normalised, in
+// order of creation, reading PAGE_SIZE documents at a time so no request
+// holds the whole database. `from` and `to` (ISO times) bound the range.
+async function forEachIncident(type, { descending = false, from, to } = {}, visit) {
+  const low = from ? [type, from] : [type];
+  const high = to ? [type, to, {}] : [type, {}];
+  let options = {
+    reduce: false,
+    include_docs: true,
+    descending,
+    startkey: descending ? high : low,
+    endkey: descending ? low : high,
+    limit: PAGE_SIZE,
+  };
+  for (;;) {
+    const result = await reportsDB.query(INCIDENTS_VIEW, options);
+    result.rows.forEach((row) => visit(migrateDocument(row.doc) || row.doc));
+    if (result.rows.length < PAGE_SIZE) return;
+    const last = result.rows[result.rows.length - 1];
+    options = { ...options, startkey: last.key, skip: 1 };
+  }
+}
+
+function isRegisteredKey(keyId, userId) {
+  return reportsDB.get(deviceKeyDocId(keyId, userId)).then(
+    () => true,
+    (err) => {
+      if (err.status === 404) return false;
+      throw err;
+    }
+  );
+}
+
+// Report as returned by the API, with `signatureStatus` (see models/signatures.js)
+async function withSignatureStatus(doc, isRegistered) {
+  return { ...doc, signatureStatus: await signatureStatus(doc, isRegistered, webcrypto.subtle) };
+}
+
+// One page of `type`, newest first, and the number there are in all
+async function listPage(type, skip, limit) {
+  const [counted, page] = await Promise.all([
+    reportsDB.query(INCIDENTS_VIEW, { reduce: true, startkey: [type], endkey: [type, {}] }),
+    reportsDB.query(INCIDENTS_VIEW, {
+      reduce: false,
+      include_docs: true,
+      descending: true,
+      startkey: [type, {}],
+      endkey: [type],
+      skip,
+      limit,
+    }),
+  ]);
+  return {
+    total: counted.rows.length > 0 ? counted.rows[0].value : 0,
+    docs: page.rows.map((row) => migrateDocument(row.doc) || row.doc),
+  };
+}
+
+// The same for a filtered list: every document of the type has to be read to
+// count the matches, but only a page of them is kept
+async function listFilteredPage(type, matches, skip, limit) {
+  let total = 0;
+  const docs = [];
+  await forEachIncident(type, { descending: true }, (doc) => {
+    if (!matches(doc)) return;
+    if (total >= skip && docs.length < limit) docs.push(doc);
+    total += 1;
+  });
+  return { total, docs };
+}
+
+// GET /api/reports?type=sos&disasterType=Flood&status=new&limit=50&skip=0  (type defaults to "report")
+async function listReports(req, res, next) {
+  try {
+    const type = req.query.type || DOC_TYPES.REPORT;
+    if (type !== DOC_TYPES.REPORT && type !== DOC_TYPES.SOS) {
+      throw new HttpError(400, "validation_failed", "Only reports and SOS calls can be listed here.", {
+        type: `type must be ${DOC_TYPES.REPORT} or ${DOC_TYPES.SOS}.`,
+      });
+    }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    const skip = Math.max(Number(req.query.skip) || 0, 0);
+    const { disasterType, status } = req.query;
+    const { total, docs } =
+      disasterType || status
+        ? await listFilteredPage(
+            type,
+            (doc) => (!disasterType || doc.disasterType === disasterType) && (!status || doc.status === status),
+            skip,
+            limit
+          )
+        : await listPage(type, skip, limit);
+    const reports = await Promise.all(docs.map((doc) => withSignatureStatus(doc, isRegisteredKey)));
+    res.json({ total, reports });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/reports/export/geojson|csv|kml?type=report,sos&disasterType=Flood&minSeverity=5
+//   &maxSeverity=10&status=new,verified&bbox=west,south,east,north&from=2026-07-01&to=2026-07-31
+// (responders and coordinators; filters are described in export/filters.js)
+async function exportReports(req, res, next) {
+  try {
+    const format = EXPORT_FORMATS[req.params.format];
+    if (!format) {
+      throw new HttpError(404, "not_found", `Exports are available as ${Object.keys(EXPORT_FORMATS).join(", ")}.`);
+    }
+    const { filters, errors } = parseExportFilters(req.query);
+    if (Object.keys(errors).length > 0) {
+      throw new HttpError(400, "validation_failed", "Some export filters are invalid.", errors);
+    }
+
+    const range = {
+      from: filters.from === undefined ? undefined : new Date(filters.from).toISOString(),
+      to: filters.to === undefined ? undefined : new Date(filters.to).toISOString(),
+    };
+    const docs = [];
+    for (const type of filters.types) {
+      await forEachIncident(type, range, (doc) => {
+        if (matchesExportFilters(doc, filters)) docs.push(doc);
+      });
+    }
+    docs.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+    // Links must work from a partner's desktop, so they are absolute
+    const apiBase = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get("host")}/api`;
+    const attachmentLink = (id, name) =>
+      `${apiBase.replace(/\/+$/, "")}/reports/${encodeURIComponent(id)}/attachments/${encodeURIComponent(name)}`;
+    const records = docs.map((doc) => toExportRecord(doc, attachmentLink));
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", format.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="ddms-reports-${date}.${format.extension}"`);
+    res.send(format.render(records, `DDMS reports exported ${date}`));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/reports/:id  (signed-in users)
+async function getReport(req, res, next) {
+  try {
+    const doc = await getIncidentDoc(req.params.id);
+    res.json(await withSignatureStatus(doc, isRegisteredKey));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/reports  (body.type may be "sos"; defaults to a disaster report)
+async function createReport(req, res, next) {
+  try {
+    const body = req.body || {};
+    const type = body.type === DOC_TYPES.SOS ? DOC_TYPES.SOS : DOC_TYPES.REPORT;
+    if (!can(req.user.role, `${type}:create`)) {
+      throw new HttpError(403, "forbidden", "Your role cannot create this document.");
+    }
+    const reportDoc = createDocument(type, { ...pickReportFields(body, type), reportedBy: req.user.id });
+    assertValid(reportDoc);
+    const result = await reportsDB.put(reportDoc);
+    res.status(201).json({ ...reportDoc, _rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PUT /api/reports/:id  (pass _rev in the body to guard against lost updates)
+async function updateReport(req, res, next) {
+  try {
+    const existing = await getIncidentDoc(req.params.id);
+    // Mirrors validate_doc_update in couchdb/designDocs.js: responders change
+    // other people's incidents only through their status and notes
+    const isOwner = Boolean(existing.reportedBy) && existing.reportedBy === req.user.id;
+    if (!isOwner && !can(req.user.role, "report:editAny")) {
+      throw new HttpError(403, "forbidden", "You can only edit your own reports.");
+    }
+    const body = req.body || {};
+    const current = migrateDocument(existing) || existing;
+    const reportDoc = {
+      ...current,
+      ...pickReportFields(body, current.type),
+      _rev: body._rev || existing._rev,
+      updatedAt: new Date().toISOString(),
+    };
+    // The author's signature no longer covers edited content; keeping it
+    // would mark the report as tampered with
+    const contentChanged = SIGNED_FIELDS.some(
+      (field) => JSON.stringify(existing[field]) !== JSON.stringify(reportDoc[field])
+    );
+    if (contentChanged) delete reportDoc.signature;
+    assertValid(reportDoc);
+    const result = await reportsDB.put(reportDoc);
+    res.json({ ...reportDoc, _rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/reports/:id/status  { status, note }  (responders and coordinators)
+async function updateStatus(req, res, next) {
+  try {
+    const { status, note } = req.body || {};
+    if (status === "verified" && !can(req.user.role, "report:verify")) {
+      throw new HttpError(403, "forbidden", "Only coordinators can verify reports.");
+    }
+    const existing = await getIncidentDoc(req.params.id);
+    let reportDoc;
+    try {
+      reportDoc = changeStatus(migrateDocument(existing) || existing, status, req.user.id, note);
+    } catch (err) {
+      throw new HttpError(409, "invalid_transition", err.message);
+    }
+    const result = await reportsDB.put(reportDoc);
+    res.json({ ...reportDoc, _rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/reports/:id/notes  { note }  (responders and coordinators)
+async function addIncidentNote(req, res, next) {
+  try {
+    const existing = await getIncidentDoc(req.params.id);
+    let reportDoc;
+    try {
+      reportDoc = addNote(migrateDocument(existing) || existing, req.user.id, (req.body || {}).note);
+    } catch (err) {
+      throw new HttpError(400, "validation_failed", err.message, { note: err.message });
+    }
+    const result = await reportsDB.put(reportDoc);
+    res.status(201).json({ ...reportDoc, _rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Every disaster report, normalised, for clustering
+async function loadReports() {
+  const reports = [];
+  await forEachIncident(DOC_TYPES.REPORT, {}, (doc) => {
+    reports.push(doc);
+  });
+  return reports;
+}
+
+// Incident as returned by the API: report ids rather than whole documents
+function clusterSummary(cluster) {
+  const { primary, reports, ...summary } = cluster;
+  return { ...summary, primaryId: primary._id, reportIds: reports.map((report) => report._id) };
+}
+
+// GET /api/reports/clusters?open=true  (reports of the same event grouped into incidents)
+async function listClusters(req, res, next) {
+  try {
+    let clusters = clusterReports(await loadReports());
+    if (req.query.open === "true") clusters = clusters.filter((cluster) => cluster.open);
+    res.json({ total: clusters.length, clusters: clusters.map(clusterSummary) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/reports/clusters/merge  { clusterIds }  (coordinators)
+async function mergeIncidents(req, res, next) {
+  try {
+    const clusterIds = (req.body || {}).clusterIds;
+    if (!Array.isArray(clusterIds) || new Set(clusterIds).size < 2) {
+      throw new HttpError(400, "validation_failed", "Choose at least two incidents to merge.", {
+        clusterIds: "Pass two or more incident ids.",
+      });
+    }
+    const clusters = clusterReports(await loadReports());
+    const chosen = Array.from(new Set(clusterIds)).map((id) => clusters.find((cluster) => cluster.id === id));
+    const missingIndex = chosen.indexOf(undefined);
+    if (missingIndex !== -1) {
+      throw new HttpError(404, "not_found", `Incident ${clusterIds[missingIndex]} not found.`);
+    }
+    const updates = mergeClusters(chosen, req.user.id);
+    const results = await reportsDB.bulkDocs(updates);
+    if (results.some((result) => result.error)) {
+      throw new HttpError(409, "conflict", "Some reports changed during the merge. Please try again.");
+    }
+    res.json(clusterSummary(clusterReports(updates)[0]));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/reports/:id/split  (coordinators; the report becomes an incident of its own)
+async function splitIncident(req, res, next) {
+  try {
+    const existing = await getIncidentDoc(req.params.id);
+    const reportDoc = splitReport(migrateDocument(existing) || existing, req.user.id);
+    const result = await reportsDB.put(reportDoc);
+    res.json({ ...reportDoc, _rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/reports/:id
+async function deleteReport(req, res, next) {
+  try {
+    const existing = await getIncidentDoc(req.params.id);
+    const result = await reportsDB.remove(existing._id, req.query.rev || existing._rev);
+    res.json({ ok: true, id: result.id, rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Headers worth passing through from CouchDB; Range support lets video players seek
+const PROXIED_ATTACHMENT_HEADERS = [
+  "content-type",
+  "content-length",
+  "content-range",
+  "accept-ranges",
+  "etag",
+];
+
+// GET /api/reports/:id/attachments/:name  (signed in, like GET /api/reports/:id)
+// Pipes the stored file straight from CouchDB instead of buffering it in memory.
+async function streamAttachment(req, res, next) {
+  try {
+    const { id, name } = req.params;
+    const doc = await getIncidentDoc(id);
+    if (!doc._attachments || !doc._attachments[name]) {
+      throw new HttpError(404, "not_found", `Report has no attachment named "${name}".`);
+    }
+
+    const headers = couchAuthHeaders();
+    if (req.headers.range) headers.Range = req.headers.range;
+    const upstream = await fetch(attachmentUrl(REPORTS_DB_NAME, id, name), { headers });
+    if (!upstream.ok) {
+      throw new HttpError(upstream.status, "attachment_unavailable", "Could not read the attachment.");
+    }
+
+    res.status(upstream.status);
+    PROXIED_ATTACHMENT_HEADERS.forEach((header) => {
+      const value = upstream.headers.get(header);
+      if (value) res.setHeader(header, value);
+    });
+    if (name === "media" && doc.mediaFileName) {
+      res.setHeader(
+        "Content-Disposition",
+        `inline; filename*=UTF-8''${encodeURIComponent(doc.mediaFileName)}`
+      );
+    }
+    Readable.fromWeb(upstream.body).pipe(res);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listReports,
+  exportReports,
+  getReport,
+  createReport,
+  updateReport,
+  updateStatus,
+  addIncidentNote,
+  deleteReport,
+  streamAttachment,
+  listClusters,
+  mergeIncidents,
+  splitIncident,
+};
@@ -0,0 +1,111 @@
+// server/controllers/handleResources.js
+const { reportsDB } = require("../config/db");
+const { HttpError } = require("../middleware/errors");
+const {
+  RESOURCE_KINDS,
+  isResource,
+  validateResource,
+  createResource,
+  updateResource,
+  nearestOpenResources,
+} = require("../models/resourceSchema");
+
+function assertValid(resource) {
+  const errors = validateResource(resource);
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(400, "validation_failed", "Resource centre failed validation.", errors);
+  }
+}
+
+async function getResourceDoc(id) {
+  const doc = await reportsDB.get(id);
+  if (!isResource(doc)) throw new HttpError(404, "not_found", "No resource centre with this id.");
+  return doc;
+}
+
+// "lat,lng" -> [lat, lng], or null when absent/invalid
+function parseNear(value) {
+  if (!value) return null;
+  const [lat, lng] = String(value).split(",").map(Number);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null;
+}
+
+// GET /api/resources?kind=shelter&near=22.9,78.6&limit=5
+// With `near`, only open centres are returned, nearest first.
+async function listResources(req, res, next) {
+  try {
+    const result = await reportsDB.allDocs({ include_docs: true });
+    let docs = result.rows.map((row) => row.doc).filter(isResource);
+    if (req.query.kind) {
+      if (!RESOURCE_KINDS[req.query.kind]) {
+        throw new HttpError(400, "validation_failed", `Unknown resource kind "${req.query.kind}".`);
+      }
+      docs = docs.filter((doc) => doc.kind === req.query.kind);
+    }
+    const near = parseNear(req.query.near);
+    if (req.query.near && !near) {
+      throw new HttpError(400, "validation_failed", 'near must be "latitude,longitude".');
+    }
+    if (near) docs = nearestOpenResources(docs, near, Math.min(Number(req.query.limit) || 5, 100));
+    res.json({ total: docs.length, resources: docs });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/resources/:id
+async function getResource(req, res, next) {
+  try {
+    res.json(await getResourceDoc(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/resources  (coordinators)
+async function addResource(req, res, next) {
+  try {
+    const resource = createResource(req.body || {}, req.user.id);
+    assertValid(resource);
+    const result = await reportsDB.put(resource);
+    res.status(201).json({ ...resource, _rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PUT /api/resources/:id  (coordinators; send _rev to guard against lost updates)
+async function editResource(req, res, next) {
+  try {
+    const existing = await getResourceDoc(req.params.id);
+    const body = req.body || {};
+    const resource = {
+      ...updateResource(existing, { ...existing, ...body }, req.user.id),
+      _rev: body._rev || existing._rev,
+    };
+    assertValid(resource);
+    const result = await reportsDB.put(resource);
+    res.json({ ...resource, _rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/resources/:id  (coordinators)
+async function removeResource(req, res, next) {
+  try {
+    const existing = await getResourceDoc(req.params.id);
+    const result = await reportsDB.remove(existing._id, req.query.rev || existing._rev);
+    res.json({ ok: true, id: result.id, rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listResources,
+  getResource,
+  addResource,
+  editResource,
+  removeResource,
+};
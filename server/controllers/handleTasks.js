@@ -0,0 +1,218 @@
+// server/controllers/handleTasks.js
+const { reportsDB } = require("../config/db");
+const { HttpError } = require("../middleware/errors");
+const { DOC_TYPES, getPosition } = require("../models/schema");
+const {
+  MAX_TASK_UPDATE_LENGTH,
+  TASK_STATUSES,
+  addTaskUpdate,
+  cancelTask,
+  claimTask,
+  completeTask,
+  createTask,
+  editTask,
+  isTask,
+  nearbyOpenTasks,
+  releaseTask,
+  validateTask,
+} = require("../models/taskSchema");
+
+function assertValid(task) {
+  const errors = validateTask(task);
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(400, "validation_failed", "Task failed validation.", errors);
+  }
+}
+
+async function getTaskDoc(id) {
+  const doc = await reportsDB.get(id);
+  if (!isTask(doc)) throw new HttpError(404, "not_found", "No task with this id.");
+  return doc;
+}
+
+// "lat,lng" -> [lat, lng], or null when absent/invalid
+function parsePoint(value) {
+  if (!value) return null;
+  const [lat, lng] = String(value).split(",").map(Number);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null;
+}
+
+// Only copy the fields a coordinator sets; without a location of its own a
+// task is placed at the incident it was raised from
+async function taskFieldsFrom(body) {
+  const fields = {};
+  ["title", "kind", "description", "skills", "incidentId", "latitude", "longitude"].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (fields.incidentId) {
+    let incident;
+    try {
+      incident = await reportsDB.get(fields.incidentId);
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+    if (!incident || (incident.type !== DOC_TYPES.REPORT && incident.type !== DOC_TYPES.SOS)) {
+      throw new HttpError(400, "validation_failed", "Task failed validation.", {
+        incidentId: "Tasks can only be raised from a report or SOS call.",
+      });
+    }
+    const position = getPosition(incident);
+    if (fields.latitude === undefined && fields.longitude === undefined && position) {
+      fields.latitude = position[0];
+      fields.longitude = position[1];
+    }
+  }
+  return fields;
+}
+
+function readNote(body, required) {
+  const note = (body || {}).note;
+  if (note !== undefined && typeof note !== "string") {
+    throw new HttpError(400, "validation_failed", "note must be text.", { note: "note must be text." });
+  }
+  if (required && !(note && note.trim())) {
+    throw new HttpError(400, "validation_failed", "Please write an update.", { note: "Please write an update." });
+  }
+  if (note && note.length > MAX_TASK_UPDATE_LENGTH) {
+    const message = `Updates can be at most ${MAX_TASK_UPDATE_LENGTH} characters.`;
+    throw new HttpError(400, "validation_failed", message, { note: message });
+  }
+  return note;
+}
+
+// Applies a claim, update, release, completion or cancellation and saves it.
+// Only the volunteer holding a claimed task may report on it.
+async function changeTask(req, res, next, change, { assigneeOnly }) {
+  try {
+    const existing = await getTaskDoc(req.params.id);
+    if (assigneeOnly && existing.assignee !== req.user.id) {
+      throw new HttpError(403, "forbidden", "Only the volunteer who claimed this task can do that.");
+    }
+    let task;
+    try {
+      task = change(existing, { id: req.user.id, name: req.user.name });
+    } catch (err) {
+      if (err.status) throw err;
+      throw new HttpError(409, "invalid_transition", err.message);
+    }
+    const result = await reportsDB.put(task);
+    res.json({ ...task, _rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/tasks?status=open&incidentId=...&near=22.9,78.6&radiusKm=25
+// With `near`, only open tasks are returned, nearest first, each with distanceKm.
+async function listTasks(req, res, next) {
+  try {
+    if (req.query.status && !TASK_STATUSES[req.query.status]) {
+      throw new HttpError(400, "validation_failed", `status must be one of: ${Object.keys(TASK_STATUSES).join(", ")}.`);
+    }
+    const near = parsePoint(req.query.near);
+    if (req.query.near && !near) {
+      throw new HttpError(400, "validation_failed", 'near must be "latitude,longitude".');
+    }
+    // Task ids start with their type (see makeDocId in models/schema.js)
+    const prefix = `${DOC_TYPES.TASK}_`;
+    const result = await reportsDB.allDocs({ startkey: prefix, endkey: `${prefix}\ufff0`, include_docs: true });
+    let docs = result.rows.map((row) => row.doc).filter(isTask);
+    if (req.query.incidentId) docs = docs.filter((doc) => doc.incidentId === req.query.incidentId);
+    if (near) {
+      docs = nearbyOpenTasks(docs, near, req.query.radiusKm ? Number(req.query.radiusKm) : undefined);
+    } else {
+      if (req.query.status) docs = docs.filter((doc) => doc.status === req.query.status);
+      docs.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    }
+    res.json({ total: docs.length, tasks: docs });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/tasks/:id
+async function getTask(req, res, next) {
+  try {
+    res.json(await getTaskDoc(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/tasks  { title, kind, description, skills, incidentId, latitude, longitude }  (coordinators)
+async function createTaskDoc(req, res, next) {
+  try {
+    const task = createTask(await taskFieldsFrom(req.body || {}), { id: req.user.id, name: req.user.name });
+    assertValid(task);
+    const result = await reportsDB.put(task);
+    res.status(201).json({ ...task, _rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PUT /api/tasks/:id  (coordinators; send _rev to guard against lost updates)
+async function editTaskDoc(req, res, next) {
+  try {
+    const existing = await getTaskDoc(req.params.id);
+    const body = req.body || {};
+    const task = {
+      ...editTask(existing, await taskFieldsFrom(body), { id: req.user.id, name: req.user.name }),
+      _rev: body._rev || existing._rev,
+    };
+    assertValid(task);
+    const result = await reportsDB.put(task);
+    res.json({ ...task, _rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/tasks/:id/claim  (volunteers)
+function claimTaskDoc(req, res, next) {
+  return changeTask(req, res, next, (task, user) => claimTask(task, user), { assigneeOnly: false });
+}
+
+// POST /api/tasks/:id/updates  { note }  (the volunteer holding the task)
+function addTaskUpdateDoc(req, res, next) {
+  return changeTask(req, res, next, (task, user) => addTaskUpdate(task, user, readNote(req.body, true)), { assigneeOnly: true });
+}
+
+// POST /api/tasks/:id/complete  { note }  (the volunteer holding the task)
+function completeTaskDoc(req, res, next) {
+  return changeTask(req, res, next, (task, user) => completeTask(task, user, readNote(req.body, false)), { assigneeOnly: true });
+}
+
+// POST /api/tasks/:id/release  { note }  (the volunteer holding the task)
+function releaseTaskDoc(req, res, next) {
+  return changeTask(req, res, next, (task, user) => releaseTask(task, user, readNote(req.body, false)), { assigneeOnly: true });
+}
+
+// POST /api/tasks/:id/cancel  { note }  (coordinators)
+function cancelTaskDoc(req, res, next) {
+  return changeTask(req, res, next, (task, user) => cancelTask(task, user, readNote(req.body, false)), { assigneeOnly: false });
+}
+
+// DELETE /api/tasks/:id  (coordinators)
+async function removeTask(req, res, next) {
+  try {
+    const existing = await getTaskDoc(req.params.id);
+    const result = await reportsDB.remove(existing._id, req.query.rev || existing._rev);
+    res.json({ ok: true, id: result.id, rev: result.rev });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listTasks,
+  getTask,
+  createTaskDoc,
+  editTaskDoc,
+  claimTaskDoc,
+  addTaskUpdateDoc,
+  completeTaskDoc,
+  releaseTaskDoc,
+  cancelTaskDoc,
+  removeTask,
+};
@@ -0,0 +1,182 @@
+// server/controllers/handleUsers.js
+const bcrypt = require("bcryptjs");
+const { usersDB } = require("../config/db");
+const { HttpError } = require("../middleware/errors");
+const { issueToken } = require("../middleware/auth");
+const { ROLES, ROLE_LABELS, isRole } = require("../models/roles");
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+// Self-registration always yields a citizen; coordinators promote others
+const DEFAULT_ROLE = ROLES.CITIZEN;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function userId(email) {
+  return `user:${email.trim().toLowerCase()}`;
+}
+
+// Everything except the password hash and CouchDB bookkeeping
+function publicUser(doc) {
+  return {
+    id: doc._id,
+    name: doc.name,
+    email: doc.email,
+    phone: doc.phone || "",
+    avatar: doc.avatar || null,
+    role: doc.role,
+    createdAt: doc.createdAt,
+  };
+}
+
+function validateRegistration(body) {
+  const errors = {};
+  if (typeof body.name !== "string" || !body.name.trim()) errors.name = "Please enter your name.";
+  if (typeof body.email !== "string" || !EMAIL_PATTERN.test(body.email.trim())) {
+    errors.email = "Please enter a valid email address.";
+  }
+  if (typeof body.password !== "string" || body.password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  return errors;
+}
+
+// POST /api/users/register
+async function register(req, res, next) {
+  try {
+    const body = req.body || {};
+    const errors = validateRegistration(body);
+    if (Object.keys(errors).length > 0) {
+      throw new HttpError(400, "validation_failed", "Registration failed validation.", errors);
+    }
+
+    const now = new Date().toISOString();
+    const userDoc = {
+      _id: userId(body.email),
+      type: "user",
+      name: body.name.trim(),
+      email: body.email.trim().toLowerCase(),
+      phone: typeof body.phone === "string" ? body.phone.trim() : "",
+      role: DEFAULT_ROLE,
+      passwordHash: await bcrypt.hash(body.password, BCRYPT_ROUNDS),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    try {
+      await usersDB.put(userDoc);
+    } catch (err) {
+      if (err.status === 409) {
+        throw new HttpError(409, "email_taken", "An account with this email already exists.", {
+          email: "An account with this email already exists.",
+        });
+      }
+      throw err;
+    }
+
+    res.status(201).json({ token: issueToken(userDoc), user: publicUser(userDoc) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/users/login
+async function login(req, res, next) {
+  try {
+    const { email, password } = req.body || {};
+    if (typeof email !== "string" || typeof password !== "string") {
+      throw new HttpError(400, "validation_failed", "Email and password are required.");
+    }
+
+    let userDoc = null;
+    try {
+      userDoc = await usersDB.get(userId(email));
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+    // Same response for unknown email and wrong password
+    if (!userDoc || !(await bcrypt.compare(password, userDoc.passwordHash))) {
+      throw new HttpError(401, "invalid_credentials", "Incorrect email or password.");
+    }
+
+    res.json({ token: issueToken(userDoc), user: publicUser(userDoc) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/users/me  (re-issues the token so role changes take effect)
+async function getCurrentUser(req, res, next) {
+  try {
+    const userDoc = await usersDB.get(req.user.id);
+    res.json({ token: issueToken(userDoc), user: publicUser(userDoc) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PUT /api/users/me  (name, phone and avatar data URL are editable)
+async function updateCurrentUser(req, res, next) {
+  try {
+    const body = req.body || {};
+    const userDoc = await usersDB.get(req.user.id);
+    if (body.name !== undefined) {
+      if (typeof body.name !== "string" || !body.name.trim()) {
+        throw new HttpError(400, "validation_failed", "Profile failed validation.", {
+          name: "Please enter your name.",
+        });
+      }
+      userDoc.name = body.name.trim();
+    }
+    if (typeof body.phone === "string") userDoc.phone = body.phone.trim();
+    if (body.avatar === null || typeof body.avatar === "string") userDoc.avatar = body.avatar;
+    userDoc.updatedAt = new Date().toISOString();
+
+    await usersDB.put(userDoc);
+    res.json({ token: issueToken(userDoc), user: publicUser(userDoc) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/users  (coordinators)
+async function listUsers(req, res, next) {
+  try {
+    const result = await usersDB.allDocs({ include_docs: true });
+    const users = result.rows
+      .map((row) => row.doc)
+      .filter((doc) => doc.type === "user")
+      .map(publicUser);
+    res.json({ total: users.length, users });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PUT /api/users/:id/role  { role }  (coordinators)
+async function assignRole(req, res, next) {
+  try {
+    const { role } = req.body || {};
+    if (!isRole(role)) {
+      throw new HttpError(400, "validation_failed", "Unknown role.", {
+        role: `Role must be one of: ${Object.keys(ROLE_LABELS).join(", ")}.`,
+      });
+    }
+    const userDoc = await usersDB.get(req.params.id);
+    userDoc.role = role;
+    userDoc.updatedAt = new Date().toISOString();
+    await usersDB.put(userDoc);
+    res.json(publicUser(userDoc));
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  userId,
+  register,
+  login,
+  getCurrentUser,
+  updateCurrentUser,
+  listUsers,
+  assignRole,
+};
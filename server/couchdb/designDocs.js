@@ -0,0 +1,343 @@
+// server/couchdb/designDocs.js
+// Design documents installed into the replicated `disaster_reports` database
+// (see scripts/installDesignDocs.js). CouchDB enforces validation on every
+// write, including writes that arrive through client sync rather than the
+// API; the API pages through the views.
+const { PERMISSIONS } = require("../models/roles");
+const {
+  DISASTER_TYPES,
+  SCHEMA_VERSION,
+  SEVERITY_MAX,
+  SEVERITY_MIN,
+  STATUS_TRANSITIONS,
+} = require("../models/schema");
+const { TASK_TRANSITIONS, TASK_VOLUNTEER_FIELDS } = require("../models/taskSchema");
+
+// Fields a responder may change on someone else's report: its lifecycle
+const LIFECYCLE_FIELDS = ["status", "history", "updatedAt", "updatedBy"];
+
+// document type -> permission needed to create, edit or delete it
+const WRITE_PERMISSIONS = {
+  resource: "resource:manage",
+  alert: "alert:publish",
+};
+
+/* eslint-disable */
+// Runs inside CouchDB's JavaScript engine, so ES5 only. The __PLACEHOLDERS__
+// are replaced with JSON when the design document is built.
+function validateDocUpdate(newDoc, oldDoc, userCtx) {
+  var PERMISSIONS = __PERMISSIONS__;
+  var SCHEMA_VERSION = __SCHEMA_VERSION__;
+  var DISASTER_TYPES = __DISASTER_TYPES__;
+  var SEVERITY_MIN = __SEVERITY_MIN__;
+  var SEVERITY_MAX = __SEVERITY_MAX__;
+  var LIFECYCLE_FIELDS = __LIFECYCLE_FIELDS__;
+  var STATUS_TRANSITIONS = __STATUS_TRANSITIONS__;
+  var WRITE_PERMISSIONS = __WRITE_PERMISSIONS__;
+  var TASK_TRANSITIONS = __TASK_TRANSITIONS__;
+  var TASK_VOLUNTEER_FIELDS = __TASK_VOLUNTEER_FIELDS__;
+
+  if (userCtx.roles.indexOf("_admin") !== -1) return;
+
+  function can(permission) {
+    var allowed = PERMISSIONS[permission] || [];
+    for (var i = 0; i < userCtx.roles.length; i++) {
+      if (allowed.indexOf(userCtx.roles[i]) !== -1) return true;
+    }
+    return false;
+  }
+
+  function deny(message) {
+    throw({ forbidden: message });
+  }
+
+  // First field the update changes, other than CouchDB's own and those in
+  // `allowed`; null if there is none
+  function changedField(allowed) {
+    var keys = {};
+    var key;
+    for (key in oldDoc) keys[key] = true;
+    for (key in newDoc) keys[key] = true;
+    for (key in keys) {
+      if (key.charAt(0) === "_" || allowed.indexOf(key) !== -1) continue;
+      if (JSON.stringify(oldDoc[key]) !== JSON.stringify(newDoc[key])) return key;
+    }
+    return null;
+  }
+
+  function isPosition(lat, lng) {
+    return typeof lat === "number" && lat >= -90 && lat <= 90 &&
+      typeof lng === "number" && lng >= -180 && lng <= 180;
+  }
+
+  // migrateDocument() from client/src/db/schema.js, in ES5: what `doc`
+  // becomes at SCHEMA_VERSION. Keep the two in step.
+  function migrate(doc) {
+    var result = {};
+    for (var key in doc) result[key] = doc[key];
+    var version = doc.schemaVersion || 0;
+    if (version < 1) {
+      if (!result.type) result.type = "report";
+      if (!isPosition(result.latitude, result.longitude) && Array.isArray(result.position) && result.position.length === 2 &&
+          isPosition(Number(result.position[0]), Number(result.position[1]))) {
+        result.latitude = Number(result.position[0]);
+        result.longitude = Number(result.position[1]);
+      }
+      delete result.position;
+      if (result.severity !== undefined) result.severity = Math.round(Number(result.severity));
+      if (result.type === "sos" && result.affectedPeople !== undefined) {
+        result.affectedPeople = Number(result.affectedPeople);
+      }
+      if (!result.createdAt && !isNaN(Date.parse(result._id))) result.createdAt = new Date(result._id).toISOString();
+      if (!result.updatedAt && result.createdAt) result.updatedAt = result.createdAt;
+    }
+    if (version < 2) {
+      if (!result.status) result.status = result.verified ? "verified" : "new";
+      if (!Array.isArray(result.history)) {
+        result.history = result.verified
+          ? [{ action: "status", from: "new", to: "verified", by: result.verifiedBy, at: result.verifiedAt }]
+          : [];
+      }
+      delete result.verified;
+      delete result.verifiedBy;
+      delete result.verifiedAt;
+    }
+    result.schemaVersion = SCHEMA_VERSION;
+    return result;
+  }
+
+  // An outdated document rewritten exactly as migrateDocument() would is a
+  // schema migration, which any signed-in user may save. It only fills in
+  // what the old fields imply, so type, status, history and location stay
+  // as they were.
+  function isMigrationOnly() {
+    if (!((oldDoc.schemaVersion || 0) < SCHEMA_VERSION && newDoc.schemaVersion === SCHEMA_VERSION)) return false;
+    var expected = migrate(oldDoc);
+    var keys = {};
+    var key;
+    for (key in expected) keys[key] = true;
+    for (key in newDoc) keys[key] = true;
+    for (key in keys) {
+      if (key.charAt(0) === "_") continue;
+      if (JSON.stringify(expected[key]) !== JSON.stringify(newDoc[key])) return false;
+    }
+    return true;
+  }
+
+  // History is append-only; every entry added here must be by this user,
+  // and a status change must be a legal transition recorded in the history
+  function checkLifecycle() {
+    var oldHistory = oldDoc.history || [];
+    var newHistory = newDoc.history || [];
+    var oldStatus = oldDoc.status || "new";
+    var newStatus = newDoc.status || "new";
+    if (JSON.stringify(oldHistory) === JSON.stringify(newHistory) && oldStatus === newStatus) return;
+
+    if (!can("incident:updateStatus")) deny("Only responders and coordinators can update incidents.");
+    if (newHistory.length < oldHistory.length ||
+        JSON.stringify(newHistory.slice(0, oldHistory.length)) !== JSON.stringify(oldHistory)) {
+      deny("Incident history cannot be rewritten.");
+    }
+    for (var i = oldHistory.length; i < newHistory.length; i++) {
+      if (newHistory[i].by !== userCtx.name) deny("History entries must be by the signed-in user.");
+    }
+    if (oldStatus !== newStatus) {
+      if ((STATUS_TRANSITIONS[oldStatus] || []).indexOf(newStatus) === -1) {
+        deny("Illegal status change from " + oldStatus + " to " + newStatus + ".");
+      }
+      var last = newHistory[newHistory.length - 1];
+      if (!last || last.action !== "status" || last.to !== newStatus) {
+        deny("Status changes must be recorded in the history.");
+      }
+      if (newStatus === "verified" && !can("report:verify")) deny("Only coordinators can verify reports.");
+    }
+  }
+
+  // New incidents start at the beginning of the lifecycle
+  function checkNewIncident() {
+    if ((newDoc.status || "new") !== "new" || (newDoc.history || []).length > 0) {
+      deny("New incidents must start with status new and an empty history.");
+    }
+  }
+
+  // The required fields of validateDocument() in client/src/db/schema.js:
+  // clients sync straight to CouchDB, and a report without a position or
+  // severity breaks the map and the exports
+  function checkIncidentFields() {
+    if (newDoc.type !== "report" && newDoc.type !== "sos") deny("Reports and SOS calls need a type.");
+    if (!isPosition(newDoc.latitude, newDoc.longitude)) deny("A report needs a valid latitude and longitude.");
+    var severity = newDoc.severity;
+    if (typeof severity !== "number" || severity % 1 !== 0 || severity < SEVERITY_MIN || severity > SEVERITY_MAX) {
+      deny("Severity must be a whole number from " + SEVERITY_MIN + " to " + SEVERITY_MAX + ".");
+    }
+    if (newDoc.type === "report" && DISASTER_TYPES.indexOf(newDoc.disasterType) === -1) {
+      deny("A report needs a known disaster type.");
+    }
+    if (newDoc.type === "sos" && !(typeof newDoc.affectedPeople === "number" && newDoc.affectedPeople > 0)) {
+      deny("An SOS needs the number of affected people.");
+    }
+  }
+
+  // `source` marks an official warning ingested from a feed (see
+  // server/ingest/), which the map shows as such and clustering leaves out
+  function checkSource() {
+    var oldSource = oldDoc ? oldDoc.source : undefined;
+    if (JSON.stringify(newDoc.source) !== JSON.stringify(oldSource) && !can("feed:ingest")) {
+      deny("Only coordinators can publish warnings from official feeds.");
+    }
+  }
+
+  // Saving over a deleted document creates it afresh
+  if (oldDoc && oldDoc._deleted) oldDoc = null;
+
+  // The stored type picks the rules, so it can never change; documents from
+  // before the schema have none and count as reports
+  var type = (oldDoc ? oldDoc.type : newDoc.type) || "report";
+  if (oldDoc && !newDoc._deleted && (newDoc.type || "report") !== type) {
+    deny("A document's type cannot be changed.");
+  }
+
+  // Anyone, even signed out, may raise an SOS
+  if (!oldDoc && type === "sos" && !newDoc.reportedBy) {
+    checkNewIncident();
+    checkIncidentFields();
+    checkSource();
+    return;
+  }
+
+  if (!userCtx.name) throw({ unauthorized: "Sign in to change data." });
+
+  // A device key is registered by its user and never changed afterwards;
+  // the user or a coordinator may revoke it by deleting it
+  if (type === "deviceKey") {
+    if (newDoc._deleted) {
+      if (oldDoc.userId !== userCtx.name && !can("report:delete")) deny("You can only revoke your own device keys.");
+      return;
+    }
+    if (oldDoc) deny("Device keys cannot be changed.");
+    if (newDoc.userId !== userCtx.name) deny("Device keys can only be registered for the signed-in user.");
+    if (newDoc._id !== "deviceKey_" + newDoc.keyId + "_" + newDoc.userId) deny("Device key id does not match its key.");
+    return;
+  }
+
+  // Coordinators manage tasks. Volunteers claim open ones, then update,
+  // release or complete their own, only appending to the update log.
+  if (type === "task") {
+    if (can("task:manage")) return;
+    if (!oldDoc || newDoc._deleted) deny("Only coordinators can create or remove tasks.");
+    if (!can("task:accept")) deny("Your role cannot take on tasks.");
+    var field = changedField(TASK_VOLUNTEER_FIELDS);
+    if (field !== null) deny("Only coordinators can change a task's " + field + ".");
+    if ((TASK_TRANSITIONS[oldDoc.status] || []).indexOf(newDoc.status) === -1) {
+      deny("A task cannot move from " + oldDoc.status + " to " + newDoc.status + ".");
+    }
+    if (oldDoc.status !== "open" && oldDoc.assignee !== userCtx.name) deny("This task belongs to another volunteer.");
+    if (newDoc.status === "open" ? newDoc.assignee : newDoc.assignee !== userCtx.name) {
+      deny("Volunteers can only claim tasks for themselves.");
+    }
+    var oldUpdates = oldDoc.updates || [];
+    var newUpdates = newDoc.updates || [];
+    if (newUpdates.length <= oldUpdates.length ||
+        JSON.stringify(newUpdates.slice(0, oldUpdates.length)) !== JSON.stringify(oldUpdates)) {
+      deny("Task changes must be added to its update log.");
+    }
+    for (var u = oldUpdates.length; u < newUpdates.length; u++) {
+      if (newUpdates[u].by !== userCtx.name) deny("Task updates must be by the signed-in user.");
+    }
+    return;
+  }
+
+  // Simple types: one permission guards every write, including deletion
+  if (WRITE_PERMISSIONS[type]) {
+    if (!can(WRITE_PERMISSIONS[type])) deny("Your role cannot change " + type + " documents.");
+    return;
+  }
+
+  if (newDoc._deleted) {
+    if (!can("report:delete")) deny("Only coordinators can delete documents.");
+    return;
+  }
+
+  if (type === "report" || type === "sos") {
+    if (!oldDoc) {
+      if (!can(type + ":create")) deny("Your role cannot create this document.");
+      if (newDoc.reportedBy && newDoc.reportedBy !== userCtx.name && !can("report:relay")) {
+        deny("reportedBy must be the signed-in user.");
+      }
+      checkNewIncident();
+      checkIncidentFields();
+      checkSource();
+      return;
+    }
+    if (isMigrationOnly()) return;
+    var isOwner = oldDoc.reportedBy && oldDoc.reportedBy === userCtx.name;
+    if (!isOwner && !can("report:editAny")) {
+      if (!can("incident:updateStatus")) deny("You can only edit your own reports.");
+      var changed = changedField(LIFECYCLE_FIELDS);
+      if (changed !== null) deny("Responders can only update the status and history of other people's reports, not " + changed + ".");
+    }
+    if (newDoc.reportedBy !== oldDoc.reportedBy) deny("The author of a report cannot be changed.");
+    checkSource();
+    // Lifecycle updates leave older documents as they are; content edits
+    // must leave a complete document
+    if (changedField(LIFECYCLE_FIELDS.concat(["clusterId"])) !== null) checkIncidentFields();
+    if (newDoc.clusterId !== oldDoc.clusterId && !can("incident:merge")) {
+      deny("Only coordinators can merge or split incidents.");
+    }
+    // CouchDB cannot check signatures itself (see scripts/verifySignatures.js),
+    // but it can stop one being swapped for another
+    if (newDoc.signature && JSON.stringify(newDoc.signature) !== JSON.stringify(oldDoc.signature)) {
+      deny("A report's signature cannot be replaced.");
+    }
+    checkLifecycle();
+    return;
+  }
+
+  deny("Unknown document type: " + type);
+}
+/* eslint-enable */
+
+/* eslint-disable no-undef */
+// Reports and SOS calls keyed by [type, createdAt, _id], so the API can page
+// through one type without reading the whole database; the id makes every key
+// unique, so a page can start right after the last key of the one before.
+// Documents without a type predate the schema: reports, with the time as _id.
+function incidentsMap(doc) {
+  var type = doc.type || "report";
+  if (type !== "report" && type !== "sos") return;
+  emit([type, doc.createdAt || doc._id, doc._id], null);
+}
+/* eslint-enable no-undef */
+
+function buildValidateFunction() {
+  return validateDocUpdate
+    .toString()
+    .replace("__PERMISSIONS__", JSON.stringify(PERMISSIONS))
+    .replace("__SCHEMA_VERSION__", JSON.stringify(SCHEMA_VERSION))
+    .replace("__DISASTER_TYPES__", JSON.stringify(DISASTER_TYPES))
+    .replace("__SEVERITY_MIN__", JSON.stringify(SEVERITY_MIN))
+    .replace("__SEVERITY_MAX__", JSON.stringify(SEVERITY_MAX))
+    .replace("__LIFECYCLE_FIELDS__", JSON.stringify(LIFECYCLE_FIELDS))
+    .replace("__STATUS_TRANSITIONS__", JSON.stringify(STATUS_TRANSITIONS))
+    .replace("__WRITE_PERMISSIONS__", JSON.stringify(WRITE_PERMISSIONS))
+    .replace("__TASK_TRANSITIONS__", JSON.stringify(TASK_TRANSITIONS))
+    .replace("__TASK_VOLUNTEER_FIELDS__", JSON.stringify(TASK_VOLUNTEER_FIELDS));
+}
+
+const authDesignDoc = {
+  _id: "_design/ddms_auth",
+  validate_doc_update: buildValidateFunction(),
+};
+
+const reportsDesignDoc = {
+  _id: "_design/ddms_reports",
+  views: {
+    incidents: { map: incidentsMap.toString(), reduce: "_count" },
+  },
+};
+
+module.exports = {
+  authDesignDoc,
+  reportsDesignDoc,
+  validateDocUpdate,
+};
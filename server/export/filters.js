@@ -0,0 +1,103 @@
+// server/export/filters.js
+// Query-string filters for report exports (see controllers/handleReports.js).
+// Lists are comma-separated, e.g.
+//   ?disasterType=Flood,Cyclone&minSeverity=6&status=new,verified
+//   &bbox=77.5,22.5,78,23&from=2026-07-01&to=2026-07-31
+const {
+  DISASTER_TYPES,
+  DOC_TYPES,
+  INCIDENT_STATUSES,
+  SEVERITY_MIN,
+  SEVERITY_MAX,
+} = require("../models/schema");
+
+const EXPORT_TYPES = [DOC_TYPES.REPORT, DOC_TYPES.SOS];
+
+function splitList(value) {
+  if (value === undefined || value === "") return null;
+  return String(value).split(",").map((item) => item.trim()).filter(Boolean);
+}
+
+// A bare date ("2026-07-31") as the end of a range covers that whole day
+function parseBoundary(value, endOfDay) {
+  const time = Date.parse(value);
+  if (isNaN(time)) return null;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// { filters, errors }; `errors` is keyed by query parameter, like validateDocument()
+function parseExportFilters(query) {
+  const errors = {};
+  const filters = {};
+
+  filters.types = splitList(query.type) || [DOC_TYPES.REPORT];
+  if (filters.types.some((type) => EXPORT_TYPES.indexOf(type) === -1)) {
+    errors.type = `type must be one of: ${EXPORT_TYPES.join(", ")}.`;
+  }
+
+  filters.disasterTypes = splitList(query.disasterType);
+  if (filters.disasterTypes && filters.disasterTypes.some((type) => DISASTER_TYPES.indexOf(type) === -1)) {
+    errors.disasterType = `disasterType must be one of: ${DISASTER_TYPES.join(", ")}.`;
+  }
+
+  filters.statuses = splitList(query.status);
+  if (filters.statuses && filters.statuses.some((status) => INCIDENT_STATUSES.indexOf(status) === -1)) {
+    errors.status = `status must be one of: ${INCIDENT_STATUSES.join(", ")}.`;
+  }
+
+  filters.minSeverity = query.minSeverity === undefined ? SEVERITY_MIN : Number(query.minSeverity);
+  filters.maxSeverity = query.maxSeverity === undefined ? SEVERITY_MAX : Number(query.maxSeverity);
+  if (isNaN(filters.minSeverity) || isNaN(filters.maxSeverity) || filters.minSeverity > filters.maxSeverity) {
+    errors.severity = `Give minSeverity and maxSeverity as numbers from ${SEVERITY_MIN} to ${SEVERITY_MAX}, lowest first.`;
+  }
+
+  // GeoJSON order: west, south, east, north
+  if (query.bbox) {
+    const bbox = String(query.bbox).split(",").map(Number);
+    const [west, south, east, north] = bbox;
+    if (bbox.length !== 4 || bbox.some(isNaN) || south > north || south < -90 || north > 90) {
+      errors.bbox = "bbox must be west,south,east,north in degrees.";
+    } else {
+      filters.bbox = { west, south, east, north };
+    }
+  }
+
+  if (query.from) {
+    filters.from = parseBoundary(query.from, false);
+    if (filters.from === null) errors.from = "from must be a date, e.g. 2026-07-01.";
+  }
+  if (query.to) {
+    filters.to = parseBoundary(query.to, true);
+    if (filters.to === null) errors.to = "to must be a date, e.g. 2026-07-31.";
+  }
+
+  return { filters, errors };
+}
+
+// A box whose west edge is east of its east edge crosses the antimeridian
+function inBoundingBox(bbox, latitude, longitude) {
+  if (latitude < bbox.south || latitude > bbox.north) return false;
+  return bbox.west <= bbox.east
+    ? longitude >= bbox.west && longitude <= bbox.east
+    : longitude >= bbox.west || longitude <= bbox.east;
+}
+
+function matchesExportFilters(doc, filters) {
+  if (filters.types.indexOf(doc.type) === -1) return false;
+  // SOS calls have no disaster type; a type filter only narrows reports
+  if (filters.disasterTypes && doc.type === DOC_TYPES.REPORT &&
+      filters.disasterTypes.indexOf(doc.disasterType) === -1) return false;
+  if (filters.statuses && filters.statuses.indexOf(doc.status || "new") === -1) return false;
+  if (!(doc.severity >= filters.minSeverity && doc.severity <= filters.maxSeverity)) return false;
+  if (filters.bbox && !inBoundingBox(filters.bbox, doc.latitude, doc.longitude)) return false;
+  const created = Date.parse(doc.createdAt);
+  if (filters.from !== undefined && !(created >= filters.from)) return false;
+  if (filters.to !== undefined && !(created <= filters.to)) return false;
+  return true;
+}
+
+module.exports = {
+  EXPORT_TYPES,
+  parseExportFilters,
+  matchesExportFilters,
+};
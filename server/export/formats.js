@@ -0,0 +1,147 @@
+// server/export/formats.js
+// Report exports for partner agencies: GeoJSON and KML for QGIS and Google
+// Earth, CSV for spreadsheets. Every format carries the same fields, with
+// attachments as links back to GET /api/reports/:id/attachments/:name, which
+// answers only with a session (a partner account's token).
+const { STATUS_LABELS } = require("../models/schema");
+
+// Flat copy of a report with only what partners need; `attachmentUrl(id, name)`
+// builds absolute attachment links
+function toExportRecord(doc, attachmentUrl) {
+  const attachments = Object.keys(doc._attachments || {}).map((name) => ({
+    name,
+    contentType: doc._attachments[name].content_type,
+    url: attachmentUrl(doc._id, name),
+  }));
+  return {
+    id: doc._id,
+    type: doc.type,
+    disasterType: doc.disasterType || null,
+    severity: doc.severity,
+    status: doc.status || "new",
+    description: doc.description || "",
+    affectedPeople: doc.affectedPeople === undefined ? null : doc.affectedPeople,
+    latitude: doc.latitude,
+    longitude: doc.longitude,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+    source: doc.source ? doc.source.name : null,
+    sourceUrl: doc.source && doc.source.url ? doc.source.url : null,
+    attachments,
+  };
+}
+
+function toGeoJSON(records) {
+  const collection = {
+    type: "FeatureCollection",
+    features: records.map((record) => {
+      const { id, latitude, longitude, ...properties } = record;
+      return {
+        type: "Feature",
+        id,
+        geometry: { type: "Point", coordinates: [longitude, latitude] },
+        properties: { id, ...properties },
+      };
+    }),
+  };
+  return JSON.stringify(collection, null, 2);
+}
+
+const CSV_COLUMNS = [
+  "id", "type", "disasterType", "severity", "status", "description", "affectedPeople",
+  "latitude", "longitude", "createdAt", "updatedAt", "source", "sourceUrl", "attachments",
+];
+
+// Attachment links are space-separated in a single column
+function columnValue(record, column) {
+  return column === "attachments" ? record.attachments.map((attachment) => attachment.url).join(" ") : record[column];
+}
+
+// RFC 4180 quoting. Text that a spreadsheet would read as a formula is
+// prefixed with an apostrophe, since descriptions are written by the public.
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(records) {
+  const rows = records.map((record) =>
+    CSV_COLUMNS.map((column) => csvCell(columnValue(record, column))).join(",")
+  );
+  // Byte order mark so Excel reads the file as UTF-8
+  return `\ufeff${[CSV_COLUMNS.join(","), ...rows].join("\r\n")}\r\n`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Balloon text shown by Google Earth; escaped, as KML descriptions are HTML
+function kmlDescription(record) {
+  const lines = [
+    escapeXml(record.description),
+    `Severity ${record.severity} · ${escapeXml(STATUS_LABELS[record.status] || record.status)}`,
+    `Reported ${escapeXml(record.createdAt)}`,
+  ];
+  if (record.affectedPeople !== null) lines.push(`${record.affectedPeople} people affected`);
+  if (record.source) lines.push(`Source: ${escapeXml(record.source)}`);
+  record.attachments.forEach((attachment) => {
+    lines.push(`<a href="${escapeXml(attachment.url)}">${escapeXml(attachment.name)}</a>`);
+  });
+  return lines.join("<br/>");
+}
+
+function kmlPlacemark(record) {
+  const title = record.type === "sos" ? "SOS" : record.disasterType;
+  const data = CSV_COLUMNS.filter((column) => ["id", "description", "latitude", "longitude"].indexOf(column) === -1)
+    .map((column) => {
+      const value = columnValue(record, column);
+      return `        <Data name="${column}"><value>${escapeXml(value === null ? "" : value)}</value></Data>`;
+    });
+  return [
+    `    <Placemark id="${escapeXml(record.id)}">`,
+    `      <name>${escapeXml(`${title} (severity ${record.severity})`)}</name>`,
+    `      <description>${escapeXml(kmlDescription(record))}</description>`,
+    `      <TimeStamp><when>${escapeXml(record.createdAt)}</when></TimeStamp>`,
+    "      <ExtendedData>",
+    ...data,
+    "      </ExtendedData>",
+    `      <Point><coordinates>${record.longitude},${record.latitude}</coordinates></Point>`,
+    "    </Placemark>",
+  ].join("\n");
+}
+
+function toKML(records, title) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(title)}</name>`,
+    ...records.map(kmlPlacemark),
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+// format -> how to write it and serve it
+const EXPORT_FORMATS = {
+  geojson: { contentType: "application/geo+json", extension: "geojson", render: toGeoJSON },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv", render: toCSV },
+  kml: { contentType: "application/vnd.google-earth.kml+xml", extension: "kml", render: toKML },
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  toExportRecord,
+  toGeoJSON,
+  toCSV,
+  toKML,
+};
@@ -0,0 +1,162 @@
+// server/import/importReports.js
+// Bulk import of past-season spreadsheets and partner GeoJSON into
+// disaster_reports. A preview is a dry run that reports what each row would
+// do; committing writes the valid rows. Document ids are derived from the
+// rows (see mapping.js), so committing the same file again changes nothing.
+const { reportsDB } = require("../config/db");
+const { parseRows } = require("./rows");
+const { IMPORT_FIELDS, IMPORTED_FIELDS, mappingErrors, suggestMapping, toImportedReport } = require("./mapping");
+
+// Rows one import may hold; larger datasets can be split into several files
+const MAX_IMPORT_ROWS = 5000;
+
+// Only mapped fields count: without a date column every run would
+// otherwise stamp the report with a new createdAt
+function mappedFields(mapping) {
+  return IMPORTED_FIELDS.filter((field) => mapping[field]);
+}
+
+function sameContent(existing, doc, fields) {
+  return fields.every((field) => JSON.stringify(existing[field]) === JSON.stringify(doc[field]));
+}
+
+// Existing documents for `ids`, keyed by id
+async function loadExisting(ids) {
+  const result = await reportsDB.allDocs({ keys: ids, include_docs: true });
+  const existing = {};
+  result.rows.forEach((row) => {
+    if (row.doc) existing[row.id] = row.doc;
+  });
+  return existing;
+}
+
+// Parses and maps the dataset, then works out what each row would do.
+// options: { format, mapping, dataset, userId }; without a mapping the
+// suggested one is used. -> { format, columns, mapping, mappingErrors, rows }
+// where each row is { row, id, action, errors, doc } and action is "create",
+// "update", "unchanged" or "invalid". Rejects with an error flagged
+// `invalidDataset` when the text cannot be parsed.
+async function planImport(text, options) {
+  let parsed;
+  try {
+    parsed = parseRows(text, options.format);
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`The dataset has ${parsed.rows.length} rows; import at most ${MAX_IMPORT_ROWS} at a time.`);
+    }
+  } catch (err) {
+    // Marks a dataset we cannot read, as opposed to a failure looking up or storing rows
+    err.invalidDataset = true;
+    throw err;
+  }
+  const mapping = options.mapping || suggestMapping(parsed.columns);
+  const plan = {
+    format: parsed.format,
+    columns: parsed.columns,
+    mapping,
+    mappingErrors: mappingErrors(mapping, parsed.columns),
+    rows: [],
+  };
+  if (Object.keys(plan.mappingErrors).length > 0) return plan;
+
+  const now = new Date();
+  const firstRowById = {};
+  plan.rows = parsed.rows.map((row) => {
+    const { doc, errors } = toImportedReport(row, mapping, { dataset: options.dataset, userId: options.userId, now });
+    if (firstRowById[doc._id] !== undefined) {
+      errors.externalId = `Duplicate of row ${firstRowById[doc._id]}.`;
+    } else {
+      firstRowById[doc._id] = row.row;
+    }
+    return { row: row.row, id: doc._id, errors, doc };
+  });
+
+  const existing = await loadExisting(Object.keys(firstRowById));
+  plan.rows.forEach((row) => {
+    if (Object.keys(row.errors).length > 0) row.action = "invalid";
+    else if (!existing[row.id]) row.action = "create";
+    else if (sameContent(existing[row.id], row.doc, mappedFields(mapping))) row.action = "unchanged";
+    else row.action = "update";
+    row.existing = existing[row.id] || null;
+  });
+  return plan;
+}
+
+function countActions(rows) {
+  const counts = { create: 0, update: 0, unchanged: 0, invalid: 0 };
+  rows.forEach((row) => {
+    counts[row.action]++;
+  });
+  return counts;
+}
+
+// Row as shown in the preview: the mapped report fields, not the whole document
+function previewRow(row) {
+  const fields = {};
+  IMPORTED_FIELDS.concat(["status"]).forEach((field) => {
+    fields[field] = row.doc[field];
+  });
+  return { row: row.row, id: row.id, action: row.action, errors: row.errors, report: fields };
+}
+
+// Dry run: nothing is written. `fields` lists what columns can be mapped onto.
+async function previewImport(text, options) {
+  const plan = await planImport(text, options);
+  const fields = {};
+  Object.keys(IMPORT_FIELDS).forEach((field) => {
+    fields[field] = { label: IMPORT_FIELDS[field].label, required: IMPORT_FIELDS[field].required };
+  });
+  return {
+    fields,
+    format: plan.format,
+    columns: plan.columns,
+    mapping: plan.mapping,
+    mappingErrors: plan.mappingErrors,
+    counts: countActions(plan.rows),
+    rows: plan.rows.map(previewRow),
+  };
+}
+
+// Writes the rows a preview would create or update. Invalid rows are
+// skipped and listed. -> { created, updated, unchanged,
+// invalid: [{ row, errors }], failed: [{ row, reason }] }
+async function commitImport(text, options) {
+  const plan = await planImport(text, options);
+  if (Object.keys(plan.mappingErrors).length > 0) {
+    const err = new Error("The column mapping is incomplete.");
+    err.mappingErrors = plan.mappingErrors;
+    throw err;
+  }
+
+  // Updates keep the stored status and history
+  const toWrite = (row) => {
+    if (row.action === "create") return row.doc;
+    const updated = { ...row.existing, imported: row.doc.imported, updatedAt: row.doc.imported.at };
+    mappedFields(plan.mapping).forEach((field) => {
+      updated[field] = row.doc[field];
+    });
+    return updated;
+  };
+  const pending = plan.rows.filter((row) => row.action === "create" || row.action === "update");
+  const results = pending.length > 0 ? await reportsDB.bulkDocs(pending.map(toWrite)) : [];
+
+  const summary = {
+    created: 0,
+    updated: 0,
+    unchanged: countActions(plan.rows).unchanged,
+    invalid: plan.rows.filter((row) => row.action === "invalid").map((row) => ({ row: row.row, errors: row.errors })),
+    failed: [],
+  };
+  results.forEach((result, index) => {
+    const row = pending[index];
+    if (result.error) summary.failed.push({ row: row.row, reason: result.message || result.error });
+    else if (row.action === "create") summary.created++;
+    else summary.updated++;
+  });
+  return summary;
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  previewImport,
+  commitImport,
+};
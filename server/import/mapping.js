@@ -0,0 +1,199 @@
+// server/import/mapping.js
+// Maps dataset columns onto the report schema and builds one report per row.
+// Rows are checked with validateDocument(), the rules ReportDisaster.jsx
+// uses, so imported reports are held to the same standard as typed ones.
+const crypto = require("crypto");
+const {
+  DISASTER_TYPES,
+  DOC_TYPES,
+  INCIDENT_STATUSES,
+  STATUS_LABELS,
+  createDocument,
+  validateDocument,
+} = require("../models/schema");
+
+// Report fields a column can be mapped onto, in the order the import page
+// shows them. `aliases` are column names suggested for the field.
+const IMPORT_FIELDS = {
+  externalId: {
+    label: "Source record id",
+    required: false,
+    aliases: ["id", "sourceid", "recordid", "reportid", "incidentid", "eventid", "uid", "objectid", "fid"],
+  },
+  disasterType: {
+    label: "Disaster type",
+    required: true,
+    aliases: ["disastertype", "type", "hazard", "hazardtype", "event", "eventtype", "category"],
+  },
+  description: {
+    label: "Description",
+    required: true,
+    aliases: ["description", "details", "summary", "remarks", "notes", "comments", "title"],
+  },
+  severity: {
+    label: "Severity (1-10)",
+    required: true,
+    aliases: ["severity", "level", "intensity", "priority"],
+  },
+  latitude: {
+    label: "Latitude",
+    required: true,
+    aliases: ["latitude", "lat", "y", "geometrylatitude"],
+  },
+  longitude: {
+    label: "Longitude",
+    required: true,
+    aliases: ["longitude", "lon", "lng", "long", "x", "geometrylongitude"],
+  },
+  createdAt: {
+    label: "Reported at",
+    required: false,
+    aliases: ["createdat", "reportedat", "date", "datetime", "timestamp", "time", "reported", "created"],
+  },
+  status: {
+    label: "Status",
+    required: false,
+    aliases: ["status", "state", "incidentstatus"],
+  },
+};
+
+// Fields an import owns; re-importing updates these and leaves the status
+// and history, which belong to responders, alone
+const IMPORTED_FIELDS = ["disasterType", "description", "severity", "latitude", "longitude", "createdAt"];
+
+function normaliseName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// { field: column } for every field whose aliases match a column name
+function suggestMapping(columns) {
+  const mapping = {};
+  Object.keys(IMPORT_FIELDS).forEach((field) => {
+    const aliases = IMPORT_FIELDS[field].aliases;
+    const column = aliases
+      .map((alias) => columns.find((candidate) => normaliseName(candidate) === alias))
+      .find(Boolean);
+    if (column) mapping[field] = column;
+  });
+  return mapping;
+}
+
+// Errors keyed by field; empty object when the mapping can be used
+function mappingErrors(mapping, columns) {
+  const errors = {};
+  Object.keys(IMPORT_FIELDS).forEach((field) => {
+    const column = mapping[field];
+    if (!column) {
+      if (IMPORT_FIELDS[field].required) errors[field] = `Choose the column holding ${IMPORT_FIELDS[field].label.toLowerCase()}.`;
+    } else if (columns.indexOf(column) === -1) {
+      errors[field] = `The dataset has no column named "${column}".`;
+    }
+  });
+  Object.keys(mapping).forEach((field) => {
+    if (!IMPORT_FIELDS[field]) errors[field] = `"${field}" is not a report field.`;
+  });
+  return errors;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+function toNumber(value) {
+  return isBlank(value) ? undefined : Number(value);
+}
+
+// "flood" and "FLOOD" are the Flood type; anything else is left to fail validation
+function matchDisasterType(value) {
+  if (isBlank(value)) return undefined;
+  const name = normaliseName(value);
+  return DISASTER_TYPES.find((type) => normaliseName(type) === name) || String(value).trim();
+}
+
+// Accepts a status key ("in-progress") or its label ("In progress")
+function matchStatus(value) {
+  const name = normaliseName(value);
+  return INCIDENT_STATUSES.find((status) => normaliseName(status) === name || normaliseName(STATUS_LABELS[status]) === name);
+}
+
+// "report_import_<hash>" so allDocs range queries still select reports. The
+// hash covers the dataset name and the row's own id, or its content when no
+// id column is mapped, so importing the same file twice finds the same ids.
+function importDocId(dataset, values, mapping) {
+  const key = !isBlank(values.externalId)
+    ? `id:${String(values.externalId).trim()}`
+    : `row:${JSON.stringify(IMPORTED_FIELDS.map((field) => (mapping[field] ? String(values[field]).trim() : null)))}`;
+  const hash = crypto.createHash("sha256").update(`${dataset}|${key}`).digest("hex").slice(0, 24);
+  return `${DOC_TYPES.REPORT}_import_${hash}`;
+}
+
+// row: { row, values, error } from rows.js. options: { dataset, userId, now }.
+// -> { doc, errors } where errors are keyed by report field
+function toImportedReport(row, mapping, options) {
+  const values = {};
+  Object.keys(mapping).forEach((field) => {
+    values[field] = row.values[mapping[field]];
+  });
+  const errors = {};
+
+  let created = options.now;
+  if (!isBlank(values.createdAt)) {
+    created = new Date(typeof values.createdAt === "number" ? values.createdAt : String(values.createdAt).trim());
+    if (isNaN(created.getTime())) errors.createdAt = "Reported at is not a recognised date.";
+    else if (created > options.now) errors.createdAt = "Reported at is in the future.";
+    if (errors.createdAt) created = options.now;
+  }
+  let status = "new";
+  if (!isBlank(values.status)) {
+    status = matchStatus(values.status);
+    if (!status) {
+      errors.status = `Status must be one of: ${INCIDENT_STATUSES.map((key) => STATUS_LABELS[key]).join(", ")}.`;
+      status = "new";
+    }
+  }
+
+  const doc = createDocument(
+    DOC_TYPES.REPORT,
+    {
+      disasterType: matchDisasterType(values.disasterType),
+      description: isBlank(values.description) ? "" : String(values.description),
+      severity: toNumber(values.severity),
+      latitude: toNumber(values.latitude),
+      longitude: toNumber(values.longitude),
+    },
+    created
+  );
+  doc._id = importDocId(options.dataset, values, mapping);
+  doc.imported = {
+    dataset: options.dataset,
+    row: row.row,
+    externalId: isBlank(values.externalId) ? null : String(values.externalId).trim(),
+    by: options.userId,
+    at: options.now.toISOString(),
+  };
+  // Closed incidents from past seasons keep their outcome, recorded as an
+  // ordinary status change so the audit trail explains it
+  if (status !== "new") {
+    doc.status = status;
+    doc.history = [{
+      action: "status",
+      from: "new",
+      to: status,
+      by: options.userId,
+      at: options.now.toISOString(),
+      note: `Imported from ${options.dataset}`,
+    }];
+  }
+
+  Object.assign(errors, validateDocument(doc));
+  if (row.error) errors.position = row.error;
+  return { doc, errors };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  IMPORTED_FIELDS,
+  suggestMapping,
+  mappingErrors,
+  toImportedReport,
+};
@@ -0,0 +1,137 @@
+// server/import/rows.js
+// Reads an uploaded dataset into plain rows before any mapping: CSV files
+// from spreadsheets, or GeoJSON from partner GIS tools. A Point feature's
+// position becomes the "geometry.latitude" and "geometry.longitude" columns.
+
+const GEOMETRY_COLUMNS = ["geometry.latitude", "geometry.longitude"];
+
+// Comma, semicolon (European spreadsheets) or tab, whichever the header uses most
+function detectDelimiter(headerLine) {
+  const counts = [",", ";", "\t"].map((delimiter) => [delimiter, headerLine.split(delimiter).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+// RFC 4180: quoted fields may hold delimiters, doubled quotes and line breaks.
+// -> [{ line, cells }] where `line` is the 1-based line the record starts on
+function parseCSVRecords(text, delimiter) {
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endCell = () => {
+    cells.push(cell);
+    cell = "";
+  };
+  const endRecord = () => {
+    endCell();
+    if (cells.length > 1 || cells[0].trim() !== "") records.push({ line: recordLine, cells });
+    cells = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      line++;
+      endRecord();
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error(`A quoted field starting on line ${recordLine} is never closed.`);
+  if (cell !== "" || cells.length > 0) endRecord();
+  return records;
+}
+
+// -> { columns, rows: [{ row, values: { column: string } }] }
+function parseCSV(text) {
+  const clean = text.replace(/^\ufeff/, "");
+  const firstLine = clean.split(/\r?\n/, 1)[0];
+  const records = parseCSVRecords(clean, detectDelimiter(firstLine));
+  if (records.length === 0) throw new Error("The CSV file is empty.");
+
+  const columns = records[0].cells.map((name) => name.trim());
+  if (columns.some((name) => !name)) throw new Error("Every CSV column needs a name in the header row.");
+  const rows = records.slice(1).map((record) => {
+    const values = {};
+    columns.forEach((column, index) => {
+      values[column] = record.cells[index] === undefined ? "" : record.cells[index].trim();
+    });
+    return { row: record.line, values };
+  });
+  return { columns, rows };
+}
+
+// Rows are numbered by feature, from 1
+function parseGeoJSONRows(text) {
+  const data = typeof text === "string" ? JSON.parse(text) : text;
+  let features;
+  if (data.type === "FeatureCollection") features = data.features || [];
+  else if (data.type === "Feature") features = [data];
+  else throw new Error("Not a GeoJSON dataset: expected a FeatureCollection or Feature.");
+
+  const columns = [];
+  const addColumn = (column) => {
+    if (columns.indexOf(column) === -1) columns.push(column);
+  };
+  const rows = features.map((feature, index) => {
+    const values = { ...feature.properties };
+    if (feature.id !== undefined && values.id === undefined) values.id = feature.id;
+    Object.keys(values).forEach(addColumn);
+    const geometry = feature.geometry;
+    if (geometry && geometry.type === "Point") {
+      values[GEOMETRY_COLUMNS[0]] = geometry.coordinates[1];
+      values[GEOMETRY_COLUMNS[1]] = geometry.coordinates[0];
+    }
+    const row = { row: index + 1, values };
+    if (geometry && geometry.type !== "Point") {
+      row.error = `Only Point features can be imported as reports, not ${geometry.type}.`;
+    }
+    return row;
+  });
+  GEOMETRY_COLUMNS.forEach(addColumn);
+  return { columns, rows };
+}
+
+const ROW_PARSERS = {
+  csv: parseCSV,
+  geojson: parseGeoJSONRows,
+};
+
+function detectFormat(text) {
+  return /^\s*\{/.test(text) ? "geojson" : "csv";
+}
+
+// -> { format, columns, rows }
+function parseRows(text, format) {
+  const chosen = format || detectFormat(text);
+  if (!ROW_PARSERS[chosen]) throw new Error(`Unknown dataset format "${chosen}".`);
+  return { format: chosen, ...ROW_PARSERS[chosen](text) };
+}
+
+module.exports = {
+  GEOMETRY_COLUMNS,
+  ROW_PARSERS,
+  parseCSV,
+  parseGeoJSONRows,
+  parseRows,
+};
@@ -0,0 +1,106 @@
+// server/ingest/cap.js
+// Common Alerting Protocol 1.2 (http://docs.oasis-open.org/emergency/cap/v1.2/).
+// Each polygon or circle of an actual alert becomes one of our geofenced
+// alerts; Update and Cancel messages end the alerts they reference.
+const { XMLParser } = require("fast-xml-parser");
+const { DOC_TYPES } = require("../models/schema");
+const { disasterTypeFor, feedDocIdPrefix, parseDate, toAlert } = require("./mapping");
+
+const REPEATED_ELEMENTS = ["info", "area", "polygon", "circle", "geocode", "parameter", "resource"];
+
+const parser = new XMLParser({
+  ignoreAttributes: true,
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => REPEATED_ELEMENTS.indexOf(name) !== -1,
+});
+
+// "lat,lon lat,lon ..." -> [[lat, lon], ...] without the closing repeat
+function parsePolygon(text) {
+  const points = String(text).trim().split(/\s+/).map((pair) => pair.split(",").map(Number));
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) points.pop();
+  return { shape: "polygon", points };
+}
+
+// "lat,lon radiusKm"
+function parseCircle(text) {
+  const [center, radius] = String(text).trim().split(/\s+/);
+  return { shape: "circle", center: center.split(",").map(Number), radiusKm: Number(radius) };
+}
+
+// CAP <references>: "sender,identifier,sent" triplets separated by spaces
+function parseReferences(text) {
+  if (!text) return [];
+  return String(text).trim().split(/\s+/).map((triplet) => {
+    const [sender, identifier] = triplet.split(",");
+    return { sender, identifier };
+  });
+}
+
+// English first, since instructions are shown as they are
+function pickInfo(infos) {
+  return infos.find((info) => /^en/i.test(info.language || "en")) || infos[0];
+}
+
+// options: { sender, sourceName, url } override what the message says.
+// -> { docs, cancels: [id prefixes], skipped: [{ identifier, reason }] }
+function parseCap(xml, options = {}) {
+  const root = parser.parse(xml).alert;
+  if (!root || !root.identifier) throw new Error("Not a CAP alert: no <alert> with an <identifier>.");
+
+  const result = { docs: [], cancels: [], skipped: [] };
+  const sender = options.sender || root.sender;
+  const skip = (reason) => {
+    result.skipped.push({ identifier: root.identifier, reason });
+    return result;
+  };
+
+  if (root.status !== "Actual") return skip(`status is ${root.status}, not Actual`);
+  if (root.msgType === "Update" || root.msgType === "Cancel") {
+    parseReferences(root.references).forEach((ref) => {
+      result.cancels.push(feedDocIdPrefix(DOC_TYPES.ALERT, options.sender || ref.sender, ref.identifier));
+    });
+  }
+  if (root.msgType !== "Alert" && root.msgType !== "Update") return result;
+
+  const sent = parseDate(root.sent);
+  if (!sent) return skip("missing or invalid <sent> time");
+  const infos = root.info || [];
+  if (infos.length === 0) return skip("no <info> block");
+  const info = pickInfo(infos);
+
+  const areas = [];
+  (info.area || []).forEach((area) => {
+    (area.polygon || []).forEach((polygon) => areas.push(parsePolygon(polygon)));
+    (area.circle || []).forEach((circle) => areas.push(parseCircle(circle)));
+  });
+  if (areas.length === 0) return skip("no <polygon> or <circle> area to geofence");
+
+  const instructions = [info.headline, info.instruction || info.description].filter(Boolean).join("\n");
+  areas.forEach((area, part) => {
+    result.docs.push(
+      toAlert({
+        kind: "cap",
+        sender,
+        sourceName: options.sourceName || info.senderName || sender,
+        identifier: root.identifier,
+        url: info.web || options.url,
+        sent,
+        part,
+        disasterType: disasterTypeFor(info.event, info.headline, [].concat(info.category || []).join(" ")),
+        instructions,
+        description: info.description,
+        expires: parseDate(info.expires),
+        area,
+      })
+    );
+  });
+  return result;
+}
+
+module.exports = {
+  parseCap,
+};
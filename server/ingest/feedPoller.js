@@ -0,0 +1,45 @@
+// server/ingest/feedPoller.js
+// Polls the CAP and GeoJSON URLs listed in INGEST_FEEDS (comma-separated)
+// every INGEST_POLL_MINUTES. Unchanged feeds cost one conditional request.
+const { ingestFeed } = require("./ingestFeed");
+
+const DEFAULT_POLL_MINUTES = 5;
+
+function formatSummary(summary) {
+  return `${summary.created} new, ${summary.updated} updated, ${summary.cancelled} cancelled, ` +
+    `${summary.skipped.length} skipped`;
+}
+
+// Returns the interval timer, or null when no feeds are configured
+function startFeedPolling() {
+  const urls = (process.env.INGEST_FEEDS || "").split(",").map((url) => url.trim()).filter(Boolean);
+  if (urls.length === 0) return null;
+  const minutes = Number(process.env.INGEST_POLL_MINUTES) || DEFAULT_POLL_MINUTES;
+  const etags = new Map();
+
+  const poll = async (url) => {
+    const headers = etags.has(url) ? { "If-None-Match": etags.get(url) } : {};
+    const response = await fetch(url, { headers });
+    if (response.status === 304) return;
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    const summary = await ingestFeed(await response.text(), { url });
+    if (response.headers.get("etag")) etags.set(url, response.headers.get("etag"));
+    if (summary.created + summary.updated + summary.cancelled > 0) {
+      console.log(`📡 ${url}: ${formatSummary(summary)}`);
+    }
+  };
+  const pollAll = () => {
+    urls.forEach((url) => {
+      poll(url).catch((err) => console.error(`Polling ${url} failed:`, err.message));
+    });
+  };
+
+  console.log(`📡 Polling ${urls.length} warning feed(s) every ${minutes} min`);
+  pollAll();
+  return setInterval(pollAll, minutes * 60 * 1000);
+}
+
+module.exports = {
+  formatSummary,
+  startFeedPolling,
+};
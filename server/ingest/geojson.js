@@ -0,0 +1,94 @@
+// server/ingest/geojson.js
+// GeoJSON warning feeds (USGS earthquakes, GDACS, agency exports). Point
+// features become reports; Polygon and MultiPolygon features become
+// geofenced alerts. Features need an id to be deduplicated on.
+const { disasterTypeFor, parseDate, severityFor, toAlert, toReport } = require("./mapping");
+
+function featureIdentifier(feature) {
+  const props = feature.properties || {};
+  const id = feature.id !== undefined ? feature.id : props.identifier || props.id || props.eventid;
+  return id === undefined || id === null || id === "" ? null : String(id);
+}
+
+// GeoJSON rings are [lng, lat] and closed; alert polygons are [lat, lng] and open
+function ringToPoints(ring) {
+  const points = ring.map((position) => [position[1], position[0]]);
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) points.pop();
+  return points;
+}
+
+// Only outer rings: alert areas have no holes
+function featureAreas(geometry) {
+  if (geometry.type === "Polygon") return [{ shape: "polygon", points: ringToPoints(geometry.coordinates[0]) }];
+  if (geometry.type === "MultiPolygon") {
+    return geometry.coordinates.map((polygon) => ({ shape: "polygon", points: ringToPoints(polygon[0]) }));
+  }
+  return [];
+}
+
+// options: { sender, sourceName, url } name the feed; properties.sender
+// is used when there is no sender option.
+// -> { docs, cancels: [], skipped: [{ identifier, reason }] }
+function parseGeoJSON(text, options = {}) {
+  const data = typeof text === "string" ? JSON.parse(text) : text;
+  let features;
+  if (data.type === "FeatureCollection") features = data.features || [];
+  else if (data.type === "Feature") features = [data];
+  else throw new Error("Not a GeoJSON feed: expected a FeatureCollection or Feature.");
+
+  const feedName = options.sourceName || (data.metadata && data.metadata.title) || null;
+  const result = { docs: [], cancels: [], skipped: [] };
+
+  features.forEach((feature, index) => {
+    const props = feature.properties || {};
+    const identifier = featureIdentifier(feature);
+    const skip = (reason) => result.skipped.push({ identifier: identifier || `feature ${index}`, reason });
+    if (!identifier) {
+      skip("no id to deduplicate on");
+      return;
+    }
+    if (!feature.geometry) {
+      skip("no geometry");
+      return;
+    }
+
+    const sender = options.sender || props.sender || feedName || "geojson";
+    const sent = parseDate(props.sent || props.time || props.updated || props.date) || new Date();
+    const event = props.event || props.type || props.eventtype || props.title;
+    const description = [props.headline || props.title, props.description].filter(Boolean).join(" — ");
+    const common = {
+      kind: "geojson",
+      sender,
+      sourceName: feedName || props.senderName || sender,
+      identifier,
+      url: props.url || props.web || options.url,
+      sent,
+      event,
+      disasterType: disasterTypeFor(event, description),
+      description: description || event || "Warning from an official feed",
+    };
+
+    if (feature.geometry.type === "Point") {
+      const [longitude, latitude] = feature.geometry.coordinates;
+      result.docs.push(toReport({ ...common, latitude, longitude, severity: severityFor(props.severity, props.mag) }));
+      return;
+    }
+
+    const areas = featureAreas(feature.geometry);
+    if (areas.length === 0) {
+      skip(`unsupported geometry ${feature.geometry.type}`);
+      return;
+    }
+    const expires = parseDate(props.expires);
+    areas.forEach((area, part) => {
+      result.docs.push(toAlert({ ...common, part, area, expires, instructions: props.instruction || common.description }));
+    });
+  });
+  return result;
+}
+
+module.exports = {
+  parseGeoJSON,
+};
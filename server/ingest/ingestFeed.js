@@ -0,0 +1,115 @@
+// server/ingest/ingestFeed.js
+// Stores parsed CAP and GeoJSON warnings in the reports database, where they
+// sync to every device like reports do. Re-ingesting a warning updates its
+// document in place (ids come from the source's identifier), and only when
+// the feed sent something newer.
+const { reportsDB } = require("../config/db");
+const { isReport, validateDocument } = require("../models/schema");
+const { endAlert, isActiveAlert, validateAlert } = require("../models/alertSchema");
+const { parseCap } = require("./cap");
+const { parseGeoJSON } = require("./geojson");
+
+const PARSERS = {
+  cap: parseCap,
+  geojson: parseGeoJSON,
+};
+
+// Fields the feed owns. A report's status and history belong to responders
+// and survive re-ingestion.
+const FEED_FIELDS = {
+  report: ["description", "latitude", "longitude", "severity", "disasterType"],
+  alert: ["disasterType", "instructions", "area", "expiresAt"],
+};
+
+function detectFormat(text) {
+  return /^\s*</.test(text) ? "cap" : "geojson";
+}
+
+function withoutIngestedAt(source) {
+  const rest = { ...source };
+  delete rest.ingestedAt;
+  return rest;
+}
+
+function sameContent(existing, doc) {
+  return JSON.stringify(withoutIngestedAt(existing.source)) === JSON.stringify(withoutIngestedAt(doc.source)) &&
+    FEED_FIELDS[doc.type].every((field) => JSON.stringify(existing[field]) === JSON.stringify(doc[field]));
+}
+
+async function getExisting(id) {
+  try {
+    return await reportsDB.get(id);
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+// Writes one parsed document; resolves to "created", "updated" or "unchanged"
+async function storeDocument(doc, now) {
+  const source = { ...doc.source, ingestedAt: now.toISOString() };
+  const existing = await getExisting(doc._id);
+  if (!existing) {
+    await reportsDB.put({ ...doc, source });
+    return "created";
+  }
+  if (Date.parse(doc.source.sentAt) < Date.parse(existing.source.sentAt) || sameContent(existing, doc)) {
+    return "unchanged";
+  }
+  const updated = { ...existing, source, updatedAt: now.toISOString() };
+  FEED_FIELDS[doc.type].forEach((field) => {
+    updated[field] = doc[field];
+  });
+  if (!isReport(doc)) updated.updatedBy = doc.createdBy;
+  await reportsDB.put(updated);
+  return "updated";
+}
+
+// Ends the still-active alerts whose ids start with `prefix`
+async function cancelAlerts(prefix, now) {
+  const result = await reportsDB.allDocs({ startkey: prefix, endkey: `${prefix}\ufff0`, include_docs: true });
+  let cancelled = 0;
+  for (const row of result.rows) {
+    if (!isActiveAlert(row.doc, now.getTime())) continue;
+    await reportsDB.put(endAlert(row.doc, row.doc.createdBy, now));
+    cancelled++;
+  }
+  return cancelled;
+}
+
+// options: { format: "cap" | "geojson" (detected when absent), sender,
+// sourceName, url }. Resolves to { format, created, updated, unchanged,
+// cancelled, skipped: [{ identifier, reason }] }. Rejects with an error
+// flagged `invalidFeed` when the text cannot be parsed.
+async function ingestFeed(text, options = {}) {
+  const format = options.format || detectFormat(text);
+  let parsed;
+  try {
+    if (!PARSERS[format]) throw new Error(`Unknown feed format "${format}".`);
+    parsed = PARSERS[format](text, options);
+  } catch (err) {
+    // Marks input we cannot read, as opposed to a failure storing it
+    err.invalidFeed = true;
+    throw err;
+  }
+  const now = new Date();
+  const summary = { format, created: 0, updated: 0, unchanged: 0, cancelled: 0, skipped: parsed.skipped };
+
+  for (const doc of parsed.docs) {
+    const errors = isReport(doc) ? validateDocument(doc) : validateAlert(doc);
+    if (Object.keys(errors).length > 0) {
+      summary.skipped.push({ identifier: doc.source.identifier, reason: Object.values(errors).join(" ") });
+      continue;
+    }
+    summary[await storeDocument(doc, now)]++;
+  }
+  for (const prefix of parsed.cancels) {
+    summary.cancelled += await cancelAlerts(prefix, now);
+  }
+  return summary;
+}
+
+module.exports = {
+  PARSERS,
+  ingestFeed,
+};
@@ -0,0 +1,128 @@
+// server/ingest/mapping.js
+// Turns warnings from official feeds into our report and alert documents.
+// Document ids are derived from the source's own identifier, so ingesting
+// the same warning twice finds the earlier document instead of duplicating it.
+const crypto = require("crypto");
+const { DOC_TYPES, SEVERITY_MIN, SEVERITY_MAX, createDocument } = require("../models/schema");
+const { createAlert } = require("../models/alertSchema");
+
+// Feeds rarely say when a point event stops mattering; alerts without an
+// expiry lapse after this long
+const DEFAULT_ALERT_HOURS = 24;
+
+// First match wins, so the more specific words come first
+const DISASTER_KEYWORDS = [
+  ["Tsunami", /tsunami/i],
+  ["Volcanic Eruption", /volcan|eruption|ash ?fall|lava/i],
+  ["Landslide", /landslide|mudslide|debris flow|avalanche/i],
+  ["Earthquake", /earthquake|quake|seismic/i],
+  ["Cyclone", /cyclone|hurricane|typhoon|tropical storm|storm surge/i],
+  ["Wildfire", /wild ?fire|forest fire|bush ?fire|\bfire\b/i],
+  ["Flood", /flood|inundation|heavy rain|dam (release|break)/i],
+];
+
+// CAP <severity> words on our 1-10 scale
+const CAP_SEVERITY = {
+  extreme: 9,
+  severe: 7,
+  moderate: 5,
+  minor: 3,
+  unknown: 5,
+};
+
+function disasterTypeFor(...texts) {
+  const text = texts.filter(Boolean).join(" ");
+  const match = DISASTER_KEYWORDS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : "Other";
+}
+
+// A 1-10 number, a CAP severity word, or an earthquake magnitude
+function severityFor(value, magnitude) {
+  const number = Number(value);
+  if (value !== undefined && value !== null && value !== "" && Number.isFinite(number)) {
+    return Math.min(SEVERITY_MAX, Math.max(SEVERITY_MIN, Math.round(number)));
+  }
+  if (typeof value === "string" && CAP_SEVERITY[value.toLowerCase()]) return CAP_SEVERITY[value.toLowerCase()];
+  if (Number.isFinite(Number(magnitude)) && magnitude !== null) {
+    return Math.min(SEVERITY_MAX, Math.max(SEVERITY_MIN, Math.round(Number(magnitude))));
+  }
+  return CAP_SEVERITY.unknown;
+}
+
+// ISO string or epoch milliseconds -> Date, or null
+function parseDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(typeof value === "number" ? value : String(value));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// "<type>_feed_<hash>" so allDocs range queries still select by type; `part`
+// tells apart the several areas of one warning
+function feedDocIdPrefix(type, sender, identifier) {
+  const hash = crypto.createHash("sha256").update(`${sender}|${identifier}`).digest("hex").slice(0, 24);
+  return `${type}_feed_${hash}_`;
+}
+
+function feedDocId(type, sender, identifier, part) {
+  return feedDocIdPrefix(type, sender, identifier) + (part || 0);
+}
+
+function sourceFields(item) {
+  return {
+    kind: item.kind,
+    name: item.sourceName || item.sender,
+    sender: item.sender,
+    identifier: item.identifier,
+    url: item.url || null,
+    sentAt: item.sent.toISOString(),
+  };
+}
+
+// item: { kind, sender, sourceName, identifier, url, sent (Date), part,
+// event, description, severity, latitude, longitude }. `sender` and
+// `identifier` together identify the warning; sourceName is for display.
+function toReport(item) {
+  const doc = createDocument(
+    DOC_TYPES.REPORT,
+    {
+      description: item.description,
+      latitude: item.latitude,
+      longitude: item.longitude,
+      severity: item.severity,
+      disasterType: item.disasterType || disasterTypeFor(item.event, item.description),
+    },
+    item.sent
+  );
+  doc._id = feedDocId(DOC_TYPES.REPORT, item.sender, item.identifier, item.part);
+  doc.source = sourceFields(item);
+  return doc;
+}
+
+// item: as for toReport, plus instructions, expires (Date or null) and area
+// in the alert schema's shape
+function toAlert(item) {
+  const expires = item.expires || new Date(item.sent.getTime() + DEFAULT_ALERT_HOURS * 60 * 60 * 1000);
+  const doc = createAlert(
+    {
+      disasterType: item.disasterType || disasterTypeFor(item.event, item.description),
+      instructions: item.instructions || item.description,
+      area: item.area,
+      expiresAt: expires,
+    },
+    `feed:${item.sender}`,
+    item.sent
+  );
+  doc._id = feedDocId(DOC_TYPES.ALERT, item.sender, item.identifier, item.part);
+  doc.source = sourceFields(item);
+  return doc;
+}
+
+module.exports = {
+  DEFAULT_ALERT_HOURS,
+  disasterTypeFor,
+  severityFor,
+  parseDate,
+  feedDocIdPrefix,
+  toReport,
+  toAlert,
+};
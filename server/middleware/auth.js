@@ -0,0 +1,79 @@
+// server/middleware/auth.js
+const jwt = require("jsonwebtoken");
+const { usersDB } = require("../config/db");
+const { HttpError } = require("./errors");
+const { can } = require("../models/roles");
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV !== "test") {
+  throw new Error("JWT_SECRET is not set. Set it to a long random string (see .env.example).");
+}
+const JWT_SECRET = process.env.JWT_SECRET || "test-only-secret";
+// Long enough to ride out a few days offline; the client trades the token for
+// a fresh one (GET /api/users/me) whenever it starts online. CouchDB trusts
+// the roles in the token until it expires, so keep this short.
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "3d";
+
+// The token doubles as a CouchDB credential: with the same secret configured
+// under [jwt_keys], CouchDB reads the user from `sub` and roles from `_couchdb.roles`.
+function issueToken(user) {
+  return jwt.sign(
+    {
+      sub: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      _couchdb: { roles: [user.role] },
+    },
+    JWT_SECRET,
+    { algorithm: "HS256", expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+function readToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+// Sets req.user = { id, name, email, role } or rejects with 401. The role
+// comes from the users database, so a coordinator's change takes effect on
+// the next request rather than when the token expires.
+async function requireAuth(req, res, next) {
+  const token = readToken(req);
+  if (!token) {
+    next(new HttpError(401, "unauthorized", "Sign in to continue."));
+    return;
+  }
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET, { algorithms: ["HS256"] });
+  } catch (err) {
+    next(new HttpError(401, "invalid_token", "Your session has expired. Please sign in again."));
+    return;
+  }
+  try {
+    const userDoc = await usersDB.get(claims.sub);
+    req.user = { id: userDoc._id, name: userDoc.name, email: userDoc.email, role: userDoc.role };
+  } catch (err) {
+    next(err.status === 404 ? new HttpError(401, "invalid_token", "This account no longer exists.") : err);
+    return;
+  }
+  next();
+}
+
+// Authenticates, then checks the user's role holds `permission` (see models/roles.js)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    requireAuth(req, res, (err) => {
+      if (err) {
+        next(err);
+      } else if (!can(req.user.role, permission)) {
+        next(new HttpError(403, "forbidden", "Your role does not allow this action."));
+      } else {
+        next();
+      }
+    });
+  };
+}
+
+module.exports = { issueToken, requireAuth, requirePermission };
@@ -0,0 +1,35 @@
+// server/middleware/errors.js
+
+// Error with an HTTP status and a machine-readable code for JSON responses
+class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function notFound(req, res) {
+  res.status(404).json({
+    error: "not_found",
+    message: `No route for ${req.method} ${req.originalUrl}`,
+  });
+}
+
+// Final Express error handler. PouchDB errors carry `status` and `name`
+// (e.g. 404 "not_found", 409 "conflict"), so they map straight through.
+// eslint-disable-next-line no-unused-vars
+function errorHandler(err, req, res, next) {
+  const status = err.status || err.statusCode || 500;
+  const body = {
+    error: err.code || (status < 500 && err.name) || "internal_error",
+    message: status < 500 ? err.message : "Something went wrong on the server.",
+  };
+  if (err.details) body.details = err.details;
+  if (status >= 500) console.error("🔥 Server error:", err);
+  res.status(status).json(body);
+}
+
+module.exports = { HttpError, notFound, errorHandler };
@@ -0,0 +1,3 @@
+// server/models/alertSchema.js
+// Geofenced alert schema shared with the client; this is the single source of truth.
+module.exports = require("../../client/src/db/alertSchema");
@@ -0,0 +1,3 @@
+// server/models/clusters.js
+// Report clustering shared with the client; this is the single source of truth.
+module.exports = require("../../client/src/db/clusters");
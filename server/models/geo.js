@@ -0,0 +1,3 @@
+// server/models/geo.js
+// Geographic helpers shared with the client; this is the single source of truth.
+module.exports = require("../../client/src/db/geo");
@@ -0,0 +1,3 @@
+// server/models/personSchema.js
+// Missing persons schema shared with the client; this is the single source of truth.
+module.exports = require("../../client/src/db/personSchema");
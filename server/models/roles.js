@@ -0,0 +1,3 @@
+// server/models/roles.js
+// Roles and permissions are shared with the client; this is the single source of truth.
+module.exports = require("../../client/src/auth/roles");
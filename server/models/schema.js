@@ -0,0 +1,3 @@
+// server/models/schema.js
+// The report/SOS schema is shared with the client; this is the single source of truth.
+module.exports = require("../../client/src/db/schema");
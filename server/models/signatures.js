@@ -0,0 +1,3 @@
+// server/models/signatures.js
+// Report signature helpers shared with the client; this is the single source of truth.
+module.exports = require("../../client/src/db/signatures");
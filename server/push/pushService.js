@@ -0,0 +1,117 @@
+// server/push/pushService.js
+// Delivers Web Push messages to browsers. PUSH_SERVICE=mock replaces the
+// real push services with an in-memory outbox (GET /api/push/outbox), so SOS
+// notifications can be tested without browsers, VAPID keys or a network.
+const dns = require("dns").promises;
+const net = require("net");
+
+const MOCK_OUTBOX_LIMIT = 100;
+
+// Loopback, private, link-local, multicast and other non-public ranges. A
+// subscription is a URL the server posts to, so one pointing here would let
+// any responder make the server probe its own network.
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+].forEach(([prefix, bits]) => NON_PUBLIC_RANGES.addSubnet(prefix, bits, "ipv4"));
+[["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]].forEach(([prefix, bits]) =>
+  NON_PUBLIC_RANGES.addSubnet(prefix, bits, "ipv6")
+);
+
+function isPublicAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+  return !NON_PUBLIC_RANGES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+// Resolves to why the server must not post to `endpoint`, or null. Push
+// services are public HTTPS hosts. With `resolve`, host names are looked up
+// and every address they resolve to must be public.
+async function pushEndpointError(endpoint, resolve) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (err) {
+    return "The push endpoint is not a valid URL.";
+  }
+  if (url.protocol !== "https:") return "The push endpoint must use https.";
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (host === "localhost" || host.endsWith(".localhost")) return "The push endpoint must be a public host.";
+  let addresses = [];
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else if (resolve) {
+    try {
+      addresses = (await dns.lookup(host, { all: true })).map((entry) => entry.address);
+    } catch (err) {
+      return `The push endpoint's host ${host} could not be found.`;
+    }
+  }
+  return addresses.every(isPublicAddress) ? null : "The push endpoint must be a public host.";
+}
+
+// Push services answer 404/410 for subscriptions the browser has dropped
+function isExpiredSubscription(err) {
+  return err.statusCode === 404 || err.statusCode === 410;
+}
+
+function createMockService() {
+  const outbox = [];
+  return {
+    mode: "mock",
+    publicKey: process.env.VAPID_PUBLIC_KEY || null,
+    outbox,
+    sendNotification(subscription, payload) {
+      outbox.unshift({ endpoint: subscription.endpoint, payload: JSON.parse(payload), sentAt: new Date().toISOString() });
+      outbox.splice(MOCK_OUTBOX_LIMIT);
+      console.log(`📨 [mock push] ${subscription.endpoint}: ${payload}`);
+      // Lets tests exercise the clean-up of dropped subscriptions
+      if (/expired/.test(subscription.endpoint)) {
+        const err = new Error("Push subscription has expired.");
+        err.statusCode = 410;
+        return Promise.reject(err);
+      }
+      return Promise.resolve({ statusCode: 201 });
+    },
+  };
+}
+
+function createWebPushService() {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+    console.warn("⚠️ VAPID keys are not set; push notifications are disabled.");
+    return { mode: "disabled", publicKey: null, sendNotification: () => Promise.resolve(null) };
+  }
+  const webpush = require("web-push");
+  webpush.setVapidDetails(VAPID_SUBJECT || "mailto:admin@localhost", VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+  return {
+    mode: "webpush",
+    publicKey: VAPID_PUBLIC_KEY,
+    // An SOS is stale after an hour, and should wake a sleeping phone
+    sendNotification: (subscription, payload) =>
+      webpush.sendNotification(subscription, payload, { TTL: 60 * 60, urgency: "high" }),
+  };
+}
+
+let pushService = null;
+
+function getPushService() {
+  if (!pushService) {
+    pushService = process.env.PUSH_SERVICE === "mock" ? createMockService() : createWebPushService();
+  }
+  return pushService;
+}
+
+// For tests and scripts that bring their own service ({ mode, publicKey, sendNotification })
+function setPushService(service) {
+  pushService = service;
+}
+
+module.exports = {
+  isExpiredSubscription,
+  isPublicAddress,
+  pushEndpointError,
+  getPushService,
+  setPushService,
+};
@@ -0,0 +1,169 @@
+// server/push/sosNotifier.js
+// Pushes every new SOS to the responders whose home location is within the
+// radius they chose (see controllers/handlePush.js). SOS calls reach CouchDB
+// through sync as well as the API, so this follows the changes feed. Where
+// it got to and which calls it has pushed are kept in a local (never
+// replicated) document, so a restart neither misses nor repeats any.
+const { reportsDB, usersDB } = require("../config/db");
+const { getPosition, isOpen, isSOS } = require("../models/schema");
+const { can } = require("../models/roles");
+const { distanceKm } = require("../models/geo");
+const { getPushService, isExpiredSubscription, pushEndpointError } = require("./pushService");
+
+const DESCRIPTION_PREVIEW_LENGTH = 120;
+const STATE_DOC_ID = "_local/sos_notifier";
+// SOS calls raised longer ago than this are no longer news, e.g. one synced
+// after days offline or reopened later; ids are remembered for as long
+const NEWS_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Each SOS is pushed once, while it is open and recent; later status
+// updates are not re-sent
+function isNewSOS(doc, notified, now) {
+  return isSOS(doc) && !doc._deleted && isOpen(doc) && !notified[doc._id] &&
+    now - Date.parse(doc.createdAt) < NEWS_WINDOW_MS;
+}
+
+function sosPayload(doc, distance) {
+  const people = Number(doc.affectedPeople) > 0 ? `${doc.affectedPeople} people` : "People";
+  const description = (doc.description || "").trim();
+  const preview = description.length > DESCRIPTION_PREVIEW_LENGTH
+    ? description.slice(0, DESCRIPTION_PREVIEW_LENGTH) + "…"
+    : description;
+  return JSON.stringify({
+    title: `SOS ${distance.toFixed(1)} km from you`,
+    body: `${people} need help (severity ${doc.severity}). ${preview}`.trim(),
+    url: `/incidents/${encodeURIComponent(doc._id)}`,
+    tag: doc._id,
+  });
+}
+
+// [{ user, distance }] for responders with push enabled whose radius covers `position`
+async function respondersNear(position, excludeUserId) {
+  const result = await usersDB.allDocs({ include_docs: true });
+  return result.rows
+    .map((row) => row.doc)
+    .filter((user) =>
+      user.type === "user" &&
+      user._id !== excludeUserId &&
+      can(user.role, "sos:notify") &&
+      user.sosPush && user.sosPush.home && (user.sosPush.subscriptions || []).length > 0
+    )
+    .map((user) => ({
+      user,
+      distance: distanceKm([user.sosPush.home.latitude, user.sosPush.home.longitude], position),
+    }))
+    .filter((match) => match.distance <= match.user.sosPush.radiusKm);
+}
+
+async function removeSubscriptions(userId, endpoints) {
+  const user = await usersDB.get(userId);
+  user.sosPush.subscriptions = user.sosPush.subscriptions.filter((sub) => endpoints.indexOf(sub.endpoint) === -1);
+  await usersDB.put(user);
+}
+
+// Resolves to the number of messages delivered
+async function notifySOS(doc) {
+  const position = getPosition(doc);
+  if (!position) return 0;
+  const service = getPushService();
+  let delivered = 0;
+  for (const { user, distance } of await respondersNear(position, doc.reportedBy)) {
+    const payload = sosPayload(doc, distance);
+    const expired = [];
+    for (const subscription of user.sosPush.subscriptions) {
+      // Subscriptions saved before endpoints were checked, or whose host
+      // has since moved somewhere private
+      const endpointError = await pushEndpointError(subscription.endpoint, service.mode === "webpush");
+      if (endpointError) {
+        console.warn(`Skipped a push subscription of ${user._id}: ${endpointError}`);
+        continue;
+      }
+      try {
+        await service.sendNotification(subscription, payload);
+        delivered++;
+      } catch (err) {
+        if (isExpiredSubscription(err)) expired.push(subscription.endpoint);
+        else console.error(`Push to ${user._id} failed:`, err.message);
+      }
+    }
+    if (expired.length > 0) {
+      await removeSubscriptions(user._id, expired).catch((err) => {
+        console.error(`Removing expired push subscriptions of ${user._id} failed:`, err);
+      });
+    }
+  }
+  return delivered;
+}
+
+// { _id, _rev, lastSeq, notified: { sosId: createdAt } }; a first run
+// starts from now rather than pushing every SOS on record
+async function loadState() {
+  try {
+    return await reportsDB.get(STATE_DOC_ID);
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    return { _id: STATE_DOC_ID, lastSeq: "now", notified: {} };
+  }
+}
+
+// Saves `state` at most one write at a time; changes made meanwhile go out
+// with the next write
+function createStateSaver(state) {
+  let saving = null;
+  let dirty = false;
+  const save = () => {
+    if (saving) {
+      dirty = true;
+      return;
+    }
+    const cutoff = Date.now() - NEWS_WINDOW_MS;
+    Object.keys(state.notified).forEach((id) => {
+      if (Date.parse(state.notified[id]) < cutoff) delete state.notified[id];
+    });
+    saving = reportsDB
+      .put(state)
+      .then((result) => {
+        state._rev = result.rev;
+      })
+      .catch((err) => console.error("Saving the SOS notifier's progress failed:", err))
+      .then(() => {
+        saving = null;
+        if (dirty) {
+          dirty = false;
+          save();
+        }
+      });
+  };
+  return save;
+}
+
+// Follows the reports database from where it last stopped. Resolves to a
+// function that stops it (not the feed itself, which is a never-settling
+// thenable while live).
+async function startSosNotifier() {
+  const state = await loadState();
+  const save = createStateSaver(state);
+  const feed = reportsDB
+    .changes({ since: state.lastSeq, live: true, include_docs: true })
+    .on("change", (change) => {
+      state.lastSeq = change.seq;
+      if (change.doc && isNewSOS(change.doc, state.notified, Date.now())) {
+        state.notified[change.id] = change.doc.createdAt;
+        notifySOS(change.doc)
+          .then((delivered) => {
+            if (delivered > 0) console.log(`🚨 ${change.id} pushed to ${delivered} responder device(s)`);
+          })
+          .catch((err) => console.error(`Notifying responders of ${change.id} failed:`, err));
+      }
+      save();
+    })
+    .on("error", (err) => {
+      console.error("SOS notifier changes feed failed:", err);
+    });
+  return () => feed.cancel();
+}
+
+module.exports = {
+  notifySOS,
+  startSosNotifier,
+};
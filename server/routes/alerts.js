@@ -0,0 +1,22 @@
+// server/routes/alerts.js
+const express = require("express");
+const {
+  listAlerts,
+  getAlert,
+  publishAlert,
+  editAlert,
+  endAlertNow,
+  removeAlert,
+} = require("../controllers/handleAlerts");
+const { requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.get("/", listAlerts);
+router.post("/", requirePermission("alert:publish"), publishAlert);
+router.get("/:id", getAlert);
+router.put("/:id", requirePermission("alert:publish"), editAlert);
+router.post("/:id/end", requirePermission("alert:publish"), endAlertNow);
+router.delete("/:id", requirePermission("alert:publish"), removeAlert);
+
+module.exports = router;
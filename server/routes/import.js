@@ -0,0 +1,11 @@
+// server/routes/import.js
+const express = require("express");
+const { commitReportImport, previewReportImport } = require("../controllers/handleImport");
+const { requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.post("/preview", requirePermission("report:import"), previewReportImport);
+router.post("/", requirePermission("report:import"), commitReportImport);
+
+module.exports = router;
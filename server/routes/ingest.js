@@ -0,0 +1,16 @@
+// server/routes/ingest.js
+const express = require("express");
+const { ingestUpload } = require("../controllers/handleIngest");
+const { requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Raw uploads, e.g. curl --data-binary @warning.xml -H "Content-Type: application/cap+xml"
+const rawFeed = express.text({
+  type: ["application/xml", "text/xml", "application/cap+xml", "application/geo+json", "text/plain"],
+  limit: "5mb",
+});
+
+router.post("/", requirePermission("feed:ingest"), rawFeed, ingestUpload);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// server/routes/peers.js
+const express = require("express");
+const { subscribe, relaySignal } = require("../controllers/handlePeers");
+
+const router = express.Router();
+
+router.get("/events", subscribe);
+router.post("/signal", relaySignal);
+
+module.exports = router;
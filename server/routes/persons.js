@@ -0,0 +1,27 @@
+// server/routes/persons.js
+const express = require("express");
+const {
+  listPersons,
+  getPerson,
+  getPersonPhoto,
+  addPerson,
+  editPerson,
+  removePerson,
+  listMatches,
+  reunitePerson,
+} = require("../controllers/handlePersons");
+const { requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Who may see which entry is checked per entry (see handlePersons.js)
+router.get("/", requirePermission("person:report"), listPersons);
+router.post("/", requirePermission("person:report"), addPerson);
+router.get("/:id", requirePermission("person:report"), getPerson);
+router.get("/:id/photo", requirePermission("person:report"), getPersonPhoto);
+router.put("/:id", requirePermission("person:report"), editPerson);
+router.delete("/:id", requirePermission("person:report"), removePerson);
+router.get("/:id/matches", requirePermission("person:view"), listMatches);
+router.post("/:id/reunite", requirePermission("person:view"), reunitePerson);
+
+module.exports = router;
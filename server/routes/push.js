@@ -0,0 +1,22 @@
+// server/routes/push.js
+const express = require("express");
+const {
+  getPublicKey,
+  getSubscription,
+  saveSubscription,
+  deleteSubscription,
+  getMockOutbox,
+} = require("../controllers/handlePush");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.get("/public-key", getPublicKey);
+router.get("/subscription", requirePermission("sos:notify"), getSubscription);
+router.put("/subscription", requirePermission("sos:notify"), saveSubscription);
+// Open to every role, so a demoted responder can still unsubscribe
+router.delete("/subscription", requireAuth, deleteSubscription);
+// Pushes carry SOS details, so the mock outbox is as private as a subscription
+router.get("/outbox", requirePermission("sos:notify"), getMockOutbox);
+
+module.exports = router;
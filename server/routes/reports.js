@@ -0,0 +1,34 @@
+// server/routes/reports.js
+const express = require("express");
+const {
+  listReports,
+  exportReports,
+  getReport,
+  createReport,
+  updateReport,
+  updateStatus,
+  addIncidentNote,
+  deleteReport,
+  streamAttachment,
+  listClusters,
+  mergeIncidents,
+  splitIncident,
+} = require("../controllers/handleReports");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.get("/", listReports);
+router.post("/", requireAuth, createReport);
+router.get("/clusters", listClusters);
+router.get("/export/:format", requirePermission("report:export"), exportReports);
+router.post("/clusters/merge", requirePermission("incident:merge"), mergeIncidents);
+router.get("/:id", requireAuth, getReport);
+router.put("/:id", requireAuth, updateReport);
+router.delete("/:id", requirePermission("report:delete"), deleteReport);
+router.post("/:id/status", requirePermission("incident:updateStatus"), updateStatus);
+router.post("/:id/notes", requirePermission("incident:updateStatus"), addIncidentNote);
+router.post("/:id/split", requirePermission("incident:merge"), splitIncident);
+router.get("/:id/attachments/:name", requireAuth, streamAttachment);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+// server/routes/resources.js
+const express = require("express");
+const {
+  listResources,
+  getResource,
+  addResource,
+  editResource,
+  removeResource,
+} = require("../controllers/handleResources");
+const { requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.get("/", listResources);
+router.post("/", requirePermission("resource:manage"), addResource);
+router.get("/:id", getResource);
+router.put("/:id", requirePermission("resource:manage"), editResource);
+router.delete("/:id", requirePermission("resource:manage"), removeResource);
+
+module.exports = router;
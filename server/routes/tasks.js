@@ -0,0 +1,30 @@
+// server/routes/tasks.js
+const express = require("express");
+const {
+  listTasks,
+  getTask,
+  createTaskDoc,
+  editTaskDoc,
+  claimTaskDoc,
+  addTaskUpdateDoc,
+  completeTaskDoc,
+  releaseTaskDoc,
+  cancelTaskDoc,
+  removeTask,
+} = require("../controllers/handleTasks");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.get("/", requireAuth, listTasks);
+router.post("/", requirePermission("task:manage"), createTaskDoc);
+router.get("/:id", requireAuth, getTask);
+router.put("/:id", requirePermission("task:manage"), editTaskDoc);
+router.delete("/:id", requirePermission("task:manage"), removeTask);
+router.post("/:id/claim", requirePermission("task:accept"), claimTaskDoc);
+router.post("/:id/updates", requirePermission("task:accept"), addTaskUpdateDoc);
+router.post("/:id/complete", requirePermission("task:accept"), completeTaskDoc);
+router.post("/:id/release", requirePermission("task:accept"), releaseTaskDoc);
+router.post("/:id/cancel", requirePermission("task:manage"), cancelTaskDoc);
+
+module.exports = router;
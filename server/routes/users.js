@@ -0,0 +1,22 @@
+// server/routes/users.js
+const express = require("express");
+const {
+  register,
+  login,
+  getCurrentUser,
+  updateCurrentUser,
+  listUsers,
+  assignRole,
+} = require("../controllers/handleUsers");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.post("/register", register);
+router.post("/login", login);
+router.get("/me", requireAuth, getCurrentUser);
+router.put("/me", requireAuth, updateCurrentUser);
+router.get("/", requirePermission("user:assignRole"), listUsers);
+router.put("/:id/role", requirePermission("user:assignRole"), assignRole);
+
+module.exports = router;
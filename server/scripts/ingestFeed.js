@@ -0,0 +1,49 @@
+// server/scripts/ingestFeed.js
+// Usage: node scripts/ingestFeed.js [--sender <id>] [--source "<name>"] <file or URL>...
+// Ingests CAP XML and GeoJSON warnings into the `disaster_reports` database,
+// e.g. the samples in ingest/fixtures. Running it again on the same files
+// reports them as unchanged rather than duplicating them.
+require("dotenv").config();
+const fs = require("fs");
+const { ingestFeed } = require("../ingest/ingestFeed");
+const { formatSummary } = require("../ingest/feedPoller");
+
+function parseArgs(argv) {
+  const args = { inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--sender") args.sender = argv[++i];
+    else if (argv[i] === "--source") args.sourceName = argv[++i];
+    else args.inputs.push(argv[i]);
+  }
+  return args;
+}
+
+async function read(input) {
+  if (!/^https?:\/\//.test(input)) return fs.promises.readFile(input, "utf8");
+  const response = await fetch(input);
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+  return response.text();
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.inputs.length === 0) {
+    console.error('Usage: node scripts/ingestFeed.js [--sender <id>] [--source "<name>"] <file or URL>...');
+    process.exitCode = 1;
+    return;
+  }
+  for (const input of args.inputs) {
+    const summary = await ingestFeed(await read(input), {
+      sender: args.sender,
+      sourceName: args.sourceName,
+      url: /^https?:\/\//.test(input) ? input : undefined,
+    });
+    console.log(`📡 ${input} (${summary.format}): ${formatSummary(summary)}, ${summary.unchanged} unchanged`);
+    summary.skipped.forEach((item) => console.log(`   skipped ${item.identifier}: ${item.reason}`));
+  }
+}
+
+main().catch((err) => {
+  console.error("Ingestion failed:", err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,56 @@
+// server/scripts/installDesignDocs.js
+// Usage: node scripts/installDesignDocs.js
+// Creates or updates the design documents in the remote `disaster_reports`
+// database and closes the missing persons database to everyone but admins.
+require("dotenv").config();
+const {
+  COUCHDB_URL,
+  PERSONS_DB_NAME,
+  REPORTS_DB_NAME,
+  couchAuthHeaders,
+  personsDB,
+  reportsDB,
+} = require("../config/db");
+const { authDesignDoc, reportsDesignDoc } = require("../couchdb/designDocs");
+
+async function upsert(db, doc) {
+  try {
+    const existing = await db.get(doc._id);
+    return db.put({ ...doc, _rev: existing._rev });
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    return db.put(doc);
+  }
+}
+
+// Session tokens also authenticate with CouchDB, so without this any signed-in
+// user could read the registry directly; only the server (an admin) may.
+async function restrictToAdmins(db, dbName) {
+  await db.info(); // creates the database if needed
+  const response = await fetch(`${COUCHDB_URL.replace(/\/+$/, "")}/${encodeURIComponent(dbName)}/_security`, {
+    method: "PUT",
+    headers: { ...couchAuthHeaders(), "Content-Type": "application/json" },
+    body: JSON.stringify({
+      admins: { names: [], roles: [] },
+      members: { names: [], roles: ["_admin"] },
+    }),
+  });
+  if (!response.ok) throw new Error(`Setting ${dbName} security failed: HTTP ${response.status}`);
+}
+
+upsert(reportsDB, authDesignDoc)
+  .then(() => {
+    console.log(`✅ Installed ${authDesignDoc._id} in ${REPORTS_DB_NAME}`);
+    return upsert(reportsDB, reportsDesignDoc);
+  })
+  .then(() => {
+    console.log(`✅ Installed ${reportsDesignDoc._id} in ${REPORTS_DB_NAME}`);
+    return restrictToAdmins(personsDB, PERSONS_DB_NAME);
+  })
+  .then(() => {
+    console.log(`✅ Restricted ${PERSONS_DB_NAME} to admins`);
+  })
+  .catch((err) => {
+    console.error("Installing design documents failed:", err);
+    process.exitCode = 1;
+  });
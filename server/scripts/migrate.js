@@ -0,0 +1,15 @@
+// server/scripts/migrate.js
+// Usage: node scripts/migrate.js
+// Rewrites documents in the remote `disaster_reports` database to the current schema.
+require("dotenv").config();
+const { reportsDB, REPORTS_DB_NAME } = require("../config/db");
+const { SCHEMA_VERSION, migrateDatabase } = require("../models/schema");
+
+migrateDatabase(reportsDB)
+  .then((count) => {
+    console.log(`🛠️ Migrated ${count} documents in ${REPORTS_DB_NAME} to schema v${SCHEMA_VERSION}`);
+  })
+  .catch((err) => {
+    console.error("Schema migration failed:", err);
+    process.exitCode = 1;
+  });
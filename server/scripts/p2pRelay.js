@@ -0,0 +1,25 @@
+// server/scripts/p2pRelay.js
+// Usage: node scripts/p2pRelay.js
+// Runs only the peer signaling relay, without CouchDB, so any laptop on a
+// local network (e.g. a phone hotspot with no internet) can introduce
+// nearby devices to each other. Point the client's "Relay URL" at
+// http://<this machine's LAN address>:<P2P_RELAY_PORT>/api/peers
+require("dotenv").config();
+const express = require("express");
+const cors = require("cors");
+const peersRouter = require("../routes/peers");
+const { notFound, errorHandler } = require("../middleware/errors");
+
+const PORT = process.env.P2P_RELAY_PORT || 5050;
+
+const app = express();
+// Devices load the app from different origins on an ad-hoc network
+app.use(cors());
+app.use(express.json({ limit: "1mb" }));
+app.use("/api/peers", peersRouter);
+app.use(notFound);
+app.use(errorHandler);
+
+app.listen(PORT, "0.0.0.0", () => {
+  console.log(`📡 DDMS peer relay listening on port ${PORT}`);
+});
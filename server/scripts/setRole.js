@@ -0,0 +1,27 @@
+// server/scripts/setRole.js
+// Usage: node scripts/setRole.js <email> <role>
+// Bootstraps the first coordinator; after that coordinators assign roles via the API.
+require("dotenv").config();
+const { usersDB } = require("../config/db");
+const { ROLE_LABELS, isRole } = require("../models/roles");
+const { userId } = require("../controllers/handleUsers");
+
+const [email, role] = process.argv.slice(2);
+
+async function main() {
+  if (!email || !isRole(role)) {
+    console.error(`Usage: node scripts/setRole.js <email> <${Object.keys(ROLE_LABELS).join("|")}>`);
+    process.exitCode = 1;
+    return;
+  }
+  const userDoc = await usersDB.get(userId(email));
+  userDoc.role = role;
+  userDoc.updatedAt = new Date().toISOString();
+  await usersDB.put(userDoc);
+  console.log(`✅ ${userDoc.email} is now a ${ROLE_LABELS[role]}`);
+}
+
+main().catch((err) => {
+  console.error("Setting role failed:", err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,119 @@
+// server/scripts/verifySignatures.js
+// Usage: node scripts/verifySignatures.js [--watch] [--dry-run]
+// Checks the signature of every report and SOS in the remote `disaster_reports`
+// database, attachments included, and rejects those altered after signing:
+// the newest earlier revision that still verifies is put back, or the
+// document is deleted if it never had a valid signature. CouchDB's
+// validate_doc_update cannot run WebCrypto, so this is where signed documents
+// arriving through sync get verified. With --watch it keeps following the
+// changes feed and handles each document as it arrives; --dry-run only lists them.
+require("dotenv").config();
+const { webcrypto } = require("crypto");
+const { reportsDB, REPORTS_DB_NAME } = require("../config/db");
+const { DOC_TYPES, isReport, isSOS } = require("../models/schema");
+const {
+  SIGNATURE_LABELS,
+  SIGNATURE_STATUSES,
+  deviceKeyDocId,
+  signatureStatus,
+  verifySignature,
+} = require("../models/signatures");
+
+const watch = process.argv.includes("--watch");
+const dryRun = process.argv.includes("--dry-run");
+
+function isRegisteredKey(keyId, userId) {
+  return reportsDB.get(deviceKeyDocId(keyId, userId)).then(
+    () => true,
+    (err) => {
+      if (err.status === 404) return false;
+      throw err;
+    }
+  );
+}
+
+function describe(doc, status) {
+  return `${doc._id} (${doc.reportedBy || "anonymous"}): ${SIGNATURE_LABELS[status]}`;
+}
+
+// Listings only carry attachment stubs; hashing needs the data
+function withAttachmentData(doc) {
+  return doc._attachments ? reportsDB.get(doc._id, { attachments: true }) : doc;
+}
+
+// Puts back the newest earlier revision whose signature verifies, or deletes
+// the document. Runs as a CouchDB admin, which validate_doc_update lets through.
+async function rejectTampered(doc) {
+  const { _revs_info: revsInfo } = await reportsDB.get(doc._id, { revs_info: true });
+  for (const info of revsInfo.slice(1)) {
+    if (info.status !== "available") continue;
+    const earlier = await reportsDB.get(doc._id, { rev: info.rev, attachments: true });
+    if (earlier.signature && (await verifySignature(earlier, webcrypto.subtle))) {
+      await reportsDB.put({ ...earlier, _rev: doc._rev });
+      return `restored revision ${info.rev}`;
+    }
+  }
+  await reportsDB.remove(doc._id, doc._rev);
+  return "deleted";
+}
+
+// Logs an invalid document and, unless this is a dry run, rejects it
+async function handleInvalid(doc) {
+  const message = `⚠️ ${describe(doc, SIGNATURE_STATUSES.INVALID)}`;
+  if (dryRun) {
+    console.warn(message);
+    return;
+  }
+  console.warn(`${message}; ${await rejectTampered(doc)}`);
+}
+
+async function verifyAll() {
+  const result = await reportsDB.allDocs({ include_docs: true, update_seq: true });
+  const deviceKeys = new Set(
+    result.rows.filter((row) => row.doc.type === DOC_TYPES.DEVICE_KEY).map((row) => row.id)
+  );
+  const isRegistered = (keyId, userId) => deviceKeys.has(deviceKeyDocId(keyId, userId));
+  const counts = {};
+  for (const row of result.rows) {
+    if (!isReport(row.doc) && !isSOS(row.doc)) continue;
+    const doc = await withAttachmentData(row.doc);
+    const status = await signatureStatus(doc, isRegistered, webcrypto.subtle);
+    counts[status] = (counts[status] || 0) + 1;
+    if (status === SIGNATURE_STATUSES.INVALID) await handleInvalid(doc);
+  }
+  console.log(`🔏 Checked ${REPORTS_DB_NAME}:`);
+  Object.keys(SIGNATURE_LABELS).forEach((status) => {
+    console.log(`   ${SIGNATURE_LABELS[status]}: ${counts[status] || 0}`);
+  });
+  return result.update_seq;
+}
+
+function watchChanges(since) {
+  console.log("👀 Watching for new and changed reports...");
+  reportsDB
+    .changes({ since, live: true, include_docs: true })
+    .on("change", async (change) => {
+      if (change.deleted || (!isReport(change.doc) && !isSOS(change.doc))) return;
+      try {
+        const doc = await withAttachmentData(change.doc);
+        const status = await signatureStatus(doc, isRegisteredKey, webcrypto.subtle);
+        if (status === SIGNATURE_STATUSES.INVALID) await handleInvalid(doc);
+        else if (status !== SIGNATURE_STATUSES.VERIFIED) console.warn(`⚠️ ${describe(doc, status)}`);
+      } catch (err) {
+        console.error(`Checking ${change.id} failed:`, err);
+      }
+    })
+    .on("error", (err) => {
+      console.error("Changes feed failed:", err);
+      process.exitCode = 1;
+    });
+}
+
+verifyAll()
+  .then((seq) => {
+    if (watch) watchChanges(seq);
+  })
+  .catch((err) => {
+    console.error("Signature check failed:", err);
+    process.exitCode = 1;
+  });
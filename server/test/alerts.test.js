@@ -0,0 +1,139 @@
+// server/test/alerts.test.js
+const { after, before, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const api = require("./support/api");
+const { reportsDB } = require("../config/db");
+const { createDocument } = require("../models/schema");
+const { createAlert } = require("../models/alertSchema");
+
+before(api.start);
+after(api.stop);
+beforeEach(api.reset);
+
+const HOUR = 60 * 60 * 1000;
+
+// Around Guwahati: the circle covers the city, the polygon the river bank east of it
+const circle = { shape: "circle", center: [26.14, 91.73], radiusKm: 10 };
+const polygon = { shape: "polygon", points: [[26.1, 91.8], [26.2, 91.8], [26.2, 91.9], [26.1, 91.9]] };
+
+function alertBody(fields) {
+  return {
+    disasterType: "Flood",
+    instructions: "Move to the relief centre at the stadium",
+    area: circle,
+    expiresAt: new Date(Date.now() + 6 * HOUR).toISOString(),
+    ...fields,
+  };
+}
+
+function path(id, action) {
+  return `/alerts/${encodeURIComponent(id)}${action ? `/${action}` : ""}`;
+}
+
+async function publish(coordinator, fields) {
+  const response = await api.request("POST", "/alerts", { token: coordinator.token, body: alertBody(fields) });
+  assert.equal(response.status, 201);
+  return response.body;
+}
+
+describe("alerts API", () => {
+  test("only coordinators publish, edit, end and delete alerts", async () => {
+    const coordinator = await api.signIn("mina@example.org", "coordinator");
+    const alert = await publish(coordinator);
+
+    for (const session of [null, await api.signIn("bina@example.org"), await api.signIn("arjun@example.org", "responder")]) {
+      const token = session && session.token;
+      const status = session ? 403 : 401;
+      assert.equal((await api.request("POST", "/alerts", { token, body: alertBody() })).status, status);
+      assert.equal((await api.request("PUT", path(alert._id), { token, body: { instructions: "Stay" } })).status, status);
+      assert.equal((await api.request("POST", path(alert._id, "end"), { token })).status, status);
+      assert.equal((await api.request("DELETE", path(alert._id), { token })).status, status);
+    }
+    // Anyone may read them, signed in or not
+    assert.equal((await api.request("GET", path(alert._id))).body.instructions, alert.instructions);
+
+    const edited = await api.request("PUT", path(alert._id), {
+      token: coordinator.token,
+      body: { instructions: "Move to higher ground", _rev: alert._rev },
+    });
+    assert.equal(edited.status, 200);
+    assert.deepEqual([edited.body.instructions, edited.body.area], ["Move to higher ground", circle]);
+    const stale = await api.request("PUT", path(alert._id), {
+      token: coordinator.token,
+      body: { instructions: "Lost update", _rev: alert._rev },
+    });
+    assert.equal(stale.status, 409);
+
+    assert.equal((await api.request("DELETE", path(alert._id), { token: coordinator.token })).status, 200);
+    assert.equal((await api.request("GET", path(alert._id))).status, 404);
+  });
+
+  test("rejects incomplete alerts and bad areas", async () => {
+    const coordinator = await api.signIn("mina@example.org", "coordinator");
+    const empty = await api.request("POST", "/alerts", { token: coordinator.token, body: {} });
+    assert.equal(empty.status, 400);
+    assert.deepEqual(Object.keys(empty.body.details).sort(), ["area", "disasterType", "expiresAt", "instructions"]);
+
+    const cases = [
+      [{ area: { ...circle, radiusKm: 501 } }, "area", /at most 500 km/],
+      [{ area: { shape: "polygon", points: [[26.1, 91.8], [26.2, 91.8]] } }, "area", /three corners/],
+      [{ area: { ...polygon, points: [...polygon.points, [95, 91.8]] } }, "area", /valid location/],
+      [{ expiresAt: new Date(Date.now() - HOUR).toISOString() }, "expiresAt", /after it is published/],
+      [{ disasterType: "Picnic" }, "disasterType", /disaster type/],
+    ];
+    for (const [fields, field, pattern] of cases) {
+      const response = await api.request("POST", "/alerts", { token: coordinator.token, body: alertBody(fields) });
+      assert.equal(response.status, 400, field);
+      assert.match(response.body.details[field], pattern);
+    }
+
+    // Edits are validated too
+    const alert = await publish(coordinator);
+    const edited = await api.request("PUT", path(alert._id), { token: coordinator.token, body: { area: null } });
+    assert.equal(edited.status, 400);
+    assert.deepEqual(Object.keys(edited.body.details), ["area"]);
+  });
+
+  test("ending an alert expires it, and expired alerts drop out of active lists", async () => {
+    const coordinator = await api.signIn("mina@example.org", "coordinator");
+    const city = await publish(coordinator);
+    const bank = await publish(coordinator, { area: polygon, disasterType: "Landslide" });
+    const yesterday = new Date(Date.now() - 24 * HOUR);
+    await reportsDB.bulkDocs([
+      createAlert({ ...alertBody(), expiresAt: new Date(yesterday.getTime() + HOUR) }, "old", yesterday),
+      // Other documents in the database are not alerts
+      createDocument("report", { latitude: 26.14, longitude: 91.73, severity: 5, disasterType: "Flood", description: "Road flooded" }),
+    ]);
+
+    assert.equal((await api.request("GET", "/alerts")).body.total, 3);
+    const active = await api.request("GET", "/alerts?active=true");
+    assert.deepEqual(active.body.alerts.map((doc) => doc._id), [bank._id, city._id]);
+    const inCity = await api.request("GET", "/alerts?at=26.15,91.74");
+    assert.deepEqual(inCity.body.alerts.map((doc) => doc._id), [city._id]);
+    const onBank = await api.request("GET", "/alerts?at=26.15,91.85");
+    assert.deepEqual(onBank.body.alerts.map((doc) => doc._id), [bank._id]);
+    assert.equal((await api.request("GET", "/alerts?at=somewhere")).status, 400);
+
+    const ended = await api.request("POST", path(city._id, "end"), { token: coordinator.token });
+    assert.equal(ended.status, 200);
+    assert.ok(Date.parse(ended.body.expiresAt) <= Date.now());
+    assert.equal(ended.body.updatedBy, coordinator.user.id);
+    assert.equal((await api.request("GET", "/alerts?at=26.15,91.74")).body.total, 0);
+    assert.deepEqual((await api.request("GET", "/alerts?active=true")).body.alerts.map((doc) => doc._id), [bank._id]);
+
+    const again = await api.request("POST", path(city._id, "end"), { token: coordinator.token });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, "alert_expired");
+  });
+
+  test("ids of other documents are not alerts", async () => {
+    const coordinator = await api.signIn("mina@example.org", "coordinator");
+    const report = createDocument("report", { latitude: 26.14, longitude: 91.73, severity: 5, disasterType: "Flood", description: "Road flooded" });
+    await reportsDB.put(report);
+    assert.equal((await api.request("GET", path(report._id))).status, 404);
+    const overwrite = await api.request("PUT", path(report._id), { token: coordinator.token, body: alertBody() });
+    assert.equal(overwrite.status, 404);
+    assert.equal((await api.request("DELETE", path(report._id), { token: coordinator.token })).status, 404);
+    assert.equal((await reportsDB.get(report._id)).type, "report");
+  });
+});
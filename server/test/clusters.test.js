@@ -0,0 +1,63 @@
+// server/test/clusters.test.js
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { clusterReports, findCluster, mergeClusters, splitReport } = require("../models/clusters");
+const { createDocument } = require("../models/schema");
+
+function report(disasterType, latitude, longitude, time, severity) {
+  return createDocument(
+    "report",
+    { disasterType, latitude, longitude, severity: severity || 5, description: `${disasterType} here` },
+    new Date(time)
+  );
+}
+
+// Two floods 1 km apart on one morning, a fire beside them, and a flood on
+// the same spot two days later
+const first = report("Flood", 26.14, 91.73, "2026-07-01T06:00:00.000Z", 4);
+const second = report("Flood", 26.149, 91.73, "2026-07-01T09:00:00.000Z", 8);
+const fire = report("Wildfire", 26.14, 91.73, "2026-07-01T07:00:00.000Z");
+const later = report("Flood", 26.14, 91.73, "2026-07-03T06:00:00.000Z");
+
+describe("clusterReports", () => {
+  test("links reports of one type close in place and time", () => {
+    const clusters = clusterReports([later, fire, second, first]);
+    assert.equal(clusters.length, 3);
+    const flood = findCluster(clusters, second._id);
+    assert.equal(flood.id, first._id);
+    assert.equal(flood.primary, first);
+    assert.deepEqual(flood.reports, [first, second]);
+    assert.equal(flood.severity, 8);
+    assert.equal(flood.averageSeverity, 6);
+    assert.ok(Math.abs(flood.position[0] - 26.1445) < 1e-9);
+    // Newest activity first
+    assert.deepEqual(clusters.map((cluster) => cluster.id), [later._id, first._id, fire._id]);
+  });
+
+  test("leaves feed warnings out", () => {
+    const warning = { ...first, _id: "alert_feed", source: { kind: "cap", name: "IMD" } };
+    assert.equal(findCluster(clusterReports([warning, second]), "alert_feed"), null);
+  });
+});
+
+describe("merging and splitting", () => {
+  test("pin reports to a shared incident", () => {
+    const at = new Date("2026-07-04T00:00:00.000Z");
+    const clusters = clusterReports([first, second, later]);
+    const merged = mergeClusters(clusters, "user_coord", at);
+    assert.equal(merged.length, 3);
+    assert.equal(new Set(merged.map((doc) => doc.clusterId)).size, 1);
+    assert.equal(merged[0].history[0].action, "cluster");
+
+    const incidents = clusterReports(merged);
+    assert.equal(incidents.length, 1);
+    assert.equal(incidents[0].manual, true);
+    assert.equal(incidents[0].primary._id, first._id);
+
+    const split = splitReport(merged.find((doc) => doc._id === later._id), "user_coord", at);
+    const after = clusterReports(merged.map((doc) => (doc._id === split._id ? split : doc)));
+    assert.equal(after.length, 2);
+    assert.deepEqual(findCluster(after, later._id).reports.map((doc) => doc._id), [later._id]);
+    assert.throws(() => mergeClusters(clusters.slice(0, 1), "user_coord"), /at least two/);
+  });
+});
@@ -0,0 +1,187 @@
+// server/test/designDocs.test.js
+// Runs the validate_doc_update function as CouchDB would: built from its
+// source, with the placeholders filled in.
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { authDesignDoc } = require("../couchdb/designDocs");
+const { SCHEMA_VERSION, changeStatus, createDocument, migrateDocument } = require("../models/schema");
+
+// eslint-disable-next-line no-eval
+const validate = eval("(" + authDesignDoc.validate_doc_update + ")");
+
+function user(name, role) {
+  return { name: name, roles: role ? [role] : [] };
+}
+
+const anonymous = { name: null, roles: [] };
+
+// Passes when the write is allowed; otherwise throws CouchDB's { forbidden } or { unauthorized }
+function write(newDoc, oldDoc, userCtx) {
+  validate(newDoc, oldDoc || null, userCtx);
+}
+
+function assertDenied(newDoc, oldDoc, userCtx, pattern) {
+  assert.throws(() => write(newDoc, oldDoc, userCtx), (err) => {
+    const message = err.forbidden || err.unauthorized;
+    assert.ok(message, `expected a CouchDB error, got ${err}`);
+    if (pattern) assert.match(message, pattern);
+    return true;
+  });
+}
+
+const created = new Date("2026-03-01T10:00:00.000Z");
+
+function report(fields) {
+  return Object.assign(
+    createDocument("report", {
+      description: "Water over the bridge",
+      latitude: 19.07,
+      longitude: 72.88,
+      severity: 6,
+      disasterType: "Flood",
+      reportedBy: "asha",
+    }, created),
+    { _rev: "1-a" },
+    fields
+  );
+}
+
+function legacyReport(fields) {
+  return Object.assign(
+    { _id: "2024-07-01T08:00:00.000Z", _rev: "1-a", description: "Old", position: ["19.07", "72.88"], severity: "5.4" },
+    fields
+  );
+}
+
+describe("schema migrations", () => {
+  test("anyone signed in may save exactly what migrateDocument produces", () => {
+    const legacy = legacyReport({ verified: true, verifiedBy: "ravi", verifiedAt: "2024-07-01T09:00:00.000Z" });
+    const migrated = migrateDocument(legacy);
+    assert.equal(migrated.schemaVersion, SCHEMA_VERSION);
+    write(migrated, legacy, user("someone", "citizen"));
+
+    const v1 = report({ schemaVersion: 1, status: undefined, history: undefined });
+    write(migrateDocument(v1), v1, user("someone", "citizen"));
+  });
+
+  test("a migration cannot change the status, history, type or location", () => {
+    const legacy = legacyReport();
+    const migrated = migrateDocument(legacy);
+    const citizen = user("someone", "citizen");
+    assertDenied(Object.assign({}, migrated, { status: "resolved" }), legacy, citizen);
+    assertDenied(Object.assign({}, migrated, { history: [{ action: "note", by: "someone", at: "x", note: "hi" }] }), legacy, citizen);
+    assertDenied(Object.assign({}, migrated, { latitude: 0 }), legacy, citizen);
+    assertDenied(Object.assign({}, migrated, { type: "sos" }), legacy, citizen, /type cannot be changed/);
+    assertDenied(Object.assign({}, migrated, { description: "Edited" }), legacy, citizen);
+  });
+
+  test("only a move to the current schema version counts as a migration", () => {
+    const legacy = legacyReport();
+    const citizen = user("someone", "citizen");
+    assertDenied(Object.assign({}, migrateDocument(legacy), { schemaVersion: SCHEMA_VERSION + 1 }), legacy, citizen);
+    const current = report({ reportedBy: "ravi" });
+    assertDenied(Object.assign({}, current, { severity: 9 }), current, citizen);
+  });
+});
+
+describe("document types", () => {
+  test("an update cannot change a document's type", () => {
+    const resource = { _id: "resource_1", _rev: "1-a", type: "resource", name: "Camp" };
+    assertDenied(report({ _id: "resource_1" }), resource, user("asha", "citizen"), /type cannot be changed/);
+    const own = report();
+    assertDenied(Object.assign({}, own, { type: "alert" }), own, user("asha", "coordinator"), /type cannot be changed/);
+  });
+
+  test("the stored type picks the permissions for a deletion", () => {
+    const resource = { _id: "resource_1", _rev: "1-a", type: "resource", name: "Camp" };
+    assertDenied({ _id: "resource_1", _rev: "1-a", _deleted: true }, resource, user("ravi", "responder"));
+    write({ _id: "resource_1", _rev: "1-a", _deleted: true }, resource, user("mina", "coordinator"));
+  });
+});
+
+describe("editing reports", () => {
+  test("responders may only move other people's reports through the lifecycle", () => {
+    const original = report();
+    const responder = user("ravi", "responder");
+    const verified = Object.assign(changeStatus(original, "verified", "mina", ""), { _rev: "2-a" });
+    const assigned = changeStatus(verified, "assigned", "ravi", "On our way");
+    write(assigned, verified, responder);
+    assertDenied(Object.assign({}, original, { description: "Nothing happened" }), original, responder, /description/);
+    assertDenied(Object.assign({}, assigned, { severity: 1 }), verified, responder, /severity/);
+  });
+
+  test("citizens can only edit their own reports", () => {
+    const original = report();
+    write(Object.assign({}, original, { description: "Water rising" }), original, user("asha", "citizen"));
+    assertDenied(Object.assign({}, original, { description: "Mine now" }), original, user("bina", "citizen"), /your own/);
+  });
+});
+
+describe("required fields", () => {
+  const citizen = user("asha", "citizen");
+
+  test("a new report needs a position, a severity in range and a disaster type", () => {
+    write(report({ _rev: undefined }), null, citizen);
+    assertDenied(report({ _rev: undefined, latitude: undefined }), null, citizen, /latitude and longitude/);
+    assertDenied(report({ _rev: undefined, longitude: 200 }), null, citizen, /latitude and longitude/);
+    assertDenied(report({ _rev: undefined, severity: 11 }), null, citizen, /Severity/);
+    assertDenied(report({ _rev: undefined, severity: "6" }), null, citizen, /Severity/);
+    assertDenied(report({ _rev: undefined, disasterType: undefined }), null, citizen, /disaster type/);
+  });
+
+  test("an anonymous SOS is checked too", () => {
+    const sos = createDocument("sos", { description: "Trapped on roof", latitude: 19, longitude: 72, severity: 9, affectedPeople: 3 });
+    assertDenied(Object.assign({}, sos, { latitude: null }), null, anonymous, /latitude and longitude/);
+    assertDenied(Object.assign({}, sos, { severity: 0 }), null, anonymous, /Severity/);
+    assertDenied(Object.assign({}, sos, { affectedPeople: 0 }), null, anonymous, /affected people/);
+  });
+
+  test("edits must leave a complete document; lifecycle updates need not", () => {
+    const original = report();
+    assertDenied(Object.assign({}, original, { severity: 0 }), original, citizen, /Severity/);
+    // Written before these checks existed
+    const incomplete = report({ disasterType: undefined });
+    const verified = changeStatus(incomplete, "verified", "mina", "");
+    write(verified, incomplete, user("mina", "coordinator"));
+  });
+});
+
+describe("feed warnings", () => {
+  const official = { kind: "cap", name: "India Meteorological Department", identifier: "imd-1" };
+
+  test("only coordinators may mark a report as an official warning", () => {
+    const fake = report({ _rev: undefined, source: official });
+    assertDenied(fake, null, user("asha", "citizen"), /official feeds/);
+    assertDenied(fake, null, user("ravi", "responder"), /official feeds/);
+    write(fake, null, user("mina", "coordinator"));
+    write(fake, null, { name: null, roles: ["_admin"] });
+
+    const own = report();
+    assertDenied(Object.assign({}, own, { source: official }), own, user("asha", "citizen"), /official feeds/);
+    const sos = createDocument("sos", { description: "Trapped on roof", latitude: 19, longitude: 72, severity: 9, affectedPeople: 3 });
+    assertDenied(Object.assign({}, sos, { source: official }), null, anonymous, /official feeds/);
+  });
+});
+
+describe("anonymous SOS calls", () => {
+  function sos(fields) {
+    return Object.assign(
+      createDocument("sos", { description: "Trapped on roof", latitude: 19, longitude: 72, severity: 9, affectedPeople: 3 }),
+      fields
+    );
+  }
+
+  test("anyone may raise a new SOS", () => {
+    write(sos(), null, anonymous);
+  });
+
+  test("an anonymous SOS must start new with an empty history", () => {
+    assertDenied(sos({ status: "resolved" }), null, anonymous, /status new/);
+    assertDenied(sos({ history: [{ action: "status", from: "new", to: "verified", by: "x", at: "y" }] }), null, anonymous, /status new/);
+  });
+
+  test("signed-out users cannot change an existing SOS", () => {
+    const existing = sos({ _rev: "1-a" });
+    assertDenied(Object.assign({}, existing, { severity: 1 }), existing, anonymous, /Sign in/);
+  });
+});
@@ -0,0 +1,65 @@
+// server/test/export.test.js
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { toCSV, toExportRecord, toGeoJSON, toKML } = require("../export/formats");
+const { createDocument } = require("../models/schema");
+
+const link = (id, name) => `https://ddms.example.org/api/reports/${id}/attachments/${name}`;
+
+const flood = {
+  ...createDocument(
+    "report",
+    {
+      disasterType: "Flood",
+      latitude: 26.14,
+      longitude: 91.73,
+      severity: 7,
+      description: '=HYPERLINK("http://evil.example") <b>"deep"</b>, rising',
+    },
+    new Date("2026-07-01T06:00:00.000Z")
+  ),
+  _attachments: { media: { content_type: "image/jpeg", stub: true } },
+};
+const call = createDocument(
+  "sos",
+  { latitude: 26.15, longitude: 91.74, severity: 9, affectedPeople: 4, description: "Family trapped on a roof" },
+  new Date("2026-07-01T07:00:00.000Z")
+);
+const records = [flood, call].map((doc) => toExportRecord(doc, link));
+
+describe("export records", () => {
+  test("carry the partner fields and attachment links", () => {
+    assert.deepEqual(records[0].attachments, [
+      { name: "media", contentType: "image/jpeg", url: link(flood._id, "media") },
+    ]);
+    assert.equal(records[0].affectedPeople, null);
+    assert.equal(records[1].disasterType, null);
+    assert.equal(records[1].affectedPeople, 4);
+  });
+});
+
+describe("serialisers", () => {
+  test("GeoJSON puts longitude first", () => {
+    const geojson = JSON.parse(toGeoJSON(records));
+    assert.deepEqual(geojson.features[1].geometry.coordinates, [91.74, 26.15]);
+    assert.equal(geojson.features[1].properties.id, call._id);
+    assert.equal("latitude" in geojson.features[1].properties, false);
+  });
+
+  test("CSV quotes text and defuses formulas", () => {
+    const csv = toCSV(records);
+    assert.ok(csv.startsWith("\ufeffid,type,disasterType"));
+    const lines = csv.split("\r\n");
+    assert.equal(lines.length, 4);
+    assert.ok(lines[1].includes(`"'=HYPERLINK(""http://evil.example"") <b>""deep""</b>, rising"`));
+    assert.ok(lines[1].endsWith(link(flood._id, "media")));
+  });
+
+  test("KML escapes the public's text", () => {
+    const kml = toKML(records, "Floods & calls");
+    assert.ok(kml.includes("<name>Floods &amp; calls</name>"));
+    assert.ok(kml.includes("<name>SOS (severity 9)</name>"));
+    assert.equal(kml.includes("<b>"), false);
+    assert.ok(kml.includes("<coordinates>91.73,26.14</coordinates>"));
+  });
+});
@@ -0,0 +1,103 @@
+// server/test/import.test.js
+const { beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { clearDatabase } = require("./support/memoryDb");
+const { reportsDB } = require("../config/db");
+const { commitImport, previewImport } = require("../import/importReports");
+const { mappingErrors, suggestMapping } = require("../import/mapping");
+const { parseCSV } = require("../import/rows");
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "../import/fixtures", name), "utf8");
+}
+
+const options = { dataset: "Assam floods 2025", userId: "user_coord" };
+
+describe("parseCSV", () => {
+  test("reads quoted fields with commas, doubled quotes and line breaks", () => {
+    const { columns, rows } = parseCSV(fixture("assam-floods-2025.csv"));
+    assert.deepEqual(columns, ["Incident ID", "Hazard", "Date", "Lat", "Lon", "Severity", "Remarks", "Status"]);
+    assert.equal(rows[1].values.Remarks, 'Embankment breach near Jorhat, "Majuli ferry" suspended');
+    assert.equal(rows[2].values.Remarks, "Landslide on NH-6\ntwo vehicles trapped");
+    assert.equal(rows[3].row, 6, "rows are numbered by the line they start on");
+  });
+
+  test("rejects an unterminated quote", () => {
+    assert.throws(() => parseCSV('a,b\n1,"open'), /never closed/);
+  });
+});
+
+describe("column mapping", () => {
+  test("suggests columns by their usual names", () => {
+    const mapping = suggestMapping(["Incident ID", "Hazard", "Date", "Lat", "Lon", "Severity", "Remarks", "Status"]);
+    assert.deepEqual(mapping, {
+      externalId: "Incident ID",
+      disasterType: "Hazard",
+      description: "Remarks",
+      severity: "Severity",
+      latitude: "Lat",
+      longitude: "Lon",
+      createdAt: "Date",
+      status: "Status",
+    });
+  });
+
+  test("lists missing required fields, unknown columns and unknown fields", () => {
+    const errors = mappingErrors({ description: "Remarks", latitude: "Northing", colour: "Hazard" }, ["Remarks", "Hazard"]);
+    assert.deepEqual(Object.keys(errors).sort(), ["colour", "disasterType", "latitude", "longitude", "severity"]);
+    assert.match(errors.latitude, /no column named "Northing"/);
+  });
+});
+
+describe("importing reports", () => {
+  beforeEach(() => clearDatabase(reportsDB));
+
+  test("a preview writes nothing and explains each invalid row", async () => {
+    const preview = await previewImport(fixture("assam-floods-2025.csv"), options);
+    assert.deepEqual(preview.counts, { create: 3, update: 0, unchanged: 0, invalid: 4 });
+    const invalid = preview.rows.filter((row) => row.action === "invalid");
+    assert.deepEqual(invalid.map((row) => Object.keys(row.errors)), [["severity"], ["createdAt"], ["position"], ["externalId"]]);
+    assert.equal((await reportsDB.allDocs()).rows.length, 0);
+  });
+
+  test("committing twice changes nothing the second time", async () => {
+    const first = await commitImport(fixture("assam-floods-2025.csv"), options);
+    assert.equal(first.created, 3);
+    assert.equal(first.invalid.length, 4);
+    const resolved = (await reportsDB.allDocs({ include_docs: true })).rows.map((row) => row.doc);
+    assert.ok(resolved.every((doc) => doc._id.startsWith("report_import_")));
+    assert.deepEqual(resolved.map((doc) => doc.history.length), [1, 1, 1]);
+
+    const second = await commitImport(fixture("assam-floods-2025.csv"), options);
+    assert.equal(second.created, 0);
+    assert.equal(second.unchanged, 3);
+  });
+
+  test("a changed row updates its report and keeps the status", async () => {
+    await commitImport(fixture("assam-floods-2025.csv"), options);
+    const edited = fixture("assam-floods-2025.csv").replace("3 wards inundated", "5 wards inundated");
+    const summary = await commitImport(edited, options);
+    assert.equal(summary.updated, 1);
+    const docs = (await reportsDB.allDocs({ include_docs: true })).rows.map((row) => row.doc);
+    const doc = docs.find((candidate) => candidate.imported.externalId === "AS-2025-001");
+    assert.match(doc.description, /5 wards/);
+    assert.equal(doc.status, "resolved");
+  });
+
+  test("GeoJSON points import; other geometries are invalid rows", async () => {
+    const summary = await commitImport(fixture("partner-shelter-reports.geojson"), { ...options, dataset: "Partner NGO" });
+    assert.equal(summary.created, 1);
+    assert.deepEqual(summary.invalid.map((row) => row.row), [2, 3]);
+  });
+
+  test("an incomplete mapping and an unreadable dataset are told apart", async () => {
+    await assert.rejects(
+      commitImport(fixture("assam-floods-2025.csv"), { ...options, mapping: { description: "Remarks" } }),
+      (err) => Boolean(err.mappingErrors && err.mappingErrors.latitude)
+    );
+    await assert.rejects(previewImport('a,b\n1,"open', options), (err) => err.invalidDataset === true);
+    await assert.rejects(previewImport("{ not json", options), (err) => err.invalidDataset === true);
+  });
+});
@@ -0,0 +1,137 @@
+// server/test/ingest.test.js
+const { beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { clearDatabase } = require("./support/memoryDb");
+const { reportsDB } = require("../config/db");
+const { isActiveAlert } = require("../models/alertSchema");
+const { parseCap } = require("../ingest/cap");
+const { parseGeoJSON } = require("../ingest/geojson");
+const { ingestFeed } = require("../ingest/ingestFeed");
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "../ingest/fixtures", name), "utf8");
+}
+
+// The fixtures' warnings have long expired; move them into the future so
+// there is something active to update and cancel
+function floodWarning() {
+  return fixture("cap-flood-warning.xml").replace(/<expires>[^<]*<\/expires>/, "<expires>2099-07-15T18:00:00+05:30</expires>");
+}
+
+async function alertDocs() {
+  const result = await reportsDB.allDocs({ startkey: "alert_", endkey: "alert_\ufff0", include_docs: true });
+  return result.rows.map((row) => row.doc);
+}
+
+describe("parseCap", () => {
+  test("turns each area of an actual alert into a geofenced alert", () => {
+    const { docs, cancels, skipped } = parseCap(floodWarning());
+    assert.equal(docs.length, 2);
+    assert.deepEqual(docs.map((doc) => doc.area.shape), ["polygon", "circle"]);
+    assert.equal(docs[0].type, "alert");
+    assert.equal(docs[0].disasterType, "Flood");
+    assert.equal(docs[0].source.identifier, "IN-CWC-2026-07-14-0042");
+    assert.equal(docs[0].source.sentAt, "2026-07-14T00:30:00.000Z");
+    assert.equal(docs[0].area.points.length, 4, "the closing point is dropped");
+    assert.deepEqual(docs[1].area, { shape: "circle", center: [22.78, 77.68], radiusKm: 3.5 });
+    assert.match(docs[0].instructions, /Move to higher ground/);
+    assert.notEqual(docs[0]._id, docs[1]._id);
+    assert.deepEqual(cancels, []);
+    assert.deepEqual(skipped, []);
+  });
+
+  test("skips exercises and cancels through <references>", () => {
+    const exercise = parseCap(fixture("cap-exercise.xml"));
+    assert.equal(exercise.docs.length, 0);
+    assert.match(exercise.skipped[0].reason, /Exercise/);
+
+    const cancel = parseCap(fixture("cap-flood-cancel.xml"));
+    assert.equal(cancel.docs.length, 0);
+    assert.equal(cancel.cancels.length, 1);
+    const warning = parseCap(floodWarning()).docs[0];
+    assert.ok(warning._id.startsWith(cancel.cancels[0]));
+  });
+
+  test("rejects XML that is not a CAP alert", () => {
+    assert.throws(() => parseCap("<rss><channel/></rss>"), /Not a CAP alert/);
+  });
+});
+
+describe("parseGeoJSON", () => {
+  test("points become reports and polygons become alerts", () => {
+    const { docs, skipped } = parseGeoJSON(fixture("district-warnings.geojson"));
+    assert.deepEqual(docs.map((doc) => doc.type).sort(), ["alert", "report"]);
+    const alert = docs.find((doc) => doc.type === "alert");
+    assert.equal(alert.disasterType, "Flood");
+    assert.deepEqual(alert.area.points[0], [27.52, 94.85], "rings are flipped to [lat, lng]");
+    assert.equal(alert.area.points.length, 4);
+    const report = docs.find((doc) => doc.type === "report");
+    assert.equal(report.disasterType, "Landslide");
+    assert.equal(report.severity, 6);
+    assert.deepEqual(skipped, []);
+  });
+
+  test("uses the feed's title as sender and skips features without an id", () => {
+    const { docs, skipped } = parseGeoJSON(fixture("usgs-earthquakes.geojson"));
+    assert.equal(docs.length, 2);
+    assert.ok(docs.every((doc) => doc.type === "report" && doc.disasterType === "Earthquake"));
+    assert.equal(docs[0].latitude, 30.93);
+    assert.equal(docs[0].longitude, 78.65);
+    assert.equal(docs[0].source.name, "USGS Magnitude 4.5+ Earthquakes, Past Day");
+    assert.deepEqual(skipped, [{ identifier: "feature 2", reason: "no id to deduplicate on" }]);
+  });
+
+  test("rejects JSON that is not GeoJSON", () => {
+    assert.throws(() => parseGeoJSON('{"rows": []}'), /Not a GeoJSON feed/);
+  });
+});
+
+describe("ingestFeed", () => {
+  beforeEach(() => clearDatabase(reportsDB));
+
+  test("creates documents, then leaves them alone when nothing changed", async () => {
+    const first = await ingestFeed(fixture("usgs-earthquakes.geojson"));
+    assert.equal(first.format, "geojson");
+    assert.equal(first.created, 2);
+    assert.equal(first.skipped.length, 1);
+
+    const again = await ingestFeed(fixture("usgs-earthquakes.geojson"));
+    assert.equal(again.created, 0);
+    assert.equal(again.updated, 0);
+    assert.equal(again.unchanged, 2);
+  });
+
+  test("updates in place when the feed sends a newer version", async () => {
+    await ingestFeed(floodWarning());
+    const newer = floodWarning()
+      .replace("<sent>2026-07-14T06:00:00+05:30</sent>", "<sent>2026-07-14T09:00:00+05:30</sent>")
+      .replace("Move to higher ground now.", "Evacuate the river banks now.");
+    const summary = await ingestFeed(newer);
+    assert.equal(summary.format, "cap");
+    assert.equal(summary.updated, 2);
+    assert.equal(summary.created, 0);
+    const docs = await alertDocs();
+    assert.equal(docs.length, 2);
+    assert.ok(docs.every((doc) => /Evacuate the river banks/.test(doc.instructions)));
+    assert.ok(docs.every((doc) => doc.source.sentAt === "2026-07-14T03:30:00.000Z"));
+
+    // An older message arriving late changes nothing
+    const stale = await ingestFeed(floodWarning());
+    assert.equal(stale.unchanged, 2);
+  });
+
+  test("a Cancel message ends the alerts it references", async () => {
+    await ingestFeed(floodWarning());
+    assert.ok((await alertDocs()).every((doc) => isActiveAlert(doc)));
+    const summary = await ingestFeed(fixture("cap-flood-cancel.xml"));
+    assert.equal(summary.cancelled, 2);
+    assert.ok((await alertDocs()).every((doc) => !isActiveAlert(doc)));
+  });
+
+  test("flags unreadable input so the API can answer 400", async () => {
+    await assert.rejects(ingestFeed("{ not json"), (err) => err.invalidFeed === true);
+    await assert.rejects(ingestFeed("text", { format: "rss" }), (err) => err.invalidFeed === true && /Unknown feed format/.test(err.message));
+  });
+});
@@ -0,0 +1,100 @@
+// server/test/peers.test.js
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const api = require("./support/api");
+const { networkScope } = require("../controllers/handlePeers");
+
+let baseUrl;
+
+before(async () => {
+  baseUrl = await api.start();
+});
+after(api.stop);
+
+// Opens the relay's event stream; next(event) resolves with the data of the
+// next event of that name
+function connect(peerId, name) {
+  const controller = new AbortController();
+  const events = [];
+  const waiting = [];
+  const deliver = () => {
+    for (let i = 0; i < waiting.length; i++) {
+      const index = events.findIndex((event) => event.name === waiting[i].name);
+      if (index === -1) continue;
+      waiting[i].resolve(events.splice(index, 1)[0].data);
+      waiting.splice(i--, 1);
+    }
+  };
+  const query = new URLSearchParams({ peerId, name });
+  fetch(`${baseUrl}/peers/events?${query}`, { signal: controller.signal })
+    .then(async (response) => {
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const name = /^event: (.*)$/m.exec(block);
+          const data = /^data: (.*)$/m.exec(block);
+          if (name && data) events.push({ name: name[1], data: JSON.parse(data[1]) });
+        }
+        deliver();
+      }
+    })
+    .catch(() => {});
+  return {
+    next(name) {
+      return new Promise((resolve) => {
+        waiting.push({ name, resolve });
+        deliver();
+      });
+    },
+    close() {
+      controller.abort();
+    },
+  };
+}
+
+function signal(body) {
+  return api.request("POST", "/peers/signal", { body });
+}
+
+describe("peer relay", () => {
+  test("signals reach their target only with the sender's own secret", async () => {
+    const asha = connect("device-asha-0001", "Asha's phone");
+    const ravi = connect("device-ravi-0001", "Ravi's tablet");
+    try {
+      const ashaSession = await asha.next("session");
+      const raviSession = await ravi.next("session");
+      assert.notEqual(ashaSession.secret, raviSession.secret);
+      // Ravi's stream opened second, so its first list has both devices
+      const present = await ravi.next("peers");
+      assert.deepEqual(present.map((peer) => peer.id).sort(), ["device-asha-0001", "device-ravi-0001"]);
+
+      const offer = { type: "offer", description: { sdp: "v=0" } };
+      const forged = await signal({ from: "device-asha-0001", secret: raviSession.secret, to: "device-ravi-0001", data: offer });
+      assert.equal(forged.status, 403);
+      assert.equal((await signal({ from: "device-asha-0001", to: "device-ravi-0001", data: offer })).status, 403);
+      assert.equal((await signal({ from: "device-nobody-01", secret: "x", to: "device-ravi-0001", data: offer })).status, 409);
+
+      const sent = await signal({ from: "device-asha-0001", secret: ashaSession.secret, to: "device-ravi-0001", data: offer });
+      assert.equal(sent.status, 202);
+      assert.deepEqual(await ravi.next("signal"), { from: "device-asha-0001", data: offer });
+    } finally {
+      asha.close();
+      ravi.close();
+    }
+  });
+
+  test("devices are grouped by the network they connect from", () => {
+    assert.equal(networkScope("192.168.1.20"), "private");
+    assert.equal(networkScope("::ffff:10.0.0.7"), "private");
+    assert.equal(networkScope("::1"), "private");
+    assert.equal(networkScope("203.0.113.9"), "203.0.113.9");
+    assert.equal(networkScope("::ffff:203.0.113.9"), "203.0.113.9");
+    assert.equal(networkScope("2001:db8:85a3::8a2e:370:7334"), networkScope("2001:DB8:85A3:0:1::1"));
+    assert.notEqual(networkScope("2001:db8:85a3::1"), networkScope("2001:db8:85a4::1"));
+  });
+});
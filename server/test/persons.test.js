@@ -0,0 +1,123 @@
+// server/test/persons.test.js
+const { after, before, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const api = require("./support/api");
+
+before(api.start);
+after(api.stop);
+beforeEach(api.reset);
+
+const contact = { name: "Sita Devi", phone: "+91 98765 43210", relation: "Mother" };
+
+function path(id, action) {
+  return `/persons/${encodeURIComponent(id)}${action ? `/${action}` : ""}`;
+}
+
+async function register(session, fields) {
+  const response = await api.request("POST", "/persons", {
+    token: session.token,
+    body: {
+      status: "missing",
+      name: "Ramesh Kumar",
+      age: 9,
+      latitude: 26.14,
+      longitude: 91.73,
+      lastSeenAt: "2026-07-01T08:00:00.000Z",
+      contact,
+      ...fields,
+    },
+  });
+  assert.equal(response.status, 201);
+  return response.body;
+}
+
+async function signInAll() {
+  return {
+    parent: await api.signIn("sita@example.org"),
+    neighbour: await api.signIn("bina@example.org"),
+    volunteer: await api.signIn("asha@example.org", "volunteer"),
+    responder: await api.signIn("arjun@example.org", "responder"),
+  };
+}
+
+describe("persons API", () => {
+  test("a citizen sees only their own entries; others' answer 404", async () => {
+    const { parent, neighbour, responder } = await signInAll();
+    const missing = await register(parent);
+    await register(neighbour, { status: "found", name: "Unknown boy" });
+
+    const own = await api.request("GET", "/persons", { token: parent.token });
+    assert.deepEqual(own.body.persons.map((doc) => doc._id), [missing._id]);
+    assert.equal((await api.request("GET", path(missing._id), { token: parent.token })).status, 200);
+
+    for (const [method, url, body] of [
+      ["GET", path(missing._id)],
+      ["GET", path(missing._id, "photo")],
+      ["PUT", path(missing._id), { name: "Someone else" }],
+      ["DELETE", path(missing._id)],
+    ]) {
+      const response = await api.request(method, url, { token: neighbour.token, body });
+      assert.equal(response.status, 404, `${method} ${url}`);
+      assert.equal(response.body.error, "not_found");
+    }
+    // The same answer as for an id that does not exist
+    const unknown = await api.request("GET", path("person_2026-07-01T08:00:00.000Z_00000000"), { token: neighbour.token });
+    assert.deepEqual(unknown.body, (await api.request("GET", path(missing._id), { token: neighbour.token })).body);
+
+    const all = await api.request("GET", "/persons", { token: responder.token });
+    assert.equal(all.body.total, 2);
+    assert.equal((await api.request("GET", path(missing._id), { token: responder.token })).status, 200);
+    assert.equal((await api.request("GET", "/persons")).status, 401);
+  });
+
+  test("only person:view may see matches and reunite entries", async () => {
+    const { parent, neighbour, volunteer, responder } = await signInAll();
+    const missing = await register(parent);
+    const found = await register(neighbour, { status: "found", name: "Ramesh Kumar", age: 9, lastSeenAt: "2026-07-02T08:00:00.000Z" });
+
+    for (const session of [parent, volunteer]) {
+      const matches = await api.request("GET", path(missing._id, "matches"), { token: session.token });
+      assert.equal(matches.status, 403);
+      const reunite = await api.request("POST", path(missing._id, "reunite"), {
+        token: session.token,
+        body: { matchId: found._id },
+      });
+      assert.equal(reunite.status, 403);
+    }
+    assert.equal((await api.request("GET", path(missing._id))).status, 401);
+
+    const matches = await api.request("GET", path(missing._id, "matches"), { token: responder.token });
+    assert.equal(matches.status, 200);
+    assert.deepEqual(matches.body.matches.map((match) => match.person._id), [found._id]);
+
+    const reunited = await api.request("POST", path(found._id, "reunite"), {
+      token: responder.token,
+      body: { matchId: missing._id, note: "Met at the relief centre" },
+    });
+    assert.equal(reunited.status, 200);
+    assert.deepEqual(reunited.body.persons.map((doc) => [doc._id, doc.status, doc.reunitedWith]), [
+      [missing._id, "reunited", found._id],
+      [found._id, "reunited", missing._id],
+    ]);
+    const again = await api.request("POST", path(missing._id, "reunite"), {
+      token: responder.token,
+      body: { matchId: found._id },
+    });
+    assert.equal(again.status, 409);
+
+    // The family sees the outcome on their own entry
+    const own = await api.request("GET", path(missing._id), { token: parent.token });
+    assert.equal(own.body.status, "reunited");
+  });
+
+  test("rejects incomplete entries and reunions set by hand", async () => {
+    const { parent } = await signInAll();
+    const invalid = await api.request("POST", "/persons", { token: parent.token, body: { status: "reunited" } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(Object.keys(invalid.body.details).sort(), ["contact", "lastSeenAt", "name", "position", "status"]);
+
+    const missing = await register(parent);
+    const edited = await api.request("PUT", path(missing._id), { token: parent.token, body: { status: "reunited" } });
+    assert.equal(edited.status, 409);
+  });
+});
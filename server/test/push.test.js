@@ -0,0 +1,137 @@
+// server/test/push.test.js
+process.env.PUSH_SERVICE = "mock";
+const { after, before, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const api = require("./support/api");
+const { reportsDB } = require("../config/db");
+const { changeStatus, createDocument } = require("../models/schema");
+const { getPushService, pushEndpointError } = require("../push/pushService");
+const { startSosNotifier } = require("../push/sosNotifier");
+
+before(api.start);
+after(api.stop);
+beforeEach(async () => {
+  await api.reset();
+  getPushService().outbox.length = 0;
+  try {
+    const state = await reportsDB.get("_local/sos_notifier");
+    await reportsDB.remove(state);
+  } catch (err) {
+    if (err.status !== 404) throw err;
+  }
+});
+
+const home = { latitude: 26.14, longitude: 91.73 };
+const keys = { p256dh: "BPk", auth: "secret" };
+
+function subscribe(token, endpoint) {
+  return api.request("PUT", "/push/subscription", {
+    token,
+    body: { subscription: { endpoint, keys }, home, radiusKm: 50 },
+  });
+}
+
+function sos(description, date) {
+  return createDocument(
+    "sos",
+    { description, latitude: 26.15, longitude: 91.74, severity: 9, affectedPeople: 4 },
+    date
+  );
+}
+
+// Lets the changes feed and the pushes it starts run
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 300));
+}
+
+function pushedIds() {
+  return getPushService().outbox.map((message) => message.payload.tag).sort();
+}
+
+describe("push endpoints", () => {
+  test("must be public https URLs", async () => {
+    assert.equal(await pushEndpointError("https://fcm.googleapis.com/fcm/send/abc", false), null);
+    assert.match(await pushEndpointError("http://fcm.googleapis.com/fcm/send/abc", false), /https/);
+    for (const endpoint of [
+      "https://localhost/push",
+      "https://127.0.0.1:5984/_users",
+      "https://10.1.2.3/",
+      "https://192.168.1.1/",
+      "https://169.254.169.254/latest/meta-data",
+      "https://[::1]/",
+      "https://[fd00::1]/",
+      "https://[::ffff:127.0.0.1]/",
+    ]) {
+      assert.match(await pushEndpointError(endpoint, false), /public host/, endpoint);
+    }
+    assert.match(await pushEndpointError("not a url", false), /valid URL/);
+  });
+
+  test("the API refuses private subscriptions", async () => {
+    const responder = await api.signIn("ravi@example.org", "responder");
+    const rejected = await subscribe(responder.token, "https://127.0.0.1:5984/");
+    assert.equal(rejected.status, 400);
+    assert.match(rejected.body.details.subscription, /public host/);
+    const accepted = await subscribe(responder.token, "https://push.example.com/device-1");
+    assert.equal(accepted.status, 200);
+    assert.deepEqual(accepted.body.endpoints, ["https://push.example.com/device-1"]);
+  });
+});
+
+describe("SOS notifier", () => {
+  test("pushes each SOS once, across restarts", async () => {
+    const responder = await api.signIn("ravi@example.org", "responder");
+    await subscribe(responder.token, "https://push.example.com/device-1");
+
+    // Nothing on record before the first start is pushed
+    await reportsDB.put(sos("Before the notifier ever ran"));
+    let stop = await startSosNotifier();
+    const first = sos("Family trapped on a roof");
+    await reportsDB.put(first);
+    await settle();
+    assert.deepEqual(pushedIds(), [first._id]);
+
+    // Status changes are not news
+    const stored = await reportsDB.get(first._id);
+    await reportsDB.put(changeStatus(stored, "verified", "user_mina", ""));
+    await settle();
+    assert.equal(getPushService().outbox.length, 1);
+
+    // Calls that arrive while the server is down are pushed after it restarts
+    stop();
+    await settle();
+    const whileDown = sos("Boat capsized near the ghat");
+    await reportsDB.put(whileDown);
+    stop = await startSosNotifier();
+    await settle();
+    stop();
+    assert.deepEqual(pushedIds(), [first._id, whileDown._id].sort());
+  });
+
+  test("shows the mock outbox only to roles that receive SOS pushes", async () => {
+    const responder = await api.signIn("ravi@example.org", "responder");
+    await subscribe(responder.token, "https://push.example.com/device-1");
+    const stop = await startSosNotifier();
+    const call = sos("Family trapped on a roof");
+    await reportsDB.put(call);
+    await settle();
+    stop();
+
+    assert.equal((await api.request("GET", "/push/outbox")).status, 401);
+    const citizen = await api.signIn("bina@example.org");
+    assert.equal((await api.request("GET", "/push/outbox", { token: citizen.token })).status, 403);
+    const outbox = await api.request("GET", "/push/outbox", { token: responder.token });
+    assert.equal(outbox.status, 200);
+    assert.deepEqual(outbox.body.messages.map((message) => message.payload.tag), [call._id]);
+  });
+
+  test("skips calls raised long ago", async () => {
+    const responder = await api.signIn("ravi@example.org", "responder");
+    await subscribe(responder.token, "https://push.example.com/device-1");
+    const stop = await startSosNotifier();
+    await reportsDB.put(sos("Synced after a week offline", new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)));
+    await settle();
+    stop();
+    assert.equal(getPushService().outbox.length, 0);
+  });
+});
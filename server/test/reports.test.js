@@ -0,0 +1,152 @@
+// server/test/reports.test.js
+const { after, before, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const api = require("./support/api");
+const { reportsDB } = require("../config/db");
+const { createDocument } = require("../models/schema");
+const { createTask } = require("../models/taskSchema");
+
+before(api.start);
+after(api.stop);
+beforeEach(api.reset);
+
+const place = { latitude: 26.14, longitude: 91.73 };
+
+function report(fields, date) {
+  return createDocument("report", { ...place, severity: 6, description: "Road under water", disasterType: "Flood", ...fields }, date);
+}
+
+function sos(fields, date) {
+  return createDocument("sos", { ...place, severity: 9, description: "Family trapped on a roof", affectedPeople: 4, ...fields }, date);
+}
+
+function path(id) {
+  return `/reports/${encodeURIComponent(id)}`;
+}
+
+describe("reports API", () => {
+  test("lists one type, newest first, a page at a time", async () => {
+    const days = [1, 2, 3, 4, 5].map((day) => new Date(`2026-07-0${day}T10:00:00.000Z`));
+    await reportsDB.bulkDocs([
+      ...days.map((date, i) => report({ severity: i + 1 }, date)),
+      sos({}, days[2]),
+      // Written before the shared schema: no type, and the time as its id
+      { _id: "2026-06-30T08:00:00.000Z", disasterType: "Fire", severity: "4", position: [26.1, 91.7], description: "Old" },
+    ]);
+
+    const page = await api.request("GET", "/reports?limit=2&skip=1");
+    assert.equal(page.body.total, 6);
+    assert.deepEqual(page.body.reports.map((doc) => doc.severity), [4, 3]);
+
+    const oldest = await api.request("GET", "/reports?skip=5");
+    assert.equal(oldest.body.reports[0].disasterType, "Fire");
+    assert.equal(oldest.body.reports[0].latitude, 26.1);
+
+    const calls = await api.request("GET", "/reports?type=sos");
+    assert.equal(calls.body.total, 1);
+    assert.equal(calls.body.reports[0].type, "sos");
+
+    const filtered = await api.request("GET", "/reports?disasterType=Flood&limit=2&skip=4");
+    assert.equal(filtered.body.total, 5);
+    assert.deepEqual(filtered.body.reports.map((doc) => doc.severity), [1]);
+
+    assert.equal((await api.request("GET", "/reports?type=deviceKey")).status, 400);
+  });
+
+  test("filters across more documents than one read of the view", async () => {
+    // Pages must continue correctly through runs of identical times
+    const times = ["2026-07-01", "2026-07-02", "2026-07-03"].map((day) => new Date(`${day}T10:00:00.000Z`));
+    const docs = [];
+    for (let i = 0; i < 450; i++) docs.push(report({ severity: (i % 10) + 1 }, times[i % 3]));
+    await reportsDB.bulkDocs(docs);
+    const all = await api.request("GET", "/reports?status=new&limit=1000");
+    assert.equal(all.body.total, 450);
+    assert.equal(new Set(all.body.reports.map((doc) => doc._id)).size, 450);
+    const last = await api.request("GET", "/reports?status=new&skip=449");
+    assert.equal(last.body.reports[0].createdAt, times[0].toISOString());
+  });
+
+  test("reading one needs a session and a report or SOS id", async () => {
+    const citizen = await api.signIn("asha@example.org");
+    const flood = report();
+    const task = createTask({ title: "Sandbags", incidentId: flood._id }, { id: "user_coord", name: "Coord" });
+    await reportsDB.bulkDocs([flood, task]);
+
+    assert.equal((await api.request("GET", path(flood._id))).status, 401);
+    const found = await api.request("GET", path(flood._id), { token: citizen.token });
+    assert.equal(found.status, 200);
+    assert.equal(found.body.signatureStatus, "unsigned");
+    assert.equal((await api.request("GET", path(task._id), { token: citizen.token })).status, 404);
+  });
+
+  test("attachments need a session and a report or SOS id", async () => {
+    const citizen = await api.signIn("asha@example.org");
+    const photo = { content_type: "image/jpeg", data: Buffer.from("not really a jpeg").toString("base64") };
+    const flood = { ...report(), _attachments: { media: photo } };
+    const task = { ...createTask({ title: "Sandbags", incidentId: flood._id }, { id: "user_coord", name: "Coord" }), _attachments: { media: photo } };
+    await reportsDB.bulkDocs([flood, task]);
+
+    assert.equal((await api.request("GET", `${path(flood._id)}/attachments/media`)).status, 401);
+    assert.equal((await api.request("GET", `${path(task._id)}/attachments/media`, { token: citizen.token })).status, 404);
+    const missing = await api.request("GET", `${path(flood._id)}/attachments/audio`, { token: citizen.token });
+    assert.equal(missing.status, 404);
+    assert.match(missing.body.message, /no attachment named "audio"/);
+  });
+
+  test("edits keep each type's own fields", async () => {
+    const citizen = await api.signIn("asha@example.org");
+    const call = sos({ reportedBy: citizen.user.id });
+    await reportsDB.put(call);
+    const edited = await api.request("PUT", path(call._id), {
+      token: citizen.token,
+      body: { disasterType: "Flood", affectedPeople: 6 },
+    });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.affectedPeople, 6);
+    assert.equal("disasterType" in edited.body, false);
+  });
+
+  test("only authors and coordinators edit content", async () => {
+    const author = await api.signIn("asha@example.org");
+    const responder = await api.signIn("ravi@example.org", "responder");
+    const flood = report({ reportedBy: author.user.id });
+    await reportsDB.put(flood);
+    const denied = await api.request("PUT", path(flood._id), { token: responder.token, body: { severity: 1 } });
+    assert.equal(denied.status, 403);
+    const allowed = await api.request("PUT", path(flood._id), { token: author.token, body: { severity: 7 } });
+    assert.equal(allowed.body.severity, 7);
+  });
+
+  test("deleting removes reports but nothing else", async () => {
+    const coordinator = await api.signIn("coord@example.org", "coordinator");
+    const flood = report();
+    const task = createTask({ title: "Sandbags", incidentId: flood._id }, { id: "user_coord", name: "Coord" });
+    await reportsDB.bulkDocs([flood, task]);
+
+    const refused = await api.request("DELETE", path(task._id), { token: coordinator.token });
+    assert.equal(refused.status, 404);
+    assert.ok(await reportsDB.get(task._id));
+    const removed = await api.request("DELETE", path(flood._id), { token: coordinator.token });
+    assert.equal(removed.body.ok, true);
+  });
+
+  test("exports only matching documents within the dates", async () => {
+    const responder = await api.signIn("ravi@example.org", "responder");
+    await reportsDB.bulkDocs([
+      report({ description: "June" }, new Date("2026-06-30T23:00:00.000Z")),
+      report({ description: "July 1" }, new Date("2026-07-01T06:00:00.000Z")),
+      sos({ description: "July 1 call for help" }, new Date("2026-07-01T07:00:00.000Z")),
+      report({ description: "July 31" }, new Date("2026-07-31T23:59:00.000Z")),
+      report({ description: "August" }, new Date("2026-08-01T00:00:00.000Z")),
+    ]);
+    const exported = await api.request("GET", "/reports/export/geojson?type=report,sos&from=2026-07-01&to=2026-07-31", {
+      token: responder.token,
+    });
+    assert.equal(exported.status, 200);
+    const geojson = typeof exported.body === "string" ? JSON.parse(exported.body) : exported.body;
+    assert.deepEqual(
+      geojson.features.map((feature) => feature.properties.description),
+      ["July 1", "July 1 call for help", "July 31"]
+    );
+  });
+});
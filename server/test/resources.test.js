@@ -0,0 +1,132 @@
+// server/test/resources.test.js
+const { after, before, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const api = require("./support/api");
+const { reportsDB } = require("../config/db");
+const { createDocument } = require("../models/schema");
+
+before(api.start);
+after(api.stop);
+beforeEach(api.reset);
+
+function centreBody(fields) {
+  return {
+    name: "Sarusajai Stadium",
+    kind: "shelter",
+    latitude: 26.11,
+    longitude: 91.75,
+    capacity: 400,
+    occupancy: 120,
+    stock: [{ item: "Drinking water", quantity: 800, unit: "litres" }],
+    contact: { name: "Block office", phone: "+91 361 000 0000" },
+    ...fields,
+  };
+}
+
+function path(id) {
+  return `/resources/${encodeURIComponent(id)}`;
+}
+
+async function add(coordinator, fields) {
+  const response = await api.request("POST", "/resources", { token: coordinator.token, body: centreBody(fields) });
+  assert.equal(response.status, 201);
+  return response.body;
+}
+
+describe("resources API", () => {
+  test("only coordinators add, edit and delete centres", async () => {
+    const coordinator = await api.signIn("mina@example.org", "coordinator");
+    const centre = await add(coordinator);
+    assert.deepEqual([centre.status, centre.createdBy], ["open", coordinator.user.id]);
+
+    for (const session of [null, await api.signIn("bina@example.org"), await api.signIn("asha@example.org", "volunteer")]) {
+      const token = session && session.token;
+      const status = session ? 403 : 401;
+      assert.equal((await api.request("POST", "/resources", { token, body: centreBody() })).status, status);
+      assert.equal((await api.request("PUT", path(centre._id), { token, body: { occupancy: 0 } })).status, status);
+      assert.equal((await api.request("DELETE", path(centre._id), { token })).status, status);
+    }
+    // Anyone may find a centre, signed in or not
+    assert.equal((await api.request("GET", path(centre._id))).body.name, centre.name);
+
+    const edited = await api.request("PUT", path(centre._id), {
+      token: coordinator.token,
+      body: { occupancy: 390, _rev: centre._rev },
+    });
+    assert.equal(edited.status, 200);
+    assert.deepEqual([edited.body.occupancy, edited.body.capacity, edited.body.stock], [390, 400, centre.stock]);
+    const stale = await api.request("PUT", path(centre._id), {
+      token: coordinator.token,
+      body: { occupancy: 10, _rev: centre._rev },
+    });
+    assert.equal(stale.status, 409);
+
+    assert.equal((await api.request("DELETE", path(centre._id), { token: coordinator.token })).status, 200);
+    assert.equal((await api.request("GET", path(centre._id))).status, 404);
+  });
+
+  test("rejects incomplete centres", async () => {
+    const coordinator = await api.signIn("mina@example.org", "coordinator");
+    const empty = await api.request("POST", "/resources", { token: coordinator.token, body: {} });
+    assert.equal(empty.status, 400);
+    assert.deepEqual(Object.keys(empty.body.details).sort(), ["contact", "kind", "name", "position"]);
+
+    const cases = [
+      [{ kind: "campsite" }, "kind"],
+      [{ status: "demolished" }, "status"],
+      [{ latitude: 91, longitude: 26 }, "position"],
+      [{ capacity: -1 }, "capacity"],
+      [{ occupancy: 2.5 }, "occupancy"],
+      [{ stock: [{ item: "", quantity: 5 }] }, "stock"],
+      [{ stock: [{ item: "Rice", quantity: -5 }] }, "stock"],
+    ];
+    for (const [fields, field] of cases) {
+      const response = await api.request("POST", "/resources", { token: coordinator.token, body: centreBody(fields) });
+      assert.equal(response.status, 400, field);
+      assert.deepEqual(Object.keys(response.body.details), [field]);
+    }
+
+    const centre = await add(coordinator);
+    const edited = await api.request("PUT", path(centre._id), { token: coordinator.token, body: { contact: {} } });
+    assert.equal(edited.status, 400);
+    assert.deepEqual(Object.keys(edited.body.details), ["contact"]);
+  });
+
+  test("full and closed centres drop out of the nearest open list", async () => {
+    const coordinator = await api.signIn("mina@example.org", "coordinator");
+    const stadium = await add(coordinator);
+    const school = await add(coordinator, { name: "Dispur High School", latitude: 26.14, longitude: 91.79 });
+    const hospital = await add(coordinator, { name: "GMCH", kind: "hospital", latitude: 26.16, longitude: 91.77 });
+    await reportsDB.put(createDocument("report", { latitude: 26.14, longitude: 91.79, severity: 5, disasterType: "Flood", description: "Road flooded" }));
+
+    assert.equal((await api.request("GET", "/resources")).body.total, 3);
+    const shelters = await api.request("GET", "/resources?kind=shelter");
+    assert.deepEqual(shelters.body.resources.map((doc) => doc._id).sort(), [school._id, stadium._id].sort());
+    const near = await api.request("GET", "/resources?near=26.14,91.78");
+    assert.deepEqual(near.body.resources.map((doc) => doc._id), [school._id, hospital._id, stadium._id]);
+    assert.ok(near.body.resources[0].distanceKm < 1);
+    assert.equal((await api.request("GET", "/resources?near=26.14,91.78&limit=1")).body.total, 1);
+
+    await api.request("PUT", path(school._id), { token: coordinator.token, body: { status: "full", occupancy: 250 } });
+    await api.request("PUT", path(hospital._id), { token: coordinator.token, body: { status: "closed" } });
+    const open = await api.request("GET", "/resources?near=26.14,91.78");
+    assert.deepEqual(open.body.resources.map((doc) => doc._id), [stadium._id]);
+    // Still listed without `near`, with their status
+    const all = await api.request("GET", "/resources");
+    assert.deepEqual(all.body.resources.map((doc) => doc.status).sort(), ["closed", "full", "open"]);
+
+    assert.equal((await api.request("GET", "/resources?kind=campsite")).status, 400);
+    assert.equal((await api.request("GET", "/resources?near=here")).status, 400);
+  });
+
+  test("ids of other documents are not centres", async () => {
+    const coordinator = await api.signIn("mina@example.org", "coordinator");
+    const report = createDocument("report", { latitude: 26.14, longitude: 91.73, severity: 5, disasterType: "Flood", description: "Road flooded" });
+    await reportsDB.put(report);
+    assert.equal((await api.request("GET", path(report._id))).status, 404);
+    const overwrite = await api.request("PUT", path(report._id), { token: coordinator.token, body: centreBody() });
+    assert.equal(overwrite.status, 404);
+    assert.equal((await api.request("DELETE", path(report._id), { token: coordinator.token })).status, 404);
+    assert.equal((await reportsDB.get(report._id)).type, "report");
+  });
+});
@@ -0,0 +1,94 @@
+// server/test/schema.test.js
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SCHEMA_VERSION,
+  addNote,
+  changeStatus,
+  createDocument,
+  makeDocId,
+  migrateDocument,
+  validateDocument,
+} = require("../models/schema");
+
+const place = { latitude: 26.14, longitude: 91.73 };
+
+function report(fields) {
+  return createDocument("report", { ...place, severity: 6, description: "Road under water", disasterType: "Flood", ...fields });
+}
+
+describe("makeDocId", () => {
+  test("keeps the type prefix and time order, and never repeats", () => {
+    const at = new Date("2026-07-01T08:00:00.000Z");
+    const ids = new Set();
+    for (let i = 0; i < 1000; i++) ids.add(makeDocId("sos", at));
+    assert.equal(ids.size, 1000);
+    for (const id of ids) assert.match(id, /^sos_2026-07-01T08:00:00\.000Z_[0-9a-f]{8}$/);
+    assert.ok(makeDocId("sos", at) < makeDocId("sos", new Date("2026-07-01T08:00:00.001Z")));
+  });
+});
+
+describe("validateDocument", () => {
+  test("reports the fields the forms would", () => {
+    assert.deepEqual(validateDocument(report()), {});
+    assert.deepEqual(Object.keys(validateDocument(report({ disasterType: "Meteor", severity: 11, latitude: 91 }))).sort(), [
+      "disasterType",
+      "position",
+      "severity",
+    ]);
+    assert.deepEqual(Object.keys(validateDocument(createDocument("sos", { ...place, severity: 9, description: "Help", affectedPeople: 0 }))).sort(), [
+      "affectedPeople",
+      "description",
+    ]);
+    assert.deepEqual(Object.keys(validateDocument({ type: "task" })), ["type"]);
+  });
+});
+
+describe("migrateDocument", () => {
+  test("brings a pre-schema report up to date", () => {
+    const legacy = {
+      _id: "2025-08-14T09:30:00.000Z",
+      _rev: "1-a",
+      position: ["26.14", "91.73"],
+      severity: "7.4",
+      disasterType: "Flood",
+      description: "Water rising",
+      verified: true,
+      verifiedBy: "user_mina",
+      verifiedAt: "2025-08-14T10:00:00.000Z",
+    };
+    const migrated = migrateDocument(legacy);
+    assert.equal(migrated.type, "report");
+    assert.equal(migrated.schemaVersion, SCHEMA_VERSION);
+    assert.deepEqual([migrated.latitude, migrated.longitude, migrated.severity], [26.14, 91.73, 7]);
+    assert.equal(migrated.position, undefined);
+    assert.equal(migrated.createdAt, legacy._id);
+    assert.equal(migrated.status, "verified");
+    assert.deepEqual(migrated.history, [
+      { action: "status", from: "new", to: "verified", by: "user_mina", at: "2025-08-14T10:00:00.000Z" },
+    ]);
+    assert.equal("verified" in migrated, false);
+    // Current documents and design documents are left alone
+    assert.equal(migrateDocument(migrated), null);
+    assert.equal(migrateDocument({ _id: "_design/ddms_auth" }), null);
+  });
+});
+
+describe("changeStatus", () => {
+  test("follows the workflow and records who moved it", () => {
+    const at = new Date("2026-07-01T09:00:00.000Z");
+    const verified = changeStatus(report(), "verified", "user_mina", "  Confirmed by phone ", at);
+    assert.equal(verified.status, "verified");
+    assert.deepEqual(verified.history, [
+      { action: "status", from: "new", to: "verified", by: "user_mina", at: at.toISOString(), note: "Confirmed by phone" },
+    ]);
+    assert.equal(verified.updatedAt, at.toISOString());
+    assert.throws(() => changeStatus(verified, "new", "user_mina"), /Cannot move an incident from Verified/);
+  });
+
+  test("notes need text", () => {
+    const noted = addNote(report(), "user_ravi", "Boat on the way");
+    assert.equal(noted.history[0].note, "Boat on the way");
+    assert.throws(() => addNote(report(), "user_ravi", "   "), /write a note/);
+  });
+});
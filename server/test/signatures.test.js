@@ -0,0 +1,91 @@
+// server/test/signatures.test.js
+const { before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { webcrypto } = require("node:crypto");
+const {
+  KEY_PARAMS,
+  SIGNATURE_STATUSES,
+  createDeviceKeyDocument,
+  keyIdFor,
+  signDocument,
+  signatureStatus,
+  verifySignature,
+} = require("../models/signatures");
+const { createDocument } = require("../models/schema");
+
+const { subtle } = webcrypto;
+
+let key;
+
+before(async () => {
+  const pair = await subtle.generateKey(KEY_PARAMS, true, ["sign", "verify"]);
+  key = { privateKey: pair.privateKey, publicJwk: await subtle.exportKey("jwk", pair.publicKey) };
+});
+
+function sign(doc) {
+  return signDocument(doc, key.privateKey, key.publicJwk, subtle);
+}
+
+function report() {
+  return createDocument("report", {
+    description: "Bridge washed away",
+    latitude: 26.14,
+    longitude: 91.73,
+    severity: 8,
+    disasterType: "Flood",
+    reportedBy: "user_asha",
+  });
+}
+
+const photo = Buffer.from("not really a jpeg");
+
+function withPhoto(doc, bytes) {
+  return { ...doc, mediaFileName: "bridge.jpg", _attachments: { media: { content_type: "image/jpeg", data: new Blob([bytes]) } } };
+}
+
+// The attachment as it reads back with { attachments: true }
+function inline(doc, bytes) {
+  return { ...doc, _attachments: { media: { content_type: "image/jpeg", data: Buffer.from(bytes).toString("base64") } } };
+}
+
+describe("signatures", () => {
+  test("cover the content fields but not the lifecycle", async () => {
+    const signed = await sign(report());
+    assert.equal(await verifySignature(signed, subtle), true);
+    assert.equal(await verifySignature({ ...signed, status: "verified", history: [{}] }, subtle), true);
+    assert.equal(await verifySignature({ ...signed, severity: 2 }, subtle), false);
+    assert.equal(await verifySignature({ ...signed, signature: { ...signed.signature, value: "AAAA" } }, subtle), false);
+  });
+
+  test("cover attachment content", async () => {
+    const signed = await sign(withPhoto(report(), photo));
+    assert.deepEqual(Object.keys(signed.signature.attachments), ["media"]);
+    assert.equal(signed.signature.attachments.media.length, photo.length);
+
+    assert.equal(await verifySignature(inline(signed, photo), subtle), true);
+    assert.equal(await verifySignature(inline(signed, Buffer.from("not really a jpeG")), subtle), false);
+    const extra = inline(signed, photo);
+    extra._attachments.thumbnail = { content_type: "image/jpeg", data: "AAAA" };
+    assert.equal(await verifySignature(extra, subtle), false);
+    assert.equal(await verifySignature({ ...signed, _attachments: undefined }, subtle), false);
+  });
+
+  test("check stubs by type and length", async () => {
+    const signed = await sign(withPhoto(report(), photo));
+    const stub = (fields) => ({ ...signed, _attachments: { media: { stub: true, digest: "md5-x", ...fields } } });
+    assert.equal(await verifySignature(stub({ content_type: "image/jpeg", length: photo.length }), subtle), true);
+    assert.equal(await verifySignature(stub({ content_type: "image/jpeg", length: photo.length + 1 }), subtle), false);
+    assert.equal(await verifySignature(stub({ content_type: "image/png", length: photo.length }), subtle), false);
+  });
+
+  test("are attributed only to a registered device key", async () => {
+    const signed = await sign(report());
+    const keyId = await keyIdFor(key.publicJwk, subtle);
+    const registered = createDeviceKeyDocument(key.publicJwk, keyId, "user_asha");
+    const isRegistered = (id, userId) => registered._id === `deviceKey_${id}_${userId}`;
+    assert.equal(await signatureStatus(signed, isRegistered, subtle), SIGNATURE_STATUSES.VERIFIED);
+    assert.equal(await signatureStatus(signed, () => false, subtle), SIGNATURE_STATUSES.UNREGISTERED);
+    assert.equal(await signatureStatus(report(), isRegistered, subtle), SIGNATURE_STATUSES.UNSIGNED);
+    assert.equal(await signatureStatus({ ...signed, description: "Edited" }, isRegistered, subtle), SIGNATURE_STATUSES.INVALID);
+  });
+});
@@ -0,0 +1,65 @@
+// server/test/support/api.js
+// Runs the Express app on a free port against the in-memory databases.
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-only-secret";
+const { clearDatabase } = require("./memoryDb");
+const { reportsDB, usersDB, personsDB } = require("../../config/db");
+const { reportsDesignDoc } = require("../../couchdb/designDocs");
+const app = require("../../app");
+
+let server = null;
+let baseUrl = null;
+
+function start() {
+  return new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+      resolve(baseUrl);
+    });
+  });
+}
+
+function stop() {
+  return new Promise((resolve) => server.close(resolve));
+}
+
+// Empties the databases and puts back the views the API queries
+async function reset() {
+  await Promise.all([reportsDB, usersDB, personsDB].map(clearDatabase));
+  await reportsDB.put(reportsDesignDoc);
+}
+
+// -> { status, body, headers }; body is parsed JSON when the response is JSON
+async function request(method, path, { body, token } = {}) {
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    // not JSON; keep the text
+  }
+  return { status: response.status, body: parsed, headers: response.headers };
+}
+
+// Registers an account, gives it `role` and returns a token carrying that role
+async function signIn(email, role) {
+  const registered = await request("POST", "/users/register", {
+    body: { name: email.split("@")[0], email, password: "correct horse" },
+  });
+  if (role && role !== registered.body.user.role) {
+    const userDoc = await usersDB.get(registered.body.user.id);
+    await usersDB.put({ ...userDoc, role });
+  }
+  const me = await request("GET", "/users/me", { token: registered.body.token });
+  return { token: me.body.token, user: me.body.user };
+}
+
+module.exports = { start, stop, reset, request, signIn };
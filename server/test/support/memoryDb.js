@@ -0,0 +1,45 @@
+// server/test/support/memoryDb.js
+// Swaps config/db.js for in-memory databases so tests need no CouchDB.
+// Require this before anything that loads config/db.js.
+const PouchDB = require("pouchdb");
+PouchDB.plugin(require("pouchdb-adapter-memory"));
+
+const REPORTS_DB_NAME = "disaster_reports";
+const USERS_DB_NAME = "ddms_users";
+const PERSONS_DB_NAME = "missing_persons";
+const COUCHDB_URL = "http://couchdb.test";
+
+const databases = {};
+
+function openDatabase(name) {
+  if (!databases[name]) databases[name] = new PouchDB(`${name}-${process.pid}`, { adapter: "memory" });
+  return databases[name];
+}
+
+// Deletes every document, design documents included
+async function clearDatabase(db) {
+  const result = await db.allDocs();
+  const deleted = result.rows.map((row) => ({ _id: row.id, _rev: row.value.rev, _deleted: true }));
+  if (deleted.length > 0) await db.bulkDocs(deleted);
+}
+
+const dbPath = require.resolve("../../config/db");
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: {
+    COUCHDB_URL,
+    REPORTS_DB_NAME,
+    USERS_DB_NAME,
+    PERSONS_DB_NAME,
+    couchAuthHeaders: () => ({}),
+    attachmentUrl: (dbName, docId, name) => [COUCHDB_URL, dbName, docId, name].map(encodeURIComponent).join("/"),
+    openDatabase,
+    reportsDB: openDatabase(REPORTS_DB_NAME),
+    usersDB: openDatabase(USERS_DB_NAME),
+    personsDB: openDatabase(PERSONS_DB_NAME),
+  },
+};
+
+module.exports = { clearDatabase, openDatabase };
@@ -0,0 +1,157 @@
+// server/test/tasks.test.js
+// Every change made through the API is also run through validate_doc_update
+// as the same user, so the API and CouchDB cannot drift apart on who may do what.
+const { after, before, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const api = require("./support/api");
+const { reportsDB } = require("../config/db");
+const { authDesignDoc } = require("../couchdb/designDocs");
+const { createDocument } = require("../models/schema");
+
+// eslint-disable-next-line no-eval
+const validate = eval("(" + authDesignDoc.validate_doc_update + ")");
+
+before(api.start);
+after(api.stop);
+beforeEach(api.reset);
+
+function path(id, action) {
+  return `/tasks/${encodeURIComponent(id)}${action ? `/${action}` : ""}`;
+}
+
+async function signInAll() {
+  return {
+    coordinator: await api.signIn("mina@example.org", "coordinator"),
+    asha: await api.signIn("asha@example.org", "volunteer"),
+    ravi: await api.signIn("ravi@example.org", "volunteer"),
+    citizen: await api.signIn("bina@example.org"),
+  };
+}
+
+async function raiseTask(coordinator) {
+  const flood = createDocument("report", {
+    latitude: 26.14, longitude: 91.73, severity: 7, description: "Village cut off", disasterType: "Flood",
+  });
+  await reportsDB.put(flood);
+  const created = await api.request("POST", "/tasks", {
+    token: coordinator.token,
+    body: { title: "Deliver drinking water", kind: "supply-delivery", skills: ["boat"], incidentId: flood._id },
+  });
+  assert.equal(created.status, 201);
+  return created.body;
+}
+
+// Makes the change through the API and checks CouchDB would take the same
+// document from the same user
+async function change(session, method, url, body) {
+  const id = decodeURIComponent(url.split("/")[2]);
+  const before = await reportsDB.get(id);
+  const response = await api.request(method, url, { token: session.token, body });
+  if (response.status < 300) {
+    const after = await reportsDB.get(id);
+    validate(after, before, { name: session.user.id, roles: [session.user.role] });
+  }
+  return response;
+}
+
+function assertDeniedByCouch(newDoc, oldDoc, session, pattern) {
+  assert.throws(
+    () => validate(newDoc, oldDoc, { name: session.user.id, roles: [session.user.role] }),
+    (err) => pattern.test(err.forbidden)
+  );
+}
+
+describe("tasks API", () => {
+  test("a task is placed at its incident and listed by status or distance", async () => {
+    const { coordinator, asha } = await signInAll();
+    const task = await raiseTask(coordinator);
+    assert.deepEqual([task.latitude, task.longitude, task.status], [26.14, 91.73, "open"]);
+
+    const open = await api.request("GET", "/tasks?status=open", { token: asha.token });
+    assert.deepEqual(open.body.tasks.map((doc) => doc._id), [task._id]);
+    const near = await api.request("GET", "/tasks?near=26.2,91.7&radiusKm=20", { token: asha.token });
+    assert.equal(near.body.tasks.length, 1);
+    assert.ok(near.body.tasks[0].distanceKm < 10);
+    const far = await api.request("GET", "/tasks?near=19.07,72.88&radiusKm=20", { token: asha.token });
+    assert.equal(far.body.total, 0);
+    // Reports in the same database are not tasks
+    const all = await api.request("GET", "/tasks", { token: asha.token });
+    assert.equal(all.body.total, 1);
+  });
+
+  test("a volunteer claims, updates and completes a task", async () => {
+    const { coordinator, asha } = await signInAll();
+    const task = await raiseTask(coordinator);
+
+    const claimed = await change(asha, "POST", path(task._id, "claim"));
+    assert.equal(claimed.status, 200);
+    assert.equal(claimed.body.assignee, asha.user.id);
+    const updated = await change(asha, "POST", path(task._id, "updates"), { note: "Boat loaded" });
+    assert.equal(updated.body.updates.at(-1).note, "Boat loaded");
+    const completed = await change(asha, "POST", path(task._id, "complete"), { note: "Delivered" });
+    assert.equal(completed.body.status, "completed");
+    assert.deepEqual(completed.body.updates.map((entry) => entry.action), ["created", "claimed", "update", "completed"]);
+
+    const again = await change(asha, "POST", path(task._id, "release"));
+    assert.equal(again.status, 409);
+    assert.equal((await change(coordinator, "POST", path(task._id, "cancel"))).status, 409);
+  });
+
+  test("only the volunteer holding a task may report on it or release it", async () => {
+    const { coordinator, asha, ravi } = await signInAll();
+    const task = await raiseTask(coordinator);
+    await change(asha, "POST", path(task._id, "claim"));
+
+    assert.equal((await change(ravi, "POST", path(task._id, "claim"))).status, 409);
+    assert.equal((await change(ravi, "POST", path(task._id, "updates"), { note: "Mine" })).status, 403);
+    assert.equal((await change(ravi, "POST", path(task._id, "complete"))).status, 403);
+    assert.equal((await change(ravi, "POST", path(task._id, "release"))).status, 403);
+
+    const released = await change(asha, "POST", path(task._id, "release"), { note: "Boat broke down" });
+    assert.equal(released.body.status, "open");
+    assert.equal(released.body.assignee, null);
+    const reclaimed = await change(ravi, "POST", path(task._id, "claim"));
+    assert.equal(reclaimed.body.assignee, ravi.user.id);
+  });
+
+  test("CouchDB refuses the same moves made directly", async () => {
+    const { coordinator, asha, ravi } = await signInAll();
+    const task = await reportsDB.get((await raiseTask(coordinator))._id);
+    const at = new Date().toISOString();
+    const entry = (user, action) => ({ action, by: user.user.id, name: user.user.name, at });
+
+    // Claiming on someone else's behalf
+    const forOther = { ...task, status: "claimed", assignee: asha.user.id, assigneeName: "asha", updates: [...task.updates, entry(ravi, "claimed")] };
+    assertDeniedByCouch(forOther, task, ravi, /for themselves/);
+    // Skipping from open straight to completed
+    const skipped = { ...task, status: "completed", assignee: asha.user.id, assigneeName: "asha", updates: [...task.updates, entry(asha, "completed")] };
+    assertDeniedByCouch(skipped, task, asha, /cannot move from open to completed/);
+    // Changing the coordinator's fields
+    const retitled = { ...task, title: "Something else", updates: [...task.updates, entry(asha, "update")] };
+    assertDeniedByCouch(retitled, task, asha, /title/);
+
+    await change(asha, "POST", path(task._id, "claim"));
+    const claimed = await reportsDB.get(task._id);
+    const stolen = { ...claimed, updates: [...claimed.updates, entry(ravi, "update")] };
+    assertDeniedByCouch(stolen, claimed, ravi, /another volunteer/);
+  });
+
+  test("only coordinators raise and cancel tasks; citizens cannot claim them", async () => {
+    const { coordinator, asha, citizen } = await signInAll();
+    const refused = await api.request("POST", "/tasks", {
+      token: asha.token,
+      body: { title: "Self-made", kind: "rescue", latitude: 26, longitude: 91 },
+    });
+    assert.equal(refused.status, 403);
+    const invalid = await api.request("POST", "/tasks", { token: coordinator.token, body: { kind: "picnic" } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(Object.keys(invalid.body.details).sort(), ["kind", "position", "title"]);
+
+    const task = await raiseTask(coordinator);
+    assert.equal((await change(citizen, "POST", path(task._id, "claim"))).status, 403);
+    assert.equal((await change(asha, "POST", path(task._id, "cancel"))).status, 403);
+    const cancelled = await change(coordinator, "POST", path(task._id, "cancel"), { note: "Road reopened" });
+    assert.equal(cancelled.body.status, "cancelled");
+    assert.equal((await change(asha, "POST", path(task._id, "claim"))).status, 409);
+  });
+});
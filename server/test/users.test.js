@@ -0,0 +1,83 @@
+// server/test/users.test.js
+const { after, before, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const api = require("./support/api");
+
+before(api.start);
+after(api.stop);
+beforeEach(api.reset);
+
+describe("accounts", () => {
+  test("registering yields a citizen who can sign in", async () => {
+    const registered = await api.request("POST", "/users/register", {
+      body: { name: "Asha", email: "Asha@Example.org", password: "correct horse" },
+    });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.user.role, "citizen");
+    assert.equal(registered.body.user.email, "asha@example.org");
+    assert.equal(registered.body.user.passwordHash, undefined);
+
+    const login = await api.request("POST", "/users/login", {
+      body: { email: "asha@example.org", password: "correct horse" },
+    });
+    assert.equal(login.status, 200);
+    const me = await api.request("GET", "/users/me", { token: login.body.token });
+    assert.equal(me.body.user.name, "Asha");
+  });
+
+  test("a wrong password and an unknown email get the same answer", async () => {
+    await api.signIn("asha@example.org");
+    const wrong = await api.request("POST", "/users/login", { body: { email: "asha@example.org", password: "nope nope" } });
+    const unknown = await api.request("POST", "/users/login", { body: { email: "nobody@example.org", password: "nope nope" } });
+    assert.equal(wrong.status, 401);
+    assert.deepEqual(unknown.body, wrong.body);
+  });
+
+  test("registration is validated and emails are unique", async () => {
+    const invalid = await api.request("POST", "/users/register", { body: { name: "", email: "x", password: "short" } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(Object.keys(invalid.body.details).sort(), ["email", "name", "password"]);
+
+    await api.signIn("asha@example.org");
+    const again = await api.request("POST", "/users/register", {
+      body: { name: "Asha", email: "asha@example.org", password: "correct horse" },
+    });
+    assert.equal(again.status, 409);
+  });
+
+  test("only coordinators assign roles", async () => {
+    const coordinator = await api.signIn("coord@example.org", "coordinator");
+    const citizen = await api.signIn("asha@example.org");
+    const denied = await api.request("PUT", `/users/${encodeURIComponent(citizen.user.id)}/role`, {
+      token: citizen.token,
+      body: { role: "coordinator" },
+    });
+    assert.equal(denied.status, 403);
+    const promoted = await api.request("PUT", `/users/${encodeURIComponent(citizen.user.id)}/role`, {
+      token: coordinator.token,
+      body: { role: "responder" },
+    });
+    assert.equal(promoted.body.role, "responder");
+  });
+
+  test("a role change applies to tokens already issued", async () => {
+    const coordinator = await api.signIn("coord@example.org", "coordinator");
+    const other = await api.signIn("mina@example.org", "coordinator");
+    const demoted = await api.request("PUT", `/users/${encodeURIComponent(other.user.id)}/role`, {
+      token: coordinator.token,
+      body: { role: "citizen" },
+    });
+    assert.equal(demoted.status, 200);
+    const denied = await api.request("PUT", `/users/${encodeURIComponent(coordinator.user.id)}/role`, {
+      token: other.token,
+      body: { role: "citizen" },
+    });
+    assert.equal(denied.status, 403);
+  });
+
+  test("unknown routes answer with a JSON 404", async () => {
+    const response = await api.request("GET", "/nothing-here");
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, "not_found");
+  });
+});